@@ -14,3 +14,13 @@ require('./src/functions/auth');
 require('./src/functions/users');
 require('./src/functions/projects');
 require('./src/functions/feedback');
+require('./src/functions/mfa');
+require('./src/functions/organization');
+require('./src/functions/tokens');
+require('./src/functions/sso');
+require('./src/functions/companies');
+require('./src/functions/audit');
+require('./src/functions/notifications');
+require('./src/functions/guest');
+require('./src/functions/privacy');
+require('./src/functions/trash');
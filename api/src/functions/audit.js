@@ -0,0 +1,149 @@
+/**
+ * Audit Log Functions
+ * Search and export the organization's audit log (admins only)
+ * Entries are written by the other endpoints through shared/audit.js
+ */
+
+const { app } = require('@azure/functions');
+const db = require('../shared/database');
+const auth = require('../shared/auth');
+const { toCsv } = require('../shared/csv');
+
+// Most entries returned by a search, and by an export
+const MAX_SEARCH_RESULTS = 500;
+const MAX_EXPORT_ROWS = 5000;
+
+/**
+ * Search filters from the query string
+ * from / to are ISO dates or timestamps; a plain date for "to" includes that whole day
+ * Returns { filters } or { error }
+ */
+function readFilters(request, maxResults) {
+    const query = request.query;
+    const filters = {
+        action: query.get('action') || null,
+        actorId: query.get('actorId') || null,
+        targetId: query.get('targetId') || null,
+        text: (query.get('q') || '').trim() || null,
+        limit: Math.max(1, Math.min(parseInt(query.get('limit')) || maxResults, maxResults))
+    };
+    
+    for (const key of ['from', 'to']) {
+        let value = query.get(key);
+        if (!value) continue;
+        
+        if (key === 'to' && /^\d{4}-\d{2}-\d{2}$/.test(value)) {
+            value = `${value}T23:59:59.999Z`;
+        }
+        
+        const date = new Date(value);
+        if (isNaN(date.getTime())) {
+            return { error: `Invalid "${key}" date` };
+        }
+        filters[key] = date.toISOString();
+    }
+    
+    return { filters };
+}
+
+// GET /api/audit - Search the audit log, newest first (admins only)
+app.http('searchAuditLog', {
+    methods: ['GET'],
+    authLevel: 'anonymous',
+    route: 'audit',
+    handler: async (request, context) => {
+        try {
+            const user = await auth.authenticateRequest(request);
+            
+            if (!user) {
+                return auth.errorResponse(401, 'Authentication required');
+            }
+            
+            if (!auth.hasRole(user, ['admin'])) {
+                return auth.errorResponse(403, 'Only admins can view the audit log');
+            }
+            
+            const { filters, error } = readFilters(request, MAX_SEARCH_RESULTS);
+            if (error) {
+                return auth.errorResponse(400, error);
+            }
+            
+            await db.initDatabase();
+            
+            const entries = await db.searchAuditLog(user.organizationId, filters);
+            
+            return auth.successResponse({ entries, limit: filters.limit });
+            
+        } catch (error) {
+            context.error('Search audit log error:', error);
+            return auth.errorResponse(500, 'Internal server error');
+        }
+    }
+});
+
+// GET /api/audit/export - The same search as a CSV download (admins only)
+app.http('exportAuditLog', {
+    methods: ['GET'],
+    authLevel: 'anonymous',
+    route: 'audit/export',
+    handler: async (request, context) => {
+        try {
+            const user = await auth.authenticateRequest(request);
+            
+            if (!user) {
+                return auth.errorResponse(401, 'Authentication required');
+            }
+            
+            if (!auth.hasRole(user, ['admin'])) {
+                return auth.errorResponse(403, 'Only admins can export the audit log');
+            }
+            
+            const { filters, error } = readFilters(request, MAX_EXPORT_ROWS);
+            if (error) {
+                return auth.errorResponse(400, error);
+            }
+            
+            await db.initDatabase();
+            
+            const entries = await db.searchAuditLog(user.organizationId, filters);
+            
+            const rows = [
+                ['Time', 'Action', 'Actor', 'Actor email', 'Actor role', 'Target type', 'Target', 'Target id', 'Before', 'After', 'Details', 'IP address']
+            ];
+            
+            for (const entry of entries) {
+                const actor = entry.actor || {};
+                const target = entry.target || {};
+                rows.push([
+                    entry.createdAt,
+                    entry.action,
+                    actor.name,
+                    actor.email,
+                    actor.role,
+                    target.type,
+                    target.name,
+                    target.id,
+                    entry.before ? JSON.stringify(entry.before) : '',
+                    entry.after ? JSON.stringify(entry.after) : '',
+                    entry.details ? JSON.stringify(entry.details) : '',
+                    entry.ipAddress
+                ]);
+            }
+            
+            const filename = `audit-log-${user.organizationId}-${new Date().toISOString().slice(0, 10)}.csv`;
+            
+            return {
+                status: 200,
+                headers: {
+                    'Content-Type': 'text/csv; charset=utf-8',
+                    'Content-Disposition': `attachment; filename="${filename}"`
+                },
+                body: toCsv(rows)
+            };
+            
+        } catch (error) {
+            context.error('Export audit log error:', error);
+            return auth.errorResponse(500, 'Internal server error');
+        }
+    }
+});
@@ -1,12 +1,69 @@
 /**
  * Authentication Functions
- * Login, Register (via invitation), Token refresh
+ * Login, Magic-link sign-in, Register (via invitation), Token refresh,
+ * Password reset, Password and email changes, Sessions
  */
 
 const { app } = require('@azure/functions');
 const { v4: uuidv4 } = require('uuid');
 const db = require('../shared/database');
 const auth = require('../shared/auth');
+const emailService = require('../shared/email');
+const throttle = require('../shared/throttle');
+const permissions = require('../shared/permissions');
+const memberships = require('../shared/memberships');
+const audit = require('../shared/audit');
+
+const RESET_TOKEN_TTL_MINUTES = parseInt(process.env.RESET_TOKEN_TTL_MINUTES) || 60;
+const EMAIL_CHANGE_TTL_HOURS = 24;
+const MAGIC_LINK_TTL_MINUTES = parseInt(process.env.MAGIC_LINK_TTL_MINUTES) || 15;
+
+/**
+ * Count a failed password against both the account and the caller's network
+ * Answers with the lockout if this failure triggered one
+ */
+async function rejectLogin(email, ipAddress) {
+    const accountBlock = await throttle.recordFailure('account', email);
+    const ipBlock = await throttle.recordFailure('ip', ipAddress);
+    const block = accountBlock || ipBlock;
+    
+    if (block) {
+        return throttle.blockedResponse(block);
+    }
+    
+    return { status: 401, jsonBody: { error: 'Invalid email or password' } };
+}
+
+/**
+ * Audit something that happened to an account: sign-ins (including failed ones),
+ * password and email changes, sessions ending. Recorded in the organization the
+ * user is signed in to, or their default organization when nobody is signed in
+ */
+function recordAccountEvent(context, request, user, action, details = null) {
+    return audit.record(context, request, {
+        organizationId: user.organizationId,
+        actor: user,
+        action,
+        target: { type: 'user', id: user.userId || user.id, name: user.email },
+        details
+    });
+}
+
+/**
+ * Throttle invitation token guesses per network
+ * Returns a response when the caller is blocked, otherwise null
+ */
+async function checkInviteThrottle(request) {
+    const { ipAddress } = auth.getClientInfo(request);
+    const block = await throttle.check('invite', ipAddress);
+    return block ? throttle.blockedResponse(block) : null;
+}
+
+async function rejectInvite(request, status, message) {
+    const { ipAddress } = auth.getClientInfo(request);
+    const block = await throttle.recordFailure('invite', ipAddress);
+    return block ? throttle.blockedResponse(block) : auth.errorResponse(status, message);
+}
 
 // POST /api/auth/login
 app.http('login', {
@@ -29,48 +86,71 @@ app.http('login', {
             await db.initDatabase();
             context.log('Database initialized');
             
+            // Refuse early while the network or account is cooling down - no password check at all
+            const { ipAddress } = auth.getClientInfo(request);
+            const block = await throttle.check('ip', ipAddress) || await throttle.check('account', email);
+            
+            if (block) {
+                context.warn('Login throttled:', block.kind, email);
+                return throttle.blockedResponse(block);
+            }
+            
             // Find user
             const user = await db.getUserByEmail(email);
             context.log('User lookup result:', user ? 'found' : 'not found');
             
             if (!user) {
-                return { status: 401, jsonBody: { error: 'Invalid email or password' } };
+                return rejectLogin(email, ipAddress);
             }
             
-            if (user.status !== 'active') {
-                return { status: 403, jsonBody: { error: 'Account is disabled' } };
+            // Disabled, or deactivated in every organization they belong to
+            if (!memberships.canSignIn(user)) {
+                await recordAccountEvent(context, request, user, 'auth.login-failed', { reason: 'account-disabled' });
+                return auth.errorResponse(403, 'Account is disabled');
             }
             
             // Verify password using bcrypt directly
             const bcrypt = require('bcryptjs');
-            const isValid = await bcrypt.compare(password, user.passwordHash);
+            const isValid = !!user.passwordHash && await bcrypt.compare(password, user.passwordHash);
             context.log('Password valid:', isValid);
             
             if (!isValid) {
-                return { status: 401, jsonBody: { error: 'Invalid email or password' } };
+                await recordAccountEvent(context, request, user, 'auth.login-failed', { reason: 'invalid-password' });
+                return rejectLogin(email, ipAddress);
             }
             
-            // Generate token using jwt directly
-            const jwt = require('jsonwebtoken');
-            const JWT_SECRET = (process.env.JWT_SECRET || 'development-secret-change-me').trim();
-            const token = jwt.sign({
-                userId: user.id,
-                email: user.email,
-                name: user.name,
-                role: user.role
-            }, JWT_SECRET, { expiresIn: '7d' });
-            
-            // Return user info (without password) and token
-            const { passwordHash, ...safeUser } = user;
+            await throttle.reset('account', email);
             
-            return {
-                status: 200,
-                jsonBody: {
-                    success: true,
-                    user: safeUser,
-                    token
+            // Organization only lets clients in through emailed sign-in links
+            if (user.role === 'client') {
+                const settings = await db.getOrganizationSettings(user.organizationId);
+                if (settings.clientMagicLinkOnly) {
+                    await recordAccountEvent(context, request, user, 'auth.login-failed', { reason: 'magic-link-only' });
+                    return auth.errorResponse(403, 'Client accounts sign in with an emailed link. Use "Email me a sign-in link" instead.');
                 }
-            };
+            }
+            
+            // Accounts with two-factor enabled must present a code before getting a session
+            if (user.mfa && user.mfa.enabled) {
+                return auth.successResponse({
+                    mfaRequired: true,
+                    mfaToken: auth.generateMfaToken(user, 'mfa')
+                });
+            }
+            
+            // The organization requires two-factor for this role - enroll before signing in
+            if (await auth.requiresMfaEnrollment(user)) {
+                return auth.successResponse({
+                    mfaSetupRequired: true,
+                    mfaToken: auth.generateMfaToken(user, 'mfa-setup')
+                });
+            }
+            
+            // Start a server-side session so the tokens can be revoked
+            const login = await auth.completeLogin(user, request);
+            await recordAccountEvent(context, request, user, 'auth.login', { method: 'password' });
+            
+            return auth.successResponse(login);
             
         } catch (error) {
             context.error('Login error:', error.message, error.stack);
@@ -82,6 +162,134 @@ app.http('login', {
     }
 });
 
+// POST /api/auth/magic-link - Email a single-use sign-in link (client accounts)
+app.http('requestMagicLink', {
+    methods: ['POST'],
+    authLevel: 'anonymous',
+    route: 'auth/magic-link',
+    handler: async (request, context) => {
+        try {
+            await db.initDatabase();
+            
+            const body = await request.json();
+            const { email } = body;
+            
+            if (!email) {
+                return auth.errorResponse(400, 'Email is required');
+            }
+            
+            // Every request counts, so an inbox can't be flooded with links
+            const block = await throttle.check('magicLink', email);
+            if (block) {
+                return throttle.blockedResponse(block);
+            }
+            await throttle.recordFailure('magicLink', email);
+            
+            // Always respond the same way so the endpoint can't be used to discover accounts
+            const genericResponse = auth.successResponse({
+                message: 'If a client account exists for this email, a sign-in link has been sent'
+            });
+            
+            const user = await db.getUserByEmail(email);
+            
+            // Developers and admins keep password (and two-factor) sign-in
+            if (!user || user.role !== 'client' || !memberships.canSignIn(user)) {
+                return genericResponse;
+            }
+            
+            // Only the most recent link should work
+            await db.invalidateAuthTokens(user.id, 'magic-link');
+            
+            const magicToken = auth.generateOneTimeToken();
+            
+            await db.createAuthToken({
+                id: uuidv4(),
+                userId: user.id,
+                email: user.email,
+                purpose: 'magic-link',
+                tokenHash: auth.hashToken(magicToken),
+                expiresAt: new Date(Date.now() + MAGIC_LINK_TTL_MINUTES * 60 * 1000).toISOString()
+            });
+            
+            const emailResult = await emailService.sendMagicLinkEmail(user, magicToken, MAGIC_LINK_TTL_MINUTES);
+            
+            if (!emailResult.success) {
+                context.error('Failed to send sign-in link:', emailResult.error);
+            }
+            
+            await recordAccountEvent(context, request, user, 'auth.sign-in-link-sent');
+            
+            return genericResponse;
+            
+        } catch (error) {
+            context.error('Magic link request error:', error);
+            return auth.errorResponse(500, 'Internal server error');
+        }
+    }
+});
+
+// POST /api/auth/magic-link/verify - Exchange a sign-in link token for a session
+app.http('verifyMagicLink', {
+    methods: ['POST'],
+    authLevel: 'anonymous',
+    route: 'auth/magic-link/verify',
+    handler: async (request, context) => {
+        try {
+            await db.initDatabase();
+            
+            const body = await request.json();
+            const { token } = body;
+            
+            if (!token) {
+                return auth.errorResponse(400, 'Token is required');
+            }
+            
+            const magicToken = await db.getAuthTokenByHash(auth.hashToken(token), 'magic-link');
+            
+            if (!magicToken || new Date(magicToken.expiresAt) < new Date()) {
+                return auth.errorResponse(400, 'This sign-in link is invalid or has expired. Request a new one.');
+            }
+            
+            // Burn the token first so the link can't be replayed
+            if (!await db.markAuthTokenUsed(magicToken.id, magicToken.userId)) {
+                return auth.errorResponse(400, 'This sign-in link is invalid or has expired. Request a new one.');
+            }
+            
+            const user = await db.getUserById(magicToken.userId);
+            
+            if (!user || user.role !== 'client' || !memberships.canSignIn(user) || user.email !== magicToken.email) {
+                return auth.errorResponse(400, 'This sign-in link is invalid or has expired. Request a new one.');
+            }
+            
+            await throttle.reset('magicLink', user.email);
+            
+            // The link only replaces the password - two-factor still applies
+            if (user.mfa && user.mfa.enabled) {
+                return auth.successResponse({
+                    mfaRequired: true,
+                    mfaToken: auth.generateMfaToken(user, 'mfa')
+                });
+            }
+            
+            if (await auth.requiresMfaEnrollment(user)) {
+                return auth.successResponse({
+                    mfaSetupRequired: true,
+                    mfaToken: auth.generateMfaToken(user, 'mfa-setup')
+                });
+            }
+            
+            const login = await auth.completeLogin(user, request);
+            await recordAccountEvent(context, request, user, 'auth.login', { method: 'magic-link' });
+            
+            return auth.successResponse(login);
+            
+        } catch (error) {
+            context.error('Magic link sign-in error:', error);
+            return auth.errorResponse(500, 'Internal server error');
+        }
+    }
+});
+
 // POST /api/auth/register - Register via invitation token
 app.http('register', {
     methods: ['POST'],
@@ -94,19 +302,24 @@ app.http('register', {
             const body = await request.json();
             const { token, name, password } = body;
             
-            if (!token || !name || !password) {
-                return auth.errorResponse(400, 'Token, name, and password are required');
+            if (!token || !password) {
+                return auth.errorResponse(400, 'Token and password are required');
             }
             
             if (password.length < 8) {
                 return auth.errorResponse(400, 'Password must be at least 8 characters');
             }
             
+            const blocked = await checkInviteThrottle(request);
+            if (blocked) {
+                return blocked;
+            }
+            
             // Find invitation
             const invitation = await db.getInvitationByToken(token);
             
             if (!invitation) {
-                return auth.errorResponse(400, 'Invalid or expired invitation token');
+                return rejectInvite(request, 400, 'Invalid or expired invitation token');
             }
             
             // Check expiration
@@ -114,45 +327,108 @@ app.http('register', {
                 return auth.errorResponse(400, 'Invitation has expired');
             }
             
-            // Check if user already exists
             const existingUser = await db.getUserByEmail(invitation.email);
-            if (existingUser) {
-                return auth.errorResponse(400, 'An account with this email already exists');
+            
+            if (existingUser && memberships.asMember(existingUser, invitation.organizationId)) {
+                return auth.errorResponse(400, 'You are already a member of this organization. Sign in instead.');
             }
             
-            // Create user
-            const passwordHash = await auth.hashPassword(password);
+            let user;
             
-            const user = await db.createUser({
-                id: uuidv4(),
-                email: invitation.email,
-                name,
-                passwordHash,
-                role: invitation.role,
-                organizationId: invitation.organizationId,
-                assignedProjects: invitation.projectIds || []
-            });
+            if (existingUser) {
+                if (!memberships.isAccountEnabled(existingUser)) {
+                    return auth.errorResponse(403, 'Account is disabled');
+                }
+                
+                // Already has an account with another organization - joining takes its current password
+                const block = await throttle.check('account', existingUser.email);
+                if (block) {
+                    return throttle.blockedResponse(block);
+                }
+                
+                if (!await auth.verifyPassword(password, existingUser.passwordHash)) {
+                    const lockout = await throttle.recordFailure('account', existingUser.email);
+                    return lockout
+                        ? throttle.blockedResponse(lockout)
+                        : auth.errorResponse(400, 'You already have a WebReview account. Enter its current password to join this organization.');
+                }
+                
+                // The new organization becomes their default, so their next sign-in lands there
+                const membershipUpdates = memberships.withDefaultOrganization({
+                    ...existingUser,
+                    ...memberships.withMembership(existingUser, invitation.organizationId, {
+                        role: invitation.role,
+                        isActive: true
+                    })
+                }, invitation.organizationId);
+                await db.updateUser(existingUser.id, existingUser.email, membershipUpdates);
+                
+                user = memberships.asMember({ ...existingUser, ...membershipUpdates }, invitation.organizationId);
+            } else {
+                if (!name) {
+                    return auth.errorResponse(400, 'Name is required');
+                }
+                
+                const passwordHash = await auth.hashPassword(password);
+                
+                user = await db.createUser({
+                    id: uuidv4(),
+                    email: invitation.email,
+                    name,
+                    passwordHash,
+                    role: invitation.role,
+                    organizationId: invitation.organizationId,
+                    assignedProjects: invitation.projectIds || []
+                });
+            }
             
             // Mark invitation as used
             await db.markInvitationUsed(invitation.id, invitation.email);
             
-            // If projects were assigned, update them
+            await audit.record(context, request, {
+                organizationId: invitation.organizationId,
+                actor: user,
+                action: 'user.joined',
+                target: { type: 'user', id: user.id, name: user.email },
+                after: { role: invitation.role, projectIds: invitation.projectIds || [] },
+                details: { invitationId: invitation.id, invitedBy: invitation.invitedBy, existingAccount: !!existingUser }
+            });
+            
+            // If projects were assigned, add the new user as a member - of the ones
+            // the inviter can still manage, in case they lost access since inviting
             if (invitation.projectIds && invitation.projectIds.length > 0) {
+                const projectRole = permissions.defaultRoleFor(invitation.role);
+                const inviter = await db.getUserById(invitation.invitedBy);
+                const inviterMember = inviter && memberships.asMember(inviter, invitation.organizationId);
+                const inviterPayload = inviterMember && { userId: inviter.id, role: inviterMember.role };
+                
                 for (const projectId of invitation.projectIds) {
                     const project = await db.getProjectById(projectId, invitation.organizationId);
-                    if (project) {
-                        const assignedClients = [...(project.assignedClients || []), user.id];
-                        await db.updateProject(projectId, invitation.organizationId, { assignedClients });
+                    if (project && inviterPayload && permissions.can(inviterPayload, project, 'manageMembers')) {
+                        await db.updateProject(projectId, invitation.organizationId, {
+                            members: permissions.withMember(project, user.id, projectRole)
+                        });
                     }
                 }
             }
             
-            // Generate token
-            const authToken = auth.generateToken(user);
+            // Existing accounts with two-factor sign in normally to use their new membership
+            if (user.mfa && user.mfa.enabled) {
+                return auth.successResponse({ user: db.sanitizeUser(user), mfaRequired: true }, 201);
+            }
+            
+            // Developers joining an organization that enforces two-factor enroll on first sign-in
+            if (await auth.requiresMfaEnrollment(user)) {
+                return auth.successResponse({ user: db.sanitizeUser(user), mfaSetupRequired: true }, 201);
+            }
+            
+            // Start a session in the organization that sent the invitation
+            const { token: authToken, refreshToken } = await auth.issueSessionToken(user, request);
             
             return auth.successResponse({
-                user,
-                token: authToken
+                user: db.sanitizeUser(user),
+                token: authToken,
+                refreshToken
             }, 201);
             
         } catch (error) {
@@ -169,30 +445,12 @@ app.http('me', {
     route: 'auth/me',
     handler: async (request, context) => {
         try {
-            // Get X-Auth-Token header (avoids Azure SWA intercepting Authorization header)
-            let authToken = null;
-            for (const [key, value] of request.headers.entries()) {
-                if (key.toLowerCase() === 'x-auth-token') {
-                    authToken = value;
-                    break;
-                }
-            }
+            const userPayload = await auth.authenticateRequest(request);
             
-            if (!authToken) {
+            if (!userPayload) {
                 return { status: 401, jsonBody: { error: 'Authentication required' } };
             }
             
-            // Verify token
-            const jwt = require('jsonwebtoken');
-            const JWT_SECRET = (process.env.JWT_SECRET || 'development-secret-change-me').trim();
-            
-            let userPayload;
-            try {
-                userPayload = jwt.verify(authToken, JWT_SECRET);
-            } catch (jwtError) {
-                return { status: 401, jsonBody: { error: 'Invalid or expired token' } };
-            }
-            
             await db.initDatabase();
             
             const user = await db.getUserById(userPayload.userId);
@@ -201,9 +459,10 @@ app.http('me', {
                 return { status: 404, jsonBody: { error: 'User not found' } };
             }
             
-            const { passwordHash, ...safeUser } = user;
+            // Role and organization as of the organization this session is signed in to
+            const member = memberships.asMember(user, userPayload.organizationId) || user;
             
-            return { status: 200, jsonBody: { user: safeUser } };
+            return { status: 200, jsonBody: { user: db.sanitizeUser(member) } };
             
         } catch (error) {
             context.error('Get user error:', error);
@@ -212,35 +471,64 @@ app.http('me', {
     }
 });
 
-// POST /api/auth/refresh - Refresh token
+// POST /api/auth/refresh - Exchange a refresh token for a new access token
+// The refresh token is single-use: a new one is returned every time
 app.http('refreshToken', {
     methods: ['POST'],
     authLevel: 'anonymous',
     route: 'auth/refresh',
     handler: async (request, context) => {
         try {
-            const userPayload = auth.authenticateRequest(request);
+            await db.initDatabase();
             
-            if (!userPayload) {
-                return auth.errorResponse(401, 'Authentication required');
+            const body = await request.json();
+            const { refreshToken } = body;
+            
+            if (!refreshToken) {
+                return auth.errorResponse(400, 'Refresh token is required');
             }
             
-            await db.initDatabase();
+            const result = await auth.rotateRefreshToken(refreshToken);
             
-            const user = await db.getUserById(userPayload.userId);
+            if (result.error === 'stale') {
+                return auth.errorResponse(409, 'Refresh token was already used by a concurrent request');
+            }
+            
+            if (result.error === 'reused') {
+                context.warn('Refresh token reuse detected - session revoked');
+                return auth.errorResponse(401, 'Session has been revoked');
+            }
+            
+            if (result.error) {
+                return auth.errorResponse(401, 'Invalid or expired refresh token');
+            }
+            
+            const { session } = result;
+            const account = await db.getUserById(session.userId);
             
-            if (!user || !user.isActive) {
+            // The session stays in the organization it was started in
+            const user = account && memberships.isAccountEnabled(account)
+                ? memberships.asMember(account, session.organizationId || account.organizationId)
+                : null;
+            
+            if (!user) {
+                await db.revokeSession(session.id, session.userId, 'user-inactive');
                 return auth.errorResponse(401, 'Invalid user');
             }
             
-            // Generate new token
-            const token = auth.generateToken(user);
+            // Two-factor became mandatory for this role since the session started
+            if (await auth.requiresMfaEnrollment(user)) {
+                await db.revokeSession(session.id, session.userId, 'mfa-enrollment-required');
+                return auth.errorResponse(401, 'Two-factor authentication setup required');
+            }
             
-            const { passwordHash, ...safeUser } = user;
+            // Access tokens always reflect the current user record (role, name, ...)
+            const token = auth.generateToken(user, session.id);
             
             return auth.successResponse({
-                user: safeUser,
-                token
+                user: db.sanitizeUser(user),
+                token,
+                refreshToken: result.refreshToken
             });
             
         } catch (error) {
@@ -266,22 +554,33 @@ app.http('validateInvite', {
                 return auth.errorResponse(400, 'Token is required');
             }
             
+            const blocked = await checkInviteThrottle(request);
+            if (blocked) {
+                return blocked;
+            }
+            
             const invitation = await db.getInvitationByToken(token);
             
             if (!invitation) {
-                return auth.errorResponse(400, 'Invalid invitation token');
+                return rejectInvite(request, 400, 'Invalid invitation token');
             }
             
             if (new Date(invitation.expiresAt) < new Date()) {
                 return auth.errorResponse(400, 'Invitation has expired');
             }
             
+            const organization = await db.getOrganization(invitation.organizationId);
+            
             // Return invitation info (without sensitive data)
             return auth.successResponse({
                 valid: true,
                 email: invitation.email,
+                name: invitation.name || null,
                 role: invitation.role,
                 invitedBy: invitation.invitedByName,
+                organizationName: organization?.name || null,
+                // Existing accounts join with their current password instead of creating one
+                existingAccount: !!(await db.getUserByEmail(invitation.email)),
                 expiresAt: invitation.expiresAt
             });
             
@@ -291,3 +590,480 @@ app.http('validateInvite', {
         }
     }
 });
+
+// POST /api/auth/forgot-password - Email a single-use password reset link
+app.http('forgotPassword', {
+    methods: ['POST'],
+    authLevel: 'anonymous',
+    route: 'auth/forgot-password',
+    handler: async (request, context) => {
+        try {
+            await db.initDatabase();
+            
+            const body = await request.json();
+            const { email } = body;
+            
+            if (!email) {
+                return auth.errorResponse(400, 'Email is required');
+            }
+            
+            // Every request counts, so an inbox can't be flooded with reset links
+            // and one network can't send them to address after address
+            const { ipAddress } = auth.getClientInfo(request);
+            const block = await throttle.check('passwordReset', email) ||
+                await throttle.check('passwordResetIp', ipAddress);
+            if (block) {
+                return throttle.blockedResponse(block);
+            }
+            await throttle.recordFailure('passwordReset', email);
+            await throttle.recordFailure('passwordResetIp', ipAddress);
+            
+            // Always respond the same way so the endpoint can't be used to discover accounts
+            const genericResponse = auth.successResponse({
+                message: 'If an account exists for this email, a password reset link has been sent'
+            });
+            
+            const user = await db.getUserByEmail(email);
+            
+            if (!user) {
+                return genericResponse;
+            }
+            
+            // Only the most recent reset link should work
+            await db.invalidateAuthTokens(user.id, 'password-reset');
+            
+            const resetToken = auth.generateOneTimeToken();
+            
+            await db.createAuthToken({
+                id: uuidv4(),
+                userId: user.id,
+                email: user.email,
+                purpose: 'password-reset',
+                tokenHash: auth.hashToken(resetToken),
+                expiresAt: new Date(Date.now() + RESET_TOKEN_TTL_MINUTES * 60 * 1000).toISOString()
+            });
+            
+            const emailResult = await emailService.sendPasswordResetEmail(user, resetToken, RESET_TOKEN_TTL_MINUTES);
+            
+            if (!emailResult.success) {
+                context.error('Failed to send password reset email:', emailResult.error);
+            }
+            
+            await recordAccountEvent(context, request, user, 'auth.password-reset-requested');
+            
+            return genericResponse;
+            
+        } catch (error) {
+            context.error('Forgot password error:', error);
+            return auth.errorResponse(500, 'Internal server error');
+        }
+    }
+});
+
+// POST /api/auth/reset-password - Set a new password using a reset token
+app.http('resetPassword', {
+    methods: ['POST'],
+    authLevel: 'anonymous',
+    route: 'auth/reset-password',
+    handler: async (request, context) => {
+        try {
+            await db.initDatabase();
+            
+            const body = await request.json();
+            const { token, password } = body;
+            
+            if (!token || !password) {
+                return auth.errorResponse(400, 'Token and password are required');
+            }
+            
+            if (password.length < 8) {
+                return auth.errorResponse(400, 'Password must be at least 8 characters');
+            }
+            
+            const resetToken = await db.getAuthTokenByHash(auth.hashToken(token), 'password-reset');
+            
+            if (!resetToken) {
+                return auth.errorResponse(400, 'Invalid or expired reset link');
+            }
+            
+            if (new Date(resetToken.expiresAt) < new Date()) {
+                return auth.errorResponse(400, 'Reset link has expired');
+            }
+            
+            const user = await db.getUserById(resetToken.userId);
+            
+            // The account moved to a different address since the link was sent
+            if (!user || user.email !== resetToken.email) {
+                return auth.errorResponse(400, 'Invalid or expired reset link');
+            }
+            
+            // Burn the token before changing the password so it can't be replayed
+            if (!await db.markAuthTokenUsed(resetToken.id, resetToken.userId)) {
+                return auth.errorResponse(400, 'Invalid or expired reset link');
+            }
+            
+            const passwordHash = await auth.hashPassword(password);
+            await db.updateUser(user.id, user.email, { passwordHash });
+            
+            // Whoever had the old password shouldn't stay signed in
+            await db.revokeAllSessions(user.id, 'password-reset');
+            
+            await recordAccountEvent(context, request, user, 'auth.password-reset');
+            
+            return auth.successResponse({ message: 'Password has been reset. You can now sign in.' });
+            
+        } catch (error) {
+            context.error('Reset password error:', error);
+            return auth.errorResponse(500, 'Internal server error');
+        }
+    }
+});
+
+// POST /api/auth/change-password - Change password (current password required)
+app.http('changePassword', {
+    methods: ['POST'],
+    authLevel: 'anonymous',
+    route: 'auth/change-password',
+    handler: async (request, context) => {
+        try {
+            const session = await auth.authenticateRequest(request);
+            
+            if (!session) {
+                return auth.errorResponse(401, 'Authentication required');
+            }
+            
+            await db.initDatabase();
+            
+            const body = await request.json();
+            const { currentPassword, newPassword } = body;
+            
+            if (!currentPassword || !newPassword) {
+                return auth.errorResponse(400, 'Current and new password are required');
+            }
+            
+            if (newPassword.length < 8) {
+                return auth.errorResponse(400, 'Password must be at least 8 characters');
+            }
+            
+            const user = await db.getUserById(session.userId);
+            
+            // A stolen session shouldn't be a way around the sign-in lockout
+            const block = await throttle.check('account', user.email);
+            if (block) {
+                return throttle.blockedResponse(block);
+            }
+            
+            const isValid = await auth.verifyPassword(currentPassword, user.passwordHash);
+            
+            if (!isValid) {
+                await recordAccountEvent(context, request, session, 'auth.password-change-failed', { reason: 'invalid-password' });
+                const lockout = await throttle.recordFailure('account', user.email);
+                return lockout
+                    ? throttle.blockedResponse(lockout)
+                    : auth.errorResponse(400, 'Current password is incorrect');
+            }
+            
+            const passwordHash = await auth.hashPassword(newPassword);
+            await db.updateUser(user.id, user.email, { passwordHash });
+            
+            // Outstanding reset links and other devices were authorized by the old password
+            await db.invalidateAuthTokens(user.id, 'password-reset');
+            const signedOut = await db.revokeAllSessions(user.id, 'password-changed', session.sessionId);
+            
+            await recordAccountEvent(context, request, session, 'auth.password-changed', { sessionsRevoked: signedOut });
+            
+            return auth.successResponse({
+                message: 'Password changed',
+                sessionsRevoked: signedOut
+            });
+            
+        } catch (error) {
+            context.error('Change password error:', error);
+            return auth.errorResponse(500, 'Internal server error');
+        }
+    }
+});
+
+// POST /api/auth/change-email - Send a verification link to a new email address
+app.http('changeEmail', {
+    methods: ['POST'],
+    authLevel: 'anonymous',
+    route: 'auth/change-email',
+    handler: async (request, context) => {
+        try {
+            const session = await auth.authenticateRequest(request);
+            
+            if (!session) {
+                return auth.errorResponse(401, 'Authentication required');
+            }
+            
+            await db.initDatabase();
+            
+            const body = await request.json();
+            const { newEmail, password } = body;
+            
+            if (!newEmail || !password) {
+                return auth.errorResponse(400, 'New email and password are required');
+            }
+            
+            const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+            if (!emailRegex.test(newEmail)) {
+                return auth.errorResponse(400, 'Invalid email format');
+            }
+            
+            const user = await db.getUserById(session.userId);
+            const normalizedEmail = newEmail.trim().toLowerCase();
+            
+            if (normalizedEmail === user.email) {
+                return auth.errorResponse(400, 'That is already your email address');
+            }
+            
+            const block = await throttle.check('account', user.email);
+            if (block) {
+                return throttle.blockedResponse(block);
+            }
+            
+            const isValid = await auth.verifyPassword(password, user.passwordHash);
+            
+            if (!isValid) {
+                const lockout = await throttle.recordFailure('account', user.email);
+                return lockout
+                    ? throttle.blockedResponse(lockout)
+                    : auth.errorResponse(400, 'Password is incorrect');
+            }
+            
+            if (await db.getUserByEmail(normalizedEmail)) {
+                return auth.errorResponse(400, 'An account with this email already exists');
+            }
+            
+            // Only the most recent request should be confirmable
+            await db.invalidateAuthTokens(user.id, 'email-change');
+            
+            const verifyToken = auth.generateOneTimeToken();
+            
+            await db.createAuthToken({
+                id: uuidv4(),
+                userId: user.id,
+                email: user.email,
+                purpose: 'email-change',
+                tokenHash: auth.hashToken(verifyToken),
+                data: { newEmail: normalizedEmail },
+                expiresAt: new Date(Date.now() + EMAIL_CHANGE_TTL_HOURS * 60 * 60 * 1000).toISOString()
+            });
+            
+            const emailResult = await emailService.sendEmailChangeVerification(
+                user, normalizedEmail, verifyToken, EMAIL_CHANGE_TTL_HOURS
+            );
+            
+            if (!emailResult.success) {
+                context.error('Failed to send email change verification:', emailResult.error);
+            }
+            
+            await recordAccountEvent(context, request, session, 'auth.email-change-requested', { newEmail: normalizedEmail });
+            
+            return auth.successResponse({
+                message: `We sent a confirmation link to ${normalizedEmail}. Your email will change once you open it.`,
+                emailSent: emailResult.success
+            });
+            
+        } catch (error) {
+            context.error('Change email error:', error);
+            return auth.errorResponse(500, 'Internal server error');
+        }
+    }
+});
+
+// POST /api/auth/verify-email - Confirm an email change using the emailed token
+app.http('verifyEmailChange', {
+    methods: ['POST'],
+    authLevel: 'anonymous',
+    route: 'auth/verify-email',
+    handler: async (request, context) => {
+        try {
+            await db.initDatabase();
+            
+            const body = await request.json();
+            const { token } = body;
+            
+            if (!token) {
+                return auth.errorResponse(400, 'Token is required');
+            }
+            
+            const changeToken = await db.getAuthTokenByHash(auth.hashToken(token), 'email-change');
+            
+            if (!changeToken) {
+                return auth.errorResponse(400, 'Invalid or expired confirmation link');
+            }
+            
+            if (new Date(changeToken.expiresAt) < new Date()) {
+                return auth.errorResponse(400, 'Confirmation link has expired');
+            }
+            
+            const user = await db.getUserById(changeToken.userId);
+            
+            // The account moved to a different address since the link was sent
+            if (!user || user.email !== changeToken.email) {
+                return auth.errorResponse(400, 'Invalid or expired confirmation link');
+            }
+            
+            const { newEmail } = changeToken.data;
+            
+            if (await db.getUserByEmail(newEmail)) {
+                return auth.errorResponse(400, 'An account with this email already exists');
+            }
+            
+            if (!await db.markAuthTokenUsed(changeToken.id, changeToken.userId)) {
+                return auth.errorResponse(400, 'Invalid or expired confirmation link');
+            }
+            
+            const updatedUser = await db.changeUserEmail(user.id, user.email, newEmail);
+            
+            await audit.record(context, request, {
+                organizationId: user.organizationId,
+                actor: user,
+                action: 'auth.email-changed',
+                target: { type: 'user', id: user.id, name: newEmail },
+                before: { email: user.email },
+                after: { email: newEmail }
+            });
+            
+            const emailResult = await emailService.sendEmailChangedNotice(updatedUser, user.email);
+            
+            if (!emailResult.success) {
+                context.error('Failed to send email changed notice:', emailResult.error);
+            }
+            
+            return auth.successResponse({
+                message: 'Your email address has been updated',
+                email: updatedUser.email
+            });
+            
+        } catch (error) {
+            context.error('Verify email change error:', error);
+            return auth.errorResponse(500, 'Internal server error');
+        }
+    }
+});
+
+// POST /api/auth/logout - End the current session
+app.http('logout', {
+    methods: ['POST'],
+    authLevel: 'anonymous',
+    route: 'auth/logout',
+    handler: async (request, context) => {
+        try {
+            const user = await auth.authenticateRequest(request);
+            
+            if (!user) {
+                return auth.errorResponse(401, 'Authentication required');
+            }
+            
+            await db.revokeSession(user.sessionId, user.userId, 'signed-out');
+            await recordAccountEvent(context, request, user, 'auth.logout');
+            
+            return auth.successResponse({ message: 'Signed out' });
+            
+        } catch (error) {
+            context.error('Logout error:', error);
+            return auth.errorResponse(500, 'Internal server error');
+        }
+    }
+});
+
+// GET /api/auth/sessions - List the current user's active sessions
+app.http('listSessions', {
+    methods: ['GET'],
+    authLevel: 'anonymous',
+    route: 'auth/sessions',
+    handler: async (request, context) => {
+        try {
+            const user = await auth.authenticateRequest(request);
+            
+            if (!user) {
+                return auth.errorResponse(401, 'Authentication required');
+            }
+            
+            await db.initDatabase();
+            
+            const sessions = await db.getActiveSessionsForUser(user.userId);
+            
+            const safeSessions = sessions.map(session => ({
+                id: session.id,
+                device: session.device,
+                ipAddress: session.ipAddress,
+                createdAt: session.createdAt,
+                lastSeenAt: session.lastSeenAt,
+                current: session.id === user.sessionId
+            }));
+            
+            return auth.successResponse({ sessions: safeSessions });
+            
+        } catch (error) {
+            context.error('List sessions error:', error);
+            return auth.errorResponse(500, 'Internal server error');
+        }
+    }
+});
+
+// DELETE /api/auth/sessions/:sessionId - Revoke one of the current user's sessions
+app.http('revokeSession', {
+    methods: ['DELETE'],
+    authLevel: 'anonymous',
+    route: 'auth/sessions/{sessionId}',
+    handler: async (request, context) => {
+        try {
+            const user = await auth.authenticateRequest(request);
+            
+            if (!user) {
+                return auth.errorResponse(401, 'Authentication required');
+            }
+            
+            const { sessionId } = request.params;
+            
+            await db.initDatabase();
+            
+            // Sessions are partitioned by user, so this can only find the caller's own
+            const session = await db.getSession(sessionId, user.userId);
+            
+            if (!session || session.revokedAt) {
+                return auth.errorResponse(404, 'Session not found');
+            }
+            
+            await db.revokeSession(sessionId, user.userId, 'revoked');
+            await recordAccountEvent(context, request, user, 'auth.session-revoked', { sessionId, device: session.device });
+            
+            return auth.successResponse({ message: 'Session revoked' });
+            
+        } catch (error) {
+            context.error('Revoke session error:', error);
+            return auth.errorResponse(500, 'Internal server error');
+        }
+    }
+});
+
+// POST /api/auth/sessions/revoke-all - Sign out everywhere (including this session)
+app.http('revokeAllSessions', {
+    methods: ['POST'],
+    authLevel: 'anonymous',
+    route: 'auth/sessions/revoke-all',
+    handler: async (request, context) => {
+        try {
+            const user = await auth.authenticateRequest(request);
+            
+            if (!user) {
+                return auth.errorResponse(401, 'Authentication required');
+            }
+            
+            await db.initDatabase();
+            
+            const revoked = await db.revokeAllSessions(user.userId, 'signed-out-everywhere');
+            await recordAccountEvent(context, request, user, 'auth.signed-out-everywhere', { sessionsRevoked: revoked });
+            
+            return auth.successResponse({ revoked });
+            
+        } catch (error) {
+            context.error('Revoke all sessions error:', error);
+            return auth.errorResponse(500, 'Internal server error');
+        }
+    }
+});
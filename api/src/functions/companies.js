@@ -0,0 +1,384 @@
+/**
+ * Client Company Functions
+ * A company groups an organization's client users (e.g. everyone at Acme Corp).
+ * Assigning a project to a company makes each of its people an approver on the
+ * project; those member entries carry the companyId, so leaving the company
+ * (or the company being deleted) takes the access away again.
+ */
+
+const { app } = require('@azure/functions');
+const { v4: uuidv4 } = require('uuid');
+const db = require('../shared/database');
+const auth = require('../shared/auth');
+const permissions = require('../shared/permissions');
+const memberships = require('../shared/memberships');
+
+/**
+ * Company as returned to the caller, with its people and projects
+ */
+async function describeCompany(company, organizationId) {
+    const members = await db.getCompanyMembers(company.id, organizationId);
+    const projects = await db.getProjectsByCompany(company.id, organizationId);
+    
+    return {
+        id: company.id,
+        name: company.name,
+        createdAt: company.createdAt,
+        members: members.map(member => ({
+            id: member.id,
+            name: member.name,
+            email: member.email,
+            isActive: member.isActive
+        })),
+        projects: projects.filter(project => !project.deletedAt).map(project => ({
+            id: project.id,
+            name: project.name,
+            status: project.status
+        }))
+    };
+}
+
+/**
+ * Whether another company in the organization already uses this name
+ */
+async function isNameTaken(name, organizationId, exceptId = null) {
+    const companies = await db.getCompanies(organizationId);
+    return companies.some(c => c.id !== exceptId && c.name.toLowerCase() === name.toLowerCase());
+}
+
+/**
+ * Give people access to every project assigned to the company
+ */
+async function grantCompanyAccess(companyId, userIds, organizationId) {
+    for (const project of await db.getProjectsByCompany(companyId, organizationId)) {
+        await db.updateProject(project.id, organizationId, {
+            members: permissions.withCompanyMembers(project, companyId, userIds)
+        });
+    }
+}
+
+/**
+ * Take away the project access a company granted - to everyone, or only to userId
+ * People added to a project directly keep their access
+ */
+async function revokeCompanyAccess(companyId, organizationId, userId = null) {
+    for (const project of await db.getProjectsByCompany(companyId, organizationId)) {
+        await db.updateProject(project.id, organizationId, {
+            members: permissions.withoutCompanyMembers(project, companyId, userId)
+        });
+    }
+}
+
+/**
+ * A project assigned to the company whose members the caller can't manage, if any -
+ * changing who is in a company changes who is on each of its projects
+ */
+async function findUnmanagedProject(user, companyId) {
+    const projects = await db.getProjectsByCompany(companyId, user.organizationId);
+    return projects.find(project => !permissions.can(user, project, 'manageMembers')) || null;
+}
+
+// GET /api/companies - List client companies with their people and projects (developers only)
+app.http('listCompanies', {
+    methods: ['GET'],
+    authLevel: 'anonymous',
+    route: 'companies',
+    handler: async (request, context) => {
+        try {
+            const user = await auth.authenticateRequest(request);
+            
+            if (!user) {
+                return auth.errorResponse(401, 'Authentication required');
+            }
+            
+            if (!auth.hasRole(user, ['developer', 'admin'])) {
+                return auth.errorResponse(403, 'Access denied');
+            }
+            
+            await db.initDatabase();
+            
+            const companies = [];
+            for (const company of await db.getCompanies(user.organizationId)) {
+                companies.push(await describeCompany(company, user.organizationId));
+            }
+            
+            return auth.successResponse({ companies });
+            
+        } catch (error) {
+            context.error('List companies error:', error);
+            return auth.errorResponse(500, 'Internal server error');
+        }
+    }
+});
+
+// POST /api/companies - Create a client company (developers only)
+app.http('createCompany', {
+    methods: ['POST'],
+    authLevel: 'anonymous',
+    route: 'companies',
+    handler: async (request, context) => {
+        try {
+            const user = await auth.authenticateRequest(request);
+            
+            if (!user) {
+                return auth.errorResponse(401, 'Authentication required');
+            }
+            
+            if (!auth.hasRole(user, ['developer', 'admin'])) {
+                return auth.errorResponse(403, 'Only developers can create companies');
+            }
+            
+            const body = await request.json();
+            const name = String(body.name || '').trim();
+            
+            if (!name) {
+                return auth.errorResponse(400, 'Company name is required');
+            }
+            
+            await db.initDatabase();
+            
+            if (await isNameTaken(name, user.organizationId)) {
+                return auth.errorResponse(409, 'A company with this name already exists');
+            }
+            
+            const company = await db.createCompany({
+                id: uuidv4(),
+                name,
+                organizationId: user.organizationId,
+                createdBy: user.userId
+            });
+            
+            return auth.successResponse({ company: await describeCompany(company, user.organizationId) }, 201);
+            
+        } catch (error) {
+            context.error('Create company error:', error);
+            return auth.errorResponse(500, 'Internal server error');
+        }
+    }
+});
+
+// PATCH /api/companies/:companyId - Rename a company (its projects show the new name)
+app.http('updateCompany', {
+    methods: ['PATCH'],
+    authLevel: 'anonymous',
+    route: 'companies/{companyId}',
+    handler: async (request, context) => {
+        try {
+            const user = await auth.authenticateRequest(request);
+            
+            if (!user) {
+                return auth.errorResponse(401, 'Authentication required');
+            }
+            
+            if (!auth.hasRole(user, ['developer', 'admin'])) {
+                return auth.errorResponse(403, 'Access denied');
+            }
+            
+            const { companyId } = request.params;
+            const body = await request.json();
+            const name = String(body.name || '').trim();
+            
+            if (!name) {
+                return auth.errorResponse(400, 'Company name is required');
+            }
+            
+            await db.initDatabase();
+            
+            const company = await db.getCompanyById(companyId, user.organizationId);
+            
+            if (!company) {
+                return auth.errorResponse(404, 'Company not found');
+            }
+            
+            if (await isNameTaken(name, user.organizationId, companyId)) {
+                return auth.errorResponse(409, 'A company with this name already exists');
+            }
+            
+            const updatedCompany = await db.updateCompany(companyId, user.organizationId, { name });
+            
+            for (const project of await db.getProjectsByCompany(companyId, user.organizationId)) {
+                await db.updateProject(project.id, user.organizationId, { client: name });
+            }
+            
+            return auth.successResponse({ company: await describeCompany(updatedCompany, user.organizationId) });
+            
+        } catch (error) {
+            context.error('Update company error:', error);
+            return auth.errorResponse(500, 'Internal server error');
+        }
+    }
+});
+
+// DELETE /api/companies/:companyId - Delete a company and the project access it granted
+app.http('deleteCompany', {
+    methods: ['DELETE'],
+    authLevel: 'anonymous',
+    route: 'companies/{companyId}',
+    handler: async (request, context) => {
+        try {
+            const user = await auth.authenticateRequest(request);
+            
+            if (!user) {
+                return auth.errorResponse(401, 'Authentication required');
+            }
+            
+            if (!auth.hasRole(user, ['developer', 'admin'])) {
+                return auth.errorResponse(403, 'Access denied');
+            }
+            
+            const { companyId } = request.params;
+            
+            await db.initDatabase();
+            
+            const company = await db.getCompanyById(companyId, user.organizationId);
+            
+            if (!company) {
+                return auth.errorResponse(404, 'Company not found');
+            }
+            
+            const unmanaged = await findUnmanagedProject(user, companyId);
+            if (unmanaged) {
+                return auth.errorResponse(403, `You can't change who is on ${unmanaged.name}`);
+            }
+            
+            // Projects keep the company's name as their client, but no longer grant access through it
+            for (const project of await db.getProjectsByCompany(companyId, user.organizationId)) {
+                await db.updateProject(project.id, user.organizationId, {
+                    companyId: null,
+                    members: permissions.withoutCompanyMembers(project, companyId)
+                });
+            }
+            
+            for (const member of await db.getCompanyMembers(companyId, user.organizationId)) {
+                const memberUser = await db.getUserById(member.id);
+                await db.updateUser(memberUser.id, memberUser.email,
+                    memberships.withMembership(memberUser, user.organizationId, { companyId: null }));
+            }
+            
+            await db.deleteCompany(companyId, user.organizationId);
+            
+            return auth.successResponse({ message: 'Company deleted' });
+            
+        } catch (error) {
+            context.error('Delete company error:', error);
+            return auth.errorResponse(500, 'Internal server error');
+        }
+    }
+});
+
+// PUT /api/companies/:companyId/members/:userId - Add a client to the company
+app.http('addCompanyMember', {
+    methods: ['PUT'],
+    authLevel: 'anonymous',
+    route: 'companies/{companyId}/members/{userId}',
+    handler: async (request, context) => {
+        try {
+            const user = await auth.authenticateRequest(request);
+            
+            if (!user) {
+                return auth.errorResponse(401, 'Authentication required');
+            }
+            
+            if (!auth.hasRole(user, ['developer', 'admin'])) {
+                return auth.errorResponse(403, 'Access denied');
+            }
+            
+            const { companyId, userId } = request.params;
+            
+            await db.initDatabase();
+            
+            const company = await db.getCompanyById(companyId, user.organizationId);
+            
+            if (!company) {
+                return auth.errorResponse(404, 'Company not found');
+            }
+            
+            const memberUser = await db.getUserById(userId);
+            const membership = memberUser && memberships.findMembership(memberUser, user.organizationId);
+            
+            if (!membership) {
+                return auth.errorResponse(404, 'User not found');
+            }
+            
+            if (membership.role !== 'client') {
+                return auth.errorResponse(400, 'Only clients can belong to a company');
+            }
+            
+            // A client works for one company at a time; moving takes away the old company's projects
+            const moving = membership.companyId && membership.companyId !== companyId;
+            
+            for (const id of moving ? [companyId, membership.companyId] : [companyId]) {
+                const unmanaged = await findUnmanagedProject(user, id);
+                if (unmanaged) {
+                    return auth.errorResponse(403, `You can't change who is on ${unmanaged.name}`);
+                }
+            }
+            
+            if (moving) {
+                await revokeCompanyAccess(membership.companyId, user.organizationId, userId);
+            }
+            
+            await db.updateUser(memberUser.id, memberUser.email,
+                memberships.withMembership(memberUser, user.organizationId, { companyId }));
+            await grantCompanyAccess(companyId, [userId], user.organizationId);
+            
+            return auth.successResponse({ company: await describeCompany(company, user.organizationId) });
+            
+        } catch (error) {
+            context.error('Add company member error:', error);
+            return auth.errorResponse(500, 'Internal server error');
+        }
+    }
+});
+
+// DELETE /api/companies/:companyId/members/:userId - Remove a client from the company and its projects
+app.http('removeCompanyMember', {
+    methods: ['DELETE'],
+    authLevel: 'anonymous',
+    route: 'companies/{companyId}/members/{userId}',
+    handler: async (request, context) => {
+        try {
+            const user = await auth.authenticateRequest(request);
+            
+            if (!user) {
+                return auth.errorResponse(401, 'Authentication required');
+            }
+            
+            if (!auth.hasRole(user, ['developer', 'admin'])) {
+                return auth.errorResponse(403, 'Access denied');
+            }
+            
+            const { companyId, userId } = request.params;
+            
+            await db.initDatabase();
+            
+            const company = await db.getCompanyById(companyId, user.organizationId);
+            
+            if (!company) {
+                return auth.errorResponse(404, 'Company not found');
+            }
+            
+            const memberUser = await db.getUserById(userId);
+            const membership = memberUser && memberships.findMembership(memberUser, user.organizationId);
+            
+            if (!membership || membership.companyId !== companyId) {
+                return auth.errorResponse(404, 'Member not found');
+            }
+            
+            const unmanaged = await findUnmanagedProject(user, companyId);
+            if (unmanaged) {
+                return auth.errorResponse(403, `You can't change who is on ${unmanaged.name}`);
+            }
+            
+            await db.updateUser(memberUser.id, memberUser.email,
+                memberships.withMembership(memberUser, user.organizationId, { companyId: null }));
+            await revokeCompanyAccess(companyId, user.organizationId, userId);
+            
+            return auth.successResponse({ company: await describeCompany(company, user.organizationId) });
+            
+        } catch (error) {
+            context.error('Remove company member error:', error);
+            return auth.errorResponse(500, 'Internal server error');
+        }
+    }
+});
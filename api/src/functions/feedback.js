@@ -7,16 +7,22 @@ const { app } = require('@azure/functions');
 const { v4: uuidv4 } = require('uuid');
 const db = require('../shared/database');
 const auth = require('../shared/auth');
+const permissions = require('../shared/permissions');
 const emailService = require('../shared/email');
+const notifications = require('../shared/notifications');
+const audit = require('../shared/audit');
+const rounds = require('../shared/rounds');
+const deadlines = require('../shared/deadlines');
+const workflow = require('../shared/workflow');
 
-// GET /api/feedback - List all feedback (filtered by role)
+// GET /api/feedback - List feedback on every project the user can view
 app.http('listFeedback', {
     methods: ['GET'],
     authLevel: 'anonymous',
     route: 'feedback',
     handler: async (request, context) => {
         try {
-            const user = auth.authenticateRequest(request);
+            const user = await auth.authenticateRequest(request);
             
             if (!user) {
                 return auth.errorResponse(401, 'Authentication required');
@@ -26,11 +32,11 @@ app.http('listFeedback', {
             
             let feedback;
             
-            if (auth.hasRole(user, ['developer', 'admin'])) {
-                // Developers see all feedback
+            if (user.role === 'admin') {
+                // Admins see all feedback in the organization
                 feedback = await db.getAllFeedback(user.organizationId);
             } else {
-                // Clients see feedback on their assigned projects
+                // Everyone else sees feedback on projects they are members of
                 const projects = await db.getProjectsForUser(user.userId, user.role, user.organizationId);
                 const projectIds = projects.map(p => p.id);
                 
@@ -60,7 +66,7 @@ app.http('getProjectFeedback', {
     route: 'projects/{projectId}/feedback',
     handler: async (request, context) => {
         try {
-            const user = auth.authenticateRequest(request);
+            const user = await auth.authenticateRequest(request, { scope: 'feedback:read' });
             
             if (!user) {
                 return auth.errorResponse(401, 'Authentication required');
@@ -68,6 +74,10 @@ app.http('getProjectFeedback', {
             
             const { projectId } = request.params;
             
+            if (!auth.tokenCoversProject(user, projectId)) {
+                return auth.errorResponse(403, 'API token is not valid for this project');
+            }
+            
             await db.initDatabase();
             
             // Check access
@@ -77,11 +87,23 @@ app.http('getProjectFeedback', {
                 return auth.errorResponse(404, 'Project not found');
             }
             
-            if (user.role === 'client' && !project.assignedClients.includes(user.userId)) {
+            if (!permissions.can(user, project, 'view')) {
                 return auth.errorResponse(403, 'Access denied');
             }
             
-            const feedback = await db.getFeedbackByProject(projectId);
+            let feedback = await db.getFeedbackByProject(projectId);
+            
+            // ?round=2 narrows it to one review round
+            const round = parseInt(request.query.get('round'));
+            if (round) {
+                feedback = feedback.filter(f => rounds.feedbackRound(f) === round);
+            }
+            
+            // ?pageId=... to one page of the site
+            const pageId = request.query.get('pageId');
+            if (pageId) {
+                feedback = feedback.filter(f => f.pageId === pageId);
+            }
             
             return auth.successResponse({ feedback });
             
@@ -99,7 +121,7 @@ app.http('createFeedback', {
     route: 'projects/{projectId}/feedback',
     handler: async (request, context) => {
         try {
-            const user = auth.authenticateRequest(request);
+            const user = await auth.authenticateRequest(request);
             
             if (!user) {
                 return auth.errorResponse(401, 'Authentication required');
@@ -116,8 +138,7 @@ app.http('createFeedback', {
                 return auth.errorResponse(404, 'Project not found');
             }
             
-            // Clients must be assigned, developers can comment on any
-            if (user.role === 'client' && !project.assignedClients.includes(user.userId)) {
+            if (!permissions.can(user, project, 'comment')) {
                 return auth.errorResponse(403, 'Access denied');
             }
             
@@ -134,12 +155,53 @@ app.http('createFeedback', {
                 return auth.errorResponse(400, 'Invalid feedback type');
             }
             
+            if (type === 'approval' && !permissions.can(user, project, 'approve')) {
+                return auth.errorResponse(403, 'Only approvers can approve this project');
+            }
+            
             // Validate priority
             const validPriorities = ['low', 'medium', 'high'];
             if (priority && !validPriorities.includes(priority)) {
                 return auth.errorResponse(400, 'Invalid priority');
             }
             
+            // Feedback goes on the round being viewed (the current one unless given)
+            const currentRound = rounds.getCurrentRound(project);
+            const round = body.round === undefined ? currentRound : rounds.findRound(project, parseInt(body.round));
+            
+            if (!round) {
+                return auth.errorResponse(400, 'Unknown review round');
+            }
+            
+            if (type === 'approval' && round.number !== currentRound.number) {
+                return auth.errorResponse(400, `Only the current review round (round ${currentRound.number}) can be approved`);
+            }
+            
+            // Feedback about one page of a multi-page site - approvals are for the whole project
+            const page = body.pageId && type !== 'approval'
+                ? (project.pages || []).find(p => p.id === body.pageId)
+                : null;
+            
+            if (body.pageId && type !== 'approval' && !page) {
+                return auth.errorResponse(400, 'Unknown page');
+            }
+            
+            const orgWorkflow = workflow.getWorkflow(await db.getOrganizationSettings(user.organizationId));
+            
+            // An approval moves the project to approved, so the workflow has to allow that move
+            if (type === 'approval' && project.status !== 'approved') {
+                const refusal = workflow.checkTransition(
+                    orgWorkflow,
+                    project,
+                    'approved',
+                    permissions.getProjectRole(project, user),
+                    await db.getFeedbackByProject(projectId)
+                );
+                if (refusal) {
+                    return auth.errorResponse(409, refusal.message, { rule: refusal.rule, from: project.status, to: 'approved' });
+                }
+            }
+            
             const feedback = await db.createFeedback({
                 id: uuidv4(),
                 projectId,
@@ -149,31 +211,54 @@ app.http('createFeedback', {
                 status: type === 'approval' ? 'resolved' : 'open',
                 authorId: user.userId,
                 authorName: user.name,
-                authorRole: user.role
+                authorRole: user.role,
+                authorProjectRole: permissions.getProjectRole(project, user),
+                round: round.number,
+                pageId: page ? page.id : null,
+                pagePath: page ? page.path : null
             });
             
-            // Update project status if needed
-            if (project.status === 'pending') {
-                await db.updateProject(projectId, user.organizationId, { status: 'in-review' });
-            }
+            await audit.record(context, request, {
+                organizationId: user.organizationId,
+                actor: user,
+                action: 'feedback.created',
+                target: { type: 'feedback', id: feedback.id, name: project.name },
+                after: { projectId, type: feedback.type, priority: feedback.priority, text: feedback.text, round: round.number, pagePath: feedback.pagePath }
+            });
             
-            // If it's an approval, update project status
-            if (type === 'approval' && user.role === 'client') {
-                await db.updateProject(projectId, user.organizationId, { status: 'approved' });
+            // The first feedback on a pending project can start its review
+            const reviewStatus = type !== 'approval' &&
+                workflow.getFeedbackStatus(orgWorkflow, project, await db.getFeedbackByProject(projectId));
+            if (reviewStatus) {
+                await db.updateProject(projectId, user.organizationId, { status: reviewStatus });
             }
             
-            // Notify developers of new feedback from clients
-            if (user.role === 'client' && project.assignedDevelopers?.length > 0) {
-                // Get developer emails
-                const developerEmails = [];
-                for (const devId of project.assignedDevelopers) {
-                    const dev = await db.getUserById(devId);
-                    if (dev?.email) developerEmails.push(dev.email);
-                }
+            // If it's an approval, update project status - the approval is for this round
+            if (type === 'approval') {
+                await db.updateProject(projectId, user.organizationId, {
+                    status: 'approved',
+                    rounds: rounds.withCurrentRoundApproved(project, user)
+                });
                 
-                if (developerEmails.length > 0) {
-                    await emailService.sendFeedbackNotification(feedback, project, developerEmails);
-                }
+                await audit.record(context, request, {
+                    organizationId: user.organizationId,
+                    actor: user,
+                    action: 'project.approved',
+                    target: { type: 'project', id: projectId, name: project.name },
+                    before: { status: project.status },
+                    after: { status: 'approved' },
+                    details: { feedbackId: feedback.id, round: round.number }
+                });
+            }
+            
+            // Approvals go to everyone on the project as a project update; other
+            // feedback goes to the project leads, unless a lead left it
+            if (type === 'approval') {
+                const recipients = await notifications.getProjectRecipients(project, user.userId);
+                await emailService.sendProjectUpdateNotification(project, { actorName: user.name, status: 'approved' }, recipients);
+            } else if (permissions.getProjectRole(project, user) !== 'project-lead') {
+                const leads = await notifications.getProjectRecipients(project, user.userId, 'project-lead');
+                await emailService.sendFeedbackNotification(feedback, project, leads);
             }
             
             return auth.successResponse({ feedback }, 201);
@@ -185,23 +270,19 @@ app.http('createFeedback', {
     }
 });
 
-// PATCH /api/feedback/:feedbackId - Update feedback status (developers only)
+// PATCH /api/feedback/:feedbackId - Update feedback status (project leads only)
 app.http('updateFeedback', {
     methods: ['PATCH'],
     authLevel: 'anonymous',
     route: 'feedback/{feedbackId}',
     handler: async (request, context) => {
         try {
-            const user = auth.authenticateRequest(request);
+            const user = await auth.authenticateRequest(request);
             
             if (!user) {
                 return auth.errorResponse(401, 'Authentication required');
             }
             
-            if (!auth.hasRole(user, ['developer', 'admin'])) {
-                return auth.errorResponse(403, 'Only developers can update feedback status');
-            }
-            
             const { feedbackId } = request.params;
             const body = await request.json();
             
@@ -213,6 +294,16 @@ app.http('updateFeedback', {
                 return auth.errorResponse(400, 'projectId is required');
             }
             
+            const project = await db.getProjectById(projectId, user.organizationId);
+            
+            if (!project) {
+                return auth.errorResponse(404, 'Project not found');
+            }
+            
+            if (!permissions.can(user, project, 'manageFeedback')) {
+                return auth.errorResponse(403, 'Only project leads can update feedback status');
+            }
+            
             const validStatuses = ['open', 'in-progress', 'resolved'];
             if (status && !validStatuses.includes(status)) {
                 return auth.errorResponse(400, 'Invalid status');
@@ -227,12 +318,22 @@ app.http('updateFeedback', {
                 }
             }
             
-            const feedback = await db.updateFeedback(feedbackId, projectId, updates);
+            const previous = await db.getFeedbackById(feedbackId, projectId);
             
-            if (!feedback) {
+            if (!previous) {
                 return auth.errorResponse(404, 'Feedback not found');
             }
             
+            const feedback = await db.updateFeedback(feedbackId, projectId, updates);
+            
+            await audit.record(context, request, {
+                organizationId: user.organizationId,
+                actor: user,
+                action: 'feedback.updated',
+                target: { type: 'feedback', id: feedbackId, name: project.name },
+                ...audit.changes(previous, updates)
+            });
+            
             return auth.successResponse({ feedback });
             
         } catch (error) {
@@ -249,7 +350,7 @@ app.http('getStats', {
     route: 'stats',
     handler: async (request, context) => {
         try {
-            const user = auth.authenticateRequest(request);
+            const user = await auth.authenticateRequest(request);
             
             if (!user) {
                 return auth.errorResponse(401, 'Authentication required');
@@ -257,7 +358,9 @@ app.http('getStats', {
             
             await db.initDatabase();
             
-            const projects = await db.getProjectsForUser(user.userId, user.role, user.organizationId);
+            // Archived projects are left out, as they are from the default project list
+            const projects = (await db.getProjectsForUser(user.userId, user.role, user.organizationId))
+                .filter(p => p.status !== 'archived');
             
             let feedback = [];
             for (const project of projects) {
@@ -267,10 +370,14 @@ app.http('getStats', {
             
             const stats = {
                 totalProjects: projects.length,
-                pendingReviews: projects.filter(p => p.status === 'pending' || p.status === 'in-review').length,
+                // Every status short of approved is still being reviewed, custom ones included
+                pendingReviews: projects.filter(p => p.status !== 'approved').length,
                 approved: projects.filter(p => p.status === 'approved').length,
                 totalFeedback: feedback.length,
-                openFeedback: feedback.filter(f => f.status === 'open').length
+                openFeedback: feedback.filter(f => f.status === 'open').length,
+                // Unresolved feedback from earlier review rounds, still waiting on the current one
+                carriedOverFeedback: projects.reduce((count, p) => count + rounds.getCarriedOver(p, feedback).length, 0),
+                overdueProjects: projects.filter(p => deadlines.getOverdue(p).length > 0).length
             };
             
             // Developer-specific stats
@@ -0,0 +1,382 @@
+/**
+ * Guest Review Functions
+ * Shareable, expiring links that let someone without an account (e.g. a
+ * client's CEO) look at one project's preview and leave feedback. Guests give
+ * a name and email for attribution, their feedback is flagged as guest
+ * feedback, and they can never approve the project.
+ */
+
+const { app } = require('@azure/functions');
+const { v4: uuidv4 } = require('uuid');
+const db = require('../shared/database');
+const auth = require('../shared/auth');
+const permissions = require('../shared/permissions');
+const throttle = require('../shared/throttle');
+const notifications = require('../shared/notifications');
+const emailService = require('../shared/email');
+const audit = require('../shared/audit');
+const rounds = require('../shared/rounds');
+const workflow = require('../shared/workflow');
+
+const DEFAULT_LINK_LIFETIME_DAYS = 14;
+const MAX_LINK_LIFETIME_DAYS = 90;
+
+// Feedback types a guest may leave - approval is never one of them
+const GUEST_FEEDBACK_TYPES = ['general', 'bug', 'change'];
+
+/**
+ * What the project settings modal shows for a link - never the token or its hash
+ */
+function describeGuestLink(guestLink) {
+    return {
+        id: guestLink.id,
+        label: guestLink.label,
+        createdByName: guestLink.createdByName,
+        createdAt: guestLink.createdAt,
+        expiresAt: guestLink.expiresAt,
+        lastUsedAt: guestLink.lastUsedAt,
+        revokedAt: guestLink.revokedAt,
+        isActive: !guestLink.revokedAt && new Date(guestLink.expiresAt) > new Date()
+    };
+}
+
+/**
+ * The project a developer is managing guest links for
+ * Returns { project } or { status, error }
+ */
+async function getManagedProject(user, projectId) {
+    if (!auth.hasRole(user, ['developer', 'admin'])) {
+        return { status: 403, error: 'Only developers can manage guest links' };
+    }
+    
+    const project = await db.getProjectById(projectId, user.organizationId);
+    
+    if (!project) {
+        return { status: 404, error: 'Project not found' };
+    }
+    
+    if (!permissions.can(user, project, 'manageMembers')) {
+        return { status: 403, error: 'Only project leads can manage guest links' };
+    }
+    
+    return { project };
+}
+
+/**
+ * The guest link and project for the X-Guest-Token header
+ * Unknown, expired and revoked links all look the same to the caller
+ * Returns { guestLink, project } or { response }
+ */
+async function resolveGuestLink(request) {
+    const { ipAddress } = auth.getClientInfo(request);
+    
+    const block = await throttle.check('guestLink', ipAddress);
+    if (block) {
+        return { response: throttle.blockedResponse(block) };
+    }
+    
+    const token = request.headers.get('x-guest-token');
+    const guestLink = token ? await db.getGuestLinkByHash(auth.hashToken(token)) : null;
+    const project = guestLink && !guestLink.revokedAt && new Date(guestLink.expiresAt) > new Date()
+        ? await db.getProjectById(guestLink.projectId, guestLink.organizationId)
+        : null;
+    
+    if (!project) {
+        const lockout = await throttle.recordFailure('guestLink', ipAddress);
+        return {
+            response: lockout
+                ? throttle.blockedResponse(lockout)
+                : auth.errorResponse(401, 'This review link has expired or been revoked. Ask for a new one.')
+        };
+    }
+    
+    return { guestLink, project };
+}
+
+// GET /api/projects/:projectId/guest-links - List a project's guest links (project leads only)
+app.http('listGuestLinks', {
+    methods: ['GET'],
+    authLevel: 'anonymous',
+    route: 'projects/{projectId}/guest-links',
+    handler: async (request, context) => {
+        try {
+            const user = await auth.authenticateRequest(request);
+            
+            if (!user) {
+                return auth.errorResponse(401, 'Authentication required');
+            }
+            
+            await db.initDatabase();
+            
+            const { project, status, error } = await getManagedProject(user, request.params.projectId);
+            
+            if (error) {
+                return auth.errorResponse(status, error);
+            }
+            
+            const guestLinks = await db.getGuestLinksForProject(project.id);
+            
+            return auth.successResponse({ guestLinks: guestLinks.map(describeGuestLink) });
+            
+        } catch (error) {
+            context.error('List guest links error:', error);
+            return auth.errorResponse(500, 'Internal server error');
+        }
+    }
+});
+
+// POST /api/projects/:projectId/guest-links - Create a guest link (the URL is only returned once)
+app.http('createGuestLink', {
+    methods: ['POST'],
+    authLevel: 'anonymous',
+    route: 'projects/{projectId}/guest-links',
+    handler: async (request, context) => {
+        try {
+            const user = await auth.authenticateRequest(request);
+            
+            if (!user) {
+                return auth.errorResponse(401, 'Authentication required');
+            }
+            
+            const body = await request.json();
+            const label = String(body.label || '').trim().slice(0, 100);
+            const lifetimeDays = body.expiresInDays === undefined ? DEFAULT_LINK_LIFETIME_DAYS : parseInt(body.expiresInDays);
+            
+            if (!Number.isInteger(lifetimeDays) || lifetimeDays < 1 || lifetimeDays > MAX_LINK_LIFETIME_DAYS) {
+                return auth.errorResponse(400, `Links can last between 1 and ${MAX_LINK_LIFETIME_DAYS} days`);
+            }
+            
+            await db.initDatabase();
+            
+            const { project, status, error } = await getManagedProject(user, request.params.projectId);
+            
+            if (error) {
+                return auth.errorResponse(status, error);
+            }
+            
+            const token = auth.generateOneTimeToken();
+            const guestLink = await db.createGuestLink({
+                id: uuidv4(),
+                projectId: project.id,
+                organizationId: user.organizationId,
+                label,
+                tokenHash: auth.hashToken(token),
+                createdBy: user.userId,
+                createdByName: user.name,
+                expiresAt: new Date(Date.now() + lifetimeDays * 24 * 60 * 60 * 1000).toISOString()
+            });
+            
+            await audit.record(context, request, {
+                organizationId: user.organizationId,
+                actor: user,
+                action: 'project.guest-link-created',
+                target: { type: 'project', id: project.id, name: project.name },
+                details: { guestLinkId: guestLink.id, label, expiresAt: guestLink.expiresAt }
+            });
+            
+            const appUrl = process.env.APP_URL || 'https://webreview.stevensed.org';
+            
+            return auth.successResponse({
+                guestLink: describeGuestLink(guestLink),
+                url: `${appUrl}/guest.html?token=${token}`
+            }, 201);
+            
+        } catch (error) {
+            context.error('Create guest link error:', error);
+            return auth.errorResponse(500, 'Internal server error');
+        }
+    }
+});
+
+// DELETE /api/projects/:projectId/guest-links/:linkId - Revoke a guest link
+app.http('revokeGuestLink', {
+    methods: ['DELETE'],
+    authLevel: 'anonymous',
+    route: 'projects/{projectId}/guest-links/{linkId}',
+    handler: async (request, context) => {
+        try {
+            const user = await auth.authenticateRequest(request);
+            
+            if (!user) {
+                return auth.errorResponse(401, 'Authentication required');
+            }
+            
+            const { linkId } = request.params;
+            
+            await db.initDatabase();
+            
+            const { project, status, error } = await getManagedProject(user, request.params.projectId);
+            
+            if (error) {
+                return auth.errorResponse(status, error);
+            }
+            
+            const guestLinks = await db.getGuestLinksForProject(project.id);
+            const guestLink = guestLinks.find(link => link.id === linkId);
+            
+            if (!guestLink || guestLink.revokedAt) {
+                return auth.errorResponse(404, 'Guest link not found');
+            }
+            
+            await db.updateGuestLink(linkId, project.id, {
+                revokedAt: new Date().toISOString(),
+                revokedBy: user.userId
+            });
+            
+            await audit.record(context, request, {
+                organizationId: user.organizationId,
+                actor: user,
+                action: 'project.guest-link-revoked',
+                target: { type: 'project', id: project.id, name: project.name },
+                details: { guestLinkId: linkId, label: guestLink.label }
+            });
+            
+            return auth.successResponse({ message: 'Guest link revoked' });
+            
+        } catch (error) {
+            context.error('Revoke guest link error:', error);
+            return auth.errorResponse(500, 'Internal server error');
+        }
+    }
+});
+
+// GET /api/guest/project - The project behind a guest link (X-Guest-Token header, no account)
+app.http('getGuestProject', {
+    methods: ['GET'],
+    authLevel: 'anonymous',
+    route: 'guest/project',
+    handler: async (request, context) => {
+        try {
+            await db.initDatabase();
+            
+            const { guestLink, project, response } = await resolveGuestLink(request);
+            
+            if (response) {
+                return response;
+            }
+            
+            return auth.successResponse({
+                project: {
+                    id: project.id,
+                    name: project.name,
+                    client: project.client,
+                    description: project.description,
+                    url: project.url,
+                    status: project.status,
+                    round: rounds.getCurrentRound(project).number
+                },
+                expiresAt: guestLink.expiresAt
+            });
+            
+        } catch (error) {
+            context.error('Get guest project error:', error);
+            return auth.errorResponse(500, 'Internal server error');
+        }
+    }
+});
+
+// POST /api/guest/feedback - Leave feedback through a guest link
+app.http('createGuestFeedback', {
+    methods: ['POST'],
+    authLevel: 'anonymous',
+    route: 'guest/feedback',
+    handler: async (request, context) => {
+        try {
+            await db.initDatabase();
+            
+            const { guestLink, project, response } = await resolveGuestLink(request);
+            
+            if (response) {
+                return response;
+            }
+            
+            const body = await request.json();
+            const name = String(body.name || '').trim().slice(0, 100);
+            const email = String(body.email || '').trim().toLowerCase();
+            const text = String(body.text || '').trim();
+            const { type, priority } = body;
+            
+            if (!name || !email) {
+                return auth.errorResponse(400, 'Your name and email are required');
+            }
+            
+            if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email)) {
+                return auth.errorResponse(400, 'Invalid email address');
+            }
+            
+            if (!text) {
+                return auth.errorResponse(400, 'Feedback text is required');
+            }
+            
+            if (type === 'approval') {
+                return auth.errorResponse(403, 'Guests cannot approve projects');
+            }
+            
+            if (type && !GUEST_FEEDBACK_TYPES.includes(type)) {
+                return auth.errorResponse(400, 'Invalid feedback type');
+            }
+            
+            const validPriorities = ['low', 'medium', 'high'];
+            if (priority && !validPriorities.includes(priority)) {
+                return auth.errorResponse(400, 'Invalid priority');
+            }
+            
+            // Every submission counts towards the link's limit from this network,
+            // and towards an overall limit for the link however many networks it's used from
+            const { ipAddress } = auth.getClientInfo(request);
+            const rateKey = `${guestLink.id}:${ipAddress}`;
+            const block = await throttle.check('guestFeedback', rateKey) ||
+                await throttle.check('guestLinkFeedback', guestLink.id);
+            
+            if (block) {
+                return throttle.blockedResponse(block);
+            }
+            
+            await throttle.recordFailure('guestFeedback', rateKey);
+            await throttle.recordFailure('guestLinkFeedback', guestLink.id);
+            
+            const feedback = await db.createFeedback({
+                id: uuidv4(),
+                projectId: project.id,
+                type: type || 'general',
+                priority: priority || 'medium',
+                text,
+                status: 'open',
+                authorId: null,
+                authorName: name,
+                authorRole: 'guest',
+                guest: true,
+                guestEmail: email,
+                guestLinkId: guestLink.id,
+                round: rounds.getCurrentRound(project).number
+            });
+            
+            await db.updateGuestLink(guestLink.id, project.id, { lastUsedAt: new Date().toISOString() });
+            
+            await audit.record(context, request, {
+                organizationId: project.organizationId,
+                actor: { email, name, role: 'guest' },
+                action: 'feedback.created',
+                target: { type: 'feedback', id: feedback.id, name: project.name },
+                after: { projectId: project.id, type: feedback.type, priority: feedback.priority, text: feedback.text },
+                details: { guestLinkId: guestLink.id }
+            });
+            
+            // The first feedback on a pending project can start its review
+            const orgWorkflow = workflow.getWorkflow(await db.getOrganizationSettings(project.organizationId));
+            const reviewStatus = workflow.getFeedbackStatus(orgWorkflow, project, await db.getFeedbackByProject(project.id));
+            if (reviewStatus) {
+                await db.updateProject(project.id, project.organizationId, { status: reviewStatus });
+            }
+            
+            const leads = await notifications.getProjectRecipients(project, null, 'project-lead');
+            await emailService.sendFeedbackNotification(feedback, project, leads);
+            
+            return auth.successResponse({ feedback }, 201);
+            
+        } catch (error) {
+            context.error('Create guest feedback error:', error);
+            return auth.errorResponse(500, 'Internal server error');
+        }
+    }
+});
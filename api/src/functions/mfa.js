@@ -0,0 +1,429 @@
+/**
+ * Two-Factor Authentication Functions
+ * TOTP enrollment, login verification and recovery codes
+ */
+
+const { app } = require('@azure/functions');
+const db = require('../shared/database');
+const auth = require('../shared/auth');
+const totp = require('../shared/totp');
+const memberships = require('../shared/memberships');
+const audit = require('../shared/audit');
+const secondFactor = require('../shared/mfa');
+
+const MFA_ISSUER = 'StevensIT WebReview';
+
+// Two-factor protects accounts that can change roles and delete projects
+const MFA_ROLES = ['developer', 'admin'];
+
+/**
+ * Resolve the user for an enrollment request
+ * Signed-in users use their session; users forced to enroll during login
+ * present the 'mfa-setup' token from the login response instead
+ */
+async function resolveEnrollmentUser(request, body) {
+    const session = await auth.authenticateRequest(request);
+    
+    if (session) {
+        return { user: await db.getUserById(session.userId), viaSetupToken: false };
+    }
+    
+    const setup = body.mfaToken ? auth.verifyMfaToken(body.mfaToken, 'mfa-setup') : null;
+    
+    if (setup) {
+        const user = await db.getUserById(setup.userId);
+        
+        // Deactivated since the password step
+        if (!user || !memberships.canSignIn(user)) {
+            return { user: null, viaSetupToken: false };
+        }
+        
+        return { user, viaSetupToken: true };
+    }
+    
+    return { user: null, viaSetupToken: false };
+}
+
+/**
+ * Generate a fresh set of recovery codes, returning plain codes and their hashes
+ */
+function createRecoveryCodes() {
+    const codes = totp.generateRecoveryCodes();
+    const hashes = codes.map(code => auth.hashToken(totp.normalizeRecoveryCode(code)));
+    return { codes, hashes };
+}
+
+// GET /api/auth/mfa - Two-factor status for the current user
+app.http('getMfaStatus', {
+    methods: ['GET'],
+    authLevel: 'anonymous',
+    route: 'auth/mfa',
+    handler: async (request, context) => {
+        try {
+            const session = await auth.authenticateRequest(request);
+            
+            if (!session) {
+                return auth.errorResponse(401, 'Authentication required');
+            }
+            
+            await db.initDatabase();
+            
+            const user = await db.getUserById(session.userId);
+            
+            // Requirements are those of the organization this session is signed in to
+            const settings = await db.getOrganizationSettings(session.organizationId);
+            const mfa = user.mfa || {};
+            
+            return auth.successResponse({
+                available: MFA_ROLES.includes(session.role),
+                enabled: !!mfa.enabled,
+                required: settings.mfaRequiredRoles.includes(session.role),
+                enabledAt: mfa.enabledAt || null,
+                recoveryCodesRemaining: mfa.enabled ? (mfa.recoveryCodeHashes || []).length : 0
+            });
+            
+        } catch (error) {
+            context.error('Get MFA status error:', error);
+            return auth.errorResponse(500, 'Internal server error');
+        }
+    }
+});
+
+// POST /api/auth/mfa/setup - Start enrollment: generate a secret and provisioning URI
+app.http('setupMfa', {
+    methods: ['POST'],
+    authLevel: 'anonymous',
+    route: 'auth/mfa/setup',
+    handler: async (request, context) => {
+        try {
+            await db.initDatabase();
+            
+            const body = await request.json().catch(() => ({}));
+            const { user } = await resolveEnrollmentUser(request, body);
+            
+            if (!user) {
+                return auth.errorResponse(401, 'Authentication required');
+            }
+            
+            if (!memberships.getActiveMemberships(user).some(m => MFA_ROLES.includes(m.role))) {
+                return auth.errorResponse(403, 'Two-factor authentication is available for developer and admin accounts');
+            }
+            
+            if (user.mfa && user.mfa.enabled) {
+                return auth.errorResponse(400, 'Two-factor authentication is already enabled');
+            }
+            
+            const secret = totp.generateSecret();
+            
+            // Nothing is enforced until the user proves their app works via /enable
+            await db.updateUser(user.id, user.email, {
+                mfa: {
+                    ...(user.mfa || {}),
+                    enabled: false,
+                    pendingSecret: auth.encryptSecret(secret)
+                }
+            });
+            
+            return auth.successResponse({
+                secret,
+                otpauthUri: totp.buildOtpauthUri({
+                    secret,
+                    accountName: user.email,
+                    issuer: MFA_ISSUER
+                })
+            });
+            
+        } catch (error) {
+            context.error('Setup MFA error:', error);
+            return auth.errorResponse(500, 'Internal server error');
+        }
+    }
+});
+
+// POST /api/auth/mfa/enable - Confirm enrollment with a code from the authenticator app
+app.http('enableMfa', {
+    methods: ['POST'],
+    authLevel: 'anonymous',
+    route: 'auth/mfa/enable',
+    handler: async (request, context) => {
+        try {
+            await db.initDatabase();
+            
+            const body = await request.json();
+            const { code } = body;
+            const { user, viaSetupToken } = await resolveEnrollmentUser(request, body);
+            
+            if (!user) {
+                return auth.errorResponse(401, 'Authentication required');
+            }
+            
+            if (!code) {
+                return auth.errorResponse(400, 'Verification code is required');
+            }
+            
+            if (!user.mfa || !user.mfa.pendingSecret) {
+                return auth.errorResponse(400, 'Start two-factor setup first');
+            }
+            
+            const secret = auth.decryptSecret(user.mfa.pendingSecret);
+            const step = totp.verifyTOTP(secret, code);
+            
+            if (step === null) {
+                return auth.errorResponse(400, 'Invalid verification code');
+            }
+            
+            const recovery = createRecoveryCodes();
+            
+            const updatedUser = {
+                ...user,
+                mfa: {
+                    enabled: true,
+                    secret: user.mfa.pendingSecret,
+                    pendingSecret: null,
+                    enabledAt: new Date().toISOString(),
+                    lastUsedStep: step,
+                    recoveryCodeHashes: recovery.hashes,
+                    failedAttempts: 0,
+                    lockedUntil: null
+                }
+            };
+            
+            await db.updateUser(user.id, user.email, { mfa: updatedUser.mfa });
+            
+            const response = { enabled: true, recoveryCodes: recovery.codes };
+            
+            // Enrollment was the last step of a login, so finish signing in
+            if (viaSetupToken) {
+                Object.assign(response, await auth.completeLogin(updatedUser, request, memberships.defaultOrganizationId(updatedUser), { mfaVerified: true }));
+                
+                await audit.record(context, request, {
+                    organizationId: user.organizationId,
+                    actor: user,
+                    action: 'auth.login',
+                    target: { type: 'user', id: user.id, name: user.email },
+                    details: { method: 'two-factor-enrollment' }
+                });
+            }
+            
+            return auth.successResponse(response);
+            
+        } catch (error) {
+            context.error('Enable MFA error:', error);
+            return auth.errorResponse(500, 'Internal server error');
+        }
+    }
+});
+
+// POST /api/auth/mfa/disable - Turn two-factor off (password and a current code required)
+app.http('disableMfa', {
+    methods: ['POST'],
+    authLevel: 'anonymous',
+    route: 'auth/mfa/disable',
+    handler: async (request, context) => {
+        try {
+            const session = await auth.authenticateRequest(request);
+            
+            if (!session) {
+                return auth.errorResponse(401, 'Authentication required');
+            }
+            
+            await db.initDatabase();
+            
+            const body = await request.json();
+            const { password, code } = body;
+            
+            if (!password || !code) {
+                return auth.errorResponse(400, 'Password and verification code are required');
+            }
+            
+            const user = await db.getUserById(session.userId);
+            
+            if (!user.mfa || !user.mfa.enabled) {
+                return auth.errorResponse(400, 'Two-factor authentication is not enabled');
+            }
+            
+            // Two-factor is per account, so any organization requiring it keeps it on
+            for (const membership of memberships.getActiveMemberships(user)) {
+                const settings = await db.getOrganizationSettings(membership.organizationId);
+                if (settings.mfaRequiredRoles.includes(membership.role)) {
+                    return auth.errorResponse(403, 'Your organization requires two-factor authentication');
+                }
+            }
+            
+            if (secondFactor.isLocked(user.mfa)) {
+                return auth.errorResponse(429, 'Too many invalid codes. Try again later.');
+            }
+            
+            const isValid = await auth.verifyPassword(password, user.passwordHash);
+            if (!isValid || !secondFactor.checkSecondFactor(user.mfa, code)) {
+                await secondFactor.recordWrongCode(user);
+                return auth.errorResponse(400, 'Invalid password or verification code');
+            }
+            
+            await db.updateUser(user.id, user.email, { mfa: { enabled: false } });
+            
+            await audit.record(context, request, {
+                organizationId: session.organizationId,
+                actor: session,
+                action: 'auth.mfa-disabled',
+                target: { type: 'user', id: user.id, name: user.email }
+            });
+            
+            return auth.successResponse({ enabled: false });
+            
+        } catch (error) {
+            context.error('Disable MFA error:', error);
+            return auth.errorResponse(500, 'Internal server error');
+        }
+    }
+});
+
+// POST /api/auth/mfa/recovery-codes - Replace all recovery codes
+app.http('regenerateRecoveryCodes', {
+    methods: ['POST'],
+    authLevel: 'anonymous',
+    route: 'auth/mfa/recovery-codes',
+    handler: async (request, context) => {
+        try {
+            const session = await auth.authenticateRequest(request);
+            
+            if (!session) {
+                return auth.errorResponse(401, 'Authentication required');
+            }
+            
+            await db.initDatabase();
+            
+            const body = await request.json();
+            const { code } = body;
+            
+            const user = await db.getUserById(session.userId);
+            
+            if (!user.mfa || !user.mfa.enabled) {
+                return auth.errorResponse(400, 'Two-factor authentication is not enabled');
+            }
+            
+            if (secondFactor.isLocked(user.mfa)) {
+                return auth.errorResponse(429, 'Too many invalid codes. Try again later.');
+            }
+            
+            const secret = auth.decryptSecret(user.mfa.secret);
+            const step = totp.verifyTOTP(secret, code, { lastUsedStep: user.mfa.lastUsedStep ?? null });
+            
+            if (step === null) {
+                await secondFactor.recordWrongCode(user);
+                return auth.errorResponse(400, 'Invalid verification code');
+            }
+            
+            const recovery = createRecoveryCodes();
+            
+            await db.updateUser(user.id, user.email, {
+                mfa: {
+                    ...user.mfa,
+                    lastUsedStep: step,
+                    recoveryCodeHashes: recovery.hashes,
+                    failedAttempts: 0,
+                    lockedUntil: null
+                }
+            });
+            
+            await audit.record(context, request, {
+                organizationId: session.organizationId,
+                actor: session,
+                action: 'auth.recovery-codes-regenerated',
+                target: { type: 'user', id: user.id, name: user.email },
+                details: { count: recovery.codes.length }
+            });
+            
+            return auth.successResponse({ recoveryCodes: recovery.codes });
+            
+        } catch (error) {
+            context.error('Regenerate recovery codes error:', error);
+            return auth.errorResponse(500, 'Internal server error');
+        }
+    }
+});
+
+// POST /api/auth/login/mfa - Second login step: exchange the mfa token and a code for a session
+app.http('verifyMfaLogin', {
+    methods: ['POST'],
+    authLevel: 'anonymous',
+    route: 'auth/login/mfa',
+    handler: async (request, context) => {
+        try {
+            await db.initDatabase();
+            
+            const body = await request.json();
+            const { mfaToken, code } = body;
+            
+            if (!mfaToken || !code) {
+                return auth.errorResponse(400, 'Verification code is required');
+            }
+            
+            const pending = auth.verifyMfaToken(mfaToken, 'mfa');
+            
+            if (!pending) {
+                return auth.errorResponse(401, 'Sign-in attempt expired, please sign in again');
+            }
+            
+            const user = await db.getUserById(pending.userId);
+            
+            if (!user || !user.mfa || !user.mfa.enabled) {
+                return auth.errorResponse(401, 'Sign-in attempt expired, please sign in again');
+            }
+            
+            // Deactivated since the password step
+            if (!memberships.canSignIn(user)) {
+                return auth.errorResponse(403, 'Account is disabled');
+            }
+            
+            if (secondFactor.isLocked(user.mfa)) {
+                return auth.errorResponse(429, 'Too many invalid codes. Try again later.');
+            }
+            
+            const mfaUpdates = secondFactor.checkSecondFactor(user.mfa, code);
+            
+            if (!mfaUpdates) {
+                const locked = await secondFactor.recordWrongCode(user);
+                
+                await audit.record(context, request, {
+                    organizationId: user.organizationId,
+                    actor: user,
+                    action: 'auth.login-failed',
+                    target: { type: 'user', id: user.id, name: user.email },
+                    details: { reason: 'invalid-code', locked }
+                });
+                
+                return auth.errorResponse(401, 'Invalid verification code');
+            }
+            
+            const mfa = {
+                ...user.mfa,
+                ...mfaUpdates,
+                failedAttempts: 0,
+                lockedUntil: null
+            };
+            
+            await db.updateUser(user.id, user.email, { mfa });
+            
+            const response = await auth.completeLogin({ ...user, mfa }, request, memberships.defaultOrganizationId(user), { mfaVerified: true });
+            
+            await audit.record(context, request, {
+                organizationId: user.organizationId,
+                actor: user,
+                action: 'auth.login',
+                target: { type: 'user', id: user.id, name: user.email },
+                details: { method: 'two-factor' }
+            });
+            
+            if (mfaUpdates.recoveryCodeHashes) {
+                response.recoveryCodesRemaining = mfaUpdates.recoveryCodeHashes.length;
+            }
+            
+            return auth.successResponse(response);
+            
+        } catch (error) {
+            context.error('MFA login error:', error);
+            return auth.errorResponse(500, 'Internal server error');
+        }
+    }
+});
@@ -0,0 +1,176 @@
+/**
+ * Notification Functions
+ * Each user's notification preferences, the unsubscribe link in notification
+ * emails, and the daily digest for users who asked for one
+ */
+
+const { app } = require('@azure/functions');
+const db = require('../shared/database');
+const auth = require('../shared/auth');
+const memberships = require('../shared/memberships');
+const notifications = require('../shared/notifications');
+const emailService = require('../shared/email');
+
+// When digests go out (NCRONTAB, UTC) - 08:00 every day unless configured
+const DIGEST_SCHEDULE = process.env.DIGEST_SCHEDULE || '0 0 8 * * *';
+
+// GET /api/auth/notifications - The current user's notification preferences
+app.http('getNotificationPreferences', {
+    methods: ['GET'],
+    authLevel: 'anonymous',
+    route: 'auth/notifications',
+    handler: async (request, context) => {
+        try {
+            const user = await auth.authenticateRequest(request);
+            
+            if (!user) {
+                return auth.errorResponse(401, 'Authentication required');
+            }
+            
+            await db.initDatabase();
+            
+            const userData = await db.getUserById(user.userId);
+            
+            if (!userData) {
+                return auth.errorResponse(404, 'User not found');
+            }
+            
+            return auth.successResponse({
+                preferences: notifications.getPreferences(userData),
+                events: notifications.NOTIFICATION_EVENTS
+            });
+            
+        } catch (error) {
+            context.error('Get notification preferences error:', error);
+            return auth.errorResponse(500, 'Internal server error');
+        }
+    }
+});
+
+// PUT /api/auth/notifications - Change notification preferences
+// Body may hold any of { events, delivery, projects, mutedProjects }
+app.http('updateNotificationPreferences', {
+    methods: ['PUT'],
+    authLevel: 'anonymous',
+    route: 'auth/notifications',
+    handler: async (request, context) => {
+        try {
+            const user = await auth.authenticateRequest(request);
+            
+            if (!user) {
+                return auth.errorResponse(401, 'Authentication required');
+            }
+            
+            const body = await request.json();
+            
+            await db.initDatabase();
+            
+            const userData = await db.getUserById(user.userId);
+            
+            if (!userData) {
+                return auth.errorResponse(404, 'User not found');
+            }
+            
+            const { preferences, error } = notifications.mergePreferences(userData, body);
+            
+            if (error) {
+                return auth.errorResponse(400, error);
+            }
+            
+            await db.updateUser(userData.id, userData.email, { notificationPreferences: preferences });
+            
+            return auth.successResponse({ preferences });
+            
+        } catch (error) {
+            context.error('Update notification preferences error:', error);
+            return auth.errorResponse(500, 'Internal server error');
+        }
+    }
+});
+
+// POST /api/notifications/unsubscribe - Follow an email's unsubscribe link (no sign-in needed)
+// The token comes from the query string (mail apps' one-click unsubscribe) or the JSON body (unsubscribe.html)
+app.http('unsubscribeNotifications', {
+    methods: ['POST'],
+    authLevel: 'anonymous',
+    route: 'notifications/unsubscribe',
+    handler: async (request, context) => {
+        try {
+            let token = request.query.get('token');
+            
+            if (!token) {
+                const body = await request.json().catch(() => ({}));
+                token = body.token;
+            }
+            
+            const payload = token ? auth.verifyUnsubscribeToken(token) : null;
+            
+            if (!payload) {
+                return auth.errorResponse(400, 'Invalid unsubscribe link');
+            }
+            
+            await db.initDatabase();
+            
+            const userData = await db.getUserById(payload.userId);
+            
+            if (!userData) {
+                return auth.errorResponse(400, 'Invalid unsubscribe link');
+            }
+            
+            await db.updateUser(userData.id, userData.email, {
+                notificationPreferences: notifications.unsubscribed(userData, payload.projectId)
+            });
+            
+            return auth.successResponse({
+                message: payload.projectId
+                    ? 'You will no longer get emails about this project'
+                    : 'You will no longer get notification emails'
+            });
+            
+        } catch (error) {
+            context.error('Unsubscribe error:', error);
+            return auth.errorResponse(500, 'Internal server error');
+        }
+    }
+});
+
+// Timer - Send each digest user one email with everything queued since the last run
+app.timer('sendNotificationDigests', {
+    schedule: DIGEST_SCHEDULE,
+    handler: async (timer, context) => {
+        try {
+            await db.initDatabase();
+            
+            const itemsByUser = new Map();
+            for (const item of await db.getPendingDigestItems()) {
+                if (!itemsByUser.has(item.userId)) itemsByUser.set(item.userId, []);
+                itemsByUser.get(item.userId).push(item);
+            }
+            
+            let sent = 0;
+            for (const [userId, items] of itemsByUser) {
+                const user = await db.getUserById(userId);
+                
+                // Drop anything the user has muted or turned off since it was queued
+                const wanted = user && memberships.isAccountEnabled(user)
+                    ? items.filter(item => notifications.deliveryFor(user, item.event, item.projectId))
+                    : [];
+                
+                if (wanted.length > 0) {
+                    const result = await emailService.sendNotificationDigest(user, wanted);
+                    if (!result.success) continue; // keep the items for the next run
+                    sent++;
+                }
+                
+                for (const item of items) {
+                    await db.deleteDigestItem(item.id, userId);
+                }
+            }
+            
+            context.log(`Sent ${sent} notification digest(s)`);
+            
+        } catch (error) {
+            context.error('Send notification digests error:', error);
+        }
+    }
+});
@@ -0,0 +1,480 @@
+/**
+ * Organization Functions
+ * Organization profile, branding and settings (admins only for changes),
+ * switching between organizations, and onboarding new organizations
+ */
+
+const { app } = require('@azure/functions');
+const { v4: uuidv4 } = require('uuid');
+const db = require('../shared/database');
+const auth = require('../shared/auth');
+const email = require('../shared/email');
+const memberships = require('../shared/memberships');
+const secondFactor = require('../shared/mfa');
+const workflow = require('../shared/workflow');
+
+// Admins of the hosting organization can onboard partner organizations
+const PLATFORM_ORGANIZATION_ID = process.env.PLATFORM_ORGANIZATION_ID || 'stevensit';
+
+function isPlatformAdmin(user) {
+    return user.role === 'admin' && user.organizationId === PLATFORM_ORGANIZATION_ID;
+}
+
+/**
+ * What members see of an organization
+ * Organizations that predate onboarding may have no document, so fall back to the id
+ */
+function describeOrganization(organization, id) {
+    return {
+        id,
+        name: organization?.name || id,
+        branding: organization?.branding || {}
+    };
+}
+
+/**
+ * Check branding from a request body
+ * Returns { branding } or { error }
+ */
+function validateBranding(branding) {
+    if (typeof branding !== 'object' || branding === null || Array.isArray(branding)) {
+        return { error: 'branding must be an object' };
+    }
+    
+    const result = {};
+    
+    if (branding.logoUrl !== undefined) {
+        if (branding.logoUrl && !/^https:\/\/\S+$/.test(branding.logoUrl)) {
+            return { error: 'logoUrl must be an https URL' };
+        }
+        result.logoUrl = branding.logoUrl || '';
+    }
+    
+    if (branding.primaryColor !== undefined) {
+        if (branding.primaryColor && !/^#[0-9a-fA-F]{6}$/.test(branding.primaryColor)) {
+            return { error: 'primaryColor must be a hex color like #1e5fa8' };
+        }
+        result.primaryColor = branding.primaryColor || '';
+    }
+    
+    return { branding: result };
+}
+
+function slugify(name) {
+    return name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '').slice(0, 40);
+}
+
+// GET /api/organization/settings - Get settings for the current user's organization
+app.http('getOrganizationSettings', {
+    methods: ['GET'],
+    authLevel: 'anonymous',
+    route: 'organization/settings',
+    handler: async (request, context) => {
+        try {
+            const user = await auth.authenticateRequest(request);
+            
+            if (!user) {
+                return auth.errorResponse(401, 'Authentication required');
+            }
+            
+            await db.initDatabase();
+            
+            const settings = await db.getOrganizationSettings(user.organizationId);
+            
+            // workflow is what projects follow - the organization's own, or the default
+            return auth.successResponse({ settings, workflow: workflow.getWorkflow(settings) });
+            
+        } catch (error) {
+            context.error('Get organization settings error:', error);
+            return auth.errorResponse(500, 'Internal server error');
+        }
+    }
+});
+
+// PATCH /api/organization/settings - Update organization settings (admin only)
+app.http('updateOrganizationSettings', {
+    methods: ['PATCH'],
+    authLevel: 'anonymous',
+    route: 'organization/settings',
+    handler: async (request, context) => {
+        try {
+            const user = await auth.authenticateRequest(request);
+            
+            if (!user) {
+                return auth.errorResponse(401, 'Authentication required');
+            }
+            
+            if (user.role !== 'admin') {
+                return auth.errorResponse(403, 'Only admins can change organization settings');
+            }
+            
+            await db.initDatabase();
+            
+            const body = await request.json();
+            const updates = {};
+            
+            if (body.mfaRequiredRoles !== undefined) {
+                const enforceableRoles = ['developer', 'admin'];
+                if (!Array.isArray(body.mfaRequiredRoles) ||
+                    !body.mfaRequiredRoles.every(role => enforceableRoles.includes(role))) {
+                    return auth.errorResponse(400, 'mfaRequiredRoles may only contain developer and admin');
+                }
+                updates.mfaRequiredRoles = [...new Set(body.mfaRequiredRoles)];
+            }
+            
+            if (body.clientMagicLinkOnly !== undefined) {
+                if (typeof body.clientMagicLinkOnly !== 'boolean') {
+                    return auth.errorResponse(400, 'clientMagicLinkOnly must be true or false');
+                }
+                updates.clientMagicLinkOnly = body.clientMagicLinkOnly;
+            }
+            
+            // null goes back to the default workflow
+            if (body.workflow !== undefined) {
+                if (body.workflow === null) {
+                    updates.workflow = null;
+                } else {
+                    const parsed = workflow.parseWorkflow(body.workflow);
+                    if (parsed.error) {
+                        return auth.errorResponse(400, parsed.error);
+                    }
+                    updates.workflow = parsed.workflow;
+                }
+            }
+            
+            if (Object.keys(updates).length === 0) {
+                return auth.errorResponse(400, 'No valid updates provided');
+            }
+            
+            const settings = await db.updateOrganizationSettings(user.organizationId, updates);
+            
+            return auth.successResponse({ settings, workflow: workflow.getWorkflow(settings) });
+            
+        } catch (error) {
+            context.error('Update organization settings error:', error);
+            return auth.errorResponse(500, 'Internal server error');
+        }
+    }
+});
+
+// GET /api/organization - Name and branding of the current organization
+app.http('getOrganization', {
+    methods: ['GET'],
+    authLevel: 'anonymous',
+    route: 'organization',
+    handler: async (request, context) => {
+        try {
+            const user = await auth.authenticateRequest(request);
+            
+            if (!user) {
+                return auth.errorResponse(401, 'Authentication required');
+            }
+            
+            await db.initDatabase();
+            
+            const organization = await db.getOrganization(user.organizationId);
+            
+            return auth.successResponse({
+                organization: describeOrganization(organization, user.organizationId),
+                role: user.role,
+                isPlatformAdmin: isPlatformAdmin(user)
+            });
+            
+        } catch (error) {
+            context.error('Get organization error:', error);
+            return auth.errorResponse(500, 'Internal server error');
+        }
+    }
+});
+
+// PATCH /api/organization - Rename or rebrand the current organization (admin only)
+app.http('updateOrganization', {
+    methods: ['PATCH'],
+    authLevel: 'anonymous',
+    route: 'organization',
+    handler: async (request, context) => {
+        try {
+            const user = await auth.authenticateRequest(request);
+            
+            if (!user) {
+                return auth.errorResponse(401, 'Authentication required');
+            }
+            
+            if (user.role !== 'admin') {
+                return auth.errorResponse(403, 'Only admins can change the organization');
+            }
+            
+            await db.initDatabase();
+            
+            const body = await request.json();
+            const updates = {};
+            
+            if (body.name !== undefined) {
+                if (typeof body.name !== 'string' || !body.name.trim()) {
+                    return auth.errorResponse(400, 'Organization name is required');
+                }
+                updates.name = body.name.trim();
+            }
+            
+            if (body.branding !== undefined) {
+                const result = validateBranding(body.branding);
+                if (result.error) {
+                    return auth.errorResponse(400, result.error);
+                }
+                
+                const current = await db.getOrganization(user.organizationId);
+                updates.branding = { ...(current?.branding || {}), ...result.branding };
+            }
+            
+            if (Object.keys(updates).length === 0) {
+                return auth.errorResponse(400, 'No valid updates provided');
+            }
+            
+            const organization = await db.updateOrganization(user.organizationId, updates);
+            
+            return auth.successResponse({
+                organization: describeOrganization(organization, user.organizationId)
+            });
+            
+        } catch (error) {
+            context.error('Update organization error:', error);
+            return auth.errorResponse(500, 'Internal server error');
+        }
+    }
+});
+
+// GET /api/organization/memberships - Organizations the current user belongs to
+app.http('listMyOrganizations', {
+    methods: ['GET'],
+    authLevel: 'anonymous',
+    route: 'organization/memberships',
+    handler: async (request, context) => {
+        try {
+            const session = await auth.authenticateRequest(request);
+            
+            if (!session) {
+                return auth.errorResponse(401, 'Authentication required');
+            }
+            
+            await db.initDatabase();
+            
+            const user = await db.getUserById(session.userId);
+            const organizations = [];
+            
+            for (const membership of memberships.getActiveMemberships(user)) {
+                const organization = await db.getOrganization(membership.organizationId);
+                organizations.push({
+                    ...describeOrganization(organization, membership.organizationId),
+                    role: membership.role
+                });
+            }
+            
+            return auth.successResponse({
+                organizations,
+                activeOrganizationId: session.organizationId
+            });
+            
+        } catch (error) {
+            context.error('List memberships error:', error);
+            return auth.errorResponse(500, 'Internal server error');
+        }
+    }
+});
+
+// POST /api/organization/switch - Move to another organization the user belongs to
+// Starts a new session there (the token's organizationId and role change) and ends the current one
+app.http('switchOrganization', {
+    methods: ['POST'],
+    authLevel: 'anonymous',
+    route: 'organization/switch',
+    handler: async (request, context) => {
+        try {
+            const session = await auth.authenticateRequest(request);
+            
+            if (!session) {
+                return auth.errorResponse(401, 'Authentication required');
+            }
+            
+            await db.initDatabase();
+            
+            const body = await request.json();
+            const { organizationId } = body;
+            
+            const user = await db.getUserById(session.userId);
+            const member = organizationId && memberships.isAccountEnabled(user) ? memberships.asMember(user, organizationId) : null;
+            
+            if (!member) {
+                return auth.errorResponse(404, 'Organization not found');
+            }
+            
+            if (await auth.requiresMfaEnrollment(member)) {
+                return auth.errorResponse(403, 'This organization requires two-factor authentication. Set it up under Settings first.');
+            }
+            
+            // A session started without a code (say, from an emailed link) has to pass
+            // the second factor before it can move into another organization
+            const current = await db.getSession(session.sessionId, session.userId);
+            let mfaVerified = !!(current && current.mfaVerifiedAt);
+            
+            if (user.mfa && user.mfa.enabled && !mfaVerified) {
+                if (!body.code) {
+                    return auth.errorResponse(403, 'Enter a code from your authenticator app to switch organizations', { mfaRequired: true });
+                }
+                
+                const checked = await secondFactor.verifyCode(user, body.code);
+                if (checked.error) {
+                    return auth.errorResponse(checked.status, checked.error, { mfaRequired: true });
+                }
+                
+                mfaVerified = true;
+            }
+            
+            // Sign-ins land in the organization used last
+            await db.updateUser(user.id, user.email, memberships.withDefaultOrganization(user, organizationId));
+            
+            const response = await auth.completeLogin(user, request, organizationId, { mfaVerified });
+            
+            await db.revokeSession(session.sessionId, session.userId, 'switched-organization');
+            
+            const organization = await db.getOrganization(organizationId);
+            
+            return auth.successResponse({
+                ...response,
+                organization: describeOrganization(organization, organizationId)
+            });
+            
+        } catch (error) {
+            context.error('Switch organization error:', error);
+            return auth.errorResponse(500, 'Internal server error');
+        }
+    }
+});
+
+// GET /api/organizations - List every organization (platform admins only)
+app.http('listOrganizations', {
+    methods: ['GET'],
+    authLevel: 'anonymous',
+    route: 'organizations',
+    handler: async (request, context) => {
+        try {
+            const user = await auth.authenticateRequest(request);
+            
+            if (!user) {
+                return auth.errorResponse(401, 'Authentication required');
+            }
+            
+            if (!isPlatformAdmin(user)) {
+                return auth.errorResponse(403, 'Access denied');
+            }
+            
+            await db.initDatabase();
+            
+            const organizations = await db.getAllOrganizations();
+            
+            return auth.successResponse({
+                organizations: organizations.map(org => ({
+                    ...describeOrganization(org, org.id),
+                    createdAt: org.createdAt
+                }))
+            });
+            
+        } catch (error) {
+            context.error('List organizations error:', error);
+            return auth.errorResponse(500, 'Internal server error');
+        }
+    }
+});
+
+// POST /api/organizations - Onboard a partner organization and invite its first admin (platform admins only)
+app.http('createOrganization', {
+    methods: ['POST'],
+    authLevel: 'anonymous',
+    route: 'organizations',
+    handler: async (request, context) => {
+        try {
+            const user = await auth.authenticateRequest(request);
+            
+            if (!user) {
+                return auth.errorResponse(401, 'Authentication required');
+            }
+            
+            if (!isPlatformAdmin(user)) {
+                return auth.errorResponse(403, 'Only platform admins can create organizations');
+            }
+            
+            await db.initDatabase();
+            
+            const body = await request.json();
+            const { name, adminEmail } = body;
+            
+            if (!name || !name.trim()) {
+                return auth.errorResponse(400, 'Organization name is required');
+            }
+            
+            if (!adminEmail || !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(adminEmail)) {
+                return auth.errorResponse(400, 'A valid email for the first admin is required');
+            }
+            
+            let branding = {};
+            if (body.branding !== undefined) {
+                const result = validateBranding(body.branding);
+                if (result.error) {
+                    return auth.errorResponse(400, result.error);
+                }
+                branding = result.branding;
+            }
+            
+            let id = body.id ? String(body.id) : slugify(name);
+            
+            if (!/^[a-z0-9][a-z0-9-]{1,39}$/.test(id)) {
+                return auth.errorResponse(400, 'Organization id must be 2-40 lowercase letters, numbers or dashes');
+            }
+            
+            if (await db.getOrganization(id)) {
+                if (body.id) {
+                    return auth.errorResponse(409, 'An organization with this id already exists');
+                }
+                id = `${id.slice(0, 35)}-${uuidv4().slice(0, 4)}`;
+            }
+            
+            const organization = await db.createOrganization({
+                id,
+                name: name.trim(),
+                branding,
+                createdBy: user.userId
+            });
+            
+            // The first admin joins like anyone else - through an invitation
+            const invitation = await db.createInvitation({
+                id: uuidv4(),
+                email: adminEmail,
+                token: auth.generateInviteToken(),
+                role: 'admin',
+                projectIds: [],
+                invitedBy: user.userId,
+                invitedByName: user.name,
+                organizationId: organization.id,
+                expiresAt: auth.invitationExpiry()
+            });
+            
+            const emailResult = await email.sendInvitationEmail(invitation, user.name, organization.name);
+            
+            context.log('Organization created:', organization.id, 'by', user.email);
+            
+            return auth.successResponse({
+                organization: describeOrganization(organization, organization.id),
+                invitation: {
+                    id: invitation.id,
+                    email: invitation.email,
+                    role: invitation.role,
+                    expiresAt: invitation.expiresAt
+                },
+                emailSent: emailResult.success
+            }, 201);
+            
+        } catch (error) {
+            context.error('Create organization error:', error);
+            return auth.errorResponse(500, 'Internal server error');
+        }
+    }
+});
@@ -0,0 +1,249 @@
+/**
+ * Personal Data Functions
+ * Export everything tied to a user as a JSON bundle, and erase accounts -
+ * self-service from the settings view, or by an admin for one of their users
+ * The work itself is in shared/privacy.js
+ */
+
+const { app } = require('@azure/functions');
+const db = require('../shared/database');
+const auth = require('../shared/auth');
+const memberships = require('../shared/memberships');
+const throttle = require('../shared/throttle');
+const privacy = require('../shared/privacy');
+const audit = require('../shared/audit');
+
+/**
+ * The bundle as a file download
+ */
+function exportResponse(bundle, userId) {
+    const filename = `webreview-data-${userId}-${new Date().toISOString().slice(0, 10)}.json`;
+    
+    return {
+        status: 200,
+        headers: {
+            'Content-Type': 'application/json; charset=utf-8',
+            'Content-Disposition': `attachment; filename="${filename}"`
+        },
+        body: JSON.stringify(bundle, null, 2)
+    };
+}
+
+/**
+ * Record an erasure in every organization the user belonged to
+ * The target is named by the pseudonym - the entries written before keep the email
+ */
+async function recordErasure(context, request, actor, userData, summary) {
+    for (const membership of memberships.getMemberships(userData)) {
+        await audit.record(context, request, {
+            organizationId: membership.organizationId,
+            actor,
+            action: 'user.erased',
+            target: { type: 'user', id: userData.id, name: privacy.ERASED_NAME },
+            details: { pseudonym: privacy.pseudonymFor(userData.id), ...summary }
+        });
+    }
+}
+
+// GET /api/auth/export - Download everything stored about the current user
+app.http('exportMyData', {
+    methods: ['GET'],
+    authLevel: 'anonymous',
+    route: 'auth/export',
+    handler: async (request, context) => {
+        try {
+            const user = await auth.authenticateRequest(request);
+            
+            if (!user) {
+                return auth.errorResponse(401, 'Authentication required');
+            }
+            
+            await db.initDatabase();
+            
+            const userData = await db.getUserById(user.userId);
+            
+            if (!userData) {
+                return auth.errorResponse(404, 'User not found');
+            }
+            
+            const organizationIds = memberships.getMemberships(userData).map(m => m.organizationId);
+            const bundle = await privacy.buildExport(userData, organizationIds);
+            
+            await audit.record(context, request, {
+                organizationId: user.organizationId,
+                actor: user,
+                action: 'user.data-exported',
+                target: { type: 'user', id: userData.id, name: userData.email }
+            });
+            
+            return exportResponse(bundle, userData.id);
+            
+        } catch (error) {
+            context.error('Export my data error:', error);
+            return auth.errorResponse(500, 'Internal server error');
+        }
+    }
+});
+
+// POST /api/auth/delete-account - Erase the current user's account
+// Body: { confirmEmail, password } - password only for accounts that have one
+app.http('deleteMyAccount', {
+    methods: ['POST'],
+    authLevel: 'anonymous',
+    route: 'auth/delete-account',
+    handler: async (request, context) => {
+        try {
+            const user = await auth.authenticateRequest(request);
+            
+            if (!user) {
+                return auth.errorResponse(401, 'Authentication required');
+            }
+            
+            const body = await request.json();
+            const { confirmEmail, password } = body;
+            
+            await db.initDatabase();
+            
+            const userData = await db.getUserById(user.userId);
+            
+            if (!userData) {
+                return auth.errorResponse(404, 'User not found');
+            }
+            
+            if (String(confirmEmail || '').trim().toLowerCase() !== userData.email) {
+                return auth.errorResponse(400, 'Type your email address to confirm');
+            }
+            
+            if (userData.passwordHash) {
+                const block = await throttle.check('account', userData.email);
+                if (block) {
+                    return throttle.blockedResponse(block);
+                }
+                
+                if (!password || !await auth.verifyPassword(password, userData.passwordHash)) {
+                    const lockout = await throttle.recordFailure('account', userData.email);
+                    return lockout
+                        ? throttle.blockedResponse(lockout)
+                        : auth.errorResponse(400, 'Password is incorrect');
+                }
+            }
+            
+            const soleAdminOf = await privacy.getSoleAdminOrganizations(userData);
+            
+            if (soleAdminOf.length > 0) {
+                const names = [];
+                for (const organizationId of soleAdminOf) {
+                    const organization = await db.getOrganization(organizationId);
+                    names.push(organization ? organization.name : organizationId);
+                }
+                return auth.errorResponse(409, `You are the only admin of ${names.join(', ')}. Make someone else an admin first.`);
+            }
+            
+            const summary = await privacy.eraseUser(userData);
+            
+            await recordErasure(context, request, user, userData, summary);
+            
+            return auth.successResponse({ message: 'Your account has been deleted' });
+            
+        } catch (error) {
+            context.error('Delete my account error:', error);
+            return auth.errorResponse(500, 'Internal server error');
+        }
+    }
+});
+
+// GET /api/users/:userId/export - Download everything stored about a user in this organization (admins only)
+app.http('exportUserData', {
+    methods: ['GET'],
+    authLevel: 'anonymous',
+    route: 'users/{userId}/export',
+    handler: async (request, context) => {
+        try {
+            const user = await auth.authenticateRequest(request);
+            
+            if (!user) {
+                return auth.errorResponse(401, 'Authentication required');
+            }
+            
+            if (!auth.hasRole(user, ['admin'])) {
+                return auth.errorResponse(403, 'Only admins can export user data');
+            }
+            
+            const { userId } = request.params;
+            
+            await db.initDatabase();
+            
+            const targetUser = await db.getUserById(userId);
+            if (!targetUser || !memberships.findMembership(targetUser, user.organizationId)) {
+                return auth.errorResponse(404, 'User not found');
+            }
+            
+            // Only what this organization holds - not their other memberships
+            const bundle = await privacy.buildExport(targetUser, [user.organizationId]);
+            
+            await audit.record(context, request, {
+                organizationId: user.organizationId,
+                actor: user,
+                action: 'user.data-exported',
+                target: { type: 'user', id: targetUser.id, name: targetUser.email }
+            });
+            
+            return exportResponse(bundle, targetUser.id);
+            
+        } catch (error) {
+            context.error('Export user data error:', error);
+            return auth.errorResponse(500, 'Internal server error');
+        }
+    }
+});
+
+// DELETE /api/users/:userId - Erase a user's account (admins only)
+// Only for people who belong to no other organization - otherwise deactivate them here
+app.http('eraseUser', {
+    methods: ['DELETE'],
+    authLevel: 'anonymous',
+    route: 'users/{userId}',
+    handler: async (request, context) => {
+        try {
+            const user = await auth.authenticateRequest(request);
+            
+            if (!user) {
+                return auth.errorResponse(401, 'Authentication required');
+            }
+            
+            if (!auth.hasRole(user, ['admin'])) {
+                return auth.errorResponse(403, 'Only admins can delete accounts');
+            }
+            
+            const { userId } = request.params;
+            
+            if (userId === user.userId) {
+                return auth.errorResponse(400, 'Delete your own account from Settings');
+            }
+            
+            await db.initDatabase();
+            
+            const targetUser = await db.getUserById(userId);
+            if (!targetUser || !memberships.findMembership(targetUser, user.organizationId)) {
+                return auth.errorResponse(404, 'User not found');
+            }
+            
+            const otherOrganizations = memberships.getMemberships(targetUser)
+                .filter(m => m.organizationId !== user.organizationId);
+            
+            if (otherOrganizations.length > 0) {
+                return auth.errorResponse(409, 'This person also belongs to another organization. Deactivate them here instead.');
+            }
+            
+            const summary = await privacy.eraseUser(targetUser);
+            
+            await recordErasure(context, request, user, targetUser, summary);
+            
+            return auth.successResponse({ message: 'Account deleted' });
+            
+        } catch (error) {
+            context.error('Erase user error:', error);
+            return auth.errorResponse(500, 'Internal server error');
+        }
+    }
+});
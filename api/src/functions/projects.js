@@ -1,21 +1,177 @@
 /**
  * Project Functions
- * CRUD operations for projects
+ * CRUD operations for projects and their members
+ * Access is decided by the caller's role on each project (shared/permissions.js)
  */
 
 const { app } = require('@azure/functions');
 const { v4: uuidv4 } = require('uuid');
 const db = require('../shared/database');
 const auth = require('../shared/auth');
+const permissions = require('../shared/permissions');
+const memberships = require('../shared/memberships');
+const audit = require('../shared/audit');
+const notifications = require('../shared/notifications');
+const emailService = require('../shared/email');
+const rounds = require('../shared/rounds');
+const trash = require('../shared/trash');
+const deadlines = require('../shared/deadlines');
+const pages = require('../shared/pages');
+const workflow = require('../shared/workflow');
+
+/**
+ * Project as returned to the caller, including their role on it, its review
+ * rounds and the deadlines it has missed
+ */
+function withMyRole(project, user) {
+    return {
+        ...project,
+        rounds: rounds.getRounds(project),
+        currentRound: rounds.getCurrentRound(project).number,
+        milestones: project.milestones || [],
+        overdue: deadlines.getOverdue(project),
+        pages: project.pages || [],
+        myRole: permissions.getProjectRole(project, user)
+    };
+}
+
+/**
+ * Audit target for a project
+ */
+function projectTarget(project) {
+    return { type: 'project', id: project.id, name: project.name };
+}
+
+/**
+ * A 409 saying which workflow rule stops user moving project to a status,
+ * or null when the organization's workflow allows the move
+ */
+async function refuseTransition(orgWorkflow, project, to, user) {
+    const refusal = workflow.checkTransition(
+        orgWorkflow,
+        project,
+        to,
+        permissions.getProjectRole(project, user),
+        await db.getFeedbackByProject(project.id)
+    );
+    
+    return refusal
+        ? auth.errorResponse(409, refusal.message, { rule: refusal.rule, from: project.status, to })
+        : null;
+}
+
+/**
+ * Projects with their assigned developers as assignees: [{ userId, name }]
+ * Assignees are the project leads - the people emailed about new feedback
+ */
+async function withAssignees(projects, organizationId) {
+    const names = new Map();
+    
+    for (const project of projects) {
+        for (const userId of permissions.getMemberIdsWithRole(project, 'project-lead')) {
+            if (!names.has(userId)) {
+                const leadUser = await db.getUserById(userId);
+                names.set(userId, leadUser && memberships.findMembership(leadUser, organizationId) ? leadUser.name : null);
+            }
+        }
+    }
+    
+    return projects.map(project => ({
+        ...project,
+        assignees: permissions.getMemberIdsWithRole(project, 'project-lead')
+            .filter(userId => names.get(userId))
+            .map(userId => ({ userId, name: names.get(userId) }))
+    }));
+}
+
+/**
+ * Members list where the given clients are exactly the client members
+ * Backs the older assignedClients / clientIds API: other members are kept,
+ * clients not listed are removed and new ones join as approvers
+ * Returns { members } or { error }
+ */
+async function assignClientMembers(project, clientIds, organizationId) {
+    let members = permissions.getMembers(project);
+    
+    for (const member of members) {
+        // Access granted through a client company is managed on the company
+        if (member.companyId) continue;
+        
+        const memberUser = await db.getUserById(member.userId);
+        const membership = memberUser && memberships.findMembership(memberUser, organizationId);
+        if (membership && membership.role === 'client' && !clientIds.includes(member.userId)) {
+            members = members.filter(m => m.userId !== member.userId);
+        }
+    }
+    
+    for (const clientId of clientIds) {
+        const clientUser = await db.getUserById(clientId);
+        const client = clientUser && memberships.asMember(clientUser, organizationId);
+        if (!client || client.role !== 'client') {
+            return { error: `Client not found: ${clientId}` };
+        }
+        if (!members.some(m => m.userId === clientId)) {
+            members = permissions.withMember({ members }, clientId, permissions.defaultRoleFor('client'));
+        }
+    }
+    
+    return { members };
+}
+
+/**
+ * Members list for a project moving to another client company (or to none)
+ * The old company's people lose the access it gave them; the new company's people join as approvers
+ */
+async function withCompany(project, companyId, organizationId) {
+    let members = project.companyId
+        ? permissions.withoutCompanyMembers(project, project.companyId)
+        : permissions.getMembers(project);
+    
+    if (companyId) {
+        const companyMembers = await db.getCompanyMembers(companyId, organizationId);
+        members = permissions.withCompanyMembers({ members }, companyId, companyMembers.map(m => m.id));
+    }
+    
+    return members;
+}
+
+/**
+ * Members list where the given developers are exactly the project leads
+ * Counterpart of assignClientMembers: leads not listed are removed and new
+ * ones join (or are promoted) as project leads; clients are left alone
+ * Returns { members } or { error }
+ */
+async function assignDeveloperMembers(project, developerIds, organizationId) {
+    if (developerIds.length === 0) {
+        return { error: 'At least one developer must be assigned' };
+    }
+    
+    let members = permissions.getMembers(project)
+        .filter(m => m.role !== 'project-lead' || developerIds.includes(m.userId));
+    
+    for (const developerId of developerIds) {
+        const developerUser = await db.getUserById(developerId);
+        const developer = developerUser && memberships.asMember(developerUser, organizationId);
+        if (!developer || !['developer', 'admin'].includes(developer.role)) {
+            return { error: `Developer not found: ${developerId}` };
+        }
+        if (!members.some(m => m.userId === developerId && m.role === 'project-lead')) {
+            members = permissions.withMember({ members }, developerId, 'project-lead');
+        }
+    }
+    
+    return { members };
+}
 
 // GET /api/projects - List projects for current user
+// Query: status, search (name, client or description), includeArchived
 app.http('listProjects', {
     methods: ['GET'],
     authLevel: 'anonymous',
     route: 'projects',
     handler: async (request, context) => {
         try {
-            const user = auth.authenticateRequest(request);
+            const user = await auth.authenticateRequest(request, { scope: 'projects:read' });
             
             if (!user) {
                 return auth.errorResponse(401, 'Authentication required');
@@ -29,7 +185,23 @@ app.http('listProjects', {
                 user.organizationId
             );
             
-            return auth.successResponse({ projects });
+            // Archived projects are left out unless asked for by status, by search or with ?includeArchived=true
+            const status = request.query.get('status');
+            const search = (request.query.get('search') || '').trim().toLowerCase();
+            const includeArchived = request.query.get('includeArchived') === 'true';
+            
+            const visible = projects
+                .filter(project => auth.tokenCoversProject(user, project.id))
+                .filter(project => status
+                    ? project.status === status
+                    : project.status !== 'archived' || includeArchived || search)
+                .filter(project => !search || [project.name, project.client, project.description]
+                    .some(value => value && value.toLowerCase().includes(search)));
+            
+            return auth.successResponse({
+                projects: (await withAssignees(visible, user.organizationId))
+                    .map(project => withMyRole(project, user))
+            });
             
         } catch (error) {
             context.error('List projects error:', error);
@@ -45,7 +217,7 @@ app.http('getProject', {
     route: 'projects/{projectId}',
     handler: async (request, context) => {
         try {
-            const user = auth.authenticateRequest(request);
+            const user = await auth.authenticateRequest(request, { scope: 'projects:read' });
             
             if (!user) {
                 return auth.errorResponse(401, 'Authentication required');
@@ -53,6 +225,10 @@ app.http('getProject', {
             
             const { projectId } = request.params;
             
+            if (!auth.tokenCoversProject(user, projectId)) {
+                return auth.errorResponse(403, 'API token is not valid for this project');
+            }
+            
             await db.initDatabase();
             
             const project = await db.getProjectById(projectId, user.organizationId);
@@ -61,12 +237,13 @@ app.http('getProject', {
                 return auth.errorResponse(404, 'Project not found');
             }
             
-            // Check access - developers see all, clients only assigned
-            if (user.role === 'client' && !project.assignedClients.includes(user.userId)) {
+            if (!permissions.can(user, project, 'view')) {
                 return auth.errorResponse(403, 'Access denied to this project');
             }
             
-            return auth.successResponse({ project });
+            const [withNames] = await withAssignees([project], user.organizationId);
+            
+            return auth.successResponse({ project: withMyRole(withNames, user) });
             
         } catch (error) {
             context.error('Get project error:', error);
@@ -82,7 +259,7 @@ app.http('createProject', {
     route: 'projects',
     handler: async (request, context) => {
         try {
-            const user = auth.authenticateRequest(request);
+            const user = await auth.authenticateRequest(request);
             
             if (!user) {
                 return auth.errorResponse(401, 'Authentication required');
@@ -95,13 +272,23 @@ app.http('createProject', {
             await db.initDatabase();
             
             const body = await request.json();
-            const { name, client, url, description, thumbnail, assignedClients } = body;
+            const { name, url, description, thumbnail, assignedClients, assignedDevelopers, companyId, dueDate, milestones } = body;
+            let { client } = body;
             
             // Validation
-            if (!name || !client || !url) {
+            if (!name || !(client || companyId) || !url) {
                 return auth.errorResponse(400, 'Name, client, and URL are required');
             }
             
+            // A client company supplies the client name shown on the project
+            if (companyId) {
+                const company = await db.getCompanyById(companyId, user.organizationId);
+                if (!company) {
+                    return auth.errorResponse(400, 'Company not found');
+                }
+                client = company.name;
+            }
+            
             // Validate URL
             try {
                 new URL(url.startsWith('http') ? url : `https://${url}`);
@@ -109,21 +296,62 @@ app.http('createProject', {
                 return auth.errorResponse(400, 'Invalid URL format');
             }
             
+            const due = deadlines.parseDueDate(dueDate);
+            const milestoneList = deadlines.parseMilestones(milestones || []);
+            if (due.error || milestoneList.error) {
+                return auth.errorResponse(400, due.error || milestoneList.error);
+            }
+            
+            // The creator leads the project unless other developers are assigned; assigned clients join as approvers
+            let members = [{ userId: user.userId, role: 'project-lead', addedAt: new Date().toISOString() }];
+            
+            if (assignedDevelopers && assignedDevelopers.length > 0) {
+                const assignment = await assignDeveloperMembers({ members }, assignedDevelopers, user.organizationId);
+                if (assignment.error) {
+                    return auth.errorResponse(400, assignment.error);
+                }
+                members = assignment.members;
+            }
+            
+            if (assignedClients && assignedClients.length > 0) {
+                const assignment = await assignClientMembers({ members }, assignedClients, user.organizationId);
+                if (assignment.error) {
+                    return auth.errorResponse(400, assignment.error);
+                }
+                members = assignment.members;
+            }
+            
+            if (companyId) {
+                members = await withCompany({ members }, companyId, user.organizationId);
+            }
+            
             const project = await db.createProject({
                 id: uuidv4(),
                 name,
                 client,
+                companyId: companyId || null,
                 url: url.startsWith('http') ? url : `https://${url}`,
                 description: description || '',
                 thumbnail: thumbnail || '',
                 status: 'pending',
                 organizationId: user.organizationId,
                 createdBy: user.userId,
-                assignedClients: assignedClients || [],
-                assignedDevelopers: [user.userId]
+                members,
+                dueDate: due.dueDate,
+                milestones: milestoneList.milestones
+            });
+            
+            await audit.record(context, request, {
+                organizationId: user.organizationId,
+                actor: user,
+                action: 'project.created',
+                target: projectTarget(project),
+                after: { name, client, companyId: project.companyId, url: project.url, members, dueDate: project.dueDate, milestones: project.milestones }
             });
             
-            return auth.successResponse({ project }, 201);
+            const [withNames] = await withAssignees([project], user.organizationId);
+            
+            return auth.successResponse({ project: withMyRole(withNames, user) }, 201);
             
         } catch (error) {
             context.error('Create project error:', error);
@@ -139,7 +367,8 @@ app.http('updateProject', {
     route: 'projects/{projectId}',
     handler: async (request, context) => {
         try {
-            const user = auth.authenticateRequest(request);
+            // Deployment pipelines use API tokens to publish a new URL or status
+            const user = await auth.authenticateRequest(request, { scope: ['projects:url', 'projects:status'] });
             
             if (!user) {
                 return auth.errorResponse(401, 'Authentication required');
@@ -147,6 +376,10 @@ app.http('updateProject', {
             
             const { projectId } = request.params;
             
+            if (!auth.tokenCoversProject(user, projectId)) {
+                return auth.errorResponse(403, 'API token is not valid for this project');
+            }
+            
             await db.initDatabase();
             
             const project = await db.getProjectById(projectId, user.organizationId);
@@ -158,10 +391,31 @@ app.http('updateProject', {
             const body = await request.json();
             const updates = {};
             
-            // Developers can update all fields
-            if (auth.hasRole(user, ['developer', 'admin'])) {
+            if (user.apiToken) {
+                const tokenFields = { url: 'projects:url', status: 'projects:status' };
+                const refused = Object.keys(body).filter(field =>
+                    !tokenFields[field] || !auth.tokenHasScope(user, tokenFields[field]));
+                
+                if (refused.length > 0) {
+                    return auth.errorResponse(403, `API token can't update: ${refused.join(', ')}`);
+                }
+            }
+            
+            // Project leads can update all fields
+            if (permissions.can(user, project, 'edit')) {
                 if (body.name) updates.name = body.name;
                 if (body.client) updates.client = body.client;
+                if (body.companyId !== undefined && (body.companyId || null) !== (project.companyId || null)) {
+                    let company = null;
+                    if (body.companyId) {
+                        company = await db.getCompanyById(body.companyId, user.organizationId);
+                        if (!company) {
+                            return auth.errorResponse(400, 'Company not found');
+                        }
+                        updates.client = company.name;
+                    }
+                    updates.companyId = company ? company.id : null;
+                }
                 if (body.url) {
                     try {
                         new URL(body.url.startsWith('http') ? body.url : `https://${body.url}`);
@@ -169,38 +423,129 @@ app.http('updateProject', {
                     } catch {
                         return auth.errorResponse(400, 'Invalid URL format');
                     }
+                    // A redeploy of the round under review - new rounds are opened with POST .../rounds
+                    updates.rounds = rounds.withRoundChanges(project, rounds.getCurrentRound(project).number, { url: updates.url });
                 }
                 if (body.description !== undefined) updates.description = body.description;
                 if (body.thumbnail !== undefined) updates.thumbnail = body.thumbnail;
-                if (body.status) {
-                    const validStatuses = ['pending', 'in-review', 'approved', 'archived'];
-                    if (!validStatuses.includes(body.status)) {
-                        return auth.errorResponse(400, 'Invalid status');
+                if (body.status) updates.status = body.status;
+                if (body.dueDate !== undefined) {
+                    const due = deadlines.parseDueDate(body.dueDate);
+                    if (due.error) {
+                        return auth.errorResponse(400, due.error);
                     }
-                    updates.status = body.status;
+                    updates.dueDate = due.dueDate;
                 }
-                if (body.assignedClients) updates.assignedClients = body.assignedClients;
-            }
-            // Clients can only approve
-            else if (user.role === 'client') {
-                if (!project.assignedClients.includes(user.userId)) {
-                    return auth.errorResponse(403, 'Access denied to this project');
+                if (body.milestones !== undefined) {
+                    const milestoneList = deadlines.parseMilestones(body.milestones, project.milestones);
+                    if (milestoneList.error) {
+                        return auth.errorResponse(400, milestoneList.error);
+                    }
+                    updates.milestones = milestoneList.milestones;
                 }
-                
-                if (body.status === 'approved') {
-                    updates.status = 'approved';
-                } else {
-                    return auth.errorResponse(403, 'Clients can only approve projects');
+                if (body.pages !== undefined) {
+                    const pageList = pages.parsePages(body.pages, project.pages);
+                    if (pageList.error) {
+                        return auth.errorResponse(400, pageList.error);
+                    }
+                    updates.pages = pageList.pages;
+                }
+                if (body.assignedClients) {
+                    const assignment = await assignClientMembers(project, body.assignedClients, user.organizationId);
+                    if (assignment.error) {
+                        return auth.errorResponse(400, assignment.error);
+                    }
+                    updates.members = assignment.members;
+                }
+                if (body.assignedDevelopers) {
+                    const assignment = await assignDeveloperMembers(
+                        { members: updates.members || permissions.getMembers(project) },
+                        body.assignedDevelopers,
+                        user.organizationId
+                    );
+                    if (assignment.error) {
+                        return auth.errorResponse(400, assignment.error);
+                    }
+                    updates.members = assignment.members;
+                }
+                if (updates.companyId !== undefined) {
+                    updates.members = await withCompany(
+                        { ...project, members: updates.members || permissions.getMembers(project) },
+                        updates.companyId,
+                        user.organizationId
+                    );
+                }
+            }
+            // Approvers can only change the status, as far as the workflow lets them
+            else if (permissions.can(user, project, 'approve')) {
+                if (!body.status || Object.keys(body).some(field => field !== 'status')) {
+                    return auth.errorResponse(403, 'You can only change the status of this project');
                 }
+                updates.status = body.status;
+            }
+            else {
+                return auth.errorResponse(403, 'Access denied to this project');
             }
             
             if (Object.keys(updates).length === 0) {
                 return auth.errorResponse(400, 'No valid updates provided');
             }
             
+            // Status changes follow the organization's workflow
+            let orgWorkflow = workflow.DEFAULT_WORKFLOW;
+            
+            if (updates.status && updates.status !== project.status) {
+                orgWorkflow = workflow.getWorkflow(await db.getOrganizationSettings(user.organizationId));
+                
+                if (!workflow.getStatusIds(orgWorkflow).includes(updates.status)) {
+                    return auth.errorResponse(400, 'Invalid status');
+                }
+                
+                // Milestones completed in this same update count
+                const refusal = await refuseTransition(
+                    orgWorkflow,
+                    { ...project, milestones: updates.milestones || project.milestones },
+                    updates.status,
+                    user
+                );
+                if (refusal) {
+                    return refusal;
+                }
+            }
+            
+            // An approval applies to the round under review
+            if (updates.status === 'approved' && project.status !== 'approved') {
+                updates.rounds = rounds.withCurrentRoundApproved({ ...project, rounds: updates.rounds || project.rounds }, user);
+            }
+            
             const updatedProject = await db.updateProject(projectId, user.organizationId, updates);
             
-            return auth.successResponse({ project: updatedProject });
+            // Approvals get their own action - they are what clients dispute
+            await audit.record(context, request, {
+                organizationId: user.organizationId,
+                actor: user,
+                action: updates.status === 'approved' && project.status !== 'approved' ? 'project.approved' : 'project.updated',
+                target: projectTarget(project),
+                ...audit.changes(project, updates)
+            });
+            
+            // Tell the rest of the project about a new status or a new preview
+            const statusChanged = updates.status && updates.status !== project.status;
+            const urlChanged = updates.url && updates.url !== project.url;
+            
+            if (statusChanged || urlChanged) {
+                const recipients = await notifications.getProjectRecipients(updatedProject, user.userId);
+                await emailService.sendProjectUpdateNotification(updatedProject, {
+                    actorName: user.name,
+                    status: statusChanged ? updates.status : null,
+                    statusLabel: statusChanged ? workflow.statusLabel(orgWorkflow, updates.status) : null,
+                    url: urlChanged ? updates.url : null
+                }, recipients);
+            }
+            
+            const [withNames] = await withAssignees([updatedProject], user.organizationId);
+            
+            return auth.successResponse({ project: withMyRole(withNames, user) });
             
         } catch (error) {
             context.error('Update project error:', error);
@@ -209,23 +554,242 @@ app.http('updateProject', {
     }
 });
 
-// DELETE /api/projects/:projectId - Delete project (developers only)
+// GET /api/projects/:projectId/transitions - The statuses the caller could move the project to
+// Each is { status, label, allowed, rule, message } - rule and message say why a move isn't allowed
+app.http('listProjectTransitions', {
+    methods: ['GET'],
+    authLevel: 'anonymous',
+    route: 'projects/{projectId}/transitions',
+    handler: async (request, context) => {
+        try {
+            const user = await auth.authenticateRequest(request, { scope: ['projects:read', 'projects:status'] });
+            
+            if (!user) {
+                return auth.errorResponse(401, 'Authentication required');
+            }
+            
+            const { projectId } = request.params;
+            
+            if (!auth.tokenCoversProject(user, projectId)) {
+                return auth.errorResponse(403, 'API token is not valid for this project');
+            }
+            
+            await db.initDatabase();
+            
+            const project = await db.getProjectById(projectId, user.organizationId);
+            
+            if (!project) {
+                return auth.errorResponse(404, 'Project not found');
+            }
+            
+            if (!permissions.can(user, project, 'view')) {
+                return auth.errorResponse(403, 'Access denied to this project');
+            }
+            
+            const orgWorkflow = workflow.getWorkflow(await db.getOrganizationSettings(user.organizationId));
+            const role = permissions.getProjectRole(project, user);
+            const feedback = await db.getFeedbackByProject(projectId);
+            
+            const transitions = orgWorkflow.statuses
+                .filter(status => status.id !== project.status)
+                .map(status => {
+                    const refusal = workflow.checkTransition(orgWorkflow, project, status.id, role, feedback);
+                    return {
+                        status: status.id,
+                        label: status.label,
+                        allowed: !refusal,
+                        rule: refusal ? refusal.rule : null,
+                        message: refusal ? refusal.message : null
+                    };
+                });
+            
+            return auth.successResponse({ status: project.status, transitions });
+            
+        } catch (error) {
+            context.error('List project transitions error:', error);
+            return auth.errorResponse(500, 'Internal server error');
+        }
+    }
+});
+
+// POST /api/projects/:projectId/rounds - Open the next review round with a new preview URL (project leads only)
+// Body: { url, notes } - notes are the release notes shown to reviewers
+app.http('openReviewRound', {
+    methods: ['POST'],
+    authLevel: 'anonymous',
+    route: 'projects/{projectId}/rounds',
+    handler: async (request, context) => {
+        try {
+            // Deployment pipelines can open a round when they publish a new preview
+            const user = await auth.authenticateRequest(request, { scope: 'projects:url' });
+            
+            if (!user) {
+                return auth.errorResponse(401, 'Authentication required');
+            }
+            
+            const { projectId } = request.params;
+            
+            if (!auth.tokenCoversProject(user, projectId)) {
+                return auth.errorResponse(403, 'API token is not valid for this project');
+            }
+            
+            const body = await request.json();
+            const notes = String(body.notes || '').trim();
+            let url = String(body.url || '').trim();
+            
+            if (!url) {
+                return auth.errorResponse(400, 'A preview URL is required');
+            }
+            
+            try {
+                url = url.startsWith('http') ? url : `https://${url}`;
+                new URL(url);
+            } catch {
+                return auth.errorResponse(400, 'Invalid URL format');
+            }
+            
+            await db.initDatabase();
+            
+            const project = await db.getProjectById(projectId, user.organizationId);
+            
+            if (!project) {
+                return auth.errorResponse(404, 'Project not found');
+            }
+            
+            if (!permissions.can(user, project, 'edit')) {
+                return auth.errorResponse(403, 'Only project leads can open review rounds');
+            }
+            
+            // A new round is back under review, as far as the workflow allows
+            if (project.status !== 'in-review') {
+                const orgWorkflow = workflow.getWorkflow(await db.getOrganizationSettings(user.organizationId));
+                const refusal = await refuseTransition(orgWorkflow, project, 'in-review', user);
+                if (refusal) {
+                    return refusal;
+                }
+            }
+            
+            const updates = {
+                url,
+                status: 'in-review',
+                rounds: rounds.withNewRound(project, { url, notes, openedBy: user.userId, openedByName: user.name })
+            };
+            const round = updates.rounds[updates.rounds.length - 1];
+            
+            const updatedProject = await db.updateProject(projectId, user.organizationId, updates);
+            
+            await audit.record(context, request, {
+                organizationId: user.organizationId,
+                actor: user,
+                action: 'project.round-opened',
+                target: projectTarget(project),
+                before: { url: project.url, status: project.status, round: rounds.getCurrentRound(project).number },
+                after: { url, status: updates.status, round: round.number },
+                details: { notes }
+            });
+            
+            const recipients = await notifications.getProjectRecipients(updatedProject, user.userId);
+            await emailService.sendProjectUpdateNotification(updatedProject, {
+                actorName: user.name,
+                url,
+                round
+            }, recipients);
+            
+            const [withNames] = await withAssignees([updatedProject], user.organizationId);
+            
+            return auth.successResponse({ project: withMyRole(withNames, user), round }, 201);
+            
+        } catch (error) {
+            context.error('Open review round error:', error);
+            return auth.errorResponse(500, 'Internal server error');
+        }
+    }
+});
+
+// POST /api/projects/:projectId/pages/import - Add the pages listed in a sitemap (project leads only)
+// Body: { sitemapUrl } to fetch it, or { sitemap } with the XML of an uploaded file
+app.http('importProjectPages', {
+    methods: ['POST'],
+    authLevel: 'anonymous',
+    route: 'projects/{projectId}/pages/import',
+    handler: async (request, context) => {
+        try {
+            const user = await auth.authenticateRequest(request);
+            
+            if (!user) {
+                return auth.errorResponse(401, 'Authentication required');
+            }
+            
+            const { projectId } = request.params;
+            const { sitemapUrl, sitemap } = await request.json();
+            
+            if (!sitemapUrl && !sitemap) {
+                return auth.errorResponse(400, 'A sitemap URL or file is required');
+            }
+            
+            if (sitemap && Buffer.byteLength(String(sitemap)) > pages.MAX_SITEMAP_BYTES) {
+                return auth.errorResponse(400, 'The sitemap file is too large');
+            }
+            
+            await db.initDatabase();
+            
+            const project = await db.getProjectById(projectId, user.organizationId);
+            
+            if (!project) {
+                return auth.errorResponse(404, 'Project not found');
+            }
+            
+            if (!permissions.can(user, project, 'edit')) {
+                return auth.errorResponse(403, 'Only project leads can import pages');
+            }
+            
+            let urls;
+            try {
+                urls = await pages.readSitemap({ sitemap, sitemapUrl });
+            } catch (error) {
+                return auth.errorResponse(400, `Couldn't read the sitemap: ${error.message}`);
+            }
+            
+            if (urls.length === 0) {
+                return auth.errorResponse(400, 'No pages found in the sitemap');
+            }
+            
+            const { pages: pageList, imported, skipped } = pages.withImportedPages(project, urls);
+            const updatedProject = await db.updateProject(projectId, user.organizationId, { pages: pageList });
+            
+            await audit.record(context, request, {
+                organizationId: user.organizationId,
+                actor: user,
+                action: 'project.pages-imported',
+                target: projectTarget(project),
+                details: { source: sitemapUrl || 'uploaded file', imported, skipped }
+            });
+            
+            const [withNames] = await withAssignees([updatedProject], user.organizationId);
+            
+            return auth.successResponse({ project: withMyRole(withNames, user), imported, skipped });
+            
+        } catch (error) {
+            context.error('Import project pages error:', error);
+            return auth.errorResponse(500, 'Internal server error');
+        }
+    }
+});
+
+// DELETE /api/projects/:projectId - Move a project to the trash (project leads only)
+// It can be restored until it's purged, see functions/trash.js
 app.http('deleteProject', {
     methods: ['DELETE'],
     authLevel: 'anonymous',
     route: 'projects/{projectId}',
     handler: async (request, context) => {
         try {
-            const user = auth.authenticateRequest(request);
+            const user = await auth.authenticateRequest(request);
             
             if (!user) {
                 return auth.errorResponse(401, 'Authentication required');
             }
             
-            if (!auth.hasRole(user, ['developer', 'admin'])) {
-                return auth.errorResponse(403, 'Only developers can delete projects');
-            }
-            
             const { projectId } = request.params;
             
             await db.initDatabase();
@@ -236,9 +800,25 @@ app.http('deleteProject', {
                 return auth.errorResponse(404, 'Project not found');
             }
             
-            await db.deleteProject(projectId, user.organizationId);
+            if (!permissions.can(user, project, 'delete')) {
+                return auth.errorResponse(403, 'Only project leads can delete projects');
+            }
+            
+            const updates = trash.trashedBy(user);
+            await db.updateProject(projectId, user.organizationId, updates);
             
-            return auth.successResponse({ message: 'Project deleted successfully' });
+            await audit.record(context, request, {
+                organizationId: user.organizationId,
+                actor: user,
+                action: 'project.deleted',
+                target: projectTarget(project),
+                after: { deletedAt: updates.deletedAt, purgeAfter: updates.purgeAfter }
+            });
+            
+            return auth.successResponse({
+                message: `Project moved to the trash. It can be restored for ${trash.RETENTION_DAYS} days.`,
+                purgeAfter: updates.purgeAfter
+            });
             
         } catch (error) {
             context.error('Delete project error:', error);
@@ -254,16 +834,12 @@ app.http('assignClients', {
     route: 'projects/{projectId}/assign',
     handler: async (request, context) => {
         try {
-            const user = auth.authenticateRequest(request);
+            const user = await auth.authenticateRequest(request);
             
             if (!user) {
                 return auth.errorResponse(401, 'Authentication required');
             }
             
-            if (!auth.hasRole(user, ['developer', 'admin'])) {
-                return auth.errorResponse(403, 'Only developers can assign clients');
-            }
-            
             const { projectId } = request.params;
             const body = await request.json();
             const { clientIds } = body;
@@ -280,11 +856,29 @@ app.http('assignClients', {
                 return auth.errorResponse(404, 'Project not found');
             }
             
+            if (!permissions.can(user, project, 'manageMembers')) {
+                return auth.errorResponse(403, 'Only project leads can assign clients');
+            }
+            
+            const assignment = await assignClientMembers(project, clientIds, user.organizationId);
+            if (assignment.error) {
+                return auth.errorResponse(400, assignment.error);
+            }
+            
             const updatedProject = await db.updateProject(projectId, user.organizationId, {
-                assignedClients: clientIds
+                members: assignment.members
+            });
+            
+            await audit.record(context, request, {
+                organizationId: user.organizationId,
+                actor: user,
+                action: 'project.clients-assigned',
+                target: projectTarget(project),
+                before: { members: permissions.getMembers(project) },
+                after: { members: assignment.members }
             });
             
-            return auth.successResponse({ project: updatedProject });
+            return auth.successResponse({ project: withMyRole(updatedProject, user) });
             
         } catch (error) {
             context.error('Assign clients error:', error);
@@ -292,3 +886,244 @@ app.http('assignClients', {
         }
     }
 });
+
+// POST /api/projects/:projectId/assign-developers - Assign the developers leading a project
+app.http('assignDevelopers', {
+    methods: ['POST'],
+    authLevel: 'anonymous',
+    route: 'projects/{projectId}/assign-developers',
+    handler: async (request, context) => {
+        try {
+            const user = await auth.authenticateRequest(request);
+            
+            if (!user) {
+                return auth.errorResponse(401, 'Authentication required');
+            }
+            
+            const { projectId } = request.params;
+            const body = await request.json();
+            const { developerIds } = body;
+            
+            if (!developerIds || !Array.isArray(developerIds)) {
+                return auth.errorResponse(400, 'developerIds array is required');
+            }
+            
+            await db.initDatabase();
+            
+            const project = await db.getProjectById(projectId, user.organizationId);
+            
+            if (!project) {
+                return auth.errorResponse(404, 'Project not found');
+            }
+            
+            if (!permissions.can(user, project, 'manageMembers')) {
+                return auth.errorResponse(403, 'Only project leads can assign developers');
+            }
+            
+            const assignment = await assignDeveloperMembers(project, developerIds, user.organizationId);
+            if (assignment.error) {
+                return auth.errorResponse(400, assignment.error);
+            }
+            
+            const updatedProject = await db.updateProject(projectId, user.organizationId, {
+                members: assignment.members
+            });
+            
+            await audit.record(context, request, {
+                organizationId: user.organizationId,
+                actor: user,
+                action: 'project.developers-assigned',
+                target: projectTarget(project),
+                before: { members: permissions.getMembers(project) },
+                after: { members: assignment.members }
+            });
+            const [withNames] = await withAssignees([updatedProject], user.organizationId);
+            
+            return auth.successResponse({ project: withMyRole(withNames, user) });
+            
+        } catch (error) {
+            context.error('Assign developers error:', error);
+            return auth.errorResponse(500, 'Internal server error');
+        }
+    }
+});
+
+// GET /api/projects/:projectId/members - List project members and their roles
+app.http('listProjectMembers', {
+    methods: ['GET'],
+    authLevel: 'anonymous',
+    route: 'projects/{projectId}/members',
+    handler: async (request, context) => {
+        try {
+            const user = await auth.authenticateRequest(request);
+            
+            if (!user) {
+                return auth.errorResponse(401, 'Authentication required');
+            }
+            
+            const { projectId } = request.params;
+            
+            await db.initDatabase();
+            
+            const project = await db.getProjectById(projectId, user.organizationId);
+            
+            if (!project) {
+                return auth.errorResponse(404, 'Project not found');
+            }
+            
+            if (!permissions.can(user, project, 'view')) {
+                return auth.errorResponse(403, 'Access denied to this project');
+            }
+            
+            const members = [];
+            for (const member of permissions.getMembers(project)) {
+                const memberUser = await db.getUserById(member.userId);
+                const membership = memberUser && memberships.findMembership(memberUser, user.organizationId);
+                if (!membership) continue;
+                
+                members.push({
+                    userId: member.userId,
+                    role: member.role,
+                    addedAt: member.addedAt || null,
+                    name: memberUser.name,
+                    email: memberUser.email,
+                    globalRole: membership.role
+                });
+            }
+            
+            return auth.successResponse({
+                members,
+                roles: permissions.PROJECT_ROLES,
+                myRole: permissions.getProjectRole(project, user)
+            });
+            
+        } catch (error) {
+            context.error('List project members error:', error);
+            return auth.errorResponse(500, 'Internal server error');
+        }
+    }
+});
+
+// PUT /api/projects/:projectId/members/:userId - Add a member or change their role
+app.http('setProjectMember', {
+    methods: ['PUT'],
+    authLevel: 'anonymous',
+    route: 'projects/{projectId}/members/{userId}',
+    handler: async (request, context) => {
+        try {
+            const user = await auth.authenticateRequest(request);
+            
+            if (!user) {
+                return auth.errorResponse(401, 'Authentication required');
+            }
+            
+            const { projectId, userId } = request.params;
+            const body = await request.json();
+            const { role } = body;
+            
+            if (!permissions.isValidProjectRole(role)) {
+                return auth.errorResponse(400, 'Invalid project role', {
+                    roles: permissions.PROJECT_ROLES
+                });
+            }
+            
+            await db.initDatabase();
+            
+            const project = await db.getProjectById(projectId, user.organizationId);
+            
+            if (!project) {
+                return auth.errorResponse(404, 'Project not found');
+            }
+            
+            if (!permissions.can(user, project, 'manageMembers')) {
+                return auth.errorResponse(403, 'Only project leads can manage members');
+            }
+            
+            const memberUser = await db.getUserById(userId);
+            const member = memberUser && memberships.asMember(memberUser, user.organizationId);
+            
+            if (!member) {
+                return auth.errorResponse(404, 'User not found');
+            }
+            
+            if (!permissions.canHoldRole(member.role, role)) {
+                return auth.errorResponse(400, `A ${member.role} cannot be given the ${role} role`);
+            }
+            
+            const updatedProject = await db.updateProject(projectId, user.organizationId, {
+                members: permissions.withMember(project, userId, role)
+            });
+            
+            const previous = permissions.getMembers(project).find(m => m.userId === userId);
+            
+            await audit.record(context, request, {
+                organizationId: user.organizationId,
+                actor: user,
+                action: 'project.member-set',
+                target: projectTarget(project),
+                before: { userId, email: member.email, role: previous ? previous.role : null },
+                after: { userId, email: member.email, role }
+            });
+            
+            return auth.successResponse({ project: withMyRole(updatedProject, user) });
+            
+        } catch (error) {
+            context.error('Set project member error:', error);
+            return auth.errorResponse(500, 'Internal server error');
+        }
+    }
+});
+
+// DELETE /api/projects/:projectId/members/:userId - Remove a member from the project
+app.http('removeProjectMember', {
+    methods: ['DELETE'],
+    authLevel: 'anonymous',
+    route: 'projects/{projectId}/members/{userId}',
+    handler: async (request, context) => {
+        try {
+            const user = await auth.authenticateRequest(request);
+            
+            if (!user) {
+                return auth.errorResponse(401, 'Authentication required');
+            }
+            
+            const { projectId, userId } = request.params;
+            
+            await db.initDatabase();
+            
+            const project = await db.getProjectById(projectId, user.organizationId);
+            
+            if (!project) {
+                return auth.errorResponse(404, 'Project not found');
+            }
+            
+            if (!permissions.can(user, project, 'manageMembers')) {
+                return auth.errorResponse(403, 'Only project leads can manage members');
+            }
+            
+            const removed = permissions.getMembers(project).find(m => m.userId === userId);
+            
+            if (!removed) {
+                return auth.errorResponse(404, 'Member not found');
+            }
+            
+            const updatedProject = await db.updateProject(projectId, user.organizationId, {
+                members: permissions.withoutMember(project, userId)
+            });
+            
+            await audit.record(context, request, {
+                organizationId: user.organizationId,
+                actor: user,
+                action: 'project.member-removed',
+                target: projectTarget(project),
+                before: { userId, role: removed.role }
+            });
+            
+            return auth.successResponse({ project: withMyRole(updatedProject, user) });
+            
+        } catch (error) {
+            context.error('Remove project member error:', error);
+            return auth.errorResponse(500, 'Internal server error');
+        }
+    }
+});
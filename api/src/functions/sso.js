@@ -0,0 +1,211 @@
+/**
+ * Single Sign-On Functions
+ * OpenID Connect sign-in for the developer team (see shared/oidc.js)
+ * Ends in the same session and JWT as a password login, so the
+ * X-Auth-Token scheme is unchanged
+ */
+
+const { app } = require('@azure/functions');
+const { v4: uuidv4 } = require('uuid');
+const db = require('../shared/database');
+const auth = require('../shared/auth');
+const oidc = require('../shared/oidc');
+const memberships = require('../shared/memberships');
+const audit = require('../shared/audit');
+
+// Roles allowed to sign in through the identity provider
+const SSO_ROLES = ['developer', 'admin'];
+
+/**
+ * Find the user for a verified identity, provisioning a developer on first sign-in
+ * Sign-in always lands in the organization configured for SSO; an existing
+ * account without a membership there joins it as a developer
+ * Returns { user, provisioned } (user as a member of that organization) or { status, error }
+ */
+async function resolveSsoUser(claims, config) {
+    const email = String(claims.email || '').toLowerCase();
+    
+    if (!email || claims.email_verified === false) {
+        return { status: 403, error: 'Your identity provider did not supply a verified email address' };
+    }
+    
+    if (!oidc.isAllowedEmail(email)) {
+        return { status: 403, error: 'Single sign-on is only available for company accounts' };
+    }
+    
+    const identity = { issuer: claims.iss, subject: claims.sub };
+    const existing = await db.getUserByEmail(email);
+    
+    if (!existing) {
+        const user = await db.createUser({
+            id: uuidv4(),
+            email,
+            name: claims.name || [claims.given_name, claims.family_name].filter(Boolean).join(' ') || email.split('@')[0],
+            passwordHash: null,
+            role: 'developer',
+            organizationId: config.organizationId,
+            oidc: { ...identity, linkedAt: new Date().toISOString() }
+        });
+        
+        return { user, provisioned: true };
+    }
+    
+    if (!memberships.isAccountEnabled(existing)) {
+        return { status: 403, error: 'Account is disabled' };
+    }
+    
+    const membership = memberships.findMembership(existing, config.organizationId);
+    
+    if (membership && membership.isActive === false) {
+        return { status: 403, error: 'Account is disabled' };
+    }
+    
+    const membershipRole = membership ? membership.role : 'developer';
+    
+    if (!SSO_ROLES.includes(membershipRole)) {
+        return { status: 403, error: 'Single sign-on is for the developer team. Sign in with your password or an emailed link instead.' };
+    }
+    
+    // Once linked, only that identity can sign in to the account
+    if (existing.oidc && (existing.oidc.issuer !== identity.issuer || existing.oidc.subject !== identity.subject)) {
+        return { status: 403, error: 'This account is linked to a different single sign-on identity' };
+    }
+    
+    const updates = {};
+    
+    if (!existing.oidc) {
+        updates.oidc = { ...identity, linkedAt: new Date().toISOString() };
+    }
+    
+    if (!membership) {
+        Object.assign(updates, memberships.withMembership(existing, config.organizationId, { role: 'developer' }));
+    }
+    
+    if (Object.keys(updates).length > 0) {
+        await db.updateUser(existing.id, existing.email, updates);
+    }
+    
+    return {
+        user: memberships.asMember({ ...existing, ...updates }, config.organizationId),
+        provisioned: false
+    };
+}
+
+// GET /api/auth/sso - Whether single sign-on is configured (shown on the login page)
+app.http('getSsoConfig', {
+    methods: ['GET'],
+    authLevel: 'anonymous',
+    route: 'auth/sso',
+    handler: async (request, context) => {
+        const enabled = oidc.isEnabled();
+        
+        return auth.successResponse({
+            enabled,
+            label: enabled ? oidc.getConfig().label : null
+        });
+    }
+});
+
+// POST /api/auth/sso/start - Begin sign-in: returns the identity provider URL to redirect to
+app.http('startSso', {
+    methods: ['POST'],
+    authLevel: 'anonymous',
+    route: 'auth/sso/start',
+    handler: async (request, context) => {
+        try {
+            if (!oidc.isEnabled()) {
+                return auth.errorResponse(404, 'Single sign-on is not configured');
+            }
+            
+            const { authorizationUrl, state } = await oidc.createAuthorizationRequest();
+            
+            return auth.successResponse({ authorizationUrl, state });
+            
+        } catch (error) {
+            context.error('Start SSO error:', error);
+            return auth.errorResponse(502, 'Unable to reach the identity provider');
+        }
+    }
+});
+
+// POST /api/auth/sso/callback - Finish sign-in with the code the provider sent back
+app.http('completeSso', {
+    methods: ['POST'],
+    authLevel: 'anonymous',
+    route: 'auth/sso/callback',
+    handler: async (request, context) => {
+        try {
+            if (!oidc.isEnabled()) {
+                return auth.errorResponse(404, 'Single sign-on is not configured');
+            }
+            
+            const body = await request.json();
+            const { code, state } = body;
+            
+            if (!code || !state) {
+                return auth.errorResponse(400, 'Code and state are required');
+            }
+            
+            const pending = oidc.readState(state);
+            
+            if (!pending) {
+                return auth.errorResponse(400, 'Sign-in attempt expired, please try again');
+            }
+            
+            let claims;
+            try {
+                const tokens = await oidc.exchangeCode(code, pending.codeVerifier);
+                claims = await oidc.verifyIdToken(tokens.id_token, pending.nonce);
+            } catch (error) {
+                context.warn('SSO token exchange failed:', error.message);
+                return auth.errorResponse(401, 'Single sign-on failed, please try again');
+            }
+            
+            await db.initDatabase();
+            
+            const config = oidc.getConfig();
+            const result = await resolveSsoUser(claims, config);
+            
+            if (result.error) {
+                return auth.errorResponse(result.status, result.error);
+            }
+            
+            const { user } = result;
+            
+            if (result.provisioned) {
+                context.log('Provisioned developer account via SSO:', user.email);
+            }
+            
+            // Two-factor still applies on top of the identity provider
+            if (user.mfa && user.mfa.enabled) {
+                return auth.successResponse({
+                    mfaRequired: true,
+                    mfaToken: auth.generateMfaToken(user, 'mfa')
+                });
+            }
+            
+            if (await auth.requiresMfaEnrollment(user)) {
+                return auth.successResponse({
+                    mfaSetupRequired: true,
+                    mfaToken: auth.generateMfaToken(user, 'mfa-setup')
+                });
+            }
+            
+            const login = await auth.completeLogin(user, request, config.organizationId);
+            
+            await audit.record(context, request, {
+                organizationId: config.organizationId,
+                actor: user,
+                action: 'auth.login',
+                target: { type: 'user', id: user.id, name: user.email },
+                details: { method: 'sso', provisioned: !!result.provisioned }
+            });
+            
+            return auth.successResponse(login);
+            
+        } catch (error) {
+            context.error('Complete SSO error:', error);
+            return auth.errorResponse(500, 'Internal server error');
+        }
+    }
+});
@@ -0,0 +1,189 @@
+/**
+ * API Token Functions
+ * Personal access tokens for scripts and CI pipelines (developers and admins)
+ */
+
+const { app } = require('@azure/functions');
+const { v4: uuidv4 } = require('uuid');
+const db = require('../shared/database');
+const auth = require('../shared/auth');
+const audit = require('../shared/audit');
+
+const MAX_TOKEN_LIFETIME_DAYS = 365;
+
+/**
+ * What the settings view shows for a token - never the hash
+ */
+function describeApiToken(apiToken) {
+    return {
+        id: apiToken.id,
+        name: apiToken.name,
+        prefix: apiToken.prefix,
+        scopes: apiToken.scopes,
+        projectIds: apiToken.projectIds,
+        expiresAt: apiToken.expiresAt,
+        createdAt: apiToken.createdAt,
+        lastUsedAt: apiToken.lastUsedAt,
+        lastUsedIp: apiToken.lastUsedIp
+    };
+}
+
+function tokenTarget(apiToken) {
+    return { type: 'api-token', id: apiToken.id, name: apiToken.name };
+}
+
+// GET /api/auth/tokens - List the current user's API tokens
+app.http('listApiTokens', {
+    methods: ['GET'],
+    authLevel: 'anonymous',
+    route: 'auth/tokens',
+    handler: async (request, context) => {
+        try {
+            const user = await auth.authenticateRequest(request);
+            
+            if (!user) {
+                return auth.errorResponse(401, 'Authentication required');
+            }
+            
+            await db.initDatabase();
+            
+            const tokens = await db.getApiTokensForUser(user.userId);
+            
+            return auth.successResponse({
+                tokens: tokens.map(describeApiToken),
+                availableScopes: auth.API_TOKEN_SCOPES
+            });
+            
+        } catch (error) {
+            context.error('List API tokens error:', error);
+            return auth.errorResponse(500, 'Internal server error');
+        }
+    }
+});
+
+// POST /api/auth/tokens - Create an API token (the token itself is only returned once)
+app.http('createApiToken', {
+    methods: ['POST'],
+    authLevel: 'anonymous',
+    route: 'auth/tokens',
+    handler: async (request, context) => {
+        try {
+            const user = await auth.authenticateRequest(request);
+            
+            if (!user) {
+                return auth.errorResponse(401, 'Authentication required');
+            }
+            
+            if (!auth.hasRole(user, ['developer', 'admin'])) {
+                return auth.errorResponse(403, 'Only developers can create API tokens');
+            }
+            
+            await db.initDatabase();
+            
+            const body = await request.json();
+            const { name, scopes, projectIds, expiresInDays } = body;
+            
+            if (!name || !name.trim()) {
+                return auth.errorResponse(400, 'Token name is required');
+            }
+            
+            if (!Array.isArray(scopes) || scopes.length === 0 ||
+                !scopes.every(scope => auth.API_TOKEN_SCOPES[scope])) {
+                return auth.errorResponse(400, 'Choose at least one valid scope', {
+                    availableScopes: Object.keys(auth.API_TOKEN_SCOPES)
+                });
+            }
+            
+            if (!Array.isArray(projectIds) || projectIds.length === 0) {
+                return auth.errorResponse(400, 'Choose at least one project');
+            }
+            
+            for (const projectId of projectIds) {
+                const project = await db.getProjectById(projectId, user.organizationId);
+                if (!project) {
+                    return auth.errorResponse(400, `Project not found: ${projectId}`);
+                }
+            }
+            
+            let expiresAt = null;
+            if (expiresInDays !== undefined && expiresInDays !== null) {
+                const days = parseInt(expiresInDays);
+                if (!days || days < 1 || days > MAX_TOKEN_LIFETIME_DAYS) {
+                    return auth.errorResponse(400, `Expiry must be between 1 and ${MAX_TOKEN_LIFETIME_DAYS} days`);
+                }
+                expiresAt = new Date(Date.now() + days * 24 * 60 * 60 * 1000).toISOString();
+            }
+            
+            const token = auth.generateApiToken();
+            
+            const apiToken = await db.createApiToken({
+                id: uuidv4(),
+                userId: user.userId,
+                organizationId: user.organizationId,
+                name: name.trim(),
+                tokenHash: auth.hashToken(token),
+                prefix: token.slice(0, 12),
+                scopes: [...new Set(scopes)],
+                projectIds: [...new Set(projectIds)],
+                expiresAt
+            });
+            
+            await audit.record(context, request, {
+                organizationId: user.organizationId,
+                actor: user,
+                action: 'token.created',
+                target: tokenTarget(apiToken),
+                after: { scopes: apiToken.scopes, projectIds: apiToken.projectIds, expiresAt }
+            });
+            
+            return auth.successResponse({
+                token,
+                apiToken: describeApiToken(apiToken)
+            }, 201);
+            
+        } catch (error) {
+            context.error('Create API token error:', error);
+            return auth.errorResponse(500, 'Internal server error');
+        }
+    }
+});
+
+// DELETE /api/auth/tokens/{tokenId} - Revoke an API token
+app.http('revokeApiToken', {
+    methods: ['DELETE'],
+    authLevel: 'anonymous',
+    route: 'auth/tokens/{tokenId}',
+    handler: async (request, context) => {
+        try {
+            const user = await auth.authenticateRequest(request);
+            
+            if (!user) {
+                return auth.errorResponse(401, 'Authentication required');
+            }
+            
+            const { tokenId } = request.params;
+            
+            await db.initDatabase();
+            
+            const revoked = await db.revokeApiToken(tokenId, user.userId);
+            
+            if (!revoked) {
+                return auth.errorResponse(404, 'Token not found');
+            }
+            
+            await audit.record(context, request, {
+                organizationId: revoked.organizationId,
+                actor: user,
+                action: 'token.revoked',
+                target: tokenTarget(revoked),
+                before: { scopes: revoked.scopes, projectIds: revoked.projectIds }
+            });
+            
+            return auth.successResponse({ message: 'Token revoked' });
+            
+        } catch (error) {
+            context.error('Revoke API token error:', error);
+            return auth.errorResponse(500, 'Internal server error');
+        }
+    }
+});
@@ -0,0 +1,226 @@
+/**
+ * Trash Functions
+ * Deleted projects wait in the trash until they are restored or purged
+ * Project leads see the trashed projects they lead; admins see all of them
+ * The retention rules are in shared/trash.js
+ */
+
+const { app } = require('@azure/functions');
+const db = require('../shared/database');
+const auth = require('../shared/auth');
+const permissions = require('../shared/permissions');
+const trash = require('../shared/trash');
+const audit = require('../shared/audit');
+
+const PURGE_SCHEDULE = process.env.TRASH_PURGE_SCHEDULE || '0 0 3 * * *';
+
+/**
+ * Trashed project as listed to the caller
+ */
+async function describeTrashed(project) {
+    const feedback = await db.getFeedbackByProject(project.id);
+    
+    return {
+        id: project.id,
+        name: project.name,
+        client: project.client,
+        status: project.status,
+        deletedAt: project.deletedAt,
+        deletedBy: project.deletedBy,
+        deletedByName: project.deletedByName,
+        purgeAfter: project.purgeAfter,
+        feedbackCount: feedback.length
+    };
+}
+
+/**
+ * Trashed projects the caller may restore or purge
+ */
+async function getTrashFor(user) {
+    const projects = await db.getDeletedProjects(user.organizationId);
+    return projects.filter(project => permissions.can(user, project, 'delete'));
+}
+
+/**
+ * Purge a trashed project and record it - actor is null for the scheduled purge
+ */
+async function purge(context, request, actor, project) {
+    const deleted = await trash.purgeProject(project);
+    
+    await audit.record(context, request, {
+        organizationId: project.organizationId,
+        actor,
+        action: 'project.purged',
+        target: { type: 'project', id: project.id, name: project.name },
+        before: trash.snapshot(project),
+        details: deleted
+    });
+    
+    return deleted;
+}
+
+// GET /api/trash - List deleted projects that can still be restored
+app.http('listTrash', {
+    methods: ['GET'],
+    authLevel: 'anonymous',
+    route: 'trash',
+    handler: async (request, context) => {
+        try {
+            const user = await auth.authenticateRequest(request);
+            
+            if (!user) {
+                return auth.errorResponse(401, 'Authentication required');
+            }
+            
+            await db.initDatabase();
+            
+            const projects = [];
+            for (const project of await getTrashFor(user)) {
+                projects.push(await describeTrashed(project));
+            }
+            
+            return auth.successResponse({ projects, retentionDays: trash.RETENTION_DAYS });
+            
+        } catch (error) {
+            context.error('List trash error:', error);
+            return auth.errorResponse(500, 'Internal server error');
+        }
+    }
+});
+
+// POST /api/trash/:projectId/restore - Take a project back out of the trash (project leads only)
+app.http('restoreProject', {
+    methods: ['POST'],
+    authLevel: 'anonymous',
+    route: 'trash/{projectId}/restore',
+    handler: async (request, context) => {
+        try {
+            const user = await auth.authenticateRequest(request);
+            
+            if (!user) {
+                return auth.errorResponse(401, 'Authentication required');
+            }
+            
+            const { projectId } = request.params;
+            
+            await db.initDatabase();
+            
+            const project = await db.getProjectById(projectId, user.organizationId, { includeDeleted: true });
+            
+            if (!project || !project.deletedAt) {
+                return auth.errorResponse(404, 'Project not found in the trash');
+            }
+            
+            if (!permissions.can(user, project, 'delete')) {
+                return auth.errorResponse(403, 'Only project leads can restore projects');
+            }
+            
+            await db.updateProject(projectId, user.organizationId, trash.restored());
+            
+            await audit.record(context, request, {
+                organizationId: user.organizationId,
+                actor: user,
+                action: 'project.restored',
+                target: { type: 'project', id: project.id, name: project.name },
+                before: { deletedAt: project.deletedAt, deletedBy: project.deletedBy }
+            });
+            
+            // Its feedback was never removed, so it comes back as it was
+            return auth.successResponse({ message: 'Project restored' });
+            
+        } catch (error) {
+            context.error('Restore project error:', error);
+            return auth.errorResponse(500, 'Internal server error');
+        }
+    }
+});
+
+// DELETE /api/trash/:projectId - Delete a trashed project and its feedback for good (project leads only)
+app.http('purgeProject', {
+    methods: ['DELETE'],
+    authLevel: 'anonymous',
+    route: 'trash/{projectId}',
+    handler: async (request, context) => {
+        try {
+            const user = await auth.authenticateRequest(request);
+            
+            if (!user) {
+                return auth.errorResponse(401, 'Authentication required');
+            }
+            
+            const { projectId } = request.params;
+            
+            await db.initDatabase();
+            
+            const project = await db.getProjectById(projectId, user.organizationId, { includeDeleted: true });
+            
+            if (!project || !project.deletedAt) {
+                return auth.errorResponse(404, 'Project not found in the trash');
+            }
+            
+            if (!permissions.can(user, project, 'delete')) {
+                return auth.errorResponse(403, 'Only project leads can delete projects');
+            }
+            
+            const deleted = await purge(context, request, user, project);
+            
+            return auth.successResponse({ message: 'Project deleted permanently', deleted });
+            
+        } catch (error) {
+            context.error('Purge project error:', error);
+            return auth.errorResponse(500, 'Internal server error');
+        }
+    }
+});
+
+// DELETE /api/trash - Empty the trash: delete every trashed project the caller leads for good
+app.http('emptyTrash', {
+    methods: ['DELETE'],
+    authLevel: 'anonymous',
+    route: 'trash',
+    handler: async (request, context) => {
+        try {
+            const user = await auth.authenticateRequest(request);
+            
+            if (!user) {
+                return auth.errorResponse(401, 'Authentication required');
+            }
+            
+            await db.initDatabase();
+            
+            const deleted = { projects: 0, feedback: 0, guestLinks: 0 };
+            for (const project of await getTrashFor(user)) {
+                const counts = await purge(context, request, user, project);
+                deleted.projects++;
+                deleted.feedback += counts.feedback;
+                deleted.guestLinks += counts.guestLinks;
+            }
+            
+            return auth.successResponse({ message: 'Trash emptied', deleted });
+            
+        } catch (error) {
+            context.error('Empty trash error:', error);
+            return auth.errorResponse(500, 'Internal server error');
+        }
+    }
+});
+
+// Timer - Purge projects that have been in the trash for longer than the retention period
+app.timer('purgeExpiredProjects', {
+    schedule: PURGE_SCHEDULE,
+    handler: async (timer, context) => {
+        try {
+            await db.initDatabase();
+            
+            const projects = await db.getExpiredDeletedProjects();
+            for (const project of projects) {
+                await purge(context, null, null, project);
+            }
+            
+            context.log(`Purged ${projects.length} project(s) from the trash`);
+            
+        } catch (error) {
+            context.error('Purge expired projects error:', error);
+        }
+    }
+});
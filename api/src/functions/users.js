@@ -8,6 +8,192 @@ const { v4: uuidv4 } = require('uuid');
 const db = require('../shared/database');
 const auth = require('../shared/auth');
 const email = require('../shared/email');
+const throttle = require('../shared/throttle');
+const memberships = require('../shared/memberships');
+const permissions = require('../shared/permissions');
+const { parseCsv } = require('../shared/csv');
+const audit = require('../shared/audit');
+
+// Largest CSV accepted by the bulk invite
+const MAX_BULK_INVITES = 200;
+
+/**
+ * Invitation fields that are safe to return (never the token)
+ */
+function describeInvitation(invitation) {
+    return {
+        id: invitation.id,
+        email: invitation.email,
+        role: invitation.role,
+        projectIds: invitation.projectIds || [],
+        invitedByName: invitation.invitedByName,
+        createdAt: invitation.createdAt,
+        resentAt: invitation.resentAt || null,
+        expiresAt: invitation.expiresAt
+    };
+}
+
+/**
+ * Audit targets - people are identified by email, which is also what admins search for
+ */
+function invitationTarget(invitation) {
+    return { type: 'invitation', id: invitation.id, name: invitation.email };
+}
+
+function userTarget(targetUser) {
+    return { type: 'user', id: targetUser.id, name: targetUser.email };
+}
+
+/**
+ * Find a pending invitation the caller may manage
+ * Developers manage client invitations; developer invitations are for admins
+ * Returns { invitation } or { status, error }
+ */
+async function findManageableInvitation(user, invitationId) {
+    if (!auth.hasRole(user, ['developer', 'admin'])) {
+        return { status: 403, error: 'Access denied' };
+    }
+    
+    const invitation = await db.getInvitationById(invitationId, user.organizationId);
+    
+    if (!invitation || invitation.isUsed || invitation.revokedAt) {
+        return { status: 404, error: 'Invitation not found' };
+    }
+    
+    if (invitation.role !== 'client' && user.role !== 'admin') {
+        return { status: 403, error: 'Only admins can manage developer invitations' };
+    }
+    
+    return { invitation };
+}
+
+/**
+ * Projects an invitation may add its invitee to - the invitee joins them on
+ * accepting, so the inviter must be able to manage the members of each
+ * Returns { projectIds } or { status, error }
+ */
+async function checkInviteProjects(user, projectIds) {
+    if (projectIds === undefined || projectIds === null) {
+        return { projectIds: [] };
+    }
+    
+    if (!Array.isArray(projectIds)) {
+        return { status: 400, error: 'projectIds must be an array' };
+    }
+    
+    const unique = [...new Set(projectIds)];
+    
+    for (const projectId of unique) {
+        // Projects in the trash aren't found
+        const project = await db.getProjectById(projectId, user.organizationId);
+        if (!project) {
+            return { status: 400, error: `Project not found: ${projectId}` };
+        }
+        if (!permissions.can(user, project, 'manageMembers')) {
+            return { status: 403, error: `You can't add people to ${project.name}` };
+        }
+    }
+    
+    return { projectIds: unique };
+}
+
+/**
+ * Check one invitation against the invite rules (used for single and bulk invites)
+ * invite is { email, role, projectIds, name }
+ * Returns { invite } ready for sendNewInvitation, or { status, error }
+ */
+async function checkInvite(user, { email: inviteEmail, role, projectIds, name }) {
+    if (!inviteEmail) {
+        return { status: 400, error: 'Email is required' };
+    }
+    
+    // Validate email format
+    const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+    if (!emailRegex.test(inviteEmail)) {
+        return { status: 400, error: 'Invalid email format' };
+    }
+    
+    // People with an account elsewhere can be invited; members of this organization can't
+    const existingUser = await db.getUserByEmail(inviteEmail);
+    if (existingUser && memberships.findMembership(existingUser, user.organizationId)) {
+        return { status: 400, error: 'This person is already a member of your organization' };
+    }
+    
+    // Check for existing pending invitation
+    const existingInvite = await db.getInvitationByEmail(inviteEmail, user.organizationId);
+    if (existingInvite && new Date(existingInvite.expiresAt) > new Date()) {
+        return { status: 400, error: 'An active invitation already exists for this email. Resend it instead.' };
+    }
+    
+    // Validate role
+    const allowedRoles = ['client', 'developer'];
+    const userRole = role || 'client';
+    if (!allowedRoles.includes(userRole)) {
+        return { status: 400, error: 'Invalid role' };
+    }
+    
+    // Only admins can invite developers
+    if (userRole === 'developer' && user.role !== 'admin') {
+        return { status: 403, error: 'Only admins can invite developers' };
+    }
+    
+    const projects = await checkInviteProjects(user, projectIds);
+    if (projects.error) {
+        return projects;
+    }
+    
+    return {
+        invite: {
+            email: inviteEmail,
+            name: name || null,
+            role: userRole,
+            projectIds: projects.projectIds
+        }
+    };
+}
+
+/**
+ * Create an invitation that passed checkInvite and email it
+ * Returns { invitation, emailSent }
+ */
+async function sendNewInvitation(user, invite, organization) {
+    const invitation = await db.createInvitation({
+        id: uuidv4(),
+        ...invite,
+        token: auth.generateInviteToken(),
+        invitedBy: user.userId,
+        invitedByName: user.name,
+        organizationId: user.organizationId,
+        expiresAt: auth.invitationExpiry()
+    });
+    
+    const emailResult = await email.sendInvitationEmail(invitation, user.name, organization?.name);
+    
+    return { invitation, emailSent: emailResult.success };
+}
+
+/**
+ * Lower someone's project roles to what their new organization role may hold,
+ * so a developer made a client stops leading projects
+ * Returns the changes as [{ project, from, to }]
+ */
+async function capProjectRoles(userId, organizationId, role) {
+    const projects = await db.getProjectsForUser(userId, null, organizationId, { includeDeleted: true });
+    const capped = permissions.defaultRoleFor(role);
+    const changes = [];
+    
+    for (const project of projects) {
+        const member = permissions.getMembers(project).find(m => m.userId === userId);
+        if (!member || permissions.canHoldRole(role, member.role)) continue;
+        
+        await db.updateProject(project.id, organizationId, {
+            members: permissions.getMembers(project).map(m => m.userId === userId ? { ...m, role: capped } : m)
+        });
+        changes.push({ project, from: member.role, to: capped });
+    }
+    
+    return changes;
+}
 
 // POST /api/users/invite - Invite a new user (developers only)
 app.http('inviteUser', {
@@ -16,7 +202,7 @@ app.http('inviteUser', {
     route: 'users/invite',
     handler: async (request, context) => {
         try {
-            const user = auth.authenticateRequest(request);
+            const user = await auth.authenticateRequest(request);
             
             if (!user) {
                 return auth.errorResponse(401, 'Authentication required');
@@ -29,58 +215,23 @@ app.http('inviteUser', {
             await db.initDatabase();
             
             const body = await request.json();
-            const { email: inviteEmail, role, projectIds } = body;
-            
-            if (!inviteEmail) {
-                return auth.errorResponse(400, 'Email is required');
-            }
-            
-            // Validate email format
-            const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
-            if (!emailRegex.test(inviteEmail)) {
-                return auth.errorResponse(400, 'Invalid email format');
-            }
             
-            // Check if user already exists
-            const existingUser = await db.getUserByEmail(inviteEmail);
-            if (existingUser) {
-                return auth.errorResponse(400, 'A user with this email already exists');
+            const checked = await checkInvite(user, body);
+            if (checked.error) {
+                return auth.errorResponse(checked.status, checked.error);
             }
             
-            // Check for existing pending invitation
-            const existingInvite = await db.getInvitationByEmail(inviteEmail);
-            if (existingInvite && !existingInvite.isUsed && new Date(existingInvite.expiresAt) > new Date()) {
-                return auth.errorResponse(400, 'An active invitation already exists for this email');
-            }
+            const organization = await db.getOrganization(user.organizationId);
+            const { invitation, emailSent } = await sendNewInvitation(user, checked.invite, organization);
             
-            // Validate role
-            const allowedRoles = ['client', 'developer'];
-            const userRole = role || 'client';
-            if (!allowedRoles.includes(userRole)) {
-                return auth.errorResponse(400, 'Invalid role');
-            }
-            
-            // Only admins can invite developers
-            if (userRole === 'developer' && user.role !== 'admin') {
-                return auth.errorResponse(403, 'Only admins can invite developers');
-            }
-            
-            // Create invitation
-            const invitation = await db.createInvitation({
-                id: uuidv4(),
-                email: inviteEmail,
-                token: auth.generateInviteToken(),
-                role: userRole,
-                projectIds: projectIds || [],
-                invitedBy: user.userId,
-                invitedByName: user.name,
+            await audit.record(context, request, {
                 organizationId: user.organizationId,
-                expiresAt: new Date(Date.now() + 7 * 24 * 60 * 60 * 1000).toISOString() // 7 days
+                actor: user,
+                action: 'invitation.created',
+                target: invitationTarget(invitation),
+                after: checked.invite
             });
             
-            // Send invitation email
-            const emailResult = await email.sendInvitationEmail(invitation, user.name);
-            
             return auth.successResponse({
                 invitation: {
                     id: invitation.id,
@@ -88,7 +239,7 @@ app.http('inviteUser', {
                     role: invitation.role,
                     expiresAt: invitation.expiresAt
                 },
-                emailSent: emailResult.success
+                emailSent
             }, 201);
             
         } catch (error) {
@@ -98,6 +249,156 @@ app.http('inviteUser', {
     }
 });
 
+/**
+ * Read and check every row of a bulk invite CSV
+ * Columns (by header, any order): email, name, role, projects - projects are
+ * project names separated by semicolons
+ * Returns { rows: [{ line, email, name, role, projects, invite?, error? }] } or { error }
+ */
+async function checkBulkInvites(user, csvText) {
+    const [header, ...records] = parseCsv(csvText);
+    
+    if (!header) {
+        return { error: 'The CSV is empty' };
+    }
+    
+    const columns = header.map(cell => cell.toLowerCase());
+    const column = (record, name) => (columns.includes(name) ? record[columns.indexOf(name)] || '' : '');
+    
+    if (!columns.includes('email')) {
+        return { error: 'The first row must be a header with an "email" column' };
+    }
+    
+    if (records.length === 0) {
+        return { error: 'The CSV has no rows to invite' };
+    }
+    
+    if (records.length > MAX_BULK_INVITES) {
+        return { error: `At most ${MAX_BULK_INVITES} people can be invited at once` };
+    }
+    
+    // Project names resolve against the projects the inviter can see
+    const projects = await db.getProjectsForUser(user.userId, user.role, user.organizationId);
+    const projectsByName = new Map(projects.map(p => [p.name.trim().toLowerCase(), p]));
+    
+    const seen = new Map();
+    const rows = [];
+    
+    for (const [index, record] of records.entries()) {
+        const row = {
+            line: index + 2,
+            email: column(record, 'email').toLowerCase(),
+            name: column(record, 'name'),
+            role: column(record, 'role').toLowerCase() || 'client',
+            projects: column(record, 'projects').split(';').map(name => name.trim()).filter(Boolean)
+        };
+        rows.push(row);
+        
+        if (seen.has(row.email)) {
+            row.error = `Duplicate of line ${seen.get(row.email)}`;
+            continue;
+        }
+        seen.set(row.email, row.line);
+        
+        const unknown = row.projects.filter(name => !projectsByName.has(name.toLowerCase()));
+        if (unknown.length > 0) {
+            row.error = `Unknown project${unknown.length === 1 ? '' : 's'}: ${unknown.join(', ')}`;
+            continue;
+        }
+        
+        const checked = await checkInvite(user, {
+            email: row.email,
+            name: row.name,
+            role: row.role,
+            projectIds: row.projects.map(name => projectsByName.get(name.toLowerCase()).id)
+        });
+        
+        if (checked.error) {
+            row.error = checked.error;
+        } else {
+            row.invite = checked.invite;
+        }
+    }
+    
+    return { rows };
+}
+
+// POST /api/users/invite/bulk - Invite everyone in a CSV (developers only)
+// With dryRun the rows are only checked, so the caller can preview errors before sending
+app.http('bulkInviteUsers', {
+    methods: ['POST'],
+    authLevel: 'anonymous',
+    route: 'users/invite/bulk',
+    handler: async (request, context) => {
+        try {
+            const user = await auth.authenticateRequest(request);
+            
+            if (!user) {
+                return auth.errorResponse(401, 'Authentication required');
+            }
+            
+            if (!auth.hasRole(user, ['developer', 'admin'])) {
+                return auth.errorResponse(403, 'Only developers can invite users');
+            }
+            
+            await db.initDatabase();
+            
+            const body = await request.json();
+            const { csv, dryRun } = body;
+            
+            if (typeof csv !== 'string' || !csv.trim()) {
+                return auth.errorResponse(400, 'CSV content is required');
+            }
+            
+            const checked = await checkBulkInvites(user, csv);
+            if (checked.error) {
+                return auth.errorResponse(400, checked.error);
+            }
+            
+            const organization = dryRun ? null : await db.getOrganization(user.organizationId);
+            const results = [];
+            
+            for (const { invite, ...row } of checked.rows) {
+                if (row.error) {
+                    results.push({ ...row, status: 'invalid' });
+                } else if (dryRun) {
+                    results.push({ ...row, status: 'ready' });
+                } else {
+                    const { invitation, emailSent } = await sendNewInvitation(user, invite, organization);
+                    results.push({ ...row, status: 'invited', emailSent });
+                    
+                    await audit.record(context, request, {
+                        organizationId: user.organizationId,
+                        actor: user,
+                        action: 'invitation.created',
+                        target: invitationTarget(invitation),
+                        after: invite,
+                        details: { bulk: true, line: row.line }
+                    });
+                }
+            }
+            
+            const summary = {
+                total: results.length,
+                invalid: results.filter(r => r.status === 'invalid').length,
+                ready: results.filter(r => r.status === 'ready').length,
+                invited: results.filter(r => r.status === 'invited').length,
+                emailFailed: results.filter(r => r.status === 'invited' && !r.emailSent).length
+            };
+            
+            if (!dryRun) {
+                context.log('Bulk invite by', user.email, summary);
+            }
+            
+            return auth.successResponse({ dryRun: !!dryRun, rows: results, summary });
+            
+        } catch (error) {
+            context.error('Bulk invite error:', error);
+            return auth.errorResponse(500, 'Internal server error');
+        }
+    }
+});
+
 // GET /api/users - List all users (developers only)
 app.http('listUsers', {
     methods: ['GET'],
@@ -105,7 +406,7 @@ app.http('listUsers', {
     route: 'users',
     handler: async (request, context) => {
         try {
-            const user = auth.authenticateRequest(request);
+            const user = await auth.authenticateRequest(request);
             
             if (!user) {
                 return auth.errorResponse(401, 'Authentication required');
@@ -135,7 +436,7 @@ app.http('listClients', {
     route: 'users/clients',
     handler: async (request, context) => {
         try {
-            const user = auth.authenticateRequest(request);
+            const user = await auth.authenticateRequest(request);
             
             if (!user) {
                 return auth.errorResponse(401, 'Authentication required');
@@ -165,7 +466,7 @@ app.http('listInvitations', {
     route: 'users/invitations',
     handler: async (request, context) => {
         try {
-            const user = auth.authenticateRequest(request);
+            const user = await auth.authenticateRequest(request);
             
             if (!user) {
                 return auth.errorResponse(401, 'Authentication required');
@@ -179,17 +480,7 @@ app.http('listInvitations', {
             
             const invitations = await db.getPendingInvitations(user.organizationId);
             
-            // Filter out sensitive data
-            const safeInvitations = invitations.map(inv => ({
-                id: inv.id,
-                email: inv.email,
-                role: inv.role,
-                invitedByName: inv.invitedByName,
-                createdAt: inv.createdAt,
-                expiresAt: inv.expiresAt
-            }));
-            
-            return auth.successResponse({ invitations: safeInvitations });
+            return auth.successResponse({ invitations: invitations.map(describeInvitation) });
             
         } catch (error) {
             context.error('List invitations error:', error);
@@ -198,6 +489,214 @@ app.http('listInvitations', {
     }
 });
 
+// GET /api/users/:userId - User details for the admin console (admins only)
+app.http('getUser', {
+    methods: ['GET'],
+    authLevel: 'anonymous',
+    route: 'users/{userId}',
+    handler: async (request, context) => {
+        try {
+            const user = await auth.authenticateRequest(request);
+            
+            if (!user) {
+                return auth.errorResponse(401, 'Authentication required');
+            }
+            
+            if (!auth.hasRole(user, ['admin'])) {
+                return auth.errorResponse(403, 'Access denied');
+            }
+            
+            const { userId } = request.params;
+            
+            await db.initDatabase();
+            
+            const targetUser = await db.getUserById(userId);
+            if (!targetUser || !memberships.findMembership(targetUser, user.organizationId)) {
+                return auth.errorResponse(404, 'User not found');
+            }
+            
+            // Projects they were added to (admins can open every project, but only list these)
+            const projects = await db.getProjectsForUser(userId, null, user.organizationId);
+            const feedbackCount = await db.countFeedbackByAuthor(userId, user.organizationId);
+            const sessions = await db.getActiveSessionsForUser(userId);
+            
+            return auth.successResponse({
+                user: db.toOrganizationUser(targetUser, user.organizationId),
+                projects: projects.map(project => ({
+                    id: project.id,
+                    name: project.name,
+                    status: project.status,
+                    role: permissions.getMembers(project).find(m => m.userId === userId)?.role || null
+                })),
+                feedbackCount,
+                activeSessions: sessions.filter(s => s.organizationId === user.organizationId).length
+            });
+            
+        } catch (error) {
+            context.error('Get user error:', error);
+            return auth.errorResponse(500, 'Internal server error');
+        }
+    }
+});
+
+// POST /api/users/invitations/{invitationId}/resend - Send a fresh link: new token, new expiry
+app.http('resendInvitation', {
+    methods: ['POST'],
+    authLevel: 'anonymous',
+    route: 'users/invitations/{invitationId}/resend',
+    handler: async (request, context) => {
+        try {
+            const user = await auth.authenticateRequest(request);
+            
+            if (!user) {
+                return auth.errorResponse(401, 'Authentication required');
+            }
+            
+            await db.initDatabase();
+            
+            const result = await findManageableInvitation(user, request.params.invitationId);
+            if (result.error) {
+                return auth.errorResponse(result.status, result.error);
+            }
+            
+            // The old link stops working - only the newest email can be used
+            const invitation = await db.updateInvitation(result.invitation.id, result.invitation.email, {
+                token: auth.generateInviteToken(),
+                expiresAt: auth.invitationExpiry(),
+                resentAt: new Date().toISOString(),
+                resendCount: (result.invitation.resendCount || 0) + 1
+            });
+            
+            const organization = await db.getOrganization(user.organizationId);
+            const emailResult = await email.sendInvitationEmail(invitation, user.name, organization?.name);
+            
+            await audit.record(context, request, {
+                organizationId: user.organizationId,
+                actor: user,
+                action: 'invitation.resent',
+                target: invitationTarget(invitation),
+                before: { expiresAt: result.invitation.expiresAt },
+                after: { expiresAt: invitation.expiresAt }
+            });
+            
+            return auth.successResponse({
+                invitation: describeInvitation(invitation),
+                emailSent: emailResult.success
+            });
+            
+        } catch (error) {
+            context.error('Resend invitation error:', error);
+            return auth.errorResponse(500, 'Internal server error');
+        }
+    }
+});
+
+// PATCH /api/users/invitations/{invitationId} - Change the role or projects of a pending invitation
+app.http('updateInvitation', {
+    methods: ['PATCH'],
+    authLevel: 'anonymous',
+    route: 'users/invitations/{invitationId}',
+    handler: async (request, context) => {
+        try {
+            const user = await auth.authenticateRequest(request);
+            
+            if (!user) {
+                return auth.errorResponse(401, 'Authentication required');
+            }
+            
+            await db.initDatabase();
+            
+            const result = await findManageableInvitation(user, request.params.invitationId);
+            if (result.error) {
+                return auth.errorResponse(result.status, result.error);
+            }
+            
+            const body = await request.json();
+            const updates = {};
+            
+            if (body.role !== undefined) {
+                if (!['client', 'developer'].includes(body.role)) {
+                    return auth.errorResponse(400, 'Invalid role');
+                }
+                
+                if (body.role === 'developer' && user.role !== 'admin') {
+                    return auth.errorResponse(403, 'Only admins can invite developers');
+                }
+                
+                updates.role = body.role;
+            }
+            
+            if (body.projectIds !== undefined) {
+                const projects = await checkInviteProjects(user, body.projectIds);
+                if (projects.error) {
+                    return auth.errorResponse(projects.status, projects.error);
+                }
+                
+                updates.projectIds = projects.projectIds;
+            }
+            
+            if (Object.keys(updates).length === 0) {
+                return auth.errorResponse(400, 'No valid updates provided');
+            }
+            
+            const invitation = await db.updateInvitation(result.invitation.id, result.invitation.email, updates);
+            
+            await audit.record(context, request, {
+                organizationId: user.organizationId,
+                actor: user,
+                action: 'invitation.updated',
+                target: invitationTarget(invitation),
+                ...audit.changes(result.invitation, updates)
+            });
+            
+            return auth.successResponse({ invitation: describeInvitation(invitation) });
+            
+        } catch (error) {
+            context.error('Update invitation error:', error);
+            return auth.errorResponse(500, 'Internal server error');
+        }
+    }
+});
+
+// DELETE /api/users/invitations/{invitationId} - Revoke a pending invitation so its link stops working
+app.http('revokeInvitation', {
+    methods: ['DELETE'],
+    authLevel: 'anonymous',
+    route: 'users/invitations/{invitationId}',
+    handler: async (request, context) => {
+        try {
+            const user = await auth.authenticateRequest(request);
+            
+            if (!user) {
+                return auth.errorResponse(401, 'Authentication required');
+            }
+            
+            await db.initDatabase();
+            
+            const result = await findManageableInvitation(user, request.params.invitationId);
+            if (result.error) {
+                return auth.errorResponse(result.status, result.error);
+            }
+            
+            await db.revokeInvitation(result.invitation.id, result.invitation.email, user.userId);
+            
+            await audit.record(context, request, {
+                organizationId: user.organizationId,
+                actor: user,
+                action: 'invitation.revoked',
+                target: invitationTarget(result.invitation),
+                before: { role: result.invitation.role, projectIds: result.invitation.projectIds || [] }
+            });
+            
+            return auth.successResponse({ revoked: true });
+            
+        } catch (error) {
+            context.error('Revoke invitation error:', error);
+            return auth.errorResponse(500, 'Internal server error');
+        }
+    }
+});
+
 // PATCH /api/users/:userId - Update user (admin only for role changes)
 app.http('updateUser', {
     methods: ['PATCH'],
@@ -205,7 +704,7 @@ app.http('updateUser', {
     route: 'users/{userId}',
     handler: async (request, context) => {
         try {
-            const user = auth.authenticateRequest(request);
+            const user = await auth.authenticateRequest(request);
             
             if (!user) {
                 return auth.errorResponse(401, 'Authentication required');
@@ -216,33 +715,44 @@ app.http('updateUser', {
             
             await db.initDatabase();
             
-            // Get target user
+            // Get target user - only people in the caller's organization can be changed
             const targetUser = await db.getUserById(userId);
-            if (!targetUser) {
+            const membership = targetUser && memberships.findMembership(targetUser, user.organizationId);
+            
+            if (!membership) {
                 return auth.errorResponse(404, 'User not found');
             }
             
             // Users can update their own name
-            // Only admins can change roles or deactivate users
+            // Only admins can change roles or deactivate users, and only within their organization
             const isSelf = user.userId === userId;
             const isAdmin = user.role === 'admin';
             
             const allowedUpdates = {};
+            const membershipChanges = {};
             
             if (body.name && (isSelf || isAdmin)) {
                 allowedUpdates.name = body.name;
             }
             
-            if (body.role && isAdmin && body.role !== targetUser.role) {
-                const validRoles = ['client', 'developer', 'admin'];
-                if (!validRoles.includes(body.role)) {
+            if (body.role && isAdmin && body.role !== membership.role) {
+                if (!memberships.ORGANIZATION_ROLES.includes(body.role)) {
                     return auth.errorResponse(400, 'Invalid role');
                 }
-                allowedUpdates.role = body.role;
+                membershipChanges.role = body.role;
             }
             
             if (typeof body.isActive === 'boolean' && isAdmin) {
-                allowedUpdates.isActive = body.isActive;
+                membershipChanges.isActive = body.isActive;
+            }
+            
+            // Keeps at least one admin able to undo it
+            if (isSelf && (membershipChanges.role || membershipChanges.isActive === false)) {
+                return auth.errorResponse(400, 'You can\'t change your own role or deactivate yourself');
+            }
+            
+            if (Object.keys(membershipChanges).length > 0) {
+                Object.assign(allowedUpdates, memberships.withMembership(targetUser, user.organizationId, membershipChanges));
             }
             
             if (Object.keys(allowedUpdates).length === 0) {
@@ -251,7 +761,46 @@ app.http('updateUser', {
             
             const updatedUser = await db.updateUser(userId, targetUser.email, allowedUpdates);
             
-            return auth.successResponse({ user: updatedUser });
+            let action = 'user.updated';
+            if (membershipChanges.role) {
+                action = 'user.role-changed';
+            } else if (membershipChanges.isActive !== undefined) {
+                action = membershipChanges.isActive ? 'user.reactivated' : 'user.deactivated';
+            }
+            
+            await audit.record(context, request, {
+                organizationId: user.organizationId,
+                actor: user,
+                action,
+                target: userTarget(targetUser),
+                ...audit.changes(
+                    { name: targetUser.name, role: membership.role, isActive: membership.isActive !== false },
+                    { ...(allowedUpdates.name ? { name: allowedUpdates.name } : {}), ...membershipChanges }
+                )
+            });
+            
+            if (membershipChanges.role) {
+                for (const change of await capProjectRoles(userId, user.organizationId, membershipChanges.role)) {
+                    await audit.record(context, request, {
+                        organizationId: user.organizationId,
+                        actor: user,
+                        action: 'project.member-set',
+                        target: { type: 'project', id: change.project.id, name: change.project.name },
+                        before: { userId, email: targetUser.email, role: change.from },
+                        after: { userId, email: targetUser.email, role: change.to }
+                    });
+                }
+            }
+            
+            // Deactivated users must lose access to this organization immediately, not when their token expires,
+            // and a new role only takes effect in a new session (tokens carry the role)
+            if (membershipChanges.isActive === false) {
+                await db.revokeOrganizationSessions(userId, user.organizationId, 'deactivated');
+            } else if (membershipChanges.role) {
+                await db.revokeOrganizationSessions(userId, user.organizationId, 'role-changed');
+            }
+            
+            return auth.successResponse({ user: db.toOrganizationUser(updatedUser, user.organizationId) });
             
         } catch (error) {
             context.error('Update user error:', error);
@@ -259,3 +808,103 @@ app.http('updateUser', {
         }
     }
 });
+
+// POST /api/users/{userId}/unlock - Clear a sign-in lockout (admins only)
+app.http('unlockUser', {
+    methods: ['POST'],
+    authLevel: 'anonymous',
+    route: 'users/{userId}/unlock',
+    handler: async (request, context) => {
+        try {
+            const user = await auth.authenticateRequest(request);
+            
+            if (!user) {
+                return auth.errorResponse(401, 'Authentication required');
+            }
+            
+            if (!auth.hasRole(user, ['admin'])) {
+                return auth.errorResponse(403, 'Access denied');
+            }
+            
+            const { userId } = request.params;
+            
+            await db.initDatabase();
+            
+            const targetUser = await db.getUserById(userId);
+            if (!targetUser || !memberships.findMembership(targetUser, user.organizationId)) {
+                return auth.errorResponse(404, 'User not found');
+            }
+            
+            await throttle.reset('account', targetUser.email);
+            
+            // Also lift a lockout from too many wrong two-factor codes
+            if (targetUser.mfa && targetUser.mfa.lockedUntil) {
+                await db.updateUser(userId, targetUser.email, {
+                    mfa: { ...targetUser.mfa, failedAttempts: 0, lockedUntil: null }
+                });
+            }
+            
+            context.log('Account unlocked:', targetUser.email, 'by', user.email);
+            
+            await audit.record(context, request, {
+                organizationId: user.organizationId,
+                actor: user,
+                action: 'user.unlocked',
+                target: userTarget(targetUser)
+            });
+            
+            return auth.successResponse({ unlocked: true });
+            
+        } catch (error) {
+            context.error('Unlock user error:', error);
+            return auth.errorResponse(500, 'Internal server error');
+        }
+    }
+});
+
+// POST /api/users/{userId}/sign-out - End all of a user's sessions in this organization (admins only)
+app.http('signOutUser', {
+    methods: ['POST'],
+    authLevel: 'anonymous',
+    route: 'users/{userId}/sign-out',
+    handler: async (request, context) => {
+        try {
+            const user = await auth.authenticateRequest(request);
+            
+            if (!user) {
+                return auth.errorResponse(401, 'Authentication required');
+            }
+            
+            if (!auth.hasRole(user, ['admin'])) {
+                return auth.errorResponse(403, 'Access denied');
+            }
+            
+            const { userId } = request.params;
+            
+            await db.initDatabase();
+            
+            const targetUser = await db.getUserById(userId);
+            if (!targetUser || !memberships.findMembership(targetUser, user.organizationId)) {
+                return auth.errorResponse(404, 'User not found');
+            }
+            
+            const revoked = await db.revokeOrganizationSessions(userId, user.organizationId, 'signed-out-by-admin');
+            
+            context.log('Signed out', targetUser.email, 'from', revoked, 'sessions by', user.email);
+            
+            await audit.record(context, request, {
+                organizationId: user.organizationId,
+                actor: user,
+                action: 'user.signed-out',
+                target: userTarget(targetUser),
+                details: { sessionsRevoked: revoked }
+            });
+            
+            return auth.successResponse({ revoked });
+            
+        } catch (error) {
+            context.error('Sign out user error:', error);
+            return auth.errorResponse(500, 'Internal server error');
+        }
+    }
+});
@@ -0,0 +1,94 @@
+/**
+ * Audit Log
+ * Append-only record of who changed what in an organization: every change made
+ * through the project, feedback, user and auth endpoints, plus failed sign-ins.
+ * Entries are never updated or deleted.
+ */
+
+const { v4: uuidv4 } = require('uuid');
+const db = require('./database');
+const auth = require('./auth');
+
+// Never copied into an entry, wherever they turn up in before/after values
+const REDACTED_FIELDS = ['passwordHash', 'token', 'tokenHash', 'refreshTokenHash', 'mfa', 'secret'];
+
+function redact(value) {
+    if (Array.isArray(value)) {
+        return value.map(redact);
+    }
+    
+    if (value && typeof value === 'object') {
+        return Object.fromEntries(Object.entries(value)
+            .filter(([key]) => !REDACTED_FIELDS.includes(key))
+            .map(([key, nested]) => [key, redact(nested)]));
+    }
+    
+    return value === undefined ? null : value;
+}
+
+/**
+ * Before and after values for the fields an update actually changes
+ * Returns { before, after }
+ */
+function changes(previous, updates) {
+    const before = {};
+    const after = {};
+    
+    for (const [key, value] of Object.entries(updates)) {
+        if (JSON.stringify(previous[key]) !== JSON.stringify(value)) {
+            before[key] = previous[key] === undefined ? null : previous[key];
+            after[key] = value;
+        }
+    }
+    
+    return { before, after };
+}
+
+/**
+ * Actor for an entry from an authenticated payload, or from a user document
+ * when nobody is signed in yet (sign-ins, registration, password resets)
+ */
+function actorFrom(user) {
+    if (!user) return null;
+    
+    return {
+        userId: user.userId || user.id,
+        email: user.email,
+        name: user.name || null,
+        role: user.role || null,
+        apiTokenId: user.apiToken ? user.apiToken.id : null
+    };
+}
+
+/**
+ * Append an entry to the organization's audit log
+ * entry is { organizationId, actor, action, target: { type, id, name }, before, after, details }
+ * Recording never fails the request it belongs to - errors are only logged
+ */
+async function record(context, request, entry) {
+    if (!entry.organizationId) return;
+    
+    try {
+        const client = auth.getClientInfo(request);
+        
+        await db.createAuditEntry({
+            id: uuidv4(),
+            organizationId: entry.organizationId,
+            action: entry.action,
+            actor: actorFrom(entry.actor),
+            target: entry.target || null,
+            before: redact(entry.before || null),
+            after: redact(entry.after || null),
+            details: redact(entry.details || null),
+            ipAddress: client.ipAddress,
+            userAgent: client.userAgent
+        });
+    } catch (error) {
+        context.error(`Audit log error (${entry.action}):`, error);
+    }
+}
+
+module.exports = {
+    changes,
+    record
+};
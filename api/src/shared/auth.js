@@ -1,14 +1,48 @@
 /**
  * Authentication Utilities
- * JWT token management and password hashing
+ * JWT token management, server-side sessions, API tokens and password hashing
  */
 
 const jwt = require('jsonwebtoken');
 const bcrypt = require('bcryptjs');
 const crypto = require('crypto');
+const { v4: uuidv4 } = require('uuid');
+const db = require('./database');
+const memberships = require('./memberships');
 
-const JWT_SECRET = process.env.JWT_SECRET || 'development-secret-change-me';
-const JWT_EXPIRES_IN = process.env.JWT_EXPIRES_IN || '7d';
+const JWT_SECRET = (process.env.JWT_SECRET || 'development-secret-change-me').trim();
+const JWT_EXPIRES_IN = process.env.JWT_EXPIRES_IN || '15m';
+const REFRESH_TOKEN_TTL_DAYS = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS) || 30;
+const INVITATION_TTL_DAYS = parseInt(process.env.INVITATION_TTL_DAYS) || 7;
+
+// Intermediate token handed out between the password step and the TOTP step
+const MFA_TOKEN_EXPIRES_IN = '5m';
+
+// Key used to encrypt TOTP secrets at rest
+const MFA_ENCRYPTION_KEY = crypto.createHash('sha256')
+    .update(process.env.MFA_ENCRYPTION_KEY || JWT_SECRET)
+    .digest();
+
+// Two tabs refreshing at once will both present the same refresh token;
+// the loser of that race shouldn't be treated as token theft
+const REFRESH_REUSE_GRACE_MS = 30 * 1000;
+
+// Times a refresh re-reads its session after losing a write to another request
+const ROTATION_ATTEMPTS = 3;
+
+// Only write lastSeenAt back to the session this often
+const SESSION_TOUCH_INTERVAL_MS = 5 * 60 * 1000;
+
+// Personal access tokens are recognizable by their prefix (JWTs never start with it)
+const API_TOKEN_PREFIX = 'wrpat_';
+
+// Operations an API token can be granted
+const API_TOKEN_SCOPES = {
+    'projects:read': 'Read project details',
+    'feedback:read': 'Read project feedback',
+    'projects:url': 'Update the project URL',
+    'projects:status': 'Update the project status'
+};
 
 /**
  * Hash a password
@@ -22,24 +56,216 @@ async function hashPassword(password) {
  * Verify a password against its hash
  */
 async function verifyPassword(password, hash) {
+    // Accounts provisioned through single sign-on have no password
+    if (!hash) return false;
     return bcrypt.compare(password, hash);
 }
 
 /**
- * Generate JWT token for a user
+ * Generate JWT token for a user, bound to a server-side session
  */
-function generateToken(user) {
+function generateToken(user, sessionId) {
     const payload = {
         userId: user.id,
         email: user.email,
         name: user.name,
         role: user.role,
-        organizationId: user.organizationId
+        organizationId: user.organizationId,
+        sessionId
     };
     
     return jwt.sign(payload, JWT_SECRET, { expiresIn: JWT_EXPIRES_IN });
 }
 
+/**
+ * Build an opaque refresh token for a session
+ * Format: <userId>.<sessionId>.<secret> - the ids let us point-read the session
+ */
+function buildRefreshToken(userId, sessionId) {
+    return `${userId}.${sessionId}.${crypto.randomBytes(32).toString('hex')}`;
+}
+
+function refreshTokenExpiry() {
+    return new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000).toISOString();
+}
+
+/**
+ * Start a new session for a user and issue a short-lived access token
+ * plus a single-use refresh token. Records device and IP so the user
+ * can review and revoke the session later, and whether a second factor
+ * was verified when it started.
+ */
+async function issueSessionToken(user, request, { mfaVerified = false } = {}) {
+    const sessionId = uuidv4();
+    const refreshToken = buildRefreshToken(user.id, sessionId);
+    const client = getClientInfo(request);
+    
+    const session = await db.createSession({
+        id: sessionId,
+        userId: user.id,
+        organizationId: user.organizationId,
+        device: client.device,
+        userAgent: client.userAgent,
+        ipAddress: client.ipAddress,
+        refreshTokenHash: hashToken(refreshToken),
+        mfaVerifiedAt: mfaVerified ? new Date().toISOString() : null,
+        expiresAt: refreshTokenExpiry()
+    });
+    
+    await db.updateUser(user.id, user.email, { lastLogin: new Date().toISOString() });
+    
+    const token = generateToken(user, sessionId);
+    
+    return { token, refreshToken, session };
+}
+
+/**
+ * Finish a successful sign-in: start a session and build the response body
+ * The session belongs to one organization - the user's default one unless given.
+ * Pass mfaVerified when the sign-in included a two-factor code.
+ */
+async function completeLogin(user, request, organizationId = memberships.defaultOrganizationId(user), { mfaVerified = false } = {}) {
+    const member = memberships.asMember(user, organizationId);
+    
+    if (!member) {
+        throw new Error(`User ${user.id} is not an active member of ${organizationId}`);
+    }
+    
+    const { token, refreshToken } = await issueSessionToken(member, request, { mfaVerified });
+    
+    return {
+        success: true,
+        user: db.sanitizeUser(member),
+        token,
+        refreshToken
+    };
+}
+
+/**
+ * Whether the user's organization requires two-factor for their role
+ * and they haven't enrolled yet
+ */
+async function requiresMfaEnrollment(user) {
+    if (user.mfa && user.mfa.enabled) return false;
+    
+    const settings = await db.getOrganizationSettings(user.organizationId);
+    return settings.mfaRequiredRoles.includes(user.role);
+}
+
+/**
+ * Exchange a refresh token for a new one (rotation)
+ * Returns { session, refreshToken } on success or { error } where error is
+ * 'invalid', 'stale' (lost a concurrent refresh race) or 'reused' (session revoked)
+ */
+async function rotateRefreshToken(refreshToken) {
+    const parts = typeof refreshToken === 'string' ? refreshToken.split('.') : [];
+    
+    if (parts.length !== 3) {
+        return { error: 'invalid' };
+    }
+    
+    const [userId, sessionId] = parts;
+    const presentedHash = hashToken(refreshToken);
+    
+    // The write is conditional on the session as read. When it fails, read again:
+    // if another refresh rotated the token this one lost the race, and if the
+    // session was only touched by a request in between, try again
+    for (let attempt = 0; attempt < ROTATION_ATTEMPTS; attempt++) {
+        const session = await db.getSession(sessionId, userId);
+        
+        if (!session || session.revokedAt || new Date(session.expiresAt) < new Date()) {
+            return { error: 'invalid' };
+        }
+        
+        if (presentedHash !== session.refreshTokenHash) {
+            const rotatedRecently = session.previousRefreshTokenHash === presentedHash &&
+                Date.now() - new Date(session.refreshTokenRotatedAt).getTime() < REFRESH_REUSE_GRACE_MS;
+            
+            if (rotatedRecently) {
+                return { error: 'stale' };
+            }
+            
+            // A spent refresh token was replayed - assume it leaked and kill the session
+            await db.revokeSession(session.id, userId, 'refresh-token-reuse');
+            return { error: 'reused' };
+        }
+        
+        const nextRefreshToken = buildRefreshToken(userId, sessionId);
+        
+        const updatedSession = await db.updateSessionIfUnchanged(session, {
+            refreshTokenHash: hashToken(nextRefreshToken),
+            previousRefreshTokenHash: presentedHash,
+            refreshTokenRotatedAt: new Date().toISOString(),
+            refreshGeneration: (session.refreshGeneration || 0) + 1,
+            lastSeenAt: new Date().toISOString(),
+            expiresAt: refreshTokenExpiry()
+        });
+        
+        if (updatedSession) {
+            return { session: updatedSession, refreshToken: nextRefreshToken };
+        }
+    }
+    
+    return { error: 'stale' };
+}
+
+/**
+ * Issue a short-lived token proving the password step of login succeeded
+ * purpose is 'mfa' (enter a code) or 'mfa-setup' (enrollment is required first)
+ */
+function generateMfaToken(user, purpose) {
+    return jwt.sign({ userId: user.id, purpose }, JWT_SECRET, { expiresIn: MFA_TOKEN_EXPIRES_IN });
+}
+
+/**
+ * Verify an intermediate MFA token, returning its payload or null
+ */
+function verifyMfaToken(token, purpose) {
+    const payload = verifyToken(token);
+    if (!payload || payload.purpose !== purpose) return null;
+    return payload;
+}
+
+/**
+ * Issue the token behind an email's unsubscribe link
+ * With a projectId it only mutes that project; without one it turns off all
+ * notification emails. It doesn't expire, so links in old emails keep working,
+ * and it can't do anything but change notification preferences.
+ */
+function generateUnsubscribeToken(userId, projectId = null) {
+    return jwt.sign({ userId, projectId, purpose: 'unsubscribe' }, JWT_SECRET);
+}
+
+/**
+ * Verify an unsubscribe token, returning { userId, projectId } or null
+ */
+function verifyUnsubscribeToken(token) {
+    const payload = verifyToken(token);
+    if (!payload || payload.purpose !== 'unsubscribe') return null;
+    return payload;
+}
+
+/**
+ * Encrypt a secret (e.g. a TOTP seed) for storage
+ */
+function encryptSecret(plaintext) {
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv('aes-256-gcm', MFA_ENCRYPTION_KEY, iv);
+    const encrypted = Buffer.concat([cipher.update(plaintext, 'utf8'), cipher.final()]);
+    const tag = cipher.getAuthTag();
+    return [iv, tag, encrypted].map(b => b.toString('base64')).join('.');
+}
+
+/**
+ * Decrypt a secret produced by encryptSecret
+ */
+function decryptSecret(stored) {
+    const [iv, tag, encrypted] = stored.split('.').map(part => Buffer.from(part, 'base64'));
+    const decipher = crypto.createDecipheriv('aes-256-gcm', MFA_ENCRYPTION_KEY, iv);
+    decipher.setAuthTag(tag);
+    return Buffer.concat([decipher.update(encrypted), decipher.final()]).toString('utf8');
+}
+
 /**
  * Verify and decode JWT token
  */
@@ -72,18 +298,199 @@ function extractToken(request) {
     return authToken || null;
 }
 
+/**
+ * Read a request header regardless of how the headers object is shaped
+ */
+function getHeader(request, name) {
+    // Timer functions have no request
+    if (!request || !request.headers) return null;
+    
+    if (typeof request.headers.get === 'function') {
+        return request.headers.get(name);
+    }
+    
+    return request.headers[name] || request.headers[name.toLowerCase()] || null;
+}
+
+/**
+ * The caller's IP address, as seen by the platform
+ * Throttles are keyed on it, so it must not come from anything the caller can
+ * choose: the front door's own client IP header, else the last X-Forwarded-For
+ * entry (the one appended by the last proxy - earlier entries are whatever the
+ * caller sent)
+ */
+function getClientIp(request) {
+    const platformIp = getHeader(request, 'x-azure-clientip') || getHeader(request, 'x-client-ip');
+    const forwardedFor = getHeader(request, 'x-forwarded-for');
+    const ipAddress = platformIp || (forwardedFor ? forwardedFor.split(',').pop() : null);
+    
+    return ipAddress ? ipAddress.trim().replace(/^(\d+\.\d+\.\d+\.\d+):\d+$/, '$1') || null : null;
+}
+
+/**
+ * Describe the client making the request (for the active sessions list)
+ */
+function getClientInfo(request) {
+    const userAgent = getHeader(request, 'user-agent') || '';
+    const ipAddress = getClientIp(request);
+    
+    return {
+        userAgent,
+        ipAddress: ipAddress || null,
+        device: describeUserAgent(userAgent)
+    };
+}
+
+/**
+ * Turn a user agent string into something like "Chrome on Windows"
+ */
+function describeUserAgent(userAgent) {
+    if (!userAgent) return 'Unknown device';
+    
+    const browsers = [
+        ['Edg/', 'Edge'],
+        ['OPR/', 'Opera'],
+        ['Firefox/', 'Firefox'],
+        ['Chrome/', 'Chrome'],
+        ['Safari/', 'Safari']
+    ];
+    const systems = [
+        ['iPhone', 'iPhone'],
+        ['iPad', 'iPad'],
+        ['Android', 'Android'],
+        ['Windows', 'Windows'],
+        ['Mac OS X', 'macOS'],
+        ['Linux', 'Linux']
+    ];
+    
+    const browser = browsers.find(([marker]) => userAgent.includes(marker));
+    const system = systems.find(([marker]) => userAgent.includes(marker));
+    
+    if (!browser && !system) return 'Unknown device';
+    if (!system) return browser[1];
+    if (!browser) return system[1];
+    return `${browser[1]} on ${system[1]}`;
+}
+
 /**
  * Middleware to authenticate request
- * Returns user payload or null
+ * Returns user payload or null if the token is invalid or its session was revoked
  */
-function authenticateRequest(request) {
+async function authenticateRequest(request, options = {}) {
     const token = extractToken(request);
     
     if (!token) {
         return null;
     }
     
-    return verifyToken(token);
+    if (token.startsWith(API_TOKEN_PREFIX)) {
+        return authenticateApiToken(token, request, options.scope);
+    }
+    
+    const payload = verifyToken(token);
+    
+    // Tokens issued before server-side sessions existed can't be revoked, so refuse them
+    if (!payload || !payload.sessionId) {
+        return null;
+    }
+    
+    const session = await db.getSession(payload.sessionId, payload.userId);
+    
+    if (!session || session.revokedAt) {
+        return null;
+    }
+    
+    // Only touches the session as read - if it was revoked (or rotated) meanwhile,
+    // the touch is skipped rather than writing the old copy back over it
+    if (Date.now() - new Date(session.lastSeenAt).getTime() > SESSION_TOUCH_INTERVAL_MS) {
+        const client = getClientInfo(request);
+        await db.updateSessionIfUnchanged(session, {
+            lastSeenAt: new Date().toISOString(),
+            ipAddress: client.ipAddress || session.ipAddress
+        });
+    }
+    
+    return payload;
+}
+
+/**
+ * Authenticate a personal access token
+ * Only endpoints that name a scope accept API tokens, and the token must carry
+ * one of the scopes asked for. The result looks like a JWT payload plus apiToken.
+ */
+async function authenticateApiToken(token, request, scope) {
+    const scopes = typeof scope === 'string' ? [scope] : (scope || []);
+    
+    if (scopes.length === 0) {
+        return null;
+    }
+    
+    const apiToken = await db.getApiTokenByHash(hashToken(token));
+    
+    if (!apiToken || apiToken.revokedAt) {
+        return null;
+    }
+    
+    if (apiToken.expiresAt && new Date(apiToken.expiresAt) < new Date()) {
+        return null;
+    }
+    
+    if (!scopes.some(s => apiToken.scopes.includes(s))) {
+        return null;
+    }
+    
+    // Tokens act as their owner in the token's organization, so they stop
+    // working when the owner can't sign in or leaves that organization
+    const owner = await db.getUserById(apiToken.userId);
+    const user = owner && memberships.isAccountEnabled(owner) ? memberships.asMember(owner, apiToken.organizationId) : null;
+    
+    if (!user || !hasRole(user, ['developer', 'admin'])) {
+        return null;
+    }
+    
+    if (!apiToken.lastUsedAt || Date.now() - new Date(apiToken.lastUsedAt).getTime() > SESSION_TOUCH_INTERVAL_MS) {
+        await db.updateApiToken(apiToken.id, apiToken.userId, {
+            lastUsedAt: new Date().toISOString(),
+            lastUsedIp: getClientInfo(request).ipAddress
+        });
+    }
+    
+    return {
+        userId: user.id,
+        email: user.email,
+        name: user.name,
+        role: user.role,
+        organizationId: user.organizationId,
+        apiToken: {
+            id: apiToken.id,
+            scopes: apiToken.scopes,
+            projectIds: apiToken.projectIds
+        }
+    };
+}
+
+/**
+ * Generate a new personal access token (only its hash is stored)
+ */
+function generateApiToken() {
+    return API_TOKEN_PREFIX + crypto.randomBytes(32).toString('base64url');
+}
+
+/**
+ * Whether the caller may act on a project - API tokens are limited to the
+ * projects they were created for, sessions aren't limited here
+ */
+function tokenCoversProject(user, projectId) {
+    if (!user.apiToken) return true;
+    return user.apiToken.projectIds.includes(projectId);
+}
+
+/**
+ * Whether the caller holds a scope - sessions hold every scope
+ */
+function tokenHasScope(user, scope) {
+    if (!user.apiToken) return true;
+    return user.apiToken.scopes.includes(scope);
 }
 
 /**
@@ -109,6 +516,27 @@ function generateInviteToken() {
     return crypto.randomBytes(32).toString('hex');
 }
 
+/**
+ * When an invitation sent (or resent) now stops working
+ */
+function invitationExpiry() {
+    return new Date(Date.now() + INVITATION_TTL_DAYS * 24 * 60 * 60 * 1000).toISOString();
+}
+
+/**
+ * Generate a secure random token for single-use links (password reset etc.)
+ */
+function generateOneTimeToken() {
+    return crypto.randomBytes(32).toString('hex');
+}
+
+/**
+ * Hash a one-time token for storage - only the hash is persisted
+ */
+function hashToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+}
+
 /**
  * Create response helper
  */
@@ -143,11 +571,29 @@ module.exports = {
     hashPassword,
     verifyPassword,
     generateToken,
+    issueSessionToken,
+    rotateRefreshToken,
+    completeLogin,
+    requiresMfaEnrollment,
+    generateMfaToken,
+    verifyMfaToken,
+    generateUnsubscribeToken,
+    verifyUnsubscribeToken,
+    encryptSecret,
+    decryptSecret,
     verifyToken,
     extractToken,
+    getClientInfo,
     authenticateRequest,
+    API_TOKEN_SCOPES,
+    generateApiToken,
+    tokenCoversProject,
+    tokenHasScope,
     hasRole,
     generateInviteToken,
+    invitationExpiry,
+    generateOneTimeToken,
+    hashToken,
     createResponse,
     errorResponse,
     successResponse
@@ -0,0 +1,79 @@
+/**
+ * CSV Parsing and Writing
+ * Enough of RFC 4180 for spreadsheets exported by Excel, Numbers or Google Sheets:
+ * quoted fields (with embedded commas, quotes and line breaks), CRLF line endings
+ * and a leading byte order mark
+ */
+
+/**
+ * Parse CSV text into rows of trimmed cells
+ * Completely empty lines are dropped
+ */
+function parseCsv(text) {
+    const input = String(text || '').replace(/^\uFEFF/, '');
+    const rows = [];
+    let row = [];
+    let field = '';
+    let quoted = false;
+    
+    for (let i = 0; i < input.length; i++) {
+        const char = input[i];
+        
+        if (quoted) {
+            if (char === '"' && input[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"') {
+            quoted = true;
+        } else if (char === ',') {
+            row.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && input[i + 1] === '\n') i++;
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+    
+    row.push(field);
+    rows.push(row);
+    
+    return rows
+        .map(cells => cells.map(cell => cell.trim()))
+        .filter(cells => cells.some(cell => cell !== ''));
+}
+
+/**
+ * Quote one cell for CSV output
+ * Cells a spreadsheet would run as a formula are prefixed with an apostrophe
+ */
+function formatCell(value) {
+    let text = value === null || value === undefined ? '' : String(value);
+    
+    if (/^[=+\-@\t\r]/.test(text)) {
+        text = `'${text}`;
+    }
+    
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Build CSV text (CRLF line endings) from rows of cells
+ */
+function toCsv(rows) {
+    return rows.map(cells => cells.map(formatCell).join(',')).join('\r\n') + '\r\n';
+}
+
+module.exports = {
+    parseCsv,
+    toCsv
+};
@@ -4,6 +4,7 @@
  */
 
 const { CosmosClient } = require('@azure/cosmos');
+const memberships = require('./memberships');
 
 let client = null;
 let database = null;
@@ -14,7 +15,22 @@ const CONTAINERS = {
     PROJECTS: 'projects',
     FEEDBACK: 'feedback',
     INVITATIONS: 'invitations',
-    SESSIONS: 'sessions'
+    SESSIONS: 'sessions',
+    AUTH_TOKENS: 'authTokens',
+    ORGANIZATIONS: 'organizations',
+    LOGIN_ATTEMPTS: 'loginAttempts',
+    API_TOKENS: 'apiTokens',
+    COMPANIES: 'companies',
+    AUDIT_LOG: 'auditLog',
+    NOTIFICATION_DIGESTS: 'notificationDigests',
+    GUEST_LINKS: 'guestLinks'
+};
+
+// Settings an organization gets until an admin changes them
+const DEFAULT_ORGANIZATION_SETTINGS = {
+    mfaRequiredRoles: [], // e.g. ['admin', 'developer']
+    clientMagicLinkOnly: false, // clients can't use a password, only emailed sign-in links
+    workflow: null // project statuses and transition rules (shared/workflow.js); null uses the default
 };
 
 /**
@@ -59,11 +75,30 @@ function getPartitionKey(containerName) {
         [CONTAINERS.PROJECTS]: '/organizationId',
         [CONTAINERS.FEEDBACK]: '/projectId',
         [CONTAINERS.INVITATIONS]: '/email',
-        [CONTAINERS.SESSIONS]: '/userId'
+        [CONTAINERS.SESSIONS]: '/userId',
+        [CONTAINERS.AUTH_TOKENS]: '/userId',
+        [CONTAINERS.ORGANIZATIONS]: '/id',
+        [CONTAINERS.LOGIN_ATTEMPTS]: '/id',
+        [CONTAINERS.API_TOKENS]: '/userId',
+        [CONTAINERS.COMPANIES]: '/organizationId',
+        [CONTAINERS.AUDIT_LOG]: '/organizationId',
+        [CONTAINERS.NOTIFICATION_DIGESTS]: '/userId',
+        [CONTAINERS.GUEST_LINKS]: '/projectId'
     };
     return keys[containerName] || '/id';
 }
 
+/**
+ * Every organization-owned read and write must name its organization -
+ * there is no default tenant to fall back to
+ */
+function requireOrganizationId(organizationId) {
+    if (!organizationId) {
+        throw new Error('organizationId is required');
+    }
+    return organizationId;
+}
+
 /**
  * Get container by name
  */
@@ -80,14 +115,19 @@ async function getContainer(containerName) {
 
 async function createUser(userData) {
     const container = await getContainer(CONTAINERS.USERS);
+    const organizationId = requireOrganizationId(userData.organizationId);
+    const role = userData.role || 'client'; // 'developer', 'client', 'admin'
     const user = {
         id: userData.id,
         email: userData.email.toLowerCase(),
         name: userData.name,
         passwordHash: userData.passwordHash,
-        role: userData.role || 'client', // 'developer', 'client', 'admin'
-        organizationId: userData.organizationId || 'stevensit',
+        // Default organization and the role there - see shared/memberships.js
+        role,
+        organizationId,
+        memberships: [{ organizationId, role, isActive: true, joinedAt: new Date().toISOString() }],
         assignedProjects: userData.assignedProjects || [],
+        oidc: userData.oidc || null, // { issuer, subject } once linked to a single sign-on identity
         createdAt: new Date().toISOString(),
         updatedAt: new Date().toISOString(),
         isActive: true,
@@ -136,31 +176,94 @@ async function updateUser(id, email, updates) {
     return sanitizeUser(resource);
 }
 
-async function getAllUsers(organizationId = 'stevensit') {
+/**
+ * Move a user to a new email address
+ * Email is the partition key, so the document is re-created under the new
+ * address and the old one deleted - the id (and everything keyed on it) stays the same
+ */
+async function changeUserEmail(id, oldEmail, newEmail) {
+    const container = await getContainer(CONTAINERS.USERS);
+    const user = await getUserByEmail(oldEmail);
+    
+    if (!user || user.id !== id) return null;
+    
+    // Drop Cosmos system properties from the old document
+    const { _rid, _self, _etag, _attachments, _ts, ...fields } = user;
+    
+    const { resource } = await container.items.create({
+        ...fields,
+        email: newEmail.toLowerCase(),
+        updatedAt: new Date().toISOString()
+    });
+    
+    await container.item(id, user.email).delete();
+    
+    return sanitizeUser(resource);
+}
+
+/**
+ * Delete a user document for good - see shared/privacy.js for everything
+ * that has to happen to the rest of their data first
+ */
+async function deleteUser(id, email) {
+    const container = await getContainer(CONTAINERS.USERS);
+    try {
+        await container.item(id, email.toLowerCase()).delete();
+        return true;
+    } catch (error) {
+        if (error.code === 404) return false;
+        throw error;
+    }
+}
+
+/**
+ * A user as listed inside one organization: role and active flag are the
+ * ones from their membership there
+ */
+function toOrganizationUser(user, organizationId) {
+    const membership = memberships.findMembership(user, organizationId);
+    
+    return sanitizeUser({
+        ...user,
+        organizationId,
+        role: membership.role,
+        companyId: membership.companyId || null,
+        isActive: memberships.isAccountEnabled(user) && membership.isActive !== false
+    });
+}
+
+async function getAllUsers(organizationId) {
     const container = await getContainer(CONTAINERS.USERS);
     const query = {
-        query: 'SELECT * FROM c WHERE c.organizationId = @orgId ORDER BY c.createdAt DESC',
-        parameters: [{ name: '@orgId', value: organizationId }]
+        query: `SELECT * FROM c WHERE
+                    ARRAY_CONTAINS(c.memberships, { "organizationId": @orgId }, true) OR
+                    (NOT IS_DEFINED(c.memberships) AND c.organizationId = @orgId)
+                ORDER BY c.createdAt DESC`,
+        parameters: [{ name: '@orgId', value: requireOrganizationId(organizationId) }]
     };
     
     const { resources } = await container.items.query(query).fetchAll();
-    return resources.map(sanitizeUser);
+    return resources.map(user => toOrganizationUser(user, organizationId));
 }
 
-async function getClientUsers(organizationId = 'stevensit') {
+async function getClientUsers(organizationId) {
     const container = await getContainer(CONTAINERS.USERS);
     const query = {
-        query: 'SELECT * FROM c WHERE c.organizationId = @orgId AND c.role = "client" ORDER BY c.name',
-        parameters: [{ name: '@orgId', value: organizationId }]
+        query: `SELECT * FROM c WHERE
+                    ARRAY_CONTAINS(c.memberships, { "organizationId": @orgId, "role": "client" }, true) OR
+                    (NOT IS_DEFINED(c.memberships) AND c.organizationId = @orgId AND c.role = "client")
+                ORDER BY c.name`,
+        parameters: [{ name: '@orgId', value: requireOrganizationId(organizationId) }]
     };
     
     const { resources } = await container.items.query(query).fetchAll();
-    return resources.map(sanitizeUser);
+    return resources.map(user => toOrganizationUser(user, organizationId));
 }
 
 function sanitizeUser(user) {
     if (!user) return null;
-    const { passwordHash, ...safeUser } = user;
+    const { passwordHash, mfa, ...safeUser } = user;
+    safeUser.mfaEnabled = mfa ? !!mfa.enabled : !!user.mfaEnabled;
     return safeUser;
 }
 
@@ -168,20 +271,28 @@ function sanitizeUser(user) {
 // PROJECT OPERATIONS
 // ============================================
 
+// Projects in the trash are left out of every query unless asked for (see shared/trash.js)
+const NOT_DELETED = '(NOT IS_DEFINED(c.deletedAt) OR IS_NULL(c.deletedAt))';
+
 async function createProject(projectData) {
     const container = await getContainer(CONTAINERS.PROJECTS);
     const project = {
         id: projectData.id,
         name: projectData.name,
         client: projectData.client,
+        companyId: projectData.companyId || null, // client company, see functions/companies.js
         url: projectData.url,
         description: projectData.description || '',
         thumbnail: projectData.thumbnail || '',
         status: projectData.status || 'pending',
-        organizationId: projectData.organizationId || 'stevensit',
+        organizationId: requireOrganizationId(projectData.organizationId),
         createdBy: projectData.createdBy,
-        assignedClients: projectData.assignedClients || [],
-        assignedDevelopers: projectData.assignedDevelopers || [],
+        members: projectData.members || [], // [{ userId, role }] - see shared/permissions.js
+        rounds: projectData.rounds || [], // review rounds, see shared/rounds.js
+        dueDate: projectData.dueDate || null, // review due date, see shared/deadlines.js
+        milestones: projectData.milestones || [],
+        pages: projectData.pages || [], // [{ id, title, path }] - see shared/pages.js
+        deletedAt: null, // moved to the trash, see shared/trash.js
         createdAt: new Date().toISOString(),
         updatedAt: new Date().toISOString()
     };
@@ -190,10 +301,11 @@ async function createProject(projectData) {
     return resource;
 }
 
-async function getProjectById(id, organizationId = 'stevensit') {
+async function getProjectById(id, organizationId, { includeDeleted = false } = {}) {
     const container = await getContainer(CONTAINERS.PROJECTS);
     try {
-        const { resource } = await container.item(id, organizationId).read();
+        const { resource } = await container.item(id, requireOrganizationId(organizationId)).read();
+        if (resource && resource.deletedAt && !includeDeleted) return null;
         return resource;
     } catch (error) {
         if (error.code === 404) return null;
@@ -201,20 +313,29 @@ async function getProjectById(id, organizationId = 'stevensit') {
     }
 }
 
-async function getProjectsForUser(userId, role, organizationId = 'stevensit') {
+async function getProjectsForUser(userId, role, organizationId, { includeDeleted = false } = {}) {
     const container = await getContainer(CONTAINERS.PROJECTS);
+    requireOrganizationId(organizationId);
+    const notDeleted = includeDeleted ? '' : `AND ${NOT_DELETED}`;
     let query;
     
-    if (role === 'admin' || role === 'developer') {
-        // Developers see all projects in their org
+    if (role === 'admin') {
+        // Admins see all projects in their org
         query = {
-            query: 'SELECT * FROM c WHERE c.organizationId = @orgId ORDER BY c.updatedAt DESC',
+            query: `SELECT * FROM c WHERE c.organizationId = @orgId ${notDeleted} ORDER BY c.updatedAt DESC`,
             parameters: [{ name: '@orgId', value: organizationId }]
         };
     } else {
-        // Clients only see assigned projects
+        // Everyone else only sees projects they're a member of
+        // (older projects without members still use assignedClients/assignedDevelopers)
         query = {
-            query: 'SELECT * FROM c WHERE c.organizationId = @orgId AND ARRAY_CONTAINS(c.assignedClients, @userId) ORDER BY c.updatedAt DESC',
+            query: `SELECT * FROM c WHERE c.organizationId = @orgId AND (
+                        ARRAY_CONTAINS(c.members, { "userId": @userId }, true) OR
+                        (NOT IS_DEFINED(c.members) AND (
+                            ARRAY_CONTAINS(c.assignedClients, @userId) OR
+                            ARRAY_CONTAINS(c.assignedDevelopers, @userId)
+                        ))
+                    ) ${notDeleted} ORDER BY c.updatedAt DESC`,
             parameters: [
                 { name: '@orgId', value: organizationId },
                 { name: '@userId', value: userId }
@@ -228,7 +349,7 @@ async function getProjectsForUser(userId, role, organizationId = 'stevensit') {
 
 async function updateProject(id, organizationId, updates) {
     const container = await getContainer(CONTAINERS.PROJECTS);
-    const project = await getProjectById(id, organizationId);
+    const project = await getProjectById(id, organizationId, { includeDeleted: true });
     
     if (!project) return null;
     
@@ -242,12 +363,55 @@ async function updateProject(id, organizationId, updates) {
     return resource;
 }
 
+/**
+ * Delete a project for good - projects are normally moved to the trash with
+ * updateProject first, and only deleted when the trash is emptied
+ */
 async function deleteProject(id, organizationId) {
     const container = await getContainer(CONTAINERS.PROJECTS);
     await container.item(id, organizationId).delete();
     return true;
 }
 
+async function getDeletedProjects(organizationId) {
+    const container = await getContainer(CONTAINERS.PROJECTS);
+    const query = {
+        query: `SELECT * FROM c WHERE c.organizationId = @orgId AND NOT ${NOT_DELETED} ORDER BY c.deletedAt DESC`,
+        parameters: [{ name: '@orgId', value: requireOrganizationId(organizationId) }]
+    };
+    
+    const { resources } = await container.items.query(query).fetchAll();
+    return resources;
+}
+
+/**
+ * Projects in any organization's trash that are due to be purged
+ */
+async function getExpiredDeletedProjects() {
+    const container = await getContainer(CONTAINERS.PROJECTS);
+    const query = {
+        query: `SELECT * FROM c WHERE NOT ${NOT_DELETED} AND c.purgeAfter <= @now`,
+        parameters: [{ name: '@now', value: new Date().toISOString() }]
+    };
+    
+    const { resources } = await container.items.query(query).fetchAll();
+    return resources;
+}
+
+async function getProjectsByCompany(companyId, organizationId) {
+    const container = await getContainer(CONTAINERS.PROJECTS);
+    const query = {
+        query: 'SELECT * FROM c WHERE c.organizationId = @orgId AND c.companyId = @companyId ORDER BY c.name',
+        parameters: [
+            { name: '@orgId', value: requireOrganizationId(organizationId) },
+            { name: '@companyId', value: companyId }
+        ]
+    };
+    
+    const { resources } = await container.items.query(query).fetchAll();
+    return resources;
+}
+
 // ============================================
 // FEEDBACK OPERATIONS
 // ============================================
@@ -264,6 +428,13 @@ async function createFeedback(feedbackData) {
         authorId: feedbackData.authorId,
         authorName: feedbackData.authorName,
         authorRole: feedbackData.authorRole,
+        authorProjectRole: feedbackData.authorProjectRole || null, // their role on the project when they left it
+        guest: feedbackData.guest || false, // left through a guest review link, without an account
+        guestEmail: feedbackData.guestEmail || null,
+        guestLinkId: feedbackData.guestLinkId || null,
+        round: feedbackData.round || 1, // review round it was left on, see shared/rounds.js
+        pageId: feedbackData.pageId || null, // page it was left on, see shared/pages.js
+        pagePath: feedbackData.pagePath || null, // kept in case the page is removed
         createdAt: new Date().toISOString(),
         updatedAt: new Date().toISOString(),
         resolvedAt: null,
@@ -285,14 +456,25 @@ async function getFeedbackByProject(projectId) {
     return resources;
 }
 
-async function getAllFeedback(organizationId = 'stevensit') {
+async function getFeedbackById(id, projectId) {
+    const container = await getContainer(CONTAINERS.FEEDBACK);
+    try {
+        const { resource } = await container.item(id, projectId).read();
+        return resource || null;
+    } catch (error) {
+        if (error.code === 404) return null;
+        throw error;
+    }
+}
+
+async function getAllFeedback(organizationId) {
     const container = await getContainer(CONTAINERS.FEEDBACK);
     const projectContainer = await getContainer(CONTAINERS.PROJECTS);
     
     // Get all project IDs for the organization
     const projectQuery = {
-        query: 'SELECT c.id FROM c WHERE c.organizationId = @orgId',
-        parameters: [{ name: '@orgId', value: organizationId }]
+        query: `SELECT c.id FROM c WHERE c.organizationId = @orgId AND ${NOT_DELETED}`,
+        parameters: [{ name: '@orgId', value: requireOrganizationId(organizationId) }]
     };
     const { resources: projects } = await projectContainer.items.query(projectQuery).fetchAll();
     const projectIds = projects.map(p => p.id);
@@ -309,6 +491,68 @@ async function getAllFeedback(organizationId = 'stevensit') {
     return resources;
 }
 
+/**
+ * How much feedback a user has left on an organization's projects
+ */
+async function countFeedbackByAuthor(authorId, organizationId) {
+    const container = await getContainer(CONTAINERS.FEEDBACK);
+    const projectContainer = await getContainer(CONTAINERS.PROJECTS);
+    
+    const projectQuery = {
+        query: `SELECT VALUE c.id FROM c WHERE c.organizationId = @orgId AND ${NOT_DELETED}`,
+        parameters: [{ name: '@orgId', value: requireOrganizationId(organizationId) }]
+    };
+    const { resources: projectIds } = await projectContainer.items.query(projectQuery).fetchAll();
+    
+    if (projectIds.length === 0) return 0;
+    
+    const feedbackQuery = {
+        query: 'SELECT VALUE COUNT(1) FROM c WHERE c.authorId = @authorId AND ARRAY_CONTAINS(@projectIds, c.projectId)',
+        parameters: [
+            { name: '@authorId', value: authorId },
+            { name: '@projectIds', value: projectIds }
+        ]
+    };
+    
+    const { resources } = await container.items.query(feedbackQuery).fetchAll();
+    return resources[0] || 0;
+}
+
+/**
+ * Feedback a person wrote, resolved, or left through a guest link under their email
+ * organizationId narrows it to that organization's projects
+ */
+async function getFeedbackForUser(userId, email, organizationId = null) {
+    const container = await getContainer(CONTAINERS.FEEDBACK);
+    const conditions = ['(c.authorId = @userId OR c.resolvedBy = @userId OR c.guestEmail = @email)'];
+    const parameters = [
+        { name: '@userId', value: userId },
+        { name: '@email', value: email.toLowerCase() }
+    ];
+    
+    if (organizationId) {
+        const projectContainer = await getContainer(CONTAINERS.PROJECTS);
+        const projectQuery = {
+            query: 'SELECT VALUE c.id FROM c WHERE c.organizationId = @orgId',
+            parameters: [{ name: '@orgId', value: organizationId }]
+        };
+        const { resources: projectIds } = await projectContainer.items.query(projectQuery).fetchAll();
+        
+        if (projectIds.length === 0) return [];
+        
+        conditions.push('ARRAY_CONTAINS(@projectIds, c.projectId)');
+        parameters.push({ name: '@projectIds', value: projectIds });
+    }
+    
+    const query = {
+        query: `SELECT * FROM c WHERE ${conditions.join(' AND ')} ORDER BY c.createdAt DESC`,
+        parameters
+    };
+    
+    const { resources } = await container.items.query(query).fetchAll();
+    return resources;
+}
+
 async function updateFeedback(id, projectId, updates) {
     const container = await getContainer(CONTAINERS.FEEDBACK);
     
@@ -334,24 +578,47 @@ async function updateFeedback(id, projectId, updates) {
     return resource;
 }
 
+/**
+ * Delete all of a project's feedback - returns how many items were deleted
+ */
+async function deleteFeedbackByProject(projectId) {
+    const container = await getContainer(CONTAINERS.FEEDBACK);
+    const query = {
+        query: 'SELECT c.id FROM c WHERE c.projectId = @projectId',
+        parameters: [{ name: '@projectId', value: projectId }]
+    };
+    const { resources } = await container.items.query(query).fetchAll();
+    
+    for (const feedback of resources) {
+        await container.item(feedback.id, projectId).delete();
+    }
+    
+    return resources.length;
+}
+
 // ============================================
 // INVITATION OPERATIONS
 // ============================================
 
+// Not yet accepted or revoked (it may still have expired)
+const PENDING_INVITATION = 'c.isUsed = false AND (NOT IS_DEFINED(c.revokedAt) OR IS_NULL(c.revokedAt))';
+
 async function createInvitation(invitationData) {
     const container = await getContainer(CONTAINERS.INVITATIONS);
     const invitation = {
         id: invitationData.id,
         email: invitationData.email.toLowerCase(),
+        name: invitationData.name || null, // pre-fills the signup form
         token: invitationData.token,
         role: invitationData.role || 'client',
         projectIds: invitationData.projectIds || [],
         invitedBy: invitationData.invitedBy,
         invitedByName: invitationData.invitedByName,
-        organizationId: invitationData.organizationId || 'stevensit',
+        organizationId: requireOrganizationId(invitationData.organizationId),
         expiresAt: invitationData.expiresAt,
         createdAt: new Date().toISOString(),
         acceptedAt: null,
+        revokedAt: null,
         isUsed: false
     };
     
@@ -362,7 +629,7 @@ async function createInvitation(invitationData) {
 async function getInvitationByToken(token) {
     const container = await getContainer(CONTAINERS.INVITATIONS);
     const query = {
-        query: 'SELECT * FROM c WHERE c.token = @token AND c.isUsed = false',
+        query: `SELECT * FROM c WHERE c.token = @token AND ${PENDING_INVITATION}`,
         parameters: [{ name: '@token', value: token }]
     };
     
@@ -370,69 +637,924 @@ async function getInvitationByToken(token) {
     return resources[0] || null;
 }
 
-async function getInvitationByEmail(email) {
+/**
+ * The latest pending invitation for an email in an organization
+ */
+async function getInvitationByEmail(email, organizationId) {
     const container = await getContainer(CONTAINERS.INVITATIONS);
     const query = {
-        query: 'SELECT * FROM c WHERE c.email = @email ORDER BY c.createdAt DESC',
-        parameters: [{ name: '@email', value: email.toLowerCase() }]
+        query: `SELECT * FROM c WHERE c.email = @email AND c.organizationId = @orgId AND ${PENDING_INVITATION} ORDER BY c.createdAt DESC`,
+        parameters: [
+            { name: '@email', value: email.toLowerCase() },
+            { name: '@orgId', value: requireOrganizationId(organizationId) }
+        ]
     };
     
     const { resources } = await container.items.query(query).fetchAll();
     return resources[0] || null;
 }
 
-async function markInvitationUsed(id, email) {
+/**
+ * One invitation, as long as it belongs to the organization
+ */
+async function getInvitationById(id, organizationId) {
+    const container = await getContainer(CONTAINERS.INVITATIONS);
+    const query = {
+        query: 'SELECT * FROM c WHERE c.id = @id AND c.organizationId = @orgId',
+        parameters: [
+            { name: '@id', value: id },
+            { name: '@orgId', value: requireOrganizationId(organizationId) }
+        ]
+    };
+    
+    const { resources } = await container.items.query(query).fetchAll();
+    return resources[0] || null;
+}
+
+/**
+ * Update one invitation, addressed by id within its email partition
+ */
+async function updateInvitation(id, email, updates) {
     const container = await getContainer(CONTAINERS.INVITATIONS);
-    const invitation = await getInvitationByEmail(email);
+    let invitation;
+    try {
+        ({ resource: invitation } = await container.item(id, email.toLowerCase()).read());
+    } catch (error) {
+        if (error.code === 404) return null;
+        throw error;
+    }
     
     if (!invitation) return null;
     
-    const updated = {
+    const { resource } = await container.item(id, email.toLowerCase()).replace({
         ...invitation,
+        ...updates
+    });
+    return resource;
+}
+
+/**
+ * Invitations sent to a person's email or sent by them, pending or not
+ * organizationId narrows it to one organization
+ */
+async function getInvitationsForUser(userId, email, organizationId = null) {
+    const container = await getContainer(CONTAINERS.INVITATIONS);
+    const parameters = [
+        { name: '@userId', value: userId },
+        { name: '@email', value: email.toLowerCase() }
+    ];
+    let orgCondition = '';
+    
+    if (organizationId) {
+        orgCondition = ' AND c.organizationId = @orgId';
+        parameters.push({ name: '@orgId', value: organizationId });
+    }
+    
+    const query = {
+        query: `SELECT * FROM c WHERE (c.email = @email OR c.invitedBy = @userId)${orgCondition} ORDER BY c.createdAt DESC`,
+        parameters
+    };
+    
+    const { resources } = await container.items.query(query).fetchAll();
+    return resources;
+}
+
+async function deleteInvitation(id, email) {
+    const container = await getContainer(CONTAINERS.INVITATIONS);
+    try {
+        await container.item(id, email.toLowerCase()).delete();
+        return true;
+    } catch (error) {
+        if (error.code === 404) return false;
+        throw error;
+    }
+}
+
+async function markInvitationUsed(id, email) {
+    return updateInvitation(id, email, {
         isUsed: true,
         acceptedAt: new Date().toISOString()
+    });
+}
+    
+async function revokeInvitation(id, email, revokedBy) {
+    return updateInvitation(id, email, {
+        revokedAt: new Date().toISOString(),
+        revokedBy
+    });
+}
+
+async function getPendingInvitations(organizationId) {
+    const container = await getContainer(CONTAINERS.INVITATIONS);
+    const query = {
+        query: `SELECT * FROM c WHERE c.organizationId = @orgId AND ${PENDING_INVITATION} ORDER BY c.createdAt DESC`,
+        parameters: [{ name: '@orgId', value: requireOrganizationId(organizationId) }]
     };
     
-    const { resource } = await container.item(id, email.toLowerCase()).replace(updated);
+    const { resources } = await container.items.query(query).fetchAll();
+    return resources;
+}
+
+// ============================================
+// SESSION OPERATIONS
+// ============================================
+
+async function createSession(sessionData) {
+    const container = await getContainer(CONTAINERS.SESSIONS);
+    const session = {
+        id: sessionData.id,
+        userId: sessionData.userId,
+        organizationId: sessionData.organizationId,
+        device: sessionData.device || 'Unknown device',
+        userAgent: sessionData.userAgent || '',
+        ipAddress: sessionData.ipAddress || null,
+        refreshTokenHash: sessionData.refreshTokenHash,
+        previousRefreshTokenHash: null,
+        refreshTokenRotatedAt: null,
+        refreshGeneration: 0,
+        // Set when a two-factor code was checked as the session started
+        mfaVerifiedAt: sessionData.mfaVerifiedAt || null,
+        expiresAt: sessionData.expiresAt,
+        createdAt: new Date().toISOString(),
+        lastSeenAt: new Date().toISOString(),
+        revokedAt: null,
+        revokedReason: null
+    };
+    
+    const { resource } = await container.items.create(session);
     return resource;
 }
 
-async function getPendingInvitations(organizationId = 'stevensit') {
-    const container = await getContainer(CONTAINERS.INVITATIONS);
+async function getSession(id, userId) {
+    const container = await getContainer(CONTAINERS.SESSIONS);
+    try {
+        const { resource } = await container.item(id, userId).read();
+        return resource || null;
+    } catch (error) {
+        if (error.code === 404) return null;
+        throw error;
+    }
+}
+
+async function getActiveSessionsForUser(userId) {
+    const container = await getContainer(CONTAINERS.SESSIONS);
+    const query = {
+        query: 'SELECT * FROM c WHERE c.userId = @userId AND IS_NULL(c.revokedAt) AND c.expiresAt > @now ORDER BY c.lastSeenAt DESC',
+        parameters: [
+            { name: '@userId', value: userId },
+            { name: '@now', value: new Date().toISOString() }
+        ]
+    };
+    
+    const { resources } = await container.items.query(query).fetchAll();
+    return resources;
+}
+
+async function updateSession(id, userId, updates) {
+    const container = await getContainer(CONTAINERS.SESSIONS);
+    const session = await getSession(id, userId);
+    
+    if (!session) return null;
+    
+    const { resource } = await container.item(id, userId).replace({
+        ...session,
+        ...updates
+    });
+    return resource;
+}
+
+/**
+ * Update a session only if nobody has changed it since it was read
+ * Returns the updated session, or null if another request got there first
+ */
+async function updateSessionIfUnchanged(session, updates) {
+    const container = await getContainer(CONTAINERS.SESSIONS);
+    try {
+        const { resource } = await container.item(session.id, session.userId).replace({ ...session, ...updates }, {
+            accessCondition: { type: 'IfMatch', condition: session._etag }
+        });
+        return resource;
+    } catch (error) {
+        if (error.code === 404 || error.code === 412) return null;
+        throw error;
+    }
+}
+
+async function revokeSession(id, userId, reason = 'signed-out') {
+    return updateSession(id, userId, {
+        revokedAt: new Date().toISOString(),
+        revokedReason: reason
+    });
+}
+
+async function revokeAllSessions(userId, reason = 'signed-out', exceptSessionId = null) {
+    const sessions = await getActiveSessionsForUser(userId);
+    let revoked = 0;
+    
+    for (const session of sessions) {
+        if (session.id === exceptSessionId) continue;
+        await revokeSession(session.id, userId, reason);
+        revoked++;
+    }
+    
+    return revoked;
+}
+
+/**
+ * Revoke a user's sessions in one organization (e.g. their membership there was deactivated)
+ */
+async function revokeOrganizationSessions(userId, organizationId, reason) {
+    const sessions = await getActiveSessionsForUser(userId);
+    let revoked = 0;
+    
+    for (const session of sessions) {
+        if (session.organizationId !== organizationId) continue;
+        await revokeSession(session.id, userId, reason);
+        revoked++;
+    }
+    
+    return revoked;
+}
+
+/**
+ * Delete everything stored in a user's own partitions: sessions, one-time
+ * tokens, API tokens and waiting digest items
+ * Used when an account is erased - deleted sessions and tokens stop working at once
+ */
+async function deleteRecordsForUser(userId) {
+    const containerNames = [
+        CONTAINERS.SESSIONS,
+        CONTAINERS.AUTH_TOKENS,
+        CONTAINERS.API_TOKENS,
+        CONTAINERS.NOTIFICATION_DIGESTS
+    ];
+    let deleted = 0;
+    
+    for (const containerName of containerNames) {
+        const container = await getContainer(containerName);
+        const query = {
+            query: 'SELECT c.id FROM c WHERE c.userId = @userId',
+            parameters: [{ name: '@userId', value: userId }]
+        };
+        const { resources } = await container.items.query(query).fetchAll();
+        
+        for (const record of resources) {
+            await container.item(record.id, userId).delete();
+            deleted++;
+        }
+    }
+    
+    return deleted;
+}
+
+// ============================================
+// ONE-TIME TOKEN OPERATIONS
+// ============================================
+
+async function createAuthToken(tokenData) {
+    const container = await getContainer(CONTAINERS.AUTH_TOKENS);
+    const authToken = {
+        id: tokenData.id,
+        userId: tokenData.userId,
+        email: tokenData.email.toLowerCase(),
+        purpose: tokenData.purpose, // 'password-reset', 'email-change', 'magic-link'
+        tokenHash: tokenData.tokenHash,
+        data: tokenData.data || {},
+        expiresAt: tokenData.expiresAt,
+        createdAt: new Date().toISOString(),
+        usedAt: null,
+        isUsed: false
+    };
+    
+    const { resource } = await container.items.create(authToken);
+    return resource;
+}
+
+async function getAuthTokenByHash(tokenHash, purpose) {
+    const container = await getContainer(CONTAINERS.AUTH_TOKENS);
+    const query = {
+        query: 'SELECT * FROM c WHERE c.tokenHash = @tokenHash AND c.purpose = @purpose AND c.isUsed = false',
+        parameters: [
+            { name: '@tokenHash', value: tokenHash },
+            { name: '@purpose', value: purpose }
+        ]
+    };
+    
+    const { resources } = await container.items.query(query).fetchAll();
+    return resources[0] || null;
+}
+
+/**
+ * Burn a one-time token
+ * Returns the used token, or null if it is gone or was already used - the
+ * replace only applies to the version just read, so when two requests race
+ * with the same link only one of them gets it
+ */
+async function markAuthTokenUsed(id, userId) {
+    const container = await getContainer(CONTAINERS.AUTH_TOKENS);
+    try {
+        const { resource: authToken } = await container.item(id, userId).read();
+        if (!authToken || authToken.isUsed) return null;
+        
+        const updated = {
+            ...authToken,
+            isUsed: true,
+            usedAt: new Date().toISOString()
+        };
+        
+        const { resource } = await container.item(id, userId).replace(updated, {
+            accessCondition: { type: 'IfMatch', condition: authToken._etag }
+        });
+        return resource;
+    } catch (error) {
+        // 412: someone else used it between the read and the replace
+        if (error.code === 404 || error.code === 412) return null;
+        throw error;
+    }
+}
+
+async function invalidateAuthTokens(userId, purpose) {
+    const container = await getContainer(CONTAINERS.AUTH_TOKENS);
+    const query = {
+        query: 'SELECT * FROM c WHERE c.userId = @userId AND c.purpose = @purpose AND c.isUsed = false',
+        parameters: [
+            { name: '@userId', value: userId },
+            { name: '@purpose', value: purpose }
+        ]
+    };
+    
+    const { resources } = await container.items.query(query).fetchAll();
+    for (const authToken of resources) {
+        await container.item(authToken.id, userId).replace({
+            ...authToken,
+            isUsed: true,
+            usedAt: new Date().toISOString()
+        });
+    }
+    return resources.length;
+}
+
+// ============================================
+// ORGANIZATION OPERATIONS
+// ============================================
+
+async function getOrganization(id) {
+    const container = await getContainer(CONTAINERS.ORGANIZATIONS);
+    try {
+        const { resource } = await container.item(id, id).read();
+        return resource || null;
+    } catch (error) {
+        if (error.code === 404) return null;
+        throw error;
+    }
+}
+
+async function getAllOrganizations() {
+    const container = await getContainer(CONTAINERS.ORGANIZATIONS);
+    const { resources } = await container.items
+        .query('SELECT * FROM c ORDER BY c.name')
+        .fetchAll();
+    return resources;
+}
+
+async function createOrganization(organizationData) {
+    const container = await getContainer(CONTAINERS.ORGANIZATIONS);
+    const organization = {
+        id: organizationData.id,
+        name: organizationData.name,
+        branding: organizationData.branding || {}, // { logoUrl, primaryColor }
+        settings: { ...DEFAULT_ORGANIZATION_SETTINGS },
+        createdBy: organizationData.createdBy,
+        createdAt: new Date().toISOString(),
+        updatedAt: new Date().toISOString()
+    };
+    
+    const { resource } = await container.items.create(organization);
+    return resource;
+}
+
+/**
+ * Update an organization's name or branding
+ * Organizations that predate onboarding may not have a document yet, so this upserts
+ */
+async function updateOrganization(id, updates) {
+    const container = await getContainer(CONTAINERS.ORGANIZATIONS);
+    const organization = await getOrganization(id);
+    
+    const updated = {
+        id,
+        createdAt: new Date().toISOString(),
+        ...organization,
+        ...updates,
+        updatedAt: new Date().toISOString()
+    };
+    
+    const { resource } = await container.items.upsert(updated);
+    return resource;
+}
+
+async function getOrganizationSettings(id) {
+    const organization = await getOrganization(id);
+    return {
+        ...DEFAULT_ORGANIZATION_SETTINGS,
+        ...(organization?.settings || {})
+    };
+}
+
+async function updateOrganizationSettings(id, updates) {
+    const container = await getContainer(CONTAINERS.ORGANIZATIONS);
+    const organization = await getOrganization(id);
+    
+    const updated = {
+        id,
+        createdAt: new Date().toISOString(),
+        ...organization,
+        settings: {
+            ...DEFAULT_ORGANIZATION_SETTINGS,
+            ...(organization?.settings || {}),
+            ...updates
+        },
+        updatedAt: new Date().toISOString()
+    };
+    
+    const { resource } = await container.items.upsert(updated);
+    return resource.settings;
+}
+
+// ============================================
+// COMPANY OPERATIONS
+// ============================================
+
+async function createCompany(companyData) {
+    const container = await getContainer(CONTAINERS.COMPANIES);
+    const company = {
+        id: companyData.id,
+        name: companyData.name,
+        organizationId: requireOrganizationId(companyData.organizationId),
+        createdBy: companyData.createdBy,
+        createdAt: new Date().toISOString(),
+        updatedAt: new Date().toISOString()
+    };
+    
+    const { resource } = await container.items.create(company);
+    return resource;
+}
+
+async function getCompanyById(id, organizationId) {
+    const container = await getContainer(CONTAINERS.COMPANIES);
+    try {
+        const { resource } = await container.item(id, requireOrganizationId(organizationId)).read();
+        return resource || null;
+    } catch (error) {
+        if (error.code === 404) return null;
+        throw error;
+    }
+}
+
+async function getCompanies(organizationId) {
+    const container = await getContainer(CONTAINERS.COMPANIES);
+    const query = {
+        query: 'SELECT * FROM c WHERE c.organizationId = @orgId ORDER BY c.name',
+        parameters: [{ name: '@orgId', value: requireOrganizationId(organizationId) }]
+    };
+    
+    const { resources } = await container.items.query(query).fetchAll();
+    return resources;
+}
+
+async function updateCompany(id, organizationId, updates) {
+    const container = await getContainer(CONTAINERS.COMPANIES);
+    const company = await getCompanyById(id, organizationId);
+    
+    if (!company) return null;
+    
+    const updatedCompany = {
+        ...company,
+        ...updates,
+        updatedAt: new Date().toISOString()
+    };
+    
+    const { resource } = await container.item(id, organizationId).replace(updatedCompany);
+    return resource;
+}
+
+async function deleteCompany(id, organizationId) {
+    const container = await getContainer(CONTAINERS.COMPANIES);
+    await container.item(id, organizationId).delete();
+    return true;
+}
+
+/**
+ * Users whose membership in the organization belongs to a company
+ */
+async function getCompanyMembers(companyId, organizationId) {
+    const container = await getContainer(CONTAINERS.USERS);
+    const query = {
+        query: `SELECT * FROM c WHERE
+                    ARRAY_CONTAINS(c.memberships, { "organizationId": @orgId, "companyId": @companyId }, true)
+                ORDER BY c.name`,
+        parameters: [
+            { name: '@orgId', value: requireOrganizationId(organizationId) },
+            { name: '@companyId', value: companyId }
+        ]
+    };
+    
+    const { resources } = await container.items.query(query).fetchAll();
+    return resources.map(user => toOrganizationUser(user, organizationId));
+}
+
+// ============================================
+// LOGIN ATTEMPT OPERATIONS
+// ============================================
+
+async function getLoginAttempt(id) {
+    const container = await getContainer(CONTAINERS.LOGIN_ATTEMPTS);
+    try {
+        const { resource } = await container.item(id, id).read();
+        return resource || null;
+    } catch (error) {
+        if (error.code === 404) return null;
+        throw error;
+    }
+}
+
+async function saveLoginAttempt(record) {
+    const container = await getContainer(CONTAINERS.LOGIN_ATTEMPTS);
+    const { resource } = await container.items.upsert({
+        ...record,
+        updatedAt: new Date().toISOString()
+    });
+    return resource;
+}
+
+async function deleteLoginAttempt(id) {
+    const container = await getContainer(CONTAINERS.LOGIN_ATTEMPTS);
+    try {
+        await container.item(id, id).delete();
+        return true;
+    } catch (error) {
+        if (error.code === 404) return false;
+        throw error;
+    }
+}
+
+// ============================================
+// API TOKEN OPERATIONS
+// ============================================
+
+async function createApiToken(tokenData) {
+    const container = await getContainer(CONTAINERS.API_TOKENS);
+    const apiToken = {
+        id: tokenData.id,
+        userId: tokenData.userId,
+        organizationId: tokenData.organizationId,
+        name: tokenData.name,
+        tokenHash: tokenData.tokenHash,
+        prefix: tokenData.prefix, // first characters, so users can tell tokens apart
+        scopes: tokenData.scopes || [],
+        projectIds: tokenData.projectIds || [],
+        expiresAt: tokenData.expiresAt || null,
+        createdAt: new Date().toISOString(),
+        lastUsedAt: null,
+        lastUsedIp: null,
+        revokedAt: null
+    };
+    
+    const { resource } = await container.items.create(apiToken);
+    return resource;
+}
+
+async function getApiTokenByHash(tokenHash) {
+    const container = await getContainer(CONTAINERS.API_TOKENS);
+    const query = {
+        query: 'SELECT * FROM c WHERE c.tokenHash = @tokenHash',
+        parameters: [{ name: '@tokenHash', value: tokenHash }]
+    };
+    
+    const { resources } = await container.items.query(query).fetchAll();
+    return resources[0] || null;
+}
+
+async function getApiTokensForUser(userId) {
+    const container = await getContainer(CONTAINERS.API_TOKENS);
+    const query = {
+        query: 'SELECT * FROM c WHERE c.userId = @userId AND IS_NULL(c.revokedAt) ORDER BY c.createdAt DESC',
+        parameters: [{ name: '@userId', value: userId }]
+    };
+    
+    const { resources } = await container.items.query(query).fetchAll();
+    return resources;
+}
+
+async function updateApiToken(id, userId, updates) {
+    const container = await getContainer(CONTAINERS.API_TOKENS);
+    try {
+        const { resource: apiToken } = await container.item(id, userId).read();
+        if (!apiToken) return null;
+        
+        const { resource } = await container.item(id, userId).replace({ ...apiToken, ...updates });
+        return resource;
+    } catch (error) {
+        if (error.code === 404) return null;
+        throw error;
+    }
+}
+
+async function revokeApiToken(id, userId) {
+    return updateApiToken(id, userId, { revokedAt: new Date().toISOString() });
+}
+
+async function revokeAllApiTokens(userId) {
+    const tokens = await getApiTokensForUser(userId);
+    for (const apiToken of tokens) {
+        await revokeApiToken(apiToken.id, userId);
+    }
+    return tokens.length;
+}
+
+// ============================================
+// AUDIT LOG OPERATIONS
+// ============================================
+
+// Entries are only ever created - there is deliberately no update or delete
+async function createAuditEntry(entry) {
+    const container = await getContainer(CONTAINERS.AUDIT_LOG);
+    const { resource } = await container.items.create({
+        ...entry,
+        organizationId: requireOrganizationId(entry.organizationId),
+        createdAt: new Date().toISOString()
+    });
+    return resource;
+}
+
+/**
+ * Search an organization's audit log, newest first
+ * filters is { action, actorId, targetId, text, from, to, limit }; text matches
+ * the actor's email or name and the target's name, ignoring case
+ */
+async function searchAuditLog(organizationId, filters = {}) {
+    const container = await getContainer(CONTAINERS.AUDIT_LOG);
+    const conditions = ['c.organizationId = @orgId'];
+    const parameters = [
+        { name: '@orgId', value: requireOrganizationId(organizationId) },
+        { name: '@limit', value: filters.limit || 100 }
+    ];
+    
+    if (filters.action) {
+        // "project." matches every project action, "project.approved" only that one
+        conditions.push(filters.action.endsWith('.') ? 'STARTSWITH(c.action, @action)' : 'c.action = @action');
+        parameters.push({ name: '@action', value: filters.action });
+    }
+    if (filters.actorId) {
+        conditions.push('c.actor.userId = @actorId');
+        parameters.push({ name: '@actorId', value: filters.actorId });
+    }
+    if (filters.targetId) {
+        conditions.push('c.target.id = @targetId');
+        parameters.push({ name: '@targetId', value: filters.targetId });
+    }
+    if (filters.text) {
+        conditions.push(`(CONTAINS(c.actor.email, @text, true) OR CONTAINS(c.actor.name, @text, true) OR
+                          CONTAINS(c.target.name, @text, true))`);
+        parameters.push({ name: '@text', value: filters.text });
+    }
+    if (filters.from) {
+        conditions.push('c.createdAt >= @from');
+        parameters.push({ name: '@from', value: filters.from });
+    }
+    if (filters.to) {
+        conditions.push('c.createdAt <= @to');
+        parameters.push({ name: '@to', value: filters.to });
+    }
+    
     const query = {
-        query: 'SELECT * FROM c WHERE c.organizationId = @orgId AND c.isUsed = false ORDER BY c.createdAt DESC',
-        parameters: [{ name: '@orgId', value: organizationId }]
+        query: `SELECT TOP @limit * FROM c WHERE ${conditions.join(' AND ')} ORDER BY c.createdAt DESC`,
+        parameters
     };
     
     const { resources } = await container.items.query(query).fetchAll();
     return resources;
 }
 
+// ============================================
+// NOTIFICATION DIGEST OPERATIONS
+// ============================================
+
+// Notifications waiting for a user's next digest email - see shared/notifications.js
+async function addDigestItem(itemData) {
+    const container = await getContainer(CONTAINERS.NOTIFICATION_DIGESTS);
+    const { resource } = await container.items.create({
+        ...itemData,
+        createdAt: new Date().toISOString()
+    });
+    return resource;
+}
+
+/**
+ * Every waiting digest item, oldest first, across all users
+ */
+async function getPendingDigestItems() {
+    const container = await getContainer(CONTAINERS.NOTIFICATION_DIGESTS);
+    const { resources } = await container.items
+        .query('SELECT * FROM c ORDER BY c.createdAt')
+        .fetchAll();
+    return resources;
+}
+
+async function deleteDigestItem(id, userId) {
+    const container = await getContainer(CONTAINERS.NOTIFICATION_DIGESTS);
+    try {
+        await container.item(id, userId).delete();
+        return true;
+    } catch (error) {
+        if (error.code === 404) return false;
+        throw error;
+    }
+}
+
+// ============================================
+// GUEST LINK OPERATIONS
+// ============================================
+
+async function createGuestLink(linkData) {
+    const container = await getContainer(CONTAINERS.GUEST_LINKS);
+    const guestLink = {
+        id: linkData.id,
+        projectId: linkData.projectId,
+        organizationId: requireOrganizationId(linkData.organizationId),
+        label: linkData.label || '',
+        tokenHash: linkData.tokenHash,
+        createdBy: linkData.createdBy,
+        createdByName: linkData.createdByName,
+        expiresAt: linkData.expiresAt,
+        createdAt: new Date().toISOString(),
+        lastUsedAt: null,
+        revokedAt: null,
+        revokedBy: null
+    };
+    
+    const { resource } = await container.items.create(guestLink);
+    return resource;
+}
+
+async function getGuestLinkByHash(tokenHash) {
+    const container = await getContainer(CONTAINERS.GUEST_LINKS);
+    const query = {
+        query: 'SELECT * FROM c WHERE c.tokenHash = @tokenHash',
+        parameters: [{ name: '@tokenHash', value: tokenHash }]
+    };
+    
+    const { resources } = await container.items.query(query).fetchAll();
+    return resources[0] || null;
+}
+
+async function getGuestLinksForProject(projectId) {
+    const container = await getContainer(CONTAINERS.GUEST_LINKS);
+    const query = {
+        query: 'SELECT * FROM c WHERE c.projectId = @projectId ORDER BY c.createdAt DESC',
+        parameters: [{ name: '@projectId', value: projectId }]
+    };
+    
+    const { resources } = await container.items.query(query).fetchAll();
+    return resources;
+}
+
+async function getGuestLinksCreatedBy(userId) {
+    const container = await getContainer(CONTAINERS.GUEST_LINKS);
+    const query = {
+        query: 'SELECT * FROM c WHERE c.createdBy = @userId',
+        parameters: [{ name: '@userId', value: userId }]
+    };
+    
+    const { resources } = await container.items.query(query).fetchAll();
+    return resources;
+}
+
+async function updateGuestLink(id, projectId, updates) {
+    const container = await getContainer(CONTAINERS.GUEST_LINKS);
+    try {
+        const { resource: guestLink } = await container.item(id, projectId).read();
+        if (!guestLink) return null;
+        
+        const { resource } = await container.item(id, projectId).replace({ ...guestLink, ...updates });
+        return resource;
+    } catch (error) {
+        if (error.code === 404) return null;
+        throw error;
+    }
+}
+
+async function deleteGuestLinksForProject(projectId) {
+    const container = await getContainer(CONTAINERS.GUEST_LINKS);
+    const query = {
+        query: 'SELECT c.id FROM c WHERE c.projectId = @projectId',
+        parameters: [{ name: '@projectId', value: projectId }]
+    };
+    const { resources } = await container.items.query(query).fetchAll();
+    
+    for (const guestLink of resources) {
+        await container.item(guestLink.id, projectId).delete();
+    }
+    
+    return resources.length;
+}
+
 module.exports = {
     initDatabase,
     CONTAINERS,
+    DEFAULT_ORGANIZATION_SETTINGS,
+    sanitizeUser,
     // Users
     createUser,
     getUserByEmail,
     getUserById,
     updateUser,
+    changeUserEmail,
+    deleteUser,
     getAllUsers,
     getClientUsers,
+    toOrganizationUser,
     // Projects
     createProject,
     getProjectById,
     getProjectsForUser,
     updateProject,
     deleteProject,
+    getDeletedProjects,
+    getExpiredDeletedProjects,
+    getProjectsByCompany,
     // Feedback
     createFeedback,
     getFeedbackByProject,
+    getFeedbackById,
     getAllFeedback,
+    countFeedbackByAuthor,
+    getFeedbackForUser,
     updateFeedback,
+    deleteFeedbackByProject,
     // Invitations
     createInvitation,
     getInvitationByToken,
     getInvitationByEmail,
+    getInvitationById,
+    updateInvitation,
+    getInvitationsForUser,
+    deleteInvitation,
     markInvitationUsed,
-    getPendingInvitations
+    revokeInvitation,
+    getPendingInvitations,
+    // Sessions
+    createSession,
+    getSession,
+    getActiveSessionsForUser,
+    updateSession,
+    updateSessionIfUnchanged,
+    revokeSession,
+    revokeAllSessions,
+    revokeOrganizationSessions,
+    deleteRecordsForUser,
+    // One-time tokens
+    createAuthToken,
+    getAuthTokenByHash,
+    markAuthTokenUsed,
+    invalidateAuthTokens,
+    // Organizations
+    getOrganization,
+    getAllOrganizations,
+    createOrganization,
+    updateOrganization,
+    getOrganizationSettings,
+    updateOrganizationSettings,
+    // Companies
+    createCompany,
+    getCompanyById,
+    getCompanies,
+    updateCompany,
+    deleteCompany,
+    getCompanyMembers,
+    // Login attempts
+    getLoginAttempt,
+    saveLoginAttempt,
+    deleteLoginAttempt,
+    // API tokens
+    createApiToken,
+    getApiTokenByHash,
+    getApiTokensForUser,
+    updateApiToken,
+    revokeApiToken,
+    revokeAllApiTokens,
+    // Audit log
+    createAuditEntry,
+    searchAuditLog,
+    // Notification digests
+    addDigestItem,
+    getPendingDigestItems,
+    deleteDigestItem,
+    // Guest links
+    createGuestLink,
+    getGuestLinkByHash,
+    getGuestLinksForProject,
+    getGuestLinksCreatedBy,
+    updateGuestLink,
+    deleteGuestLinksForProject
 };
@@ -0,0 +1,103 @@
+/**
+ * Deadlines
+ * A project's review due date - when the client should have signed off - and
+ * its named milestones (design review, content freeze, launch). Both are
+ * calendar dates ('YYYY-MM-DD'); a deadline is overdue from the day after it.
+ */
+
+const { v4: uuidv4 } = require('uuid');
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const MAX_MILESTONES = 20;
+
+function isValidDate(value) {
+    if (!DATE_PATTERN.test(value || '')) return false;
+    
+    // Rules out days that don't exist, like 2026-02-30
+    const date = new Date(`${value}T00:00:00Z`);
+    return !isNaN(date.getTime()) && date.toISOString().slice(0, 10) === value;
+}
+
+function today() {
+    return new Date().toISOString().slice(0, 10);
+}
+
+/**
+ * A due date from a request body - empty clears it
+ * Returns { dueDate } or { error }
+ */
+function parseDueDate(value) {
+    if (!value) return { dueDate: null };
+    
+    return isValidDate(value)
+        ? { dueDate: value }
+        : { error: 'Due dates must be YYYY-MM-DD' };
+}
+
+/**
+ * Milestones from a request body, as [{ id, name, dueDate, completedAt }] by date
+ * Existing milestones keep their id and completion time
+ * Returns { milestones } or { error }
+ */
+function parseMilestones(milestones, existing = []) {
+    if (!Array.isArray(milestones)) {
+        return { error: 'Milestones must be a list' };
+    }
+    
+    if (milestones.length > MAX_MILESTONES) {
+        return { error: `A project can have at most ${MAX_MILESTONES} milestones` };
+    }
+    
+    const parsed = [];
+    
+    for (const milestone of milestones) {
+        const name = String(milestone.name || '').trim();
+        if (!name) {
+            return { error: 'Every milestone needs a name' };
+        }
+        if (!isValidDate(milestone.dueDate)) {
+            return { error: `Milestone "${name}" needs a due date (YYYY-MM-DD)` };
+        }
+        
+        const previous = existing.find(m => m.id === milestone.id);
+        
+        parsed.push({
+            id: previous ? previous.id : uuidv4(),
+            name: name.slice(0, 100),
+            dueDate: milestone.dueDate,
+            completedAt: milestone.completed
+                ? (previous && previous.completedAt) || new Date().toISOString()
+                : null
+        });
+    }
+    
+    return { milestones: parsed.sort((a, b) => a.dueDate.localeCompare(b.dueDate)) };
+}
+
+/**
+ * Deadlines a project has missed, as [{ type: 'review' | 'milestone', name, dueDate }]
+ * The review deadline is met once the project is approved; archived projects have none
+ */
+function getOverdue(project, on = today()) {
+    if (project.status === 'archived') return [];
+    
+    const overdue = [];
+    
+    if (project.dueDate && project.dueDate < on && project.status !== 'approved') {
+        overdue.push({ type: 'review', name: 'Review', dueDate: project.dueDate });
+    }
+    
+    for (const milestone of project.milestones || []) {
+        if (!milestone.completedAt && milestone.dueDate < on) {
+            overdue.push({ type: 'milestone', name: milestone.name, dueDate: milestone.dueDate });
+        }
+    }
+    
+    return overdue;
+}
+
+module.exports = {
+    parseDueDate,
+    parseMilestones,
+    getOverdue
+};
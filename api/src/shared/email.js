@@ -1,9 +1,15 @@
 /**
  * Email Service
  * Handles sending invitation and notification emails
+ * Notification emails follow each recipient's preferences (see shared/notifications.js)
+ * and carry signed unsubscribe links
  */
 
 const nodemailer = require('nodemailer');
+const { v4: uuidv4 } = require('uuid');
+const db = require('./database');
+const auth = require('./auth');
+const notifications = require('./notifications');
 
 let transporter = null;
 
@@ -35,11 +41,12 @@ function initEmailTransporter() {
 /**
  * Send invitation email to a new user
  */
-async function sendInvitationEmail(invitation, inviterName) {
+async function sendInvitationEmail(invitation, inviterName, organizationName) {
     const appUrl = process.env.APP_URL || 'https://webreview.stevensed.org';
     const inviteUrl = `${appUrl}/signup.html?token=${invitation.token}`;
+    const joining = organizationName ? `${organizationName} on StevensIT WebReview` : 'StevensIT WebReview';
     
-    const subject = `You're invited to join StevensIT WebReview`;
+    const subject = `You're invited to join ${joining}`;
     
     const htmlBody = `
     <!DOCTYPE html>
@@ -64,7 +71,7 @@ async function sendInvitationEmail(invitation, inviterName) {
             </div>
             <div class="content">
                 <p>Hello,</p>
-                <p><strong>${inviterName}</strong> has invited you to join StevensIT WebReview as a <span class="role-badge">${invitation.role}</span>.</p>
+                <p><strong>${inviterName}</strong> has invited you to join ${joining} as a <span class="role-badge">${invitation.role}</span>.</p>
                 <p>WebReview is our platform for reviewing and providing feedback on web development projects. You'll be able to:</p>
                 <ul>
                     <li>View assigned project previews</li>
@@ -90,9 +97,9 @@ async function sendInvitationEmail(invitation, inviterName) {
     `;
     
     const textBody = `
-You're invited to join StevensIT WebReview
+You're invited to join ${joining}
 
-${inviterName} has invited you to join StevensIT WebReview as a ${invitation.role}.
+${inviterName} has invited you to join ${joining} as a ${invitation.role}.
 
 Accept your invitation and create your account here:
 ${inviteUrl}
@@ -107,8 +114,77 @@ If you didn't expect this invitation, you can safely ignore this email.
     return sendEmail(invitation.email, subject, htmlBody, textBody);
 }
 
+/**
+ * Unsubscribe links for a notification email, as footer HTML and text plus
+ * List-Unsubscribe headers (mail apps' one-click unsubscribe button)
+ * The project link mutes just that project; the other turns off all notifications
+ */
+function unsubscribeLinks(user, project = null) {
+    const appUrl = process.env.APP_URL || 'https://webreview.stevensed.org';
+    const allToken = auth.generateUnsubscribeToken(user.id);
+    const allUrl = `${appUrl}/unsubscribe.html?token=${allToken}`;
+    const muteUrl = project
+        ? `${appUrl}/unsubscribe.html?token=${auth.generateUnsubscribeToken(user.id, project.id)}`
+        : null;
+    const settingsUrl = `${appUrl}/#settings`;
+    
+    return {
+        html: `
+                <p>
+                    ${muteUrl ? `<a href="${muteUrl}" style="color: #64748b;">Mute ${project.name}</a> &middot; ` : ''}
+                    <a href="${allUrl}" style="color: #64748b;">Unsubscribe from all notifications</a> &middot;
+                    <a href="${settingsUrl}" style="color: #64748b;">Notification settings</a>
+                </p>`,
+        text: [
+            muteUrl ? `Mute ${project.name}: ${muteUrl}` : null,
+            `Unsubscribe from all notifications: ${allUrl}`,
+            `Notification settings: ${settingsUrl}`
+        ].filter(Boolean).join('\n'),
+        headers: {
+            'List-Unsubscribe': `<${appUrl}/api/notifications/unsubscribe?token=${allToken}>`,
+            'List-Unsubscribe-Post': 'List-Unsubscribe=One-Click'
+        }
+    };
+}
+
+/**
+ * Send a notification about a project to each recipient who wants it - right away,
+ * or queued for their daily digest
+ * recipients are user records; message is { subject, summary, url, html(footer), text(footer) }
+ * where summary is the one-line version used in digests
+ */
+async function notifyUsers(recipients, event, project, message) {
+    const results = [];
+    
+    for (const user of recipients) {
+        const delivery = notifications.deliveryFor(user, event, project.id);
+        
+        if (!delivery) continue;
+        
+        if (delivery === 'digest') {
+            await db.addDigestItem({
+                id: uuidv4(),
+                userId: user.id,
+                event,
+                projectId: project.id,
+                projectName: project.name,
+                summary: message.summary,
+                url: message.url
+            });
+            results.push({ success: true, queued: true });
+            continue;
+        }
+        
+        const links = unsubscribeLinks(user, project);
+        results.push(await sendEmail(user.email, message.subject, message.html(links.html), message.text(links.text), links.headers));
+    }
+    
+    return results;
+}
+
 /**
  * Send notification email for new feedback
+ * recipients are the user records of the project leads to tell
  */
 async function sendFeedbackNotification(feedback, project, recipients) {
     const appUrl = process.env.APP_URL || 'https://webreview.stevensed.org';
@@ -116,13 +192,16 @@ async function sendFeedbackNotification(feedback, project, recipients) {
     
     const subject = `New ${feedback.type} feedback on ${project.name}`;
     
+    // Guests have no account, so say who they are (see functions/guest.js)
+    const author = feedback.guest ? `${feedback.authorName} (guest, ${feedback.guestEmail})` : feedback.authorName;
+    
     const priorityColors = {
         high: '#ef4444',
         medium: '#f59e0b',
         low: '#10b981'
     };
     
-    const htmlBody = `
+    const htmlBody = footer => `
     <!DOCTYPE html>
     <html>
     <head>
@@ -144,9 +223,10 @@ async function sendFeedbackNotification(feedback, project, recipients) {
                 <p style="margin: 5px 0 0 0; opacity: 0.9;">${project.name}</p>
             </div>
             <div class="content">
-                <p><strong>${feedback.authorName}</strong> submitted new feedback:</p>
+                <p><strong>${author}</strong> submitted new feedback:</p>
                 <div class="feedback-box">
-                    <p style="margin-top: 0;"><strong>Type:</strong> ${feedback.type} <span class="priority">${feedback.priority}</span></p>
+                    <p style="margin-top: 0;"><strong>Type:</strong> ${feedback.type} <span class="priority">${feedback.priority}</span></p>${feedback.pagePath ? `
+                    <p><strong>Page:</strong> ${feedback.pagePath}</p>` : ''}
                     <p style="margin-bottom: 0;">${feedback.text}</p>
                 </div>
                 <p style="text-align: center;">
@@ -154,37 +234,458 @@ async function sendFeedbackNotification(feedback, project, recipients) {
                 </p>
             </div>
             <div class="footer">
-                <p>© 2026 StevensIT WebReview</p>
+                <p>© 2026 StevensIT WebReview</p>${footer}
             </div>
         </div>
     </body>
     </html>
     `;
     
-    const textBody = `
+    const textBody = footer => `
 New Feedback on ${project.name}
 
-${feedback.authorName} submitted new ${feedback.type} feedback (${feedback.priority} priority):
+${author} submitted new ${feedback.type} feedback (${feedback.priority} priority)${feedback.pagePath ? ` on ${feedback.pagePath}` : ''}:
 
 "${feedback.text}"
 
 View project: ${projectUrl}
 
 © 2026 StevensIT WebReview
+
+${footer}
     `;
     
-    // Send to all recipients
-    const results = await Promise.allSettled(
-        recipients.map(email => sendEmail(email, subject, htmlBody, textBody))
-    );
+    const excerpt = feedback.text.length > 140 ? `${feedback.text.slice(0, 140)}...` : feedback.text;
     
-    return results;
+    return notifyUsers(recipients, 'feedback', project, {
+        subject,
+        summary: `${author} left ${feedback.type} feedback: "${excerpt}"`,
+        url: projectUrl,
+        html: htmlBody,
+        text: textBody
+    });
+}
+
+/**
+ * Send notification email for a project update
+ * update is { actorName, status, statusLabel } for a status change, { actorName, url } for a new preview,
+ * or { actorName, url, round } for a new review round (see shared/rounds.js)
+ */
+async function sendProjectUpdateNotification(project, update, recipients) {
+    const appUrl = process.env.APP_URL || 'https://webreview.stevensed.org';
+    const projectUrl = `${appUrl}/#project=${project.id}`;
+    
+    let summary;
+    if (update.round) {
+        summary = `${update.actorName} opened round ${update.round.number} of ${project.name} for review`;
+    } else if (update.status === 'approved') {
+        summary = `${update.actorName} approved ${project.name}`;
+    } else if (update.status) {
+        summary = `${update.actorName} moved ${project.name} to ${update.statusLabel || update.status}`;
+    } else {
+        summary = `${update.actorName} published a new preview of ${project.name}`;
+    }
+    
+    const subject = update.status === 'approved' ? `${project.name} was approved` : `Update on ${project.name}`;
+    const releaseNotes = update.round ? update.round.notes : '';
+    
+    const htmlBody = footer => `
+    <!DOCTYPE html>
+    <html>
+    <head>
+        <style>
+            body { font-family: 'Segoe UI', Arial, sans-serif; line-height: 1.6; color: #333; }
+            .container { max-width: 600px; margin: 0 auto; padding: 20px; }
+            .header { background: linear-gradient(135deg, #1e5fa8 0%, #164785 100%); color: white; padding: 20px; border-radius: 8px 8px 0 0; }
+            .content { background: #f8fafc; padding: 30px; border: 1px solid #e2e8f0; }
+            .button { display: inline-block; background: #1e5fa8; color: white; padding: 12px 24px; text-decoration: none; border-radius: 6px; font-weight: 600; }
+            .footer { text-align: center; padding: 20px; color: #64748b; font-size: 12px; }
+        </style>
+    </head>
+    <body>
+        <div class="container">
+            <div class="header">
+                <h2 style="margin: 0;">Project Update</h2>
+                <p style="margin: 5px 0 0 0; opacity: 0.9;">${project.name}</p>
+            </div>
+            <div class="content">
+                <p>${summary}.</p>${releaseNotes ? `
+                <p><strong>What's new:</strong></p>
+                <p style="white-space: pre-line;">${releaseNotes}</p>` : ''}
+                <p style="text-align: center;">
+                    <a href="${projectUrl}" class="button">View Project</a>
+                </p>
+            </div>
+            <div class="footer">
+                <p>© 2026 StevensIT WebReview</p>${footer}
+            </div>
+        </div>
+    </body>
+    </html>
+    `;
+    
+    const textBody = footer => `
+Update on ${project.name}
+
+${summary}.
+${releaseNotes ? `
+What's new:
+${releaseNotes}
+` : ''}
+View project: ${projectUrl}
+
+© 2026 StevensIT WebReview
+
+${footer}
+    `;
+    
+    return notifyUsers(recipients, 'projectUpdates', project, {
+        subject,
+        summary,
+        url: projectUrl,
+        html: htmlBody,
+        text: textBody
+    });
+}
+
+/**
+ * Send one email with everything queued for a user's digest
+ * items are digest items ({ projectName, summary, url, createdAt }), oldest first
+ */
+async function sendNotificationDigest(user, items) {
+    const links = unsubscribeLinks(user);
+    
+    const subject = `Your WebReview digest: ${items.length} update${items.length === 1 ? '' : 's'}`;
+    
+    // Group by project, keeping the order projects first appeared in
+    const byProject = new Map();
+    for (const item of items) {
+        if (!byProject.has(item.projectId)) {
+            byProject.set(item.projectId, { name: item.projectName, url: item.url, items: [] });
+        }
+        byProject.get(item.projectId).items.push(item);
+    }
+    const groups = [...byProject.values()];
+    
+    const htmlBody = `
+    <!DOCTYPE html>
+    <html>
+    <head>
+        <style>
+            body { font-family: 'Segoe UI', Arial, sans-serif; line-height: 1.6; color: #333; }
+            .container { max-width: 600px; margin: 0 auto; padding: 20px; }
+            .header { background: linear-gradient(135deg, #1e5fa8 0%, #164785 100%); color: white; padding: 20px; border-radius: 8px 8px 0 0; }
+            .content { background: #f8fafc; padding: 30px; border: 1px solid #e2e8f0; }
+            .project { background: white; border: 1px solid #e2e8f0; border-radius: 8px; padding: 16px 20px; margin: 0 0 16px 0; }
+            .project h3 { margin: 0 0 8px 0; font-size: 16px; }
+            .project a { color: #1e5fa8; }
+            .footer { text-align: center; padding: 20px; color: #64748b; font-size: 12px; }
+        </style>
+    </head>
+    <body>
+        <div class="container">
+            <div class="header">
+                <h2 style="margin: 0;">Your WebReview Digest</h2>
+                <p style="margin: 5px 0 0 0; opacity: 0.9;">Hello ${user.name}, here's what happened since your last digest</p>
+            </div>
+            <div class="content">
+                ${groups.map(group => `
+                <div class="project">
+                    <h3><a href="${group.url}">${group.name}</a></h3>
+                    <ul style="margin: 0; padding-left: 20px;">
+                        ${group.items.map(item => `<li>${item.summary}</li>`).join('')}
+                    </ul>
+                </div>`).join('')}
+            </div>
+            <div class="footer">
+                <p>© 2026 StevensIT WebReview</p>${links.html}
+            </div>
+        </div>
+    </body>
+    </html>
+    `;
+    
+    const textBody = `
+Your WebReview digest
+
+Hello ${user.name}, here's what happened since your last digest:
+${groups.map(group => `
+${group.name} (${group.url})
+${group.items.map(item => `- ${item.summary}`).join('\n')}`).join('\n')}
+
+© 2026 StevensIT WebReview
+
+${links.text}
+    `;
+    
+    return sendEmail(user.email, subject, htmlBody, textBody, links.headers);
+}
+
+/**
+ * Send password reset email with a single-use reset link
+ */
+async function sendPasswordResetEmail(user, resetToken, expiresInMinutes) {
+    const appUrl = process.env.APP_URL || 'https://webreview.stevensed.org';
+    const resetUrl = `${appUrl}/reset-password.html?token=${resetToken}`;
+    
+    const subject = 'Reset your StevensIT WebReview password';
+    
+    const htmlBody = `
+    <!DOCTYPE html>
+    <html>
+    <head>
+        <style>
+            body { font-family: 'Segoe UI', Arial, sans-serif; line-height: 1.6; color: #333; }
+            .container { max-width: 600px; margin: 0 auto; padding: 20px; }
+            .header { background: linear-gradient(135deg, #1e5fa8 0%, #164785 100%); color: white; padding: 30px; text-align: center; border-radius: 8px 8px 0 0; }
+            .header h1 { margin: 0; font-size: 24px; }
+            .content { background: #f8fafc; padding: 30px; border: 1px solid #e2e8f0; }
+            .button { display: inline-block; background: #1e5fa8; color: white; padding: 14px 28px; text-decoration: none; border-radius: 6px; font-weight: 600; margin: 20px 0; }
+            .button:hover { background: #164785; }
+            .footer { text-align: center; padding: 20px; color: #64748b; font-size: 12px; }
+        </style>
+    </head>
+    <body>
+        <div class="container">
+            <div class="header">
+                <h1>StevensIT WebReview</h1>
+            </div>
+            <div class="content">
+                <p>Hello ${user.name},</p>
+                <p>We received a request to reset the password for your WebReview account.</p>
+                <p style="text-align: center;">
+                    <a href="${resetUrl}" class="button">Choose a New Password</a>
+                </p>
+                <p style="font-size: 14px; color: #64748b;">
+                    This link can only be used once and will expire in ${expiresInMinutes} minutes. If the button doesn't work, copy and paste this URL into your browser:
+                    <br><a href="${resetUrl}" style="color: #1e5fa8;">${resetUrl}</a>
+                </p>
+            </div>
+            <div class="footer">
+                <p>© 2026 StevensIT. All rights reserved.</p>
+                <p>If you didn't request a password reset, you can safely ignore this email - your password will not change.</p>
+            </div>
+        </div>
+    </body>
+    </html>
+    `;
+    
+    const textBody = `
+Reset your StevensIT WebReview password
+
+Hello ${user.name},
+
+We received a request to reset the password for your WebReview account.
+
+Choose a new password here:
+${resetUrl}
+
+This link can only be used once and will expire in ${expiresInMinutes} minutes.
+
+If you didn't request a password reset, you can safely ignore this email - your password will not change.
+
+© 2026 StevensIT. All rights reserved.
+    `;
+    
+    return sendEmail(user.email, subject, htmlBody, textBody);
+}
+
+/**
+ * Send a verification link to the address a user wants to switch to
+ */
+async function sendEmailChangeVerification(user, newEmail, verifyToken, expiresInHours) {
+    const appUrl = process.env.APP_URL || 'https://webreview.stevensed.org';
+    const verifyUrl = `${appUrl}/verify-email.html?token=${verifyToken}`;
+    
+    const subject = 'Confirm your new StevensIT WebReview email address';
+    
+    const htmlBody = `
+    <!DOCTYPE html>
+    <html>
+    <head>
+        <style>
+            body { font-family: 'Segoe UI', Arial, sans-serif; line-height: 1.6; color: #333; }
+            .container { max-width: 600px; margin: 0 auto; padding: 20px; }
+            .header { background: linear-gradient(135deg, #1e5fa8 0%, #164785 100%); color: white; padding: 30px; text-align: center; border-radius: 8px 8px 0 0; }
+            .header h1 { margin: 0; font-size: 24px; }
+            .content { background: #f8fafc; padding: 30px; border: 1px solid #e2e8f0; }
+            .button { display: inline-block; background: #1e5fa8; color: white; padding: 14px 28px; text-decoration: none; border-radius: 6px; font-weight: 600; margin: 20px 0; }
+            .button:hover { background: #164785; }
+            .footer { text-align: center; padding: 20px; color: #64748b; font-size: 12px; }
+        </style>
+    </head>
+    <body>
+        <div class="container">
+            <div class="header">
+                <h1>StevensIT WebReview</h1>
+            </div>
+            <div class="content">
+                <p>Hello ${user.name},</p>
+                <p>You asked to change the email address on your WebReview account from <strong>${user.email}</strong> to this address.</p>
+                <p style="text-align: center;">
+                    <a href="${verifyUrl}" class="button">Confirm Email Address</a>
+                </p>
+                <p style="font-size: 14px; color: #64748b;">
+                    This link can only be used once and will expire in ${expiresInHours} hours. If the button doesn't work, copy and paste this URL into your browser:
+                    <br><a href="${verifyUrl}" style="color: #1e5fa8;">${verifyUrl}</a>
+                </p>
+            </div>
+            <div class="footer">
+                <p>© 2026 StevensIT. All rights reserved.</p>
+                <p>If you didn't request this change, you can safely ignore this email.</p>
+            </div>
+        </div>
+    </body>
+    </html>
+    `;
+    
+    const textBody = `
+Confirm your new StevensIT WebReview email address
+
+Hello ${user.name},
+
+You asked to change the email address on your WebReview account from ${user.email} to this address.
+
+Confirm the change here:
+${verifyUrl}
+
+This link can only be used once and will expire in ${expiresInHours} hours.
+
+If you didn't request this change, you can safely ignore this email.
+
+© 2026 StevensIT. All rights reserved.
+    `;
+    
+    return sendEmail(newEmail, subject, htmlBody, textBody);
+}
+
+/**
+ * Let the old address know the account email was changed
+ */
+async function sendEmailChangedNotice(user, oldEmail) {
+    const subject = 'Your StevensIT WebReview email address was changed';
+    
+    const htmlBody = `
+    <!DOCTYPE html>
+    <html>
+    <head>
+        <style>
+            body { font-family: 'Segoe UI', Arial, sans-serif; line-height: 1.6; color: #333; }
+            .container { max-width: 600px; margin: 0 auto; padding: 20px; }
+            .header { background: linear-gradient(135deg, #1e5fa8 0%, #164785 100%); color: white; padding: 30px; text-align: center; border-radius: 8px 8px 0 0; }
+            .header h1 { margin: 0; font-size: 24px; }
+            .content { background: #f8fafc; padding: 30px; border: 1px solid #e2e8f0; }
+            .button { display: inline-block; background: #1e5fa8; color: white; padding: 14px 28px; text-decoration: none; border-radius: 6px; font-weight: 600; margin: 20px 0; }
+            .button:hover { background: #164785; }
+            .footer { text-align: center; padding: 20px; color: #64748b; font-size: 12px; }
+        </style>
+    </head>
+    <body>
+        <div class="container">
+            <div class="header">
+                <h1>StevensIT WebReview</h1>
+            </div>
+            <div class="content">
+                <p>Hello ${user.name},</p>
+                <p>The email address on your WebReview account was changed from <strong>${oldEmail}</strong> to <strong>${user.email}</strong>. Use the new address to sign in from now on.</p>
+                <p>If you didn't make this change, contact your StevensIT administrator right away.</p>
+            </div>
+            <div class="footer">
+                <p>© 2026 StevensIT. All rights reserved.</p>
+            </div>
+        </div>
+    </body>
+    </html>
+    `;
+    
+    const textBody = `
+Your StevensIT WebReview email address was changed
+
+Hello ${user.name},
+
+The email address on your WebReview account was changed from ${oldEmail} to ${user.email}. Use the new address to sign in from now on.
+
+If you didn't make this change, contact your StevensIT administrator right away.
+
+© 2026 StevensIT. All rights reserved.
+    `;
+    
+    return sendEmail(oldEmail, subject, htmlBody, textBody);
+}
+
+/**
+ * Send a single-use sign-in link (passwordless sign-in for clients)
+ */
+async function sendMagicLinkEmail(user, magicToken, expiresInMinutes) {
+    const appUrl = process.env.APP_URL || 'https://webreview.stevensed.org';
+    const signInUrl = `${appUrl}/login.html?magic=${magicToken}`;
+    
+    const subject = 'Your StevensIT WebReview sign-in link';
+    
+    const htmlBody = `
+    <!DOCTYPE html>
+    <html>
+    <head>
+        <style>
+            body { font-family: 'Segoe UI', Arial, sans-serif; line-height: 1.6; color: #333; }
+            .container { max-width: 600px; margin: 0 auto; padding: 20px; }
+            .header { background: linear-gradient(135deg, #1e5fa8 0%, #164785 100%); color: white; padding: 30px; text-align: center; border-radius: 8px 8px 0 0; }
+            .header h1 { margin: 0; font-size: 24px; }
+            .content { background: #f8fafc; padding: 30px; border: 1px solid #e2e8f0; }
+            .button { display: inline-block; background: #1e5fa8; color: white; padding: 14px 28px; text-decoration: none; border-radius: 6px; font-weight: 600; margin: 20px 0; }
+            .button:hover { background: #164785; }
+            .footer { text-align: center; padding: 20px; color: #64748b; font-size: 12px; }
+        </style>
+    </head>
+    <body>
+        <div class="container">
+            <div class="header">
+                <h1>StevensIT WebReview</h1>
+            </div>
+            <div class="content">
+                <p>Hello ${user.name},</p>
+                <p>Use the button below to sign in to WebReview - no password needed.</p>
+                <p style="text-align: center;">
+                    <a href="${signInUrl}" class="button">Sign In to WebReview</a>
+                </p>
+                <p style="font-size: 14px; color: #64748b;">
+                    This link can only be used once and will expire in ${expiresInMinutes} minutes. If the button doesn't work, copy and paste this URL into your browser:
+                    <br><a href="${signInUrl}" style="color: #1e5fa8;">${signInUrl}</a>
+                </p>
+            </div>
+            <div class="footer">
+                <p>© 2026 StevensIT. All rights reserved.</p>
+                <p>If you didn't ask to sign in, you can safely ignore this email.</p>
+            </div>
+        </div>
+    </body>
+    </html>
+    `;
+    
+    const textBody = `
+Your StevensIT WebReview sign-in link
+
+Hello ${user.name},
+
+Use this link to sign in to WebReview - no password needed.
+
+Sign in here:
+${signInUrl}
+
+This link can only be used once and will expire in ${expiresInMinutes} minutes.
+
+If you didn't ask to sign in, you can safely ignore this email.
+
+© 2026 StevensIT. All rights reserved.
+    `;
+    
+    return sendEmail(user.email, subject, htmlBody, textBody);
 }
 
 /**
  * Generic email sending function
  */
-async function sendEmail(to, subject, htmlBody, textBody) {
+async function sendEmail(to, subject, htmlBody, textBody, headers = {}) {
     const transport = initEmailTransporter();
     
     if (!transport) {
@@ -203,7 +704,8 @@ async function sendEmail(to, subject, htmlBody, textBody) {
             to,
             subject,
             text: textBody,
-            html: htmlBody
+            html: htmlBody,
+            headers
         });
         
         console.log(`Email sent to ${to}: ${info.messageId}`);
@@ -217,5 +719,11 @@ async function sendEmail(to, subject, htmlBody, textBody) {
 module.exports = {
     sendInvitationEmail,
     sendFeedbackNotification,
+    sendProjectUpdateNotification,
+    sendNotificationDigest,
+    sendPasswordResetEmail,
+    sendEmailChangeVerification,
+    sendEmailChangedNotice,
+    sendMagicLinkEmail,
     sendEmail
 };
@@ -0,0 +1,137 @@
+/**
+ * Organization Memberships
+ * A user can belong to several organizations, with a role and active flag in each.
+ * The user's top-level organizationId and role always describe their default
+ * organization (the one they last used), so code that reads user.role keeps
+ * working; sessions and tokens carry the organization they were issued for.
+ */
+
+const ORGANIZATION_ROLES = ['client', 'developer', 'admin'];
+
+/**
+ * Memberships as [{ organizationId, role, isActive, joinedAt }]
+ * Users created before multi-organization support only have a top-level
+ * organizationId and role, which count as their single membership
+ */
+function getMemberships(user) {
+    if (Array.isArray(user.memberships)) {
+        return user.memberships;
+    }
+    
+    if (!user.organizationId) return [];
+    
+    return [{
+        organizationId: user.organizationId,
+        role: user.role,
+        isActive: user.isActive !== false,
+        joinedAt: user.createdAt || null
+    }];
+}
+
+/**
+ * The user's membership in an organization, active or not
+ */
+function findMembership(user, organizationId) {
+    return getMemberships(user).find(m => m.organizationId === organizationId) || null;
+}
+
+/**
+ * The user as seen inside one organization (organizationId and role set for it),
+ * or null if they aren't an active member there
+ */
+function asMember(user, organizationId) {
+    const membership = findMembership(user, organizationId);
+    
+    if (!membership || membership.isActive === false) return null;
+    
+    return { ...user, organizationId, role: membership.role };
+}
+
+function getActiveMemberships(user) {
+    return getMemberships(user).filter(m => m.isActive !== false);
+}
+
+/**
+ * Whether the account itself is enabled (isActive), regardless of organization
+ * Admin documents created by hand before isActive existed carry status: 'active' instead
+ */
+function isAccountEnabled(user) {
+    if (typeof user.isActive === 'boolean') {
+        return user.isActive;
+    }
+    
+    return user.status === 'active';
+}
+
+/**
+ * Whether the user may sign in at all: the account is enabled and still
+ * active in at least one organization
+ */
+function canSignIn(user) {
+    return isAccountEnabled(user) && !!defaultOrganizationId(user);
+}
+
+/**
+ * Organization to sign the user in to: their default one if they are still
+ * active there, otherwise the first organization they are active in
+ */
+function defaultOrganizationId(user) {
+    const active = getActiveMemberships(user);
+    
+    if (active.some(m => m.organizationId === user.organizationId)) {
+        return user.organizationId;
+    }
+    
+    return active.length > 0 ? active[0].organizationId : null;
+}
+
+/**
+ * User updates that add or change one membership
+ * changes is { role, isActive, companyId }; the default organization (top-level
+ * organizationId and role) is kept pointing at an active membership
+ */
+function withMembership(user, organizationId, changes) {
+    const existing = findMembership(user, organizationId);
+    const others = getMemberships(user).filter(m => m.organizationId !== organizationId);
+    
+    const membership = {
+        organizationId,
+        role: existing ? existing.role : 'client',
+        isActive: existing ? existing.isActive !== false : true,
+        joinedAt: existing ? existing.joinedAt : new Date().toISOString(),
+        companyId: existing ? existing.companyId || null : null, // client company, see functions/companies.js
+        ...changes
+    };
+    
+    return withDefaultOrganization({ ...user, memberships: [...others, membership] }, user.organizationId);
+}
+
+/**
+ * User updates that make an organization the default (e.g. after switching to it)
+ * Falls back to another active membership if the user isn't active there
+ */
+function withDefaultOrganization(user, organizationId) {
+    const memberships = getMemberships(user);
+    const candidate = { ...user, memberships, organizationId };
+    const defaultId = defaultOrganizationId(candidate) || organizationId;
+    const membership = memberships.find(m => m.organizationId === defaultId);
+    
+    return {
+        memberships,
+        organizationId: defaultId,
+        role: membership ? membership.role : user.role
+    };
+}
+
+module.exports = {
+    ORGANIZATION_ROLES,
+    getMemberships,
+    findMembership,
+    asMember,
+    getActiveMemberships,
+    isAccountEnabled,
+    canSignIn,
+    defaultOrganizationId,
+    withMembership,
+    withDefaultOrganization
+};
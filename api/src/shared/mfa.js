@@ -0,0 +1,104 @@
+/**
+ * Two-Factor Checks
+ * Verifying a TOTP or recovery code against a user's enrollment, with the
+ * lockout after repeated wrong codes. Used wherever a code is asked for:
+ * the login step, turning two-factor off, new recovery codes and moving a
+ * session into another organization.
+ */
+
+const db = require('./database');
+const auth = require('./auth');
+const totp = require('./totp');
+
+// Lock the second step for a while after this many wrong codes
+const MAX_MFA_FAILURES = 5;
+const MFA_LOCKOUT_MINUTES = 15;
+
+/**
+ * Check a TOTP code or recovery code against the user's enrollment
+ * Returns the mfa updates to persist on success, or null
+ */
+function checkSecondFactor(mfa, code) {
+    const secret = auth.decryptSecret(mfa.secret);
+    const step = totp.verifyTOTP(secret, code, { lastUsedStep: mfa.lastUsedStep ?? null });
+    
+    if (step !== null) {
+        return { lastUsedStep: step };
+    }
+    
+    const recoveryHash = auth.hashToken(totp.normalizeRecoveryCode(code));
+    const remaining = (mfa.recoveryCodeHashes || []).filter(hash => hash !== recoveryHash);
+    
+    if (remaining.length < (mfa.recoveryCodeHashes || []).length) {
+        return { recoveryCodeHashes: remaining };
+    }
+    
+    return null;
+}
+
+/**
+ * Whether too many wrong codes have locked the user's second factor for now
+ */
+function isLocked(mfa) {
+    return !!mfa.lockedUntil && new Date(mfa.lockedUntil) > new Date();
+}
+
+/**
+ * Count a wrong code against the user's enrollment, locking it for a while
+ * after MAX_MFA_FAILURES in a row
+ * Returns whether this failure locked it
+ */
+async function recordWrongCode(user) {
+    const failedAttempts = (user.mfa.failedAttempts || 0) + 1;
+    const locked = failedAttempts >= MAX_MFA_FAILURES;
+    
+    await db.updateUser(user.id, user.email, {
+        mfa: {
+            ...user.mfa,
+            failedAttempts: locked ? 0 : failedAttempts,
+            lockedUntil: locked
+                ? new Date(Date.now() + MFA_LOCKOUT_MINUTES * 60 * 1000).toISOString()
+                : null
+        }
+    });
+    
+    return locked;
+}
+
+/**
+ * Check a code for a user with two-factor on, saving the outcome - a used
+ * code can't be replayed, and wrong codes count towards the lockout
+ * Returns { mfa } (the saved enrollment) or { status, error }
+ */
+async function verifyCode(user, code) {
+    if (isLocked(user.mfa)) {
+        return { status: 429, error: 'Too many invalid codes. Try again later.' };
+    }
+    
+    const updates = code ? checkSecondFactor(user.mfa, code) : null;
+    
+    if (!updates) {
+        await recordWrongCode(user);
+        return { status: 400, error: 'Invalid verification code' };
+    }
+    
+    const mfa = {
+        ...user.mfa,
+        ...updates,
+        failedAttempts: 0,
+        lockedUntil: null
+    };
+    
+    await db.updateUser(user.id, user.email, { mfa });
+    
+    return { mfa };
+}
+
+module.exports = {
+    MAX_MFA_FAILURES,
+    MFA_LOCKOUT_MINUTES,
+    checkSecondFactor,
+    isLocked,
+    recordWrongCode,
+    verifyCode
+};
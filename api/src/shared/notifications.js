@@ -0,0 +1,174 @@
+/**
+ * Notification Preferences
+ * Which notification emails each user wants and how they want them delivered,
+ * stored on the user record as notificationPreferences. Anything a user hasn't
+ * chosen falls back to DEFAULT_PREFERENCES.
+ * Account emails (sign-in links, password resets, email changes) and invitations
+ * aren't notifications - they are always sent.
+ */
+
+const db = require('./database');
+const memberships = require('./memberships');
+const permissions = require('./permissions');
+
+// Kinds of notification a user can turn on or off
+const NOTIFICATION_EVENTS = {
+    feedback: 'New feedback on projects I lead',
+    projectUpdates: 'Project status changes, approvals and new previews'
+};
+
+// 'digest' collects notifications into one email a day (see functions/notifications.js)
+const DELIVERY_MODES = ['immediate', 'digest'];
+
+const DEFAULT_PREFERENCES = {
+    events: { feedback: true, projectUpdates: true },
+    delivery: 'immediate',
+    projects: {}, // per-project overrides, e.g. { [projectId]: { projectUpdates: false } }
+    mutedProjects: [] // projects the user never hears about
+};
+
+/**
+ * A user's preferences with the defaults filled in
+ */
+function getPreferences(user) {
+    const saved = user.notificationPreferences || {};
+    
+    return {
+        events: { ...DEFAULT_PREFERENCES.events, ...saved.events },
+        delivery: DELIVERY_MODES.includes(saved.delivery) ? saved.delivery : DEFAULT_PREFERENCES.delivery,
+        projects: saved.projects || {},
+        mutedProjects: saved.mutedProjects || []
+    };
+}
+
+/**
+ * Event flags from the caller, e.g. { feedback: false }
+ * Returns { flags } or { error }
+ */
+function readEventFlags(input) {
+    if (!input || typeof input !== 'object' || Array.isArray(input)) {
+        return { error: 'Notification settings must be an object of true/false values' };
+    }
+    
+    const flags = {};
+    for (const [event, enabled] of Object.entries(input)) {
+        if (!NOTIFICATION_EVENTS[event]) {
+            return { error: `Unknown notification type: ${event}` };
+        }
+        flags[event] = !!enabled;
+    }
+    
+    return { flags };
+}
+
+/**
+ * Apply changes from the settings view on top of the user's current preferences
+ * Any of events, delivery, projects and mutedProjects may be left out; projects
+ * and mutedProjects replace the current ones when given
+ * Returns { preferences } or { error }
+ */
+function mergePreferences(user, changes) {
+    const preferences = getPreferences(user);
+    
+    if (changes.events !== undefined) {
+        const { flags, error } = readEventFlags(changes.events);
+        if (error) return { error };
+        preferences.events = { ...preferences.events, ...flags };
+    }
+    
+    if (changes.delivery !== undefined) {
+        if (!DELIVERY_MODES.includes(changes.delivery)) {
+            return { error: `Delivery must be one of: ${DELIVERY_MODES.join(', ')}` };
+        }
+        preferences.delivery = changes.delivery;
+    }
+    
+    if (changes.projects !== undefined) {
+        if (!changes.projects || typeof changes.projects !== 'object' || Array.isArray(changes.projects)) {
+            return { error: 'Project settings must be an object keyed by project ID' };
+        }
+        
+        const projects = {};
+        for (const [projectId, events] of Object.entries(changes.projects)) {
+            const { flags, error } = readEventFlags(events);
+            if (error) return { error };
+            if (Object.keys(flags).length > 0) projects[projectId] = flags;
+        }
+        preferences.projects = projects;
+    }
+    
+    if (changes.mutedProjects !== undefined) {
+        if (!Array.isArray(changes.mutedProjects) || changes.mutedProjects.some(id => typeof id !== 'string')) {
+            return { error: 'Muted projects must be a list of project IDs' };
+        }
+        preferences.mutedProjects = [...new Set(changes.mutedProjects)];
+    }
+    
+    return { preferences };
+}
+
+/**
+ * Preferences after following an unsubscribe link: mutes one project, or
+ * turns off every notification when no project is given
+ */
+function unsubscribed(user, projectId = null) {
+    const preferences = getPreferences(user);
+    
+    if (projectId) {
+        return {
+            ...preferences,
+            mutedProjects: [...new Set([...preferences.mutedProjects, projectId])]
+        };
+    }
+    
+    return {
+        ...preferences,
+        events: Object.fromEntries(Object.keys(NOTIFICATION_EVENTS).map(event => [event, false])),
+        projects: {}
+    };
+}
+
+/**
+ * How a user wants to hear about an event on a project:
+ * 'immediate', 'digest', or null for not at all
+ */
+function deliveryFor(user, event, projectId) {
+    const preferences = getPreferences(user);
+    
+    if (preferences.mutedProjects.includes(projectId)) return null;
+    
+    const override = preferences.projects[projectId] || {};
+    const wanted = override[event] !== undefined ? override[event] : preferences.events[event];
+    
+    return wanted ? preferences.delivery : null;
+}
+
+/**
+ * Users to notify about a project: its members who can still sign in to the
+ * project's organization, apart from whoever caused the notification
+ * role narrows it to members with that project role (e.g. 'project-lead')
+ */
+async function getProjectRecipients(project, exceptUserId, role = null) {
+    const recipients = [];
+    
+    for (const member of permissions.getMembers(project)) {
+        if (member.userId === exceptUserId || (role && member.role !== role)) continue;
+        
+        const user = await db.getUserById(member.userId);
+        if (user && memberships.isAccountEnabled(user) && memberships.asMember(user, project.organizationId)) {
+            recipients.push(user);
+        }
+    }
+    
+    return recipients;
+}
+
+module.exports = {
+    NOTIFICATION_EVENTS,
+    DELIVERY_MODES,
+    getPreferences,
+    mergePreferences,
+    unsubscribed,
+    deliveryFor,
+    getProjectRecipients
+};
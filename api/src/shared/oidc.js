@@ -0,0 +1,237 @@
+/**
+ * OpenID Connect Client
+ * Authorization-code flow (with PKCE) against the developer team's identity provider.
+ * Endpoints and signing keys come from the issuer's discovery document, so any
+ * standards-compliant provider works - including a local mock provider over http.
+ */
+
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const auth = require('./auth');
+
+// How long the user has to finish signing in at the provider
+const STATE_TTL_MINUTES = 10;
+
+// Signing algorithms accepted on ID tokens (never 'none' or HMAC)
+const ID_TOKEN_ALGORITHMS = ['RS256', 'RS384', 'RS512', 'PS256', 'PS384', 'PS512', 'ES256', 'ES384', 'ES512'];
+
+let discoveryCache = null;
+let jwksCache = null;
+
+/**
+ * SSO settings from the environment
+ */
+function getConfig() {
+    const issuer = (process.env.OIDC_ISSUER || '').trim().replace(/\/+$/, '');
+    const appUrl = process.env.APP_URL || 'https://webreview.stevensed.org';
+    
+    return {
+        issuer,
+        clientId: (process.env.OIDC_CLIENT_ID || '').trim(),
+        clientSecret: (process.env.OIDC_CLIENT_SECRET || '').trim(),
+        redirectUri: process.env.OIDC_REDIRECT_URI || `${appUrl}/login.html`,
+        scopes: process.env.OIDC_SCOPES || 'openid email profile',
+        allowedDomains: (process.env.OIDC_ALLOWED_DOMAIN || '')
+            .split(',')
+            .map(domain => domain.trim().toLowerCase())
+            .filter(Boolean),
+        organizationId: process.env.OIDC_ORGANIZATION_ID || 'stevensit',
+        label: process.env.OIDC_LABEL || 'Sign in with SSO'
+    };
+}
+
+/**
+ * SSO is offered once an issuer, client and allowed domain are configured
+ */
+function isEnabled() {
+    const config = getConfig();
+    return !!(config.issuer && config.clientId && config.allowedDomains.length > 0);
+}
+
+async function fetchJson(url, options) {
+    const response = await fetch(url, options);
+    const body = await response.json().catch(() => ({}));
+    
+    if (!response.ok) {
+        const reason = body.error_description || body.error || response.statusText;
+        throw new Error(`OIDC request to ${url} failed (${response.status}): ${reason}`);
+    }
+    
+    return body;
+}
+
+/**
+ * The provider's discovery document (cached per issuer)
+ */
+async function discover() {
+    const { issuer } = getConfig();
+    
+    if (discoveryCache && discoveryCache.issuer === issuer) {
+        return discoveryCache.document;
+    }
+    
+    const document = await fetchJson(`${issuer}/.well-known/openid-configuration`);
+    
+    if (document.issuer.replace(/\/+$/, '') !== issuer) {
+        throw new Error(`OIDC discovery issuer mismatch: ${document.issuer}`);
+    }
+    
+    discoveryCache = { issuer, document };
+    jwksCache = null;
+    return document;
+}
+
+/**
+ * Public key for an ID token's key id, refetching the key set once for unknown ids
+ * (providers rotate keys)
+ */
+async function getSigningKey(kid) {
+    const document = await discover();
+    
+    for (const refresh of [false, true]) {
+        if (refresh || !jwksCache) {
+            jwksCache = await fetchJson(document.jwks_uri);
+        }
+        
+        const jwk = (jwksCache.keys || []).find(key =>
+            (!kid || key.kid === kid) && (!key.use || key.use === 'sig'));
+        
+        if (jwk) {
+            return crypto.createPublicKey({ key: jwk, format: 'jwk' });
+        }
+    }
+    
+    throw new Error(`No OIDC signing key found for kid ${kid}`);
+}
+
+function base64url(buffer) {
+    return buffer.toString('base64').replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+/**
+ * Build the provider URL to send the browser to
+ * The returned state carries the nonce and PKCE verifier, encrypted so only
+ * this API can read them back; the browser keeps it to match the callback
+ */
+async function createAuthorizationRequest() {
+    const config = getConfig();
+    const document = await discover();
+    
+    const nonce = base64url(crypto.randomBytes(16));
+    const codeVerifier = base64url(crypto.randomBytes(32));
+    const codeChallenge = base64url(crypto.createHash('sha256').update(codeVerifier).digest());
+    
+    const state = base64url(Buffer.from(auth.encryptSecret(JSON.stringify({
+        nonce,
+        codeVerifier,
+        expiresAt: Date.now() + STATE_TTL_MINUTES * 60 * 1000
+    }))));
+    
+    const params = new URLSearchParams({
+        response_type: 'code',
+        client_id: config.clientId,
+        redirect_uri: config.redirectUri,
+        scope: config.scopes,
+        state,
+        nonce,
+        code_challenge: codeChallenge,
+        code_challenge_method: 'S256'
+    });
+    
+    // Ask the provider to pre-select a corporate account where it supports it
+    if (config.allowedDomains.length === 1) {
+        params.set('domain_hint', config.allowedDomains[0]);
+    }
+    
+    return {
+        authorizationUrl: `${document.authorization_endpoint}?${params.toString()}`,
+        state
+    };
+}
+
+/**
+ * Read back a state issued by createAuthorizationRequest
+ * Returns { nonce, codeVerifier } or null if it was tampered with or has expired
+ */
+function readState(state) {
+    try {
+        const decoded = JSON.parse(auth.decryptSecret(Buffer.from(state, 'base64url').toString('utf8')));
+        if (!decoded.expiresAt || decoded.expiresAt < Date.now()) return null;
+        return decoded;
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * Exchange an authorization code for the provider's tokens
+ */
+async function exchangeCode(code, codeVerifier) {
+    const config = getConfig();
+    const document = await discover();
+    
+    const params = new URLSearchParams({
+        grant_type: 'authorization_code',
+        code,
+        redirect_uri: config.redirectUri,
+        client_id: config.clientId,
+        code_verifier: codeVerifier
+    });
+    
+    if (config.clientSecret) {
+        params.set('client_secret', config.clientSecret);
+    }
+    
+    return fetchJson(document.token_endpoint, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/x-www-form-urlencoded', 'Accept': 'application/json' },
+        body: params.toString()
+    });
+}
+
+/**
+ * Verify an ID token's signature, issuer, audience, expiry and nonce
+ * Returns its claims, or throws
+ */
+async function verifyIdToken(idToken, nonce) {
+    const config = getConfig();
+    const document = await discover();
+    
+    const decoded = jwt.decode(idToken, { complete: true });
+    if (!decoded) {
+        throw new Error('Malformed ID token');
+    }
+    
+    const key = await getSigningKey(decoded.header.kid);
+    
+    const claims = jwt.verify(idToken, key, {
+        algorithms: ID_TOKEN_ALGORITHMS,
+        issuer: document.issuer,
+        audience: config.clientId,
+        clockTolerance: 60
+    });
+    
+    if (claims.nonce !== nonce) {
+        throw new Error('ID token nonce mismatch');
+    }
+    
+    return claims;
+}
+
+/**
+ * Whether an email belongs to one of the allowed domains
+ */
+function isAllowedEmail(email) {
+    const domain = String(email || '').toLowerCase().split('@')[1];
+    return !!domain && getConfig().allowedDomains.includes(domain);
+}
+
+module.exports = {
+    getConfig,
+    isEnabled,
+    createAuthorizationRequest,
+    readState,
+    exchangeCode,
+    verifyIdToken,
+    isAllowedEmail
+};
@@ -0,0 +1,328 @@
+/**
+ * Project Pages
+ * The pages of a multi-page site under review. Pages are kept as paths
+ * ('/about/team') so they stay valid when a new review round moves the site
+ * to another preview URL. They are added by hand or imported from a
+ * sitemap.xml - uploaded, or fetched from its URL - and feedback records the
+ * page it was left on.
+ */
+
+const http = require('http');
+const https = require('https');
+const dns = require('dns');
+const net = require('net');
+const { v4: uuidv4 } = require('uuid');
+
+const MAX_PAGES = 500;
+
+// Nested sitemaps followed from a sitemap index, and limits on each fetch
+const MAX_NESTED_SITEMAPS = 10;
+const MAX_REDIRECTS = 5;
+const FETCH_TIMEOUT_MS = 10000;
+const MAX_SITEMAP_BYTES = 5 * 1024 * 1024;
+
+// Addresses that aren't the public internet - sitemaps are never fetched from them
+const PRIVATE_ADDRESSES = new net.BlockList();
+for (const [network, prefix] of [
+    ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8],
+    ['169.254.0.0', 16], ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16],
+    ['198.18.0.0', 15], ['224.0.0.0', 4], ['240.0.0.0', 4]
+]) {
+    PRIVATE_ADDRESSES.addSubnet(network, prefix, 'ipv4');
+}
+for (const [network, prefix] of [['::', 128], ['::1', 128], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]]) {
+    PRIVATE_ADDRESSES.addSubnet(network, prefix, 'ipv6');
+}
+
+/**
+ * Path (with query string) for a page given as a path or a full URL, or null if it isn't one
+ */
+function normalizePath(value) {
+    try {
+        const url = new URL(String(value || '').trim(), 'https://preview.invalid/');
+        if (!['http:', 'https:'].includes(url.protocol)) return null;
+        return url.pathname + url.search;
+    } catch {
+        return null;
+    }
+}
+
+function decodeSegment(segment) {
+    try {
+        return decodeURIComponent(segment);
+    } catch {
+        return segment;
+    }
+}
+
+/**
+ * A readable title from a path, e.g. '/about-us/our-team' becomes 'About us / Our team'
+ */
+function titleFromPath(path) {
+    const segments = path.split('?')[0].split('/').filter(Boolean);
+    if (segments.length === 0) return 'Home';
+    
+    return segments
+        .map(segment => {
+            const words = decodeSegment(segment).replace(/\.[a-z0-9]+$/i, '').replace(/[-_]+/g, ' ').trim();
+            return words.charAt(0).toUpperCase() + words.slice(1);
+        })
+        .join(' / ');
+}
+
+/**
+ * Pages from a request body, as [{ id, title, path }] - existing pages keep their id
+ * Returns { pages } or { error }
+ */
+function parsePages(pages, existing = []) {
+    if (!Array.isArray(pages)) {
+        return { error: 'Pages must be a list' };
+    }
+    
+    if (pages.length > MAX_PAGES) {
+        return { error: `A project can have at most ${MAX_PAGES} pages` };
+    }
+    
+    const parsed = [];
+    
+    for (const page of pages) {
+        const path = normalizePath(page.path);
+        if (!path) {
+            return { error: `Not a page path or URL: ${page.path}` };
+        }
+        if (parsed.some(p => p.path === path)) {
+            return { error: `${path} is listed twice` };
+        }
+        
+        const previous = existing.find(p => p.id === page.id);
+        
+        parsed.push({
+            id: previous ? previous.id : uuidv4(),
+            title: String(page.title || '').trim().slice(0, 200) || titleFromPath(path),
+            path
+        });
+    }
+    
+    return { pages: parsed };
+}
+
+function decodeXml(value) {
+    return value
+        .replace(/^<!\[CDATA\[([\s\S]*)\]\]>$/, '$1')
+        .replace(/&lt;/g, '<')
+        .replace(/&gt;/g, '>')
+        .replace(/&quot;/g, '"')
+        .replace(/&apos;/g, "'")
+        .replace(/&amp;/g, '&');
+}
+
+/**
+ * The <loc> entries of a sitemap - page URLs, or for a sitemap index the URLs of its sitemaps
+ * Returns { urls, sitemaps }
+ */
+function parseSitemap(xml) {
+    const locations = [...String(xml).matchAll(/<loc>\s*([\s\S]*?)\s*<\/loc>/gi)]
+        .map(match => decodeXml(match[1].trim()));
+    
+    return /<sitemapindex[\s>]/i.test(xml)
+        ? { urls: [], sitemaps: locations }
+        : { urls: locations, sitemaps: [] };
+}
+
+/**
+ * The IPv4 address an IPv6 address stands for - IPv4-mapped (::ffff:a.b.c.d),
+ * NAT64 (64:ff9b::a.b.c.d) or IPv4-compatible (::a.b.c.d) - or null
+ */
+function embeddedIPv4(address) {
+    if (net.isIP(address) !== 6) return null;
+    
+    // Canonical form writes the IPv4 part as two hex groups: ::ffff:7f00:1
+    const canonical = new URL(`http://[${address}]/`).hostname.slice(1, -1);
+    const match = canonical.match(/^(?:::ffff:|64:ff9b::|::)([0-9a-f]{1,4}):([0-9a-f]{1,4})$/);
+    if (!match) return null;
+    
+    const high = parseInt(match[1], 16);
+    const low = parseInt(match[2], 16);
+    return [high >> 8, high & 255, low >> 8, low & 255].join('.');
+}
+
+function isPrivateAddress(address) {
+    const ipv4 = embeddedIPv4(address);
+    if (ipv4) return isPrivateAddress(ipv4);
+    
+    const family = net.isIP(address);
+    return family === 0 || PRIVATE_ADDRESSES.check(address, family === 4 ? 'ipv4' : 'ipv6');
+}
+
+/**
+ * The URL of a sitemap to fetch, refusing anything but public http(s) hosts
+ * Host names are checked again once resolved, see publicLookup
+ */
+function sitemapFetchUrl(value, base) {
+    let url;
+    try {
+        url = new URL(value, base);
+    } catch {
+        throw new Error(`Not a URL: ${value}`);
+    }
+    
+    const host = url.hostname.toLowerCase().replace(/^\[|\]$/g, '');
+    const refused = !['http:', 'https:'].includes(url.protocol) ||
+        host === 'localhost' ||
+        host.endsWith('.localhost') ||
+        host.endsWith('.internal') ||
+        (net.isIP(host) !== 0 && isPrivateAddress(host));
+
+    if (refused) {
+        throw new Error(`Sitemaps can't be fetched from ${url.host}`);
+    }
+    
+    return url;
+}
+
+/**
+ * dns.lookup for sitemap requests that fails for private addresses, so the
+ * address checked is the one connected to
+ */
+function publicLookup(hostname, options, callback) {
+    dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+        if (error) return callback(error);
+        
+        if (addresses.length === 0 || addresses.some(a => isPrivateAddress(a.address))) {
+            return callback(new Error(`Sitemaps can't be fetched from ${hostname}`));
+        }
+        
+        if (options.all) {
+            callback(null, addresses);
+        } else {
+            callback(null, addresses[0].address, addresses[0].family);
+        }
+    });
+}
+
+function get(url, signal) {
+    const transport = url.protocol === 'https:' ? https : http;
+    
+    return new Promise((resolve, reject) => {
+        const request = transport.get(url, { lookup: publicLookup, signal }, resolve);
+        request.on('error', reject);
+    });
+}
+
+/**
+ * The response body as text, given up on as soon as it passes MAX_SITEMAP_BYTES
+ */
+function readBody(response, url) {
+    const tooLarge = () => new Error(`${url} is larger than ${MAX_SITEMAP_BYTES / (1024 * 1024)} MB`);
+    
+    if (Number(response.headers['content-length']) > MAX_SITEMAP_BYTES) {
+        response.destroy();
+        return Promise.reject(tooLarge());
+    }
+    
+    return new Promise((resolve, reject) => {
+        const chunks = [];
+        let bytes = 0;
+        
+        response.on('data', chunk => {
+            bytes += chunk.length;
+            if (bytes > MAX_SITEMAP_BYTES) {
+                response.destroy();
+                reject(tooLarge());
+                return;
+            }
+            chunks.push(chunk);
+        });
+        response.on('end', () => resolve(Buffer.concat(chunks).toString('utf8')));
+        response.on('error', reject);
+    });
+}
+
+/**
+ * Fetch a sitemap, following redirects only to hosts it could be fetched from
+ */
+async function fetchSitemap(sitemapUrl) {
+    const signal = AbortSignal.timeout(FETCH_TIMEOUT_MS);
+    let url = sitemapFetchUrl(sitemapUrl);
+    
+    try {
+        for (let redirects = 0; ; redirects++) {
+            const response = await get(url, signal);
+            
+            if ([301, 302, 303, 307, 308].includes(response.statusCode) && response.headers.location) {
+                response.resume();
+                if (redirects >= MAX_REDIRECTS) {
+                    throw new Error(`${url} redirects too many times`);
+                }
+                url = sitemapFetchUrl(response.headers.location, url);
+                continue;
+            }
+            
+            if (response.statusCode < 200 || response.statusCode >= 300) {
+                response.resume();
+                throw new Error(`${url} returned ${response.statusCode}`);
+            }
+            
+            return await readBody(response, url);
+        }
+    } catch (error) {
+        if (signal.aborted) {
+            throw new Error(`${url} took too long to respond`);
+        }
+        throw error;
+    }
+}
+
+/**
+ * Page URLs from a sitemap - the uploaded XML, or fetched from sitemapUrl -
+ * following a sitemap index to the sitemaps it lists
+ * Throws an Error with a message for the caller when a sitemap can't be read
+ */
+async function readSitemap({ sitemap, sitemapUrl }) {
+    const documents = [sitemap || await fetchSitemap(sitemapUrl)];
+    const urls = [];
+    let nested = 0;
+    
+    while (documents.length > 0) {
+        const parsed = parseSitemap(documents.shift());
+        urls.push(...parsed.urls);
+        
+        for (const nestedUrl of parsed.sitemaps) {
+            if (nested++ >= MAX_NESTED_SITEMAPS) break;
+            documents.push(await fetchSitemap(nestedUrl));
+        }
+    }
+    
+    return urls;
+}
+
+/**
+ * Pages list with the paths of urls added, skipping pages already listed
+ * Returns { pages, imported, skipped }
+ */
+function withImportedPages(project, urls) {
+    const pages = [...(project.pages || [])];
+    let imported = 0;
+    let skipped = 0;
+    
+    for (const url of urls) {
+        const path = normalizePath(url);
+        
+        if (!path || pages.some(p => p.path === path) || pages.length >= MAX_PAGES) {
+            skipped++;
+            continue;
+        }
+        
+        pages.push({ id: uuidv4(), title: titleFromPath(path), path });
+        imported++;
+    }
+    
+    return { pages, imported, skipped };
+}
+
+module.exports = {
+    MAX_SITEMAP_BYTES,
+    parsePages,
+    readSitemap,
+    withImportedPages
+};
@@ -0,0 +1,160 @@
+/**
+ * Project Permissions
+ * Per-project membership roles and what each role is allowed to do.
+ * Org admins act as project leads on every project; everyone else needs a
+ * membership on the project, whatever their global role.
+ */
+
+// Ordered from least to most access - each role can do everything the ones before it can
+const PROJECT_ROLES = ['viewer', 'commenter', 'approver', 'project-lead'];
+
+// Minimum project role needed for each action
+const PERMISSIONS = {
+    view: 'viewer',
+    comment: 'commenter',
+    approve: 'approver',
+    edit: 'project-lead',
+    manageFeedback: 'project-lead',
+    manageMembers: 'project-lead',
+    delete: 'project-lead'
+};
+
+// Highest project role each global role may hold
+const MAX_ROLE_FOR_GLOBAL_ROLE = {
+    client: 'approver',
+    developer: 'project-lead',
+    admin: 'project-lead'
+};
+
+// Role given when someone is added without one (matches what clients could do before)
+const DEFAULT_ROLE_FOR_GLOBAL_ROLE = {
+    client: 'approver',
+    developer: 'project-lead',
+    admin: 'project-lead'
+};
+
+function rank(role) {
+    return PROJECT_ROLES.indexOf(role);
+}
+
+function isValidProjectRole(role) {
+    return PROJECT_ROLES.includes(role);
+}
+
+/**
+ * Whether a user with this global role may hold this project role
+ */
+function canHoldRole(globalRole, projectRole) {
+    const max = MAX_ROLE_FOR_GLOBAL_ROLE[globalRole];
+    return !!max && rank(projectRole) <= rank(max);
+}
+
+function defaultRoleFor(globalRole) {
+    return DEFAULT_ROLE_FOR_GLOBAL_ROLE[globalRole] || 'viewer';
+}
+
+/**
+ * Project members as [{ userId, role }]
+ * Projects created before per-project roles only have assignedClients and
+ * assignedDevelopers, which map to approvers and project leads
+ */
+function getMembers(project) {
+    if (Array.isArray(project.members)) {
+        return project.members;
+    }
+    
+    const members = [];
+    for (const userId of project.assignedDevelopers || []) {
+        members.push({ userId, role: 'project-lead' });
+    }
+    for (const userId of project.assignedClients || []) {
+        if (!members.some(m => m.userId === userId)) {
+            members.push({ userId, role: 'approver' });
+        }
+    }
+    return members;
+}
+
+/**
+ * The caller's role on a project, or null if they have no access
+ * user is the authenticated payload ({ userId, role, ... })
+ */
+function getProjectRole(project, user) {
+    if (user.role === 'admin') return 'project-lead';
+    
+    const member = getMembers(project).find(m => m.userId === user.userId);
+    if (!member) return null;
+    
+    // A role kept from before a demotion only counts up to what the new global role may hold
+    return canHoldRole(user.role, member.role) ? member.role : MAX_ROLE_FOR_GLOBAL_ROLE[user.role] || member.role;
+}
+
+/**
+ * Whether the caller may perform an action (a key of PERMISSIONS) on a project
+ */
+function can(user, project, action) {
+    const role = getProjectRole(project, user);
+    return role !== null && rank(role) >= rank(PERMISSIONS[action]);
+}
+
+/**
+ * Members list with one user added or their role changed
+ */
+function withMember(project, userId, role) {
+    const members = getMembers(project).filter(m => m.userId !== userId);
+    members.push({ userId, role, addedAt: new Date().toISOString() });
+    return members;
+}
+
+/**
+ * Members list with one user removed
+ */
+function withoutMember(project, userId) {
+    return getMembers(project).filter(m => m.userId !== userId);
+}
+
+/**
+ * Members list with a client company's people added as approvers
+ * Their entries carry the companyId so the company can take the access away
+ * again; anyone already on the project keeps their own entry
+ */
+function withCompanyMembers(project, companyId, userIds) {
+    const members = [...getMembers(project)];
+    for (const userId of userIds) {
+        if (!members.some(m => m.userId === userId)) {
+            members.push({ userId, role: defaultRoleFor('client'), addedAt: new Date().toISOString(), companyId });
+        }
+    }
+    return members;
+}
+
+/**
+ * Members list without the access a company granted - to everyone, or only to userId
+ */
+function withoutCompanyMembers(project, companyId, userId = null) {
+    return getMembers(project).filter(m =>
+        m.companyId !== companyId || (userId !== null && m.userId !== userId));
+}
+
+/**
+ * User ids holding a project role (e.g. everyone to notify about new feedback)
+ */
+function getMemberIdsWithRole(project, role) {
+    return getMembers(project).filter(m => m.role === role).map(m => m.userId);
+}
+
+module.exports = {
+    PROJECT_ROLES,
+    PERMISSIONS,
+    isValidProjectRole,
+    canHoldRole,
+    defaultRoleFor,
+    getMembers,
+    getProjectRole,
+    can,
+    withMember,
+    withoutMember,
+    withCompanyMembers,
+    withoutCompanyMembers,
+    getMemberIdsWithRole
+};
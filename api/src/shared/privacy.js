@@ -0,0 +1,260 @@
+/**
+ * Personal Data
+ * Everything tied to one person, gathered into an export bundle, and account
+ * erasure: the user document and their own records are deleted, while the
+ * feedback they left stays on its projects under a pseudonym so the review
+ * history still reads the same.
+ * The audit log is the one exception - it is the organization's security
+ * record and is never changed (see shared/audit.js).
+ */
+
+const db = require('./database');
+const auth = require('./auth');
+const memberships = require('./memberships');
+const permissions = require('./permissions');
+const throttle = require('./throttle');
+
+// Shown wherever an erased user's name used to be
+const ERASED_NAME = 'Deleted user';
+
+// Most audit entries per organization included in an export
+const MAX_EXPORT_ACTIVITY = 5000;
+
+/**
+ * Stable stand-in for an erased user's id - the same person always gets the
+ * same pseudonym, so their feedback can still be told apart from others'
+ */
+function pseudonymFor(userId) {
+    return `erased-${auth.hashToken(userId).slice(0, 12)}`;
+}
+
+/**
+ * Invitation fields for an export (never the token)
+ */
+function exportInvitation(invitation) {
+    return {
+        id: invitation.id,
+        organizationId: invitation.organizationId,
+        email: invitation.email,
+        name: invitation.name,
+        role: invitation.role,
+        projectIds: invitation.projectIds || [],
+        invitedBy: invitation.invitedBy,
+        invitedByName: invitation.invitedByName,
+        createdAt: invitation.createdAt,
+        expiresAt: invitation.expiresAt,
+        acceptedAt: invitation.acceptedAt,
+        revokedAt: invitation.revokedAt || null
+    };
+}
+
+function exportFeedback(feedback) {
+    return {
+        id: feedback.id,
+        projectId: feedback.projectId,
+        type: feedback.type,
+        priority: feedback.priority,
+        status: feedback.status,
+        text: feedback.text,
+        authorName: feedback.authorName,
+        authorProjectRole: feedback.authorProjectRole || null,
+        guest: !!feedback.guest,
+        guestEmail: feedback.guestEmail || null,
+        createdAt: feedback.createdAt,
+        updatedAt: feedback.updatedAt,
+        resolvedAt: feedback.resolvedAt
+    };
+}
+
+/**
+ * Everything stored about a user, as a JSON-ready bundle
+ * organizationIds limits it to those organizations (an admin exporting one of
+ * their users); account-wide records - sessions and API tokens - are then
+ * only included for those organizations too
+ */
+async function buildExport(userData, organizationIds) {
+    const inScope = organizationId => organizationIds.includes(organizationId);
+    // Role and organization are per membership, listed separately
+    const { passwordHash, mfa, memberships: allMemberships, organizationId: defaultOrganizationId, role, ...profile } = userData;
+    const { _rid, _self, _etag, _attachments, _ts, ...safeProfile } = profile;
+    
+    const bundle = {
+        exportedAt: new Date().toISOString(),
+        profile: {
+            ...safeProfile,
+            mfaEnabled: !!(mfa && mfa.enabled),
+            hasPassword: !!passwordHash
+        },
+        memberships: memberships.getMemberships(userData).filter(m => inScope(m.organizationId)),
+        projects: [],
+        invitations: { received: [], sent: [] },
+        feedback: [],
+        approvals: [],
+        activity: [],
+        sessions: [],
+        apiTokens: []
+    };
+    
+    for (const organizationId of organizationIds) {
+        for (const project of await db.getProjectsForUser(userData.id, null, organizationId)) {
+            const member = permissions.getMembers(project).find(m => m.userId === userData.id);
+            bundle.projects.push({
+                id: project.id,
+                organizationId,
+                name: project.name,
+                role: member ? member.role : null,
+                addedAt: member ? member.addedAt || null : null
+            });
+        }
+        
+        for (const invitation of await db.getInvitationsForUser(userData.id, userData.email, organizationId)) {
+            const list = invitation.email === userData.email ? bundle.invitations.received : bundle.invitations.sent;
+            list.push(exportInvitation(invitation));
+        }
+        
+        // Feedback they resolved for someone else belongs to that person
+        const feedback = await db.getFeedbackForUser(userData.id, userData.email, organizationId);
+        bundle.feedback.push(...feedback
+            .filter(item => item.authorId === userData.id || item.guestEmail === userData.email)
+            .map(exportFeedback));
+        
+        const activity = await db.searchAuditLog(organizationId, { actorId: userData.id, limit: MAX_EXPORT_ACTIVITY });
+        bundle.activity.push(...activity.map(entry => ({
+            organizationId,
+            createdAt: entry.createdAt,
+            action: entry.action,
+            target: entry.target,
+            ipAddress: entry.ipAddress || null,
+            userAgent: entry.userAgent || null
+        })));
+    }
+    
+    // Approvals are feedback of type 'approval'; status changes to approved come from the audit log
+    bundle.approvals = [
+        ...bundle.feedback.filter(item => item.type === 'approval').map(item => ({
+            projectId: item.projectId,
+            approvedAt: item.createdAt,
+            comment: item.text,
+            feedbackId: item.id
+        })),
+        ...bundle.activity.filter(entry => entry.action === 'project.approved' && entry.target).map(entry => ({
+            projectId: entry.target.id,
+            approvedAt: entry.createdAt,
+            comment: null,
+            feedbackId: null
+        }))
+    ];
+    
+    const sessions = await db.getActiveSessionsForUser(userData.id);
+    bundle.sessions = sessions.filter(s => inScope(s.organizationId)).map(session => ({
+        id: session.id,
+        organizationId: session.organizationId,
+        device: session.device,
+        ipAddress: session.ipAddress,
+        createdAt: session.createdAt,
+        lastSeenAt: session.lastSeenAt,
+        expiresAt: session.expiresAt
+    }));
+    
+    const apiTokens = await db.getApiTokensForUser(userData.id);
+    bundle.apiTokens = apiTokens.filter(t => inScope(t.organizationId)).map(apiToken => ({
+        id: apiToken.id,
+        organizationId: apiToken.organizationId,
+        name: apiToken.name,
+        prefix: apiToken.prefix,
+        scopes: apiToken.scopes,
+        createdAt: apiToken.createdAt,
+        lastUsedAt: apiToken.lastUsedAt,
+        lastUsedIp: apiToken.lastUsedIp,
+        expiresAt: apiToken.expiresAt
+    }));
+    
+    return bundle;
+}
+
+/**
+ * Organizations the user is the only active admin of - they can't be erased
+ * until someone else can run those organizations
+ */
+async function getSoleAdminOrganizations(userData) {
+    const organizationIds = [];
+    
+    for (const membership of memberships.getActiveMemberships(userData)) {
+        if (membership.role !== 'admin') continue;
+        
+        const users = await db.getAllUsers(membership.organizationId);
+        const otherAdmins = users.filter(u => u.id !== userData.id && u.role === 'admin' && u.isActive);
+        
+        if (otherAdmins.length === 0) {
+            organizationIds.push(membership.organizationId);
+        }
+    }
+    
+    return organizationIds;
+}
+
+/**
+ * Erase an account
+ * Feedback they wrote, resolved or left as a guest is kept with a pseudonym in
+ * place of their id and name; they are taken off every project; invitations to
+ * their email, sessions, tokens and queued notifications are deleted; and
+ * their name is removed from invitations and guest links they created
+ * Returns counts of what changed, for the audit entry
+ */
+async function eraseUser(userData) {
+    const pseudonym = pseudonymFor(userData.id);
+    const summary = { feedback: 0, projects: 0, invitations: 0, records: 0 };
+    
+    for (const feedback of await db.getFeedbackForUser(userData.id, userData.email)) {
+        const updates = {};
+        
+        if (feedback.authorId === userData.id || feedback.guestEmail === userData.email) {
+            Object.assign(updates, { authorId: feedback.authorId ? pseudonym : null, authorName: ERASED_NAME, guestEmail: null });
+        }
+        if (feedback.resolvedBy === userData.id) {
+            updates.resolvedBy = pseudonym;
+        }
+        
+        await db.updateFeedback(feedback.id, feedback.projectId, updates);
+        summary.feedback++;
+    }
+    
+    for (const membership of memberships.getMemberships(userData)) {
+        for (const project of await db.getProjectsForUser(userData.id, null, membership.organizationId, { includeDeleted: true })) {
+            await db.updateProject(project.id, project.organizationId, {
+                members: permissions.withoutMember(project, userData.id)
+            });
+            summary.projects++;
+        }
+    }
+    
+    for (const invitation of await db.getInvitationsForUser(userData.id, userData.email)) {
+        if (invitation.email === userData.email) {
+            await db.deleteInvitation(invitation.id, invitation.email);
+            summary.invitations++;
+        } else {
+            await db.updateInvitation(invitation.id, invitation.email, { invitedBy: pseudonym, invitedByName: ERASED_NAME });
+        }
+    }
+    
+    for (const guestLink of await db.getGuestLinksCreatedBy(userData.id)) {
+        await db.updateGuestLink(guestLink.id, guestLink.projectId, { createdBy: pseudonym, createdByName: ERASED_NAME });
+    }
+    
+    summary.records = await db.deleteRecordsForUser(userData.id);
+    
+    await throttle.reset('account', userData.email);
+    await throttle.reset('magicLink', userData.email);
+    
+    await db.deleteUser(userData.id, userData.email);
+    
+    return summary;
+}
+
+module.exports = {
+    ERASED_NAME,
+    pseudonymFor,
+    buildExport,
+    getSoleAdminOrganizations,
+    eraseUser
+};
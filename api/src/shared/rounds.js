@@ -0,0 +1,108 @@
+/**
+ * Review Rounds
+ * Each preview sent out for review is a numbered round with its own URL and
+ * release notes. Feedback is tagged with the round it was left on, so it keeps
+ * its context after staging is redeployed, and an approval applies to one round.
+ * Projects created before rounds existed have a single round: their url.
+ */
+
+/**
+ * Rounds as [{ number, url, notes, openedAt, openedBy, openedByName, approvedAt, approvedBy, approvedByName }], oldest first
+ */
+function getRounds(project) {
+    if (Array.isArray(project.rounds) && project.rounds.length > 0) {
+        return project.rounds;
+    }
+    
+    return [{
+        number: 1,
+        url: project.url,
+        notes: '',
+        openedAt: project.createdAt || null,
+        openedBy: project.createdBy || null,
+        openedByName: null,
+        approvedAt: null,
+        approvedBy: null,
+        approvedByName: null
+    }];
+}
+
+/**
+ * The round being reviewed now - always the latest one
+ */
+function getCurrentRound(project) {
+    const rounds = getRounds(project);
+    return rounds[rounds.length - 1];
+}
+
+function findRound(project, number) {
+    return getRounds(project).find(r => r.number === number) || null;
+}
+
+/**
+ * The round a piece of feedback was left on (feedback from before rounds is round 1)
+ */
+function feedbackRound(feedback) {
+    return feedback.round || 1;
+}
+
+/**
+ * Rounds list with a new round opened after the current one
+ */
+function withNewRound(project, { url, notes, openedBy, openedByName }) {
+    const rounds = getRounds(project);
+    
+    return [...rounds, {
+        number: getCurrentRound(project).number + 1,
+        url,
+        notes: notes || '',
+        openedAt: new Date().toISOString(),
+        openedBy,
+        openedByName,
+        approvedAt: null,
+        approvedBy: null,
+        approvedByName: null
+    }];
+}
+
+/**
+ * Rounds list with one round changed (e.g. its URL redeployed, or it was approved)
+ */
+function withRoundChanges(project, number, changes) {
+    return getRounds(project).map(r => r.number === number ? { ...r, ...changes } : r);
+}
+
+/**
+ * Rounds list with the current round approved by user (an authenticated payload)
+ */
+function withCurrentRoundApproved(project, user) {
+    return withRoundChanges(project, getCurrentRound(project).number, {
+        approvedAt: new Date().toISOString(),
+        approvedBy: user.userId,
+        approvedByName: user.name
+    });
+}
+
+/**
+ * Feedback left on earlier rounds that still isn't resolved
+ */
+function getCarriedOver(project, feedback) {
+    const current = getCurrentRound(project).number;
+    
+    return feedback.filter(f =>
+        f.projectId === project.id &&
+        f.type !== 'approval' &&
+        f.status !== 'resolved' &&
+        feedbackRound(f) < current);
+}
+
+module.exports = {
+    getRounds,
+    getCurrentRound,
+    findRound,
+    feedbackRound,
+    withNewRound,
+    withRoundChanges,
+    withCurrentRoundApproved,
+    getCarriedOver
+};
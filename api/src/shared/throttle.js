@@ -0,0 +1,191 @@
+/**
+ * Login Throttling
+ * Progressive delays and temporary lockouts after repeated authentication failures.
+ * Counters are stored in Cosmos DB so they hold across function instances;
+ * without a connection string (local dev) they live in process memory instead.
+ */
+
+const db = require('./database');
+const auth = require('./auth');
+
+/**
+ * Policies per kind of key
+ * - freeAttempts: failures allowed before each attempt has to wait
+ * - maxFailures: failures within the window that trigger a lockout
+ * - lockoutMinutes: first lockout; each repeat lockout doubles it
+ */
+const POLICIES = {
+    // One email address, whatever network the guesses come from
+    account: { freeAttempts: 3, maxFailures: 5, windowMinutes: 15, lockoutMinutes: 15, status: 423 },
+    // One network guessing across many accounts (password spraying)
+    ip: { freeAttempts: 10, maxFailures: 30, windowMinutes: 15, lockoutMinutes: 30, status: 429 },
+    // One network guessing invitation tokens
+    invite: { freeAttempts: 5, maxFailures: 10, windowMinutes: 15, lockoutMinutes: 30, status: 429 },
+    // Sign-in links requested for one email address, so nobody's inbox can be flooded
+    magicLink: { freeAttempts: 3, maxFailures: 5, windowMinutes: 15, lockoutMinutes: 15, status: 429 },
+    // Password reset links requested for one email address, for the same reason
+    passwordReset: { freeAttempts: 3, maxFailures: 5, windowMinutes: 15, lockoutMinutes: 15, status: 429 },
+    // Password reset links requested from one network, across many addresses
+    passwordResetIp: { freeAttempts: 10, maxFailures: 30, windowMinutes: 15, lockoutMinutes: 30, status: 429 },
+    // One network guessing guest review link tokens
+    guestLink: { freeAttempts: 5, maxFailures: 10, windowMinutes: 15, lockoutMinutes: 30, status: 429 },
+    // Feedback left through one guest link from one network - every submission counts
+    guestFeedback: { freeAttempts: 5, maxFailures: 20, windowMinutes: 60, lockoutMinutes: 60, status: 429 },
+    // All feedback left through one guest link, from any network
+    guestLinkFeedback: { freeAttempts: 60, maxFailures: 100, windowMinutes: 60, lockoutMinutes: 60, status: 429 }
+};
+
+const MAX_DELAY_SECONDS = 60;
+const MAX_LOCKOUT_MINUTES = 24 * 60;
+
+const memoryStore = new Map();
+
+function useMemoryStore() {
+    return !process.env.COSMOS_CONNECTION_STRING;
+}
+
+function recordId(kind, value) {
+    return `${kind}:${String(value).toLowerCase()}`;
+}
+
+async function readRecord(id) {
+    if (useMemoryStore()) return memoryStore.get(id) || null;
+    return db.getLoginAttempt(id);
+}
+
+async function writeRecord(record) {
+    if (useMemoryStore()) {
+        memoryStore.set(record.id, record);
+        return record;
+    }
+    return db.saveLoginAttempt(record);
+}
+
+async function deleteRecord(id) {
+    if (useMemoryStore()) return memoryStore.delete(id);
+    return db.deleteLoginAttempt(id);
+}
+
+function secondsUntil(isoDate, now) {
+    return Math.max(1, Math.ceil((new Date(isoDate).getTime() - now) / 1000));
+}
+
+/**
+ * Check whether an attempt for this key may proceed
+ * Returns null if allowed, otherwise { kind, status, locked, retryAfter }
+ */
+async function check(kind, value) {
+    if (!value) return null;
+    
+    const policy = POLICIES[kind];
+    const record = await readRecord(recordId(kind, value));
+    if (!record) return null;
+    
+    const now = Date.now();
+    
+    if (record.lockedUntil && new Date(record.lockedUntil).getTime() > now) {
+        return { kind, status: policy.status, locked: true, retryAfter: secondsUntil(record.lockedUntil, now) };
+    }
+    
+    if (record.nextAttemptAt && new Date(record.nextAttemptAt).getTime() > now) {
+        return { kind, status: 429, locked: false, retryAfter: secondsUntil(record.nextAttemptAt, now) };
+    }
+    
+    return null;
+}
+
+/**
+ * Count a failed attempt for this key
+ * Returns the lockout if this failure triggered one, otherwise null
+ */
+async function recordFailure(kind, value) {
+    if (!value) return null;
+    
+    const policy = POLICIES[kind];
+    const id = recordId(kind, value);
+    const existing = await readRecord(id);
+    const now = Date.now();
+    
+    const windowExpired = !existing ||
+        now - new Date(existing.windowStartedAt).getTime() > policy.windowMinutes * 60 * 1000;
+    
+    const record = {
+        id,
+        kind,
+        lockCount: existing ? existing.lockCount : 0,
+        failures: windowExpired ? 1 : existing.failures + 1,
+        windowStartedAt: windowExpired ? new Date(now).toISOString() : existing.windowStartedAt,
+        lastFailureAt: new Date(now).toISOString(),
+        nextAttemptAt: null,
+        lockedUntil: null
+    };
+    
+    if (record.failures >= policy.maxFailures) {
+        const lockoutMinutes = Math.min(policy.lockoutMinutes * 2 ** record.lockCount, MAX_LOCKOUT_MINUTES);
+        
+        record.lockedUntil = new Date(now + lockoutMinutes * 60 * 1000).toISOString();
+        record.lockCount += 1;
+        
+        // Start counting afresh once the lockout ends
+        record.failures = 0;
+        record.windowStartedAt = record.lockedUntil;
+    } else if (record.failures > policy.freeAttempts) {
+        // 1s, 2s, 4s, ... between attempts
+        const delaySeconds = Math.min(2 ** (record.failures - policy.freeAttempts - 1), MAX_DELAY_SECONDS);
+        record.nextAttemptAt = new Date(now + delaySeconds * 1000).toISOString();
+    }
+    
+    await writeRecord(record);
+    
+    if (record.lockedUntil) {
+        return { kind, status: policy.status, locked: true, retryAfter: secondsUntil(record.lockedUntil, now) };
+    }
+    
+    return null;
+}
+
+/**
+ * Forget all failures for this key (successful sign-in or admin unlock)
+ */
+async function reset(kind, value) {
+    if (!value) return false;
+    return deleteRecord(recordId(kind, value));
+}
+
+/**
+ * Build the 423/429 response for a blocked attempt
+ */
+function blockedResponse(block) {
+    const minutes = Math.ceil(block.retryAfter / 60);
+    let message;
+    
+    if (!block.locked) {
+        message = `Too many attempts. Please wait ${block.retryAfter} seconds and try again.`;
+    } else if (block.kind === 'magicLink') {
+        message = `Too many sign-in links requested. Try again in ${minutes} minutes.`;
+    } else if (block.kind === 'passwordReset' || block.kind === 'passwordResetIp') {
+        message = `Too many password resets requested. Try again in ${minutes} minutes.`;
+    } else if (block.kind === 'guestFeedback' || block.kind === 'guestLinkFeedback') {
+        message = `Too much feedback sent through this link. Try again in ${minutes} minutes.`;
+    } else if (block.kind === 'account') {
+        message = `This account is temporarily locked after too many failed sign-in attempts. Try again in ${minutes} minutes or ask an administrator to unlock it.`;
+    } else {
+        message = `Too many failed attempts from your network. Try again in ${minutes} minutes.`;
+    }
+    
+    return auth.createResponse(block.status, {
+        error: message,
+        locked: block.locked,
+        retryAfter: block.retryAfter
+    }, {
+        'Retry-After': String(block.retryAfter)
+    });
+}
+
+module.exports = {
+    POLICIES,
+    check,
+    recordFailure,
+    reset,
+    blockedResponse
+};
@@ -0,0 +1,186 @@
+/**
+ * TOTP Utilities
+ * RFC 6238 time-based one-time passwords (RFC 4226 HOTP underneath)
+ * Pure functions - no database or network access, so they can be exercised offline
+ */
+
+const crypto = require('crypto');
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+const TOTP_DIGITS = 6;
+const TOTP_PERIOD_SECONDS = 30;
+const TOTP_ALGORITHM = 'sha1';
+
+// Accept codes from one step either side to allow for clock drift
+const TOTP_WINDOW = 1;
+
+/**
+ * Encode a buffer as RFC 4648 base32 (no padding), as authenticator apps expect
+ */
+function base32Encode(buffer) {
+    let bits = 0;
+    let value = 0;
+    let output = '';
+    
+    for (const byte of buffer) {
+        value = (value << 8) | byte;
+        bits += 8;
+        
+        while (bits >= 5) {
+            output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+            bits -= 5;
+        }
+    }
+    
+    if (bits > 0) {
+        output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+    }
+    
+    return output;
+}
+
+/**
+ * Decode a base32 string (case-insensitive, spaces and padding ignored)
+ */
+function base32Decode(input) {
+    const cleaned = input.toUpperCase().replace(/[\s=]/g, '');
+    let bits = 0;
+    let value = 0;
+    const bytes = [];
+    
+    for (const char of cleaned) {
+        const index = BASE32_ALPHABET.indexOf(char);
+        if (index === -1) {
+            throw new Error('Invalid base32 character');
+        }
+        
+        value = (value << 5) | index;
+        bits += 5;
+        
+        if (bits >= 8) {
+            bytes.push((value >>> (bits - 8)) & 255);
+            bits -= 8;
+        }
+    }
+    
+    return Buffer.from(bytes);
+}
+
+/**
+ * Generate a new random shared secret (160 bits, base32 encoded)
+ */
+function generateSecret() {
+    return base32Encode(crypto.randomBytes(20));
+}
+
+/**
+ * RFC 4226 HOTP value for a counter
+ */
+function generateHOTP(secret, counter) {
+    const key = base32Decode(secret);
+    
+    const counterBuffer = Buffer.alloc(8);
+    counterBuffer.writeBigUInt64BE(BigInt(counter));
+    
+    const hmac = crypto.createHmac(TOTP_ALGORITHM, key).update(counterBuffer).digest();
+    
+    // Dynamic truncation
+    const offset = hmac[hmac.length - 1] & 0x0f;
+    const binary = ((hmac[offset] & 0x7f) << 24) |
+        (hmac[offset + 1] << 16) |
+        (hmac[offset + 2] << 8) |
+        hmac[offset + 3];
+    
+    return String(binary % 10 ** TOTP_DIGITS).padStart(TOTP_DIGITS, '0');
+}
+
+/**
+ * Time step for a timestamp (milliseconds)
+ */
+function getTimeStep(timestamp = Date.now()) {
+    return Math.floor(timestamp / 1000 / TOTP_PERIOD_SECONDS);
+}
+
+/**
+ * RFC 6238 TOTP value for a timestamp (milliseconds)
+ */
+function generateTOTP(secret, timestamp = Date.now()) {
+    return generateHOTP(secret, getTimeStep(timestamp));
+}
+
+/**
+ * Verify a TOTP code
+ * Returns the matched time step, or null if the code is invalid.
+ * Codes at or before lastUsedStep are rejected so a code can't be replayed.
+ */
+function verifyTOTP(secret, code, { timestamp = Date.now(), lastUsedStep = null } = {}) {
+    const normalized = String(code || '').replace(/\s/g, '');
+    
+    if (!/^\d+$/.test(normalized) || normalized.length !== TOTP_DIGITS) {
+        return null;
+    }
+    
+    const currentStep = getTimeStep(timestamp);
+    
+    for (let drift = -TOTP_WINDOW; drift <= TOTP_WINDOW; drift++) {
+        const step = currentStep + drift;
+        
+        if (lastUsedStep !== null && step <= lastUsedStep) continue;
+        
+        const expected = generateHOTP(secret, step);
+        if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(normalized))) {
+            return step;
+        }
+    }
+    
+    return null;
+}
+
+/**
+ * Build the otpauth:// provisioning URI that authenticator apps read from a QR code
+ */
+function buildOtpauthUri({ secret, accountName, issuer }) {
+    const label = encodeURIComponent(`${issuer}:${accountName}`);
+    const params = new URLSearchParams({
+        secret,
+        issuer,
+        algorithm: TOTP_ALGORITHM.toUpperCase(),
+        digits: String(TOTP_DIGITS),
+        period: String(TOTP_PERIOD_SECONDS)
+    });
+    
+    return `otpauth://totp/${label}?${params.toString()}`;
+}
+
+/**
+ * Generate single-use recovery codes, formatted xxxx-xxxx
+ */
+function generateRecoveryCodes(count = 10) {
+    const codes = [];
+    for (let i = 0; i < count; i++) {
+        const raw = crypto.randomBytes(4).toString('hex');
+        codes.push(`${raw.slice(0, 4)}-${raw.slice(4)}`);
+    }
+    return codes;
+}
+
+/**
+ * Normalize a recovery code as typed by a user before hashing/comparing
+ */
+function normalizeRecoveryCode(code) {
+    return String(code || '').toLowerCase().replace(/[^0-9a-f]/g, '');
+}
+
+module.exports = {
+    base32Encode,
+    base32Decode,
+    generateSecret,
+    generateHOTP,
+    generateTOTP,
+    getTimeStep,
+    verifyTOTP,
+    buildOtpauthUri,
+    generateRecoveryCodes,
+    normalizeRecoveryCode
+};
@@ -0,0 +1,73 @@
+/**
+ * Project Trash
+ * Deleting a project moves it to the trash: it drops out of every list and
+ * lookup (see getProjectById) but can be restored until its retention period
+ * is over. The project is only deleted for good when the trash is emptied -
+ * by hand, or by the daily purge once the period has passed - and its
+ * feedback and guest links go with it.
+ */
+
+const db = require('./database');
+
+// Days a deleted project can be restored before it is purged
+const RETENTION_DAYS = parseInt(process.env.TRASH_RETENTION_DAYS) || 30;
+
+/**
+ * Project updates that move it to the trash, for user (an authenticated payload)
+ */
+function trashedBy(user) {
+    const deletedAt = new Date();
+    
+    return {
+        deletedAt: deletedAt.toISOString(),
+        deletedBy: user.userId,
+        deletedByName: user.name,
+        purgeAfter: new Date(deletedAt.getTime() + RETENTION_DAYS * 24 * 60 * 60 * 1000).toISOString()
+    };
+}
+
+/**
+ * Project updates that take it back out of the trash
+ */
+function restored() {
+    return { deletedAt: null, deletedBy: null, deletedByName: null, purgeAfter: null };
+}
+
+/**
+ * What the audit log keeps of a purged project, since the document itself is gone
+ */
+function snapshot(project) {
+    return {
+        name: project.name,
+        client: project.client,
+        companyId: project.companyId || null,
+        url: project.url,
+        status: project.status,
+        members: project.members || [],
+        createdBy: project.createdBy,
+        createdAt: project.createdAt,
+        deletedAt: project.deletedAt,
+        deletedBy: project.deletedBy
+    };
+}
+
+/**
+ * Delete a trashed project for good, with its feedback and guest links
+ * Returns counts of what was deleted
+ */
+async function purgeProject(project) {
+    const feedback = await db.deleteFeedbackByProject(project.id);
+    const guestLinks = await db.deleteGuestLinksForProject(project.id);
+    
+    await db.deleteProject(project.id, project.organizationId);
+    
+    return { feedback, guestLinks };
+}
+
+module.exports = {
+    RETENTION_DAYS,
+    trashedBy,
+    restored,
+    snapshot,
+    purgeProject
+};
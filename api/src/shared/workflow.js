@@ -0,0 +1,248 @@
+/**
+ * Project Workflow
+ * The statuses an organization's projects move through, who may move a project
+ * from one status to another, and what must be true first - such as no open
+ * high-priority feedback before approval. Each organization keeps its workflow
+ * in its settings; organizations that haven't set one get the default, which
+ * works the way projects always have.
+ * The built-in statuses keep their meaning everywhere else (approved signs off
+ * the round under review, archived hides the project), so they can be renamed
+ * but not removed. Organizations add their own statuses alongside them.
+ */
+
+const BUILT_IN_STATUSES = ['pending', 'in-review', 'approved', 'archived'];
+
+// Project roles a transition can be given to - project leads include org admins
+const TRANSITION_ROLES = ['project-lead', 'approver'];
+
+// Matches any status in a transition's from or to
+const ANY_STATUS = '*';
+
+const STATUS_ID_PATTERN = /^[a-z0-9][a-z0-9-]{0,39}$/;
+const MAX_STATUSES = 20;
+const MAX_TRANSITIONS = 100;
+const MAX_LABEL_LENGTH = 40;
+
+function openFeedback(feedback) {
+    return feedback.filter(f => f.type !== 'approval' && f.status !== 'resolved');
+}
+
+function plural(count, noun) {
+    return `${count} ${noun}${count === 1 ? '' : 's'}`;
+}
+
+/**
+ * Conditions a transition can require
+ * check(project, feedback) returns why the project doesn't meet it, or null
+ */
+const GUARDS = {
+    highPriorityResolved: {
+        label: 'All high-priority feedback resolved',
+        requirement: 'all high-priority feedback is resolved',
+        check: (project, feedback) => {
+            const open = openFeedback(feedback).filter(f => f.priority === 'high');
+            return open.length > 0 ? `${plural(open.length, 'high-priority item')} still open` : null;
+        }
+    },
+    allFeedbackResolved: {
+        label: 'All feedback resolved',
+        requirement: 'all feedback is resolved',
+        check: (project, feedback) => {
+            const open = openFeedback(feedback);
+            return open.length > 0 ? `${plural(open.length, 'item')} still open` : null;
+        }
+    },
+    milestonesComplete: {
+        label: 'All milestones complete',
+        requirement: 'all milestones are complete',
+        check: project => {
+            const remaining = (project.milestones || []).filter(m => !m.completedAt);
+            return remaining.length > 0 ? `${plural(remaining.length, 'milestone')} not done yet` : null;
+        }
+    }
+};
+
+const DEFAULT_WORKFLOW = {
+    statuses: [
+        { id: 'pending', label: 'Pending' },
+        { id: 'in-review', label: 'In Review' },
+        { id: 'approved', label: 'Approved' },
+        { id: 'archived', label: 'Archived' }
+    ],
+    // Leads move projects freely; approvers can approve
+    transitions: [
+        { from: ANY_STATUS, to: ANY_STATUS, roles: ['project-lead'], guards: [] },
+        { from: ANY_STATUS, to: 'approved', roles: ['approver'], guards: [] }
+    ],
+    // The first feedback on a pending project moves it to in-review
+    autoReview: true
+};
+
+/**
+ * The workflow in an organization's settings, or the default
+ */
+function getWorkflow(settings) {
+    return settings && settings.workflow ? settings.workflow : DEFAULT_WORKFLOW;
+}
+
+function getStatusIds(workflow) {
+    return workflow.statuses.map(s => s.id);
+}
+
+/**
+ * A status's name in this workflow - statuses since removed show their id
+ */
+function statusLabel(workflow, status) {
+    const match = workflow.statuses.find(s => s.id === status);
+    return match ? match.label : status;
+}
+
+/**
+ * A workflow from a request body
+ * Returns { workflow } or { error }
+ */
+function parseWorkflow(value) {
+    if (!value || typeof value !== 'object' || !Array.isArray(value.statuses) || !Array.isArray(value.transitions)) {
+        return { error: 'workflow needs statuses and transitions' };
+    }
+    
+    if (value.statuses.length > MAX_STATUSES) {
+        return { error: `A workflow can have at most ${MAX_STATUSES} statuses` };
+    }
+    if (value.transitions.length > MAX_TRANSITIONS) {
+        return { error: `A workflow can have at most ${MAX_TRANSITIONS} transitions` };
+    }
+    
+    const statuses = [];
+    
+    for (const status of value.statuses) {
+        const id = String(status?.id || '').trim().toLowerCase();
+        const label = String(status?.label || '').trim();
+        
+        if (!STATUS_ID_PATTERN.test(id)) {
+            return { error: `Invalid status id "${id}" - use lowercase letters, numbers and dashes` };
+        }
+        if (!label || label.length > MAX_LABEL_LENGTH) {
+            return { error: `Status "${id}" needs a name of up to ${MAX_LABEL_LENGTH} characters` };
+        }
+        if (statuses.some(s => s.id === id)) {
+            return { error: `Status "${id}" is listed twice` };
+        }
+        
+        statuses.push({ id, label });
+    }
+    
+    const missing = BUILT_IN_STATUSES.filter(id => !statuses.some(s => s.id === id));
+    if (missing.length > 0) {
+        return { error: `The workflow must keep these statuses: ${missing.join(', ')}` };
+    }
+    
+    const known = id => id === ANY_STATUS || statuses.some(s => s.id === id);
+    const transitions = [];
+    
+    for (const transition of value.transitions) {
+        const from = String(transition?.from || '');
+        const to = String(transition?.to || '');
+        const roles = Array.isArray(transition?.roles) ? [...new Set(transition.roles)] : [];
+        const guards = Array.isArray(transition?.guards) ? [...new Set(transition.guards)] : [];
+        
+        if (!known(from) || !known(to)) {
+            return { error: `Transition from "${from}" to "${to}" uses a status that isn't in the workflow` };
+        }
+        if (roles.length === 0 || !roles.every(role => TRANSITION_ROLES.includes(role))) {
+            return { error: `Transition roles may only be ${TRANSITION_ROLES.join(' and ')}` };
+        }
+        if (!guards.every(guard => GUARDS[guard])) {
+            return { error: `Unknown condition - use ${Object.keys(GUARDS).join(', ')}` };
+        }
+        
+        transitions.push({ from, to, roles, guards });
+    }
+    
+    return {
+        workflow: {
+            statuses,
+            transitions,
+            autoReview: value.autoReview !== false
+        }
+    };
+}
+
+function describeTransition(workflow, from, to) {
+    return `from ${statusLabel(workflow, from)} to ${statusLabel(workflow, to)}`;
+}
+
+function matches(transition, from, to) {
+    return (transition.from === ANY_STATUS || transition.from === from) &&
+        (transition.to === ANY_STATUS || transition.to === to);
+}
+
+/**
+ * Whether a project may move to a status
+ * role is the mover's role on the project; automatic moves pass null and
+ * accept any transition's roles. feedback is the project's feedback, for guards.
+ * Returns null when allowed, otherwise the rule that failed as
+ * { rule: { type: 'transition' | 'role' | 'guard', guard }, message }
+ */
+function checkTransition(workflow, project, to, role, feedback) {
+    const from = project.status;
+    const candidates = workflow.transitions.filter(t => matches(t, from, to));
+    
+    if (candidates.length === 0) {
+        return {
+            rule: { type: 'transition' },
+            message: `This workflow doesn't allow moving projects ${describeTransition(workflow, from, to)}`
+        };
+    }
+    
+    const forRole = role ? candidates.filter(t => t.roles.includes(role)) : candidates;
+    
+    if (forRole.length === 0) {
+        const roles = [...new Set(candidates.flatMap(t => t.roles))].map(r => r === 'project-lead' ? 'project leads' : 'approvers');
+        return {
+            rule: { type: 'role' },
+            message: `Only ${roles.join(' and ')} can move this project ${describeTransition(workflow, from, to)}`
+        };
+    }
+    
+    // Any one transition whose conditions are all met is enough
+    let firstFailure = null;
+    
+    for (const transition of forRole) {
+        const failure = transition.guards
+            .map(guard => ({ guard, reason: GUARDS[guard].check(project, feedback) }))
+            .find(result => result.reason);
+        
+        if (!failure) return null;
+        firstFailure = firstFailure || failure;
+    }
+    
+    return {
+        rule: { type: 'guard', guard: firstFailure.guard },
+        message: `Can't move this project ${describeTransition(workflow, from, to)} until ${GUARDS[firstFailure.guard].requirement} (${firstFailure.reason})`
+    };
+}
+
+/**
+ * The status new feedback moves a project to, if any - the move only happens
+ * while the project is pending and the workflow allows it
+ */
+function getFeedbackStatus(workflow, project, feedback) {
+    if (!workflow.autoReview || project.status !== 'pending') return null;
+    
+    return checkTransition(workflow, project, 'in-review', null, feedback) ? null : 'in-review';
+}
+
+module.exports = {
+    BUILT_IN_STATUSES,
+    TRANSITION_ROLES,
+    ANY_STATUS,
+    GUARDS,
+    DEFAULT_WORKFLOW,
+    getWorkflow,
+    getStatusIds,
+    statusLabel,
+    parseWorkflow,
+    checkTransition,
+    getFeedbackStatus
+};
@@ -0,0 +1,24 @@
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const { loadFunctions, createRequest, createContext } = require('./helpers');
+const db = require('../src/shared/database');
+const auth = require('../src/shared/auth');
+
+const handlers = loadFunctions('audit');
+
+let searchAuditLog;
+
+beforeEach((t) => {
+    t.mock.method(auth, 'authenticateRequest', async () => ({ userId: 'user-1', organizationId: 'org-1', role: 'admin' }));
+    t.mock.method(db, 'initDatabase', async () => {});
+    searchAuditLog = t.mock.method(db, 'searchAuditLog', async () => []);
+});
+
+test('a negative limit asks for at least one entry', async () => {
+    for (const limit of ['-1', '-50']) {
+        const response = await handlers.searchAuditLog(createRequest({ query: { limit } }), createContext());
+        
+        assert.strictEqual(response.status, 200);
+        assert.strictEqual(searchAuditLog.mock.calls.at(-1).arguments[1].limit, 1);
+    }
+});
@@ -0,0 +1,129 @@
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const { loadFunctions, createRequest, createContext } = require('./helpers');
+const db = require('../src/shared/database');
+const auth = require('../src/shared/auth');
+const audit = require('../src/shared/audit');
+
+const handlers = loadFunctions('auth');
+
+beforeEach((t) => {
+    t.mock.method(db, 'initDatabase', async () => {});
+    t.mock.method(db, 'getUserByEmail', async () => null);
+    t.mock.method(audit, 'record', async () => {});
+});
+
+function forgotPassword(email, ipAddress) {
+    return handlers.forgotPassword(createRequest({
+        headers: { 'x-forwarded-for': ipAddress },
+        body: { email }
+    }), createContext());
+}
+
+test('password resets for one email address are throttled', async () => {
+    const statuses = [];
+    for (let i = 0; i < 5; i++) {
+        statuses.push((await forgotPassword('someone@example.com', `203.0.113.${i}`)).status);
+    }
+    
+    assert.deepStrictEqual(statuses, [200, 200, 200, 200, 429]);
+});
+
+test('password resets from one network are throttled across addresses', async () => {
+    const statuses = [];
+    for (let i = 0; i < 12; i++) {
+        statuses.push((await forgotPassword(`person${i}@example.com`, '198.51.100.7')).status);
+    }
+    
+    assert.deepStrictEqual(statuses, [...Array(11).fill(200), 429]);
+});
+
+test('a spoofed X-Forwarded-For entry does not get round the network limit', async () => {
+    const statuses = [];
+    for (let i = 0; i < 12; i++) {
+        // The caller picks the first entries; the platform appends the real address last
+        statuses.push((await forgotPassword(`spoofed${i}@example.com`, `10.0.0.${i}, 192.0.2.44`)).status);
+    }
+    
+    assert.deepStrictEqual(statuses, [...Array(11).fill(200), 429]);
+});
+
+test('the front door client IP header wins over X-Forwarded-For', () => {
+    const request = createRequest({
+        headers: { 'x-forwarded-for': '10.1.2.3, 192.0.2.50', 'x-azure-clientip': '192.0.2.60' }
+    });
+    
+    assert.strictEqual(auth.getClientInfo(request).ipAddress, '192.0.2.60');
+    assert.strictEqual(auth.getClientInfo(createRequest({ headers: { 'x-forwarded-for': '10.1.2.3, 192.0.2.50:4431' } })).ipAddress, '192.0.2.50');
+});
+
+test('a reset link used by another request in the meantime changes nothing', async (t) => {
+    t.mock.method(db, 'getAuthTokenByHash', async () => ({
+        id: 'token-1', userId: 'user-1', email: 'someone@example.com', purpose: 'password-reset', expiresAt: new Date(Date.now() + 60000).toISOString()
+    }));
+    t.mock.method(db, 'getUserById', async () => ({ id: 'user-1', email: 'someone@example.com' }));
+    // The conditional replace lost the race
+    t.mock.method(db, 'markAuthTokenUsed', async () => null);
+    const updateUser = t.mock.method(db, 'updateUser', async () => ({}));
+    
+    const response = await handlers.resetPassword(createRequest({
+        body: { token: 'reset-token', password: 'a new password' }
+    }), createContext());
+    
+    assert.strictEqual(response.status, 400);
+    assert.strictEqual(updateUser.mock.callCount(), 0);
+});
+
+test('a reset link sent to an address the account no longer has is refused', async (t) => {
+    t.mock.method(db, 'getAuthTokenByHash', async () => ({
+        id: 'token-1', userId: 'user-1', email: 'old@example.com', purpose: 'password-reset', expiresAt: new Date(Date.now() + 60000).toISOString()
+    }));
+    t.mock.method(db, 'getUserById', async () => ({ id: 'user-1', email: 'new@example.com' }));
+    const markAuthTokenUsed = t.mock.method(db, 'markAuthTokenUsed', async (id) => ({ id, isUsed: true }));
+    const updateUser = t.mock.method(db, 'updateUser', async () => ({}));
+    
+    const response = await handlers.resetPassword(createRequest({
+        body: { token: 'reset-token', password: 'a new password' }
+    }), createContext());
+    
+    assert.strictEqual(response.status, 400);
+    assert.strictEqual(markAuthTokenUsed.mock.callCount(), 0);
+    assert.strictEqual(updateUser.mock.callCount(), 0);
+});
+
+test('a sign-in link used by another request in the meantime does not sign in', async (t) => {
+    t.mock.method(db, 'getAuthTokenByHash', async () => ({
+        id: 'token-1', userId: 'user-1', email: 'client@example.com', purpose: 'magic-link', expiresAt: new Date(Date.now() + 60000).toISOString()
+    }));
+    t.mock.method(db, 'markAuthTokenUsed', async () => null);
+    const getUserById = t.mock.method(db, 'getUserById', async () => null);
+    
+    const response = await handlers.verifyMagicLink(createRequest({
+        body: { token: 'magic-token' }
+    }), createContext());
+    
+    assert.strictEqual(response.status, 400);
+    assert.strictEqual(getUserById.mock.callCount(), 0);
+});
+
+test('a sign-in link still asks for the second factor', async (t) => {
+    t.mock.method(db, 'getAuthTokenByHash', async () => ({
+        id: 'token-1', userId: 'user-1', email: 'client@example.com', purpose: 'magic-link', expiresAt: new Date(Date.now() + 60000).toISOString()
+    }));
+    t.mock.method(db, 'markAuthTokenUsed', async (id) => ({ id, isUsed: true }));
+    t.mock.method(db, 'getUserById', async () => ({
+        id: 'user-1', email: 'client@example.com', organizationId: 'org-1', role: 'client', isActive: true,
+        mfa: { enabled: true }
+    }));
+    const completeLogin = t.mock.method(auth, 'completeLogin', async () => ({ token: 'session-token' }));
+    
+    const response = await handlers.verifyMagicLink(createRequest({
+        body: { token: 'magic-token' }
+    }), createContext());
+    
+    assert.strictEqual(response.status, 200);
+    assert.strictEqual(response.jsonBody.mfaRequired, true);
+    assert.strictEqual(auth.verifyMfaToken(response.jsonBody.mfaToken, 'mfa').userId, 'user-1');
+    assert.strictEqual(response.jsonBody.token, undefined);
+    assert.strictEqual(completeLogin.mock.callCount(), 0);
+});
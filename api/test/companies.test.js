@@ -0,0 +1,57 @@
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const { loadFunctions, createRequest, createContext } = require('./helpers');
+const db = require('../src/shared/database');
+const auth = require('../src/shared/auth');
+
+const handlers = loadFunctions('companies');
+
+const developer = { userId: 'dev-1', organizationId: 'org-1', role: 'developer', name: 'Dana Developer' };
+const client = { id: 'client-1', email: 'client@example.com', name: 'Casey Client', organizationId: 'org-1', role: 'client', isActive: true };
+
+const companyProjects = {
+    'company-1': [{ id: 'led-project', organizationId: 'org-1', name: 'Led Project', companyId: 'company-1', members: [{ userId: 'dev-1', role: 'project-lead' }] }],
+    'company-2': [{ id: 'other-project', organizationId: 'org-1', name: 'Other Project', companyId: 'company-2', members: [{ userId: 'dev-2', role: 'project-lead' }] }]
+};
+
+let updateUser;
+
+beforeEach((t) => {
+    t.mock.method(auth, 'authenticateRequest', async () => developer);
+    t.mock.method(db, 'initDatabase', async () => {});
+    t.mock.method(db, 'getCompanyById', async (companyId) => ({ id: companyId, name: companyId, organizationId: 'org-1' }));
+    t.mock.method(db, 'getUserById', async () => client);
+    t.mock.method(db, 'getProjectsByCompany', async (companyId) => companyProjects[companyId]);
+    t.mock.method(db, 'getCompanyMembers', async () => []);
+    t.mock.method(db, 'updateProject', async () => ({}));
+    updateUser = t.mock.method(db, 'updateUser', async () => client);
+});
+
+function addMember(companyId) {
+    return handlers.addCompanyMember(createRequest({
+        params: { companyId, userId: 'client-1' }
+    }), createContext());
+}
+
+test('developers can add clients to companies whose projects they lead', async () => {
+    const response = await addMember('company-1');
+    
+    assert.strictEqual(response.status, 200);
+    assert.strictEqual(updateUser.mock.callCount(), 1);
+});
+
+test('developers cannot add clients to companies with projects they do not lead', async () => {
+    const response = await addMember('company-2');
+    
+    assert.strictEqual(response.status, 403);
+    assert.match(response.jsonBody.error, /Other Project/);
+    assert.strictEqual(updateUser.mock.callCount(), 0);
+});
+
+test('admins can change any company', async () => {
+    auth.authenticateRequest.mock.mockImplementation(async () => ({ ...developer, userId: 'admin-1', role: 'admin' }));
+    
+    const response = await addMember('company-2');
+    
+    assert.strictEqual(response.status, 200);
+});
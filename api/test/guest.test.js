@@ -0,0 +1,54 @@
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const { loadFunctions, createRequest, createContext } = require('./helpers');
+const db = require('../src/shared/database');
+const audit = require('../src/shared/audit');
+const notifications = require('../src/shared/notifications');
+const email = require('../src/shared/email');
+
+const handlers = loadFunctions('guest');
+
+let linkCount = 0;
+let guestLink;
+
+beforeEach((t) => {
+    // A fresh link per test, so limits from one test don't carry into the next
+    linkCount++;
+    guestLink = { id: `link-${linkCount}`, projectId: 'project-1', organizationId: 'org-1', expiresAt: new Date(Date.now() + 60 * 60 * 1000).toISOString(), revokedAt: null };
+    
+    t.mock.method(db, 'initDatabase', async () => {});
+    t.mock.method(db, 'getGuestLinkByHash', async () => guestLink);
+    t.mock.method(db, 'getProjectById', async () => ({ id: 'project-1', organizationId: 'org-1', name: 'Site', status: 'in-review', rounds: [] }));
+    t.mock.method(db, 'createFeedback', async (feedback) => feedback);
+    t.mock.method(db, 'updateGuestLink', async () => ({}));
+    t.mock.method(db, 'getOrganizationSettings', async () => ({}));
+    t.mock.method(db, 'getFeedbackByProject', async () => []);
+    t.mock.method(audit, 'record', async () => {});
+    t.mock.method(notifications, 'getProjectRecipients', async () => []);
+    t.mock.method(email, 'sendFeedbackNotification', async () => ({ success: true }));
+});
+
+function leaveFeedback(forwardedFor) {
+    return handlers.createGuestFeedback(createRequest({
+        headers: { 'x-guest-token': 'guest-token', 'x-forwarded-for': forwardedFor },
+        body: { name: 'Guest', email: 'guest@example.com', text: 'Looks good' }
+    }), createContext());
+}
+
+test('rotating a spoofed X-Forwarded-For entry does not reset the per-network limit', async () => {
+    const statuses = [];
+    for (let i = 0; i < 7; i++) {
+        statuses.push((await leaveFeedback(`10.0.0.${i}, 192.0.2.9`)).status);
+    }
+    
+    assert.deepStrictEqual(statuses, [201, 201, 201, 201, 201, 201, 429]);
+});
+
+test('a link has an overall feedback limit across networks', async () => {
+    const statuses = [];
+    for (let i = 0; i < 62; i++) {
+        statuses.push((await leaveFeedback(`192.0.2.${i}`)).status);
+    }
+    
+    assert.deepStrictEqual(statuses, [...Array(61).fill(201), 429]);
+});
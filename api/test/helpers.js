@@ -0,0 +1,56 @@
+/**
+ * Test Helpers
+ * Function files register their handlers with app.http and app.timer when
+ * they're loaded; loadFunctions keeps the handlers so tests can call them
+ * directly, with shared modules mocked per test (t.mock.method).
+ */
+
+const { app } = require('@azure/functions');
+
+const handlers = {};
+
+app.http = (name, options) => {
+    handlers[name] = options.handler;
+};
+app.timer = (name, options) => {
+    handlers[name] = options.handler;
+};
+
+/**
+ * Handlers by name, from the given files in src/functions
+ */
+function loadFunctions(...files) {
+    for (const file of files) {
+        require(`../src/functions/${file}`);
+    }
+    return handlers;
+}
+
+/**
+ * A request as the Functions runtime passes it to a handler
+ */
+function createRequest({ params = {}, query = {}, headers = {}, body = {} } = {}) {
+    return {
+        params,
+        query: new URLSearchParams(query),
+        headers: new Headers(headers),
+        json: async () => body,
+        text: async () => JSON.stringify(body)
+    };
+}
+
+function createContext() {
+    return {
+        log: () => {},
+        warn: () => {},
+        error: (...args) => {
+            throw new Error(args.map(String).join(' '));
+        }
+    };
+}
+
+module.exports = {
+    loadFunctions,
+    createRequest,
+    createContext
+};
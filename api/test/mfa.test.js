@@ -0,0 +1,85 @@
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const { loadFunctions, createRequest, createContext } = require('./helpers');
+const db = require('../src/shared/database');
+const auth = require('../src/shared/auth');
+const audit = require('../src/shared/audit');
+const totp = require('../src/shared/totp');
+
+const handlers = loadFunctions('mfa');
+
+const secret = totp.generateSecret();
+const session = { userId: 'user-1', organizationId: 'org-1', role: 'developer', email: 'dev@example.com' };
+
+let user;
+let entries;
+
+beforeEach((t) => {
+    user = {
+        id: 'user-1',
+        email: 'dev@example.com',
+        organizationId: 'org-1',
+        role: 'developer',
+        isActive: true,
+        mfa: { enabled: true, secret, recoveryCodeHashes: [] }
+    };
+    entries = [];
+    
+    t.mock.method(auth, 'authenticateRequest', async () => session);
+    // Secrets are stored encrypted; the tests keep them in the clear
+    t.mock.method(auth, 'decryptSecret', (stored) => stored);
+    t.mock.method(auth, 'verifyPassword', async (password) => password === 'correct horse');
+    t.mock.method(db, 'initDatabase', async () => {});
+    t.mock.method(db, 'getUserById', async () => user);
+    t.mock.method(db, 'getOrganizationSettings', async () => ({ mfaRequiredRoles: [] }));
+    t.mock.method(db, 'updateUser', async (id, userEmail, updates) => {
+        user = { ...user, ...updates };
+        return user;
+    });
+    t.mock.method(audit, 'record', async (context, request, entry) => {
+        entries.push(entry);
+    });
+});
+
+function disable(password, code) {
+    return handlers.disableMfa(createRequest({ body: { password, code } }), createContext());
+}
+
+test('turning off two-factor is audited', async () => {
+    const response = await disable('correct horse', totp.generateTOTP(secret));
+    
+    assert.strictEqual(response.status, 200);
+    assert.strictEqual(user.mfa.enabled, false);
+    assert.deepStrictEqual(entries.map(e => e.action), ['auth.mfa-disabled']);
+    assert.strictEqual(entries[0].target.id, 'user-1');
+});
+
+test('new recovery codes are audited', async () => {
+    const response = await handlers.regenerateRecoveryCodes(createRequest({
+        body: { code: totp.generateTOTP(secret) }
+    }), createContext());
+    
+    assert.strictEqual(response.status, 200);
+    assert.deepStrictEqual(entries.map(e => e.action), ['auth.recovery-codes-regenerated']);
+    assert.ok(!JSON.stringify(entries).includes(response.jsonBody.recoveryCodes[0]));
+});
+
+test('five wrong codes lock turning off two-factor', async () => {
+    for (let i = 0; i < 5; i++) {
+        assert.strictEqual((await disable('correct horse', '000000')).status, 400);
+    }
+    
+    const response = await disable('correct horse', totp.generateTOTP(secret));
+    
+    assert.strictEqual(response.status, 429);
+    assert.strictEqual(user.mfa.enabled, true);
+});
+
+test('a wrong password counts towards the lockout too', async () => {
+    for (let i = 0; i < 5; i++) {
+        await disable('wrong password', totp.generateTOTP(secret));
+    }
+    
+    assert.ok(new Date(user.mfa.lockedUntil) > new Date());
+    assert.strictEqual((await disable('correct horse', totp.generateTOTP(secret))).status, 429);
+});
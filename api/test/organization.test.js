@@ -0,0 +1,88 @@
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const { loadFunctions, createRequest, createContext } = require('./helpers');
+const db = require('../src/shared/database');
+const auth = require('../src/shared/auth');
+const totp = require('../src/shared/totp');
+
+const handlers = loadFunctions('organization');
+
+const secret = totp.generateSecret();
+
+// A client in their default organization and an admin in another
+const session = { userId: 'user-1', organizationId: 'client-org', role: 'client', sessionId: 'session-1' };
+
+let user;
+let currentSession;
+let completeLogin;
+
+beforeEach((t) => {
+    user = {
+        id: 'user-1',
+        email: 'person@example.com',
+        organizationId: 'client-org',
+        role: 'client',
+        isActive: true,
+        memberships: [
+            { organizationId: 'client-org', role: 'client', isActive: true },
+            { organizationId: 'agency-org', role: 'admin', isActive: true }
+        ],
+        mfa: { enabled: true, secret, recoveryCodeHashes: [] }
+    };
+    // Started from an emailed sign-in link, so no code was checked
+    currentSession = { id: 'session-1', userId: 'user-1', mfaVerifiedAt: null };
+    
+    t.mock.method(auth, 'authenticateRequest', async () => session);
+    t.mock.method(auth, 'decryptSecret', (stored) => stored);
+    t.mock.method(auth, 'requiresMfaEnrollment', async () => false);
+    completeLogin = t.mock.method(auth, 'completeLogin', async () => ({ token: 'new-token', refreshToken: 'new-refresh' }));
+    t.mock.method(db, 'initDatabase', async () => {});
+    t.mock.method(db, 'getUserById', async () => user);
+    t.mock.method(db, 'getSession', async () => currentSession);
+    t.mock.method(db, 'updateUser', async (id, userEmail, updates) => {
+        user = { ...user, ...updates };
+        return user;
+    });
+    t.mock.method(db, 'revokeSession', async () => ({}));
+    t.mock.method(db, 'getOrganization', async (id) => ({ id, name: 'Agency' }));
+});
+
+function switchTo(code) {
+    return handlers.switchOrganization(createRequest({
+        body: { organizationId: 'agency-org', code }
+    }), createContext());
+}
+
+test('a session started without a code must pass two-factor to switch', async () => {
+    const response = await switchTo();
+    
+    assert.strictEqual(response.status, 403);
+    assert.deepStrictEqual(response.jsonBody.details, { mfaRequired: true });
+    assert.strictEqual(completeLogin.mock.callCount(), 0);
+});
+
+test('a wrong code does not switch and counts towards the lockout', async () => {
+    const response = await switchTo('000000');
+    
+    assert.strictEqual(response.status, 400);
+    assert.strictEqual(user.mfa.failedAttempts, 1);
+    assert.strictEqual(completeLogin.mock.callCount(), 0);
+});
+
+test('a correct code switches and marks the new session as verified', async () => {
+    const response = await switchTo(totp.generateTOTP(secret));
+    
+    assert.strictEqual(response.status, 200);
+    const [, , organizationId, options] = completeLogin.mock.calls[0].arguments;
+    assert.strictEqual(organizationId, 'agency-org');
+    assert.deepStrictEqual(options, { mfaVerified: true });
+});
+
+test('a session that passed two-factor at sign-in switches without a code', async () => {
+    currentSession.mfaVerifiedAt = new Date().toISOString();
+    
+    const response = await switchTo();
+    
+    assert.strictEqual(response.status, 200);
+    assert.deepStrictEqual(completeLogin.mock.calls[0].arguments[3], { mfaVerified: true });
+});
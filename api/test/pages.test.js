@@ -0,0 +1,142 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+const https = require('https');
+const dns = require('dns');
+const { EventEmitter } = require('events');
+const { Readable } = require('stream');
+const pages = require('../src/shared/pages');
+
+/**
+ * Stand in for http.get and https.get, answering each request with the next
+ * of responses ({ status, headers, body }); returns the URLs requested
+ */
+function mockGet(t, responses) {
+    const requested = [];
+    const get = (url, options, callback) => {
+        const { status, headers = {}, body = '' } = responses.shift();
+        const response = Readable.from([Buffer.from(body)]);
+        response.statusCode = status;
+        response.headers = headers;
+        requested.push(String(url));
+        
+        process.nextTick(() => callback(response));
+        return new EventEmitter();
+    };
+    
+    t.mock.method(http, 'get', get);
+    t.mock.method(https, 'get', get);
+    return requested;
+}
+
+const SITEMAP = `<?xml version="1.0" encoding="UTF-8"?>
+<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">
+    <url><loc>https://example.com/</loc></url>
+    <url><loc>https://example.com/about</loc></url>
+</urlset>`;
+
+test('reads a public sitemap', async (t) => {
+    mockGet(t, [{ status: 200, body: SITEMAP }]);
+    
+    const urls = await pages.readSitemap({ sitemapUrl: 'https://example.com/sitemap.xml' });
+    
+    assert.deepStrictEqual(urls, ['https://example.com/', 'https://example.com/about']);
+});
+
+test('refuses private and local addresses', async (t) => {
+    const requested = mockGet(t, []);
+    
+    for (const sitemapUrl of [
+        'http://localhost/sitemap.xml',
+        'http://127.0.0.1/sitemap.xml',
+        'http://10.1.2.3/sitemap.xml',
+        'http://100.64.0.1/sitemap.xml',
+        'http://169.254.169.254/latest/meta-data/',
+        'http://[::1]/sitemap.xml',
+        'http://[::ffff:7f00:1]/sitemap.xml',
+        'http://[::ffff:169.254.169.254]/sitemap.xml',
+        'http://[64:ff9b::a00:1]/sitemap.xml',
+        'http://[fd00::1]/sitemap.xml',
+        'file:///etc/passwd'
+    ]) {
+        await assert.rejects(pages.readSitemap({ sitemapUrl }), /can't be fetched/, sitemapUrl);
+    }
+    
+    assert.deepStrictEqual(requested, []);
+});
+
+test('refuses host names that resolve to private addresses', async (t) => {
+    t.mock.method(dns, 'lookup', (hostname, options, callback) => {
+        callback(null, [{ address: '93.184.216.34', family: 4 }, { address: '10.0.0.7', family: 4 }]);
+    });
+    
+    await assert.rejects(
+        pages.readSitemap({ sitemapUrl: 'http://sitemap.example.com/sitemap.xml' }),
+        /can't be fetched from sitemap\.example\.com/
+    );
+});
+
+test('refuses redirects to private addresses', async (t) => {
+    const requested = mockGet(t, [
+        { status: 302, headers: { location: 'http://169.254.169.254/latest/meta-data/' } }
+    ]);
+    
+    await assert.rejects(
+        pages.readSitemap({ sitemapUrl: 'https://example.com/sitemap.xml' }),
+        /can't be fetched from 169\.254\.169\.254/
+    );
+    assert.deepStrictEqual(requested, ['https://example.com/sitemap.xml']);
+});
+
+test('follows redirects between public hosts', async (t) => {
+    const requested = mockGet(t, [
+        { status: 301, headers: { location: '/sitemaps/main.xml' } },
+        { status: 200, body: SITEMAP }
+    ]);
+    
+    const urls = await pages.readSitemap({ sitemapUrl: 'https://example.com/sitemap.xml' });
+    
+    assert.strictEqual(urls.length, 2);
+    assert.deepStrictEqual(requested, ['https://example.com/sitemap.xml', 'https://example.com/sitemaps/main.xml']);
+});
+
+test('refuses a sitemap whose content-length is over the limit', async (t) => {
+    mockGet(t, [
+        { status: 200, headers: { 'content-length': String(pages.MAX_SITEMAP_BYTES + 1) }, body: SITEMAP }
+    ]);
+    
+    await assert.rejects(pages.readSitemap({ sitemapUrl: 'https://example.com/sitemap.xml' }), /is larger than 5 MB/);
+});
+
+test('stops reading a sitemap once it passes the limit', async (t) => {
+    const chunk = Buffer.alloc(1024 * 1024, 'a');
+    let chunksRead = 0;
+    
+    // Endless body with no content-length
+    t.mock.method(https, 'get', (url, options, callback) => {
+        const response = Readable.from((function* () {
+            for (;;) {
+                chunksRead++;
+                yield chunk;
+            }
+        })());
+        response.statusCode = 200;
+        response.headers = {};
+        
+        process.nextTick(() => callback(response));
+        return new EventEmitter();
+    });
+    
+    await assert.rejects(pages.readSitemap({ sitemapUrl: 'https://example.com/sitemap.xml' }), /is larger than 5 MB/);
+    assert.ok(chunksRead <= 8, `read ${chunksRead} MB`);
+});
+
+test('checks redirects of sitemaps nested in an uploaded index', async (t) => {
+    mockGet(t, [
+        { status: 307, headers: { location: 'http://[::ffff:a00:1]/' } }
+    ]);
+    
+    const index = `<sitemapindex><sitemap><loc>https://example.com/pages.xml</loc></sitemap></sitemapindex>`;
+    
+    await assert.rejects(pages.readSitemap({ sitemap: index }), /can't be fetched/);
+});
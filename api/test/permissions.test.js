@@ -0,0 +1,20 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const permissions = require('../src/shared/permissions');
+
+const project = { id: 'project-1', members: [{ userId: 'user-1', role: 'project-lead' }] };
+
+test('members act with the role they hold on the project', () => {
+    const developer = { userId: 'user-1', role: 'developer' };
+    
+    assert.strictEqual(permissions.getProjectRole(project, developer), 'project-lead');
+    assert.ok(permissions.can(developer, project, 'manageMembers'));
+});
+
+test('a role kept from before a demotion is capped by the global role', () => {
+    const client = { userId: 'user-1', role: 'client' };
+    
+    assert.strictEqual(permissions.getProjectRole(project, client), 'approver');
+    assert.ok(permissions.can(client, project, 'approve'));
+    assert.ok(!permissions.can(client, project, 'manageMembers'));
+});
@@ -0,0 +1,114 @@
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const { loadFunctions, createRequest, createContext } = require('./helpers');
+const db = require('../src/shared/database');
+const auth = require('../src/shared/auth');
+const audit = require('../src/shared/audit');
+const notifications = require('../src/shared/notifications');
+const emailService = require('../src/shared/email');
+
+const handlers = loadFunctions('projects');
+
+const lead = { userId: 'dev-1', organizationId: 'org-1', role: 'developer', name: 'Dana Developer' };
+
+function approvedProject() {
+    return {
+        id: 'project-1',
+        organizationId: 'org-1',
+        name: 'Marketing Site',
+        url: 'https://staging.example.com',
+        status: 'approved',
+        members: [{ userId: 'dev-1', role: 'project-lead' }],
+        milestones: [{ id: 'm-1', name: 'Launch', dueDate: '2026-11-01', completedAt: null }]
+    };
+}
+
+let project;
+let updates;
+
+beforeEach((t) => {
+    project = approvedProject();
+    updates = null;
+    
+    t.mock.method(auth, 'authenticateRequest', async () => lead);
+    t.mock.method(db, 'initDatabase', async () => {});
+    t.mock.method(db, 'getProjectById', async () => project);
+    t.mock.method(db, 'getFeedbackByProject', async () => []);
+    t.mock.method(db, 'getUserById', async () => null);
+    t.mock.method(db, 'updateProject', async (id, organizationId, changes) => {
+        updates = changes;
+        return { ...project, ...changes };
+    });
+    t.mock.method(audit, 'record', async () => {});
+    t.mock.method(notifications, 'getProjectRecipients', async () => []);
+    t.mock.method(emailService, 'sendProjectUpdateNotification', async () => {});
+});
+
+function openRound() {
+    return handlers.openReviewRound(createRequest({
+        params: { projectId: 'project-1' },
+        body: { url: 'https://staging.example.com/v2', notes: 'New header' }
+    }), createContext());
+}
+
+test('opening a round refuses a move to in-review the workflow does not allow', async (t) => {
+    // Only milestones-complete projects may go back to review
+    t.mock.method(db, 'getOrganizationSettings', async () => ({
+        workflow: {
+            statuses: [
+                { id: 'pending', label: 'Pending' },
+                { id: 'in-review', label: 'In Review' },
+                { id: 'approved', label: 'Approved' },
+                { id: 'archived', label: 'Archived' }
+            ],
+            transitions: [
+                { from: '*', to: 'in-review', roles: ['project-lead'], guards: ['milestonesComplete'] }
+            ],
+            autoReview: true
+        }
+    }));
+    
+    const response = await openRound();
+    
+    assert.strictEqual(response.status, 409);
+    assert.match(response.jsonBody.error, /from Approved to In Review until all milestones are complete/);
+    assert.deepStrictEqual(response.jsonBody.details, {
+        rule: { type: 'guard', guard: 'milestonesComplete' },
+        from: 'approved',
+        to: 'in-review'
+    });
+    assert.strictEqual(updates, null);
+});
+
+test('opening a round refuses when no transition leads to in-review', async (t) => {
+    t.mock.method(db, 'getOrganizationSettings', async () => ({
+        workflow: {
+            statuses: [
+                { id: 'pending', label: 'Pending' },
+                { id: 'in-review', label: 'In Review' },
+                { id: 'approved', label: 'Approved' },
+                { id: 'archived', label: 'Archived' }
+            ],
+            transitions: [
+                { from: 'pending', to: 'in-review', roles: ['project-lead'], guards: [] }
+            ],
+            autoReview: true
+        }
+    }));
+    
+    const response = await openRound();
+    
+    assert.strictEqual(response.status, 409);
+    assert.strictEqual(response.jsonBody.details.rule.type, 'transition');
+    assert.strictEqual(updates, null);
+});
+
+test('opening a round moves the project back to in-review under the default workflow', async (t) => {
+    t.mock.method(db, 'getOrganizationSettings', async () => ({ workflow: null }));
+    
+    const response = await openRound();
+    
+    assert.strictEqual(response.status, 201);
+    assert.strictEqual(updates.status, 'in-review');
+    assert.strictEqual(response.jsonBody.round.number, 2);
+});
@@ -0,0 +1,79 @@
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const db = require('../src/shared/database');
+const auth = require('../src/shared/auth');
+
+const refreshToken = 'user-1.session-1.secret';
+
+let session;
+
+beforeEach((t) => {
+    session = {
+        id: 'session-1',
+        userId: 'user-1',
+        _etag: '"1"',
+        refreshTokenHash: auth.hashToken(refreshToken),
+        expiresAt: new Date(Date.now() + 60 * 60 * 1000).toISOString(),
+        lastSeenAt: new Date().toISOString(),
+        revokedAt: null
+    };
+    
+    t.mock.method(db, 'getSession', async () => session);
+    t.mock.method(db, 'revokeSession', async () => ({}));
+});
+
+test('refreshing rotates the token against the session as it was read', async (t) => {
+    const update = t.mock.method(db, 'updateSessionIfUnchanged', async (read, updates) => ({ ...read, ...updates }));
+    
+    const result = await auth.rotateRefreshToken(refreshToken);
+    
+    assert.ok(result.refreshToken);
+    assert.strictEqual(update.mock.calls[0].arguments[0]._etag, '"1"');
+    assert.strictEqual(result.session.refreshTokenHash, auth.hashToken(result.refreshToken));
+    assert.strictEqual(result.session.previousRefreshTokenHash, session.refreshTokenHash);
+});
+
+test('a refresh that loses a race with the same token is stale, not a reuse', async (t) => {
+    const rotated = { ...session, _etag: '"2"', refreshTokenHash: 'someone-elses', previousRefreshTokenHash: session.refreshTokenHash, refreshTokenRotatedAt: new Date().toISOString() };
+    // The other request rotated the session between this one's read and write
+    db.getSession.mock.mockImplementation(async () => rotated);
+    db.getSession.mock.mockImplementationOnce(async () => session);
+    t.mock.method(db, 'updateSessionIfUnchanged', async () => null);
+    
+    const result = await auth.rotateRefreshToken(refreshToken);
+    
+    assert.deepStrictEqual(result, { error: 'stale' });
+    assert.strictEqual(db.revokeSession.mock.callCount(), 0);
+});
+
+test('a request touching the session in between does not spoil a refresh', async (t) => {
+    const touched = { ...session, _etag: '"2"', lastSeenAt: new Date().toISOString() };
+    db.getSession.mock.mockImplementation(async () => touched);
+    db.getSession.mock.mockImplementationOnce(async () => session);
+    const update = t.mock.method(db, 'updateSessionIfUnchanged', async (read, updates) =>
+        read._etag === '"2"' ? { ...read, ...updates } : null);
+    
+    const result = await auth.rotateRefreshToken(refreshToken);
+    
+    assert.ok(result.refreshToken);
+    assert.strictEqual(update.mock.callCount(), 2);
+});
+
+function requestWithToken(token) {
+    return { headers: new Headers({ 'x-auth-token': token }) };
+}
+
+test('touching a session never writes back over a revoke', async (t) => {
+    session.lastSeenAt = new Date(Date.now() - 60 * 60 * 1000).toISOString();
+    const token = auth.generateToken({ id: 'user-1', email: 'person@example.com', role: 'client', organizationId: 'org-1' }, 'session-1');
+    const updateSession = t.mock.method(db, 'updateSession', async () => ({}));
+    // Revoked between the read and the touch - the conditional write is refused
+    const update = t.mock.method(db, 'updateSessionIfUnchanged', async () => null);
+    
+    const payload = await auth.authenticateRequest(requestWithToken(token));
+    
+    assert.strictEqual(payload.sessionId, 'session-1');
+    assert.strictEqual(update.mock.calls[0].arguments[0]._etag, '"1"');
+    assert.deepStrictEqual(Object.keys(update.mock.calls[0].arguments[1]).sort(), ['ipAddress', 'lastSeenAt']);
+    assert.strictEqual(updateSession.mock.callCount(), 0);
+});
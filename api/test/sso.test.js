@@ -0,0 +1,187 @@
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { loadFunctions, createRequest, createContext } = require('./helpers');
+const db = require('../src/shared/database');
+const auth = require('../src/shared/auth');
+const audit = require('../src/shared/audit');
+
+const ISSUER = 'https://idp.example.com';
+const CLIENT_ID = 'webreview';
+
+process.env.OIDC_ISSUER = ISSUER;
+process.env.OIDC_CLIENT_ID = CLIENT_ID;
+process.env.OIDC_ALLOWED_DOMAIN = 'stevensit.com';
+process.env.OIDC_ORGANIZATION_ID = 'stevensit';
+
+const handlers = loadFunctions('sso');
+
+const { publicKey, privateKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+const jwk = { ...publicKey.export({ format: 'jwk' }), kid: 'test-key', use: 'sig', alg: 'RS256' };
+
+const discovery = {
+    issuer: ISSUER,
+    authorization_endpoint: `${ISSUER}/authorize`,
+    token_endpoint: `${ISSUER}/token`,
+    jwks_uri: `${ISSUER}/jwks`
+};
+
+// What the stubbed provider puts in the ID token; tests override claims per case
+let provider;
+let created;
+
+function jsonResponse(body, status = 200) {
+    return new Response(JSON.stringify(body), { status, headers: { 'Content-Type': 'application/json' } });
+}
+
+/**
+ * A stand-in identity provider: discovery, keys, and a token endpoint that
+ * only hands out an ID token when the PKCE verifier matches the challenge
+ */
+async function fakeFetch(url, options = {}) {
+    if (url === `${ISSUER}/.well-known/openid-configuration`) {
+        return jsonResponse(discovery);
+    }
+    if (url === discovery.jwks_uri) {
+        return jsonResponse({ keys: [jwk] });
+    }
+    if (url === discovery.token_endpoint) {
+        const params = new URLSearchParams(options.body);
+        provider.tokenRequest = params;
+        
+        const challenge = crypto.createHash('sha256').update(params.get('code_verifier') || '').digest('base64url');
+        if (params.get('code') !== 'auth-code' || challenge !== provider.codeChallenge) {
+            return jsonResponse({ error: 'invalid_grant' }, 400);
+        }
+        
+        const idToken = jwt.sign({
+            sub: 'subject-1',
+            email: 'new.dev@stevensit.com',
+            email_verified: true,
+            name: 'New Developer',
+            nonce: provider.nonce,
+            ...provider.claims
+        }, privateKey, { algorithm: 'RS256', keyid: 'test-key', issuer: ISSUER, audience: CLIENT_ID, expiresIn: '5m' });
+        
+        return jsonResponse({ id_token: idToken, access_token: 'access' });
+    }
+    
+    throw new Error(`Unexpected fetch ${url}`);
+}
+
+beforeEach((t) => {
+    provider = { claims: {} };
+    created = null;
+    
+    t.mock.method(globalThis, 'fetch', fakeFetch);
+    t.mock.method(db, 'initDatabase', async () => {});
+    t.mock.method(db, 'getUserByEmail', async () => null);
+    t.mock.method(db, 'createUser', async (user) => {
+        created = user;
+        return user;
+    });
+    t.mock.method(db, 'updateUser', async () => ({}));
+    t.mock.method(auth, 'requiresMfaEnrollment', async () => false);
+    t.mock.method(auth, 'completeLogin', async (user, request, organizationId) => ({ token: 'session-token', user: { id: user.id, role: user.role, organizationId } }));
+    t.mock.method(audit, 'record', async () => {});
+});
+
+/**
+ * Start sign-in, then play the provider's part: remember the nonce and
+ * challenge it was sent, and return to the callback with a code
+ */
+async function signIn({ state: replaceState } = {}) {
+    const started = await handlers.startSso(createRequest(), createContext());
+    assert.strictEqual(started.status, 200);
+    
+    const authorizationUrl = new URL(started.jsonBody.authorizationUrl);
+    assert.strictEqual(authorizationUrl.origin + authorizationUrl.pathname, discovery.authorization_endpoint);
+    assert.strictEqual(authorizationUrl.searchParams.get('code_challenge_method'), 'S256');
+    assert.strictEqual(authorizationUrl.searchParams.get('state'), started.jsonBody.state);
+    
+    provider.nonce = provider.nonce ?? authorizationUrl.searchParams.get('nonce');
+    provider.codeChallenge = authorizationUrl.searchParams.get('code_challenge');
+    
+    return handlers.completeSso(createRequest({
+        body: { code: 'auth-code', state: replaceState ?? started.jsonBody.state }
+    }), createContext());
+}
+
+test('state and PKCE verifier round-trip through the provider', async () => {
+    const response = await signIn();
+    
+    assert.strictEqual(response.status, 200);
+    assert.strictEqual(response.jsonBody.token, 'session-token');
+    assert.strictEqual(provider.tokenRequest.get('client_id'), CLIENT_ID);
+    assert.ok(provider.tokenRequest.get('code_verifier'));
+});
+
+test('a tampered or foreign state is refused before the code is exchanged', async () => {
+    const response = await signIn({ state: 'not-a-state' });
+    
+    assert.strictEqual(response.status, 400);
+    assert.strictEqual(provider.tokenRequest, undefined);
+});
+
+test('an ID token with a different nonce is refused', async () => {
+    provider.nonce = 'someone-elses-nonce';
+    
+    const response = await signIn();
+    
+    // The code exchange itself succeeded - only the nonce is wrong
+    assert.ok(provider.tokenRequest);
+    assert.strictEqual(response.status, 401);
+    assert.strictEqual(created, null);
+});
+
+test('first sign-in provisions a developer in the SSO organization', async () => {
+    const response = await signIn();
+    
+    assert.strictEqual(response.status, 200);
+    assert.strictEqual(created.email, 'new.dev@stevensit.com');
+    assert.strictEqual(created.role, 'developer');
+    assert.strictEqual(created.organizationId, 'stevensit');
+    assert.deepStrictEqual({ issuer: created.oidc.issuer, subject: created.oidc.subject }, { issuer: ISSUER, subject: 'subject-1' });
+});
+
+test('emails outside the allowed domains are refused', async () => {
+    provider.claims = { email: 'someone@gmail.com' };
+    
+    const response = await signIn();
+    
+    assert.strictEqual(response.status, 403);
+    assert.match(response.jsonBody.error, /company accounts/);
+    assert.strictEqual(created, null);
+});
+
+test('unverified emails are refused', async () => {
+    provider.claims = { email_verified: false };
+    
+    const response = await signIn();
+    
+    assert.strictEqual(response.status, 403);
+    assert.strictEqual(created, null);
+});
+
+test('existing admins keep their role', async () => {
+    db.getUserByEmail.mock.mockImplementation(async () => ({
+        id: 'admin-1', email: 'new.dev@stevensit.com', organizationId: 'stevensit', role: 'admin', isActive: true
+    }));
+    
+    const response = await signIn();
+    
+    assert.strictEqual(response.status, 200);
+    assert.strictEqual(response.jsonBody.user.role, 'admin');
+});
+
+test('client accounts cannot use single sign-on', async () => {
+    db.getUserByEmail.mock.mockImplementation(async () => ({
+        id: 'client-1', email: 'new.dev@stevensit.com', organizationId: 'stevensit', role: 'client', isActive: true
+    }));
+    
+    const response = await signIn();
+    
+    assert.strictEqual(response.status, 403);
+    assert.strictEqual(auth.completeLogin.mock.callCount(), 0);
+});
@@ -0,0 +1,53 @@
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const { loadFunctions, createRequest, createContext } = require('./helpers');
+const db = require('../src/shared/database');
+const auth = require('../src/shared/auth');
+const audit = require('../src/shared/audit');
+
+const handlers = loadFunctions('tokens');
+
+const developer = { userId: 'dev-1', organizationId: 'org-1', role: 'developer', email: 'dev@example.com' };
+
+let entries;
+
+beforeEach((t) => {
+    entries = [];
+    
+    t.mock.method(auth, 'authenticateRequest', async () => developer);
+    t.mock.method(db, 'initDatabase', async () => {});
+    t.mock.method(db, 'getProjectById', async (projectId) => ({ id: projectId, organizationId: 'org-1' }));
+    t.mock.method(db, 'createApiToken', async (apiToken) => apiToken);
+    t.mock.method(audit, 'record', async (context, request, entry) => {
+        entries.push(entry);
+    });
+});
+
+test('creating a token is audited with its scopes and projects', async () => {
+    const response = await handlers.createApiToken(createRequest({
+        body: { name: 'CI', scopes: ['feedback:read'], projectIds: ['project-1'] }
+    }), createContext());
+    
+    assert.strictEqual(response.status, 201);
+    assert.strictEqual(entries.length, 1);
+    assert.strictEqual(entries[0].action, 'token.created');
+    assert.strictEqual(entries[0].target.name, 'CI');
+    assert.deepStrictEqual(entries[0].after.scopes, ['feedback:read']);
+    assert.deepStrictEqual(entries[0].after.projectIds, ['project-1']);
+    assert.ok(!JSON.stringify(entries[0]).includes(response.jsonBody.token));
+});
+
+test('revoking a token is audited', async (t) => {
+    t.mock.method(db, 'revokeApiToken', async (tokenId) => ({
+        id: tokenId, name: 'CI', organizationId: 'org-1', scopes: ['feedback:read'], projectIds: ['project-1']
+    }));
+    
+    const response = await handlers.revokeApiToken(createRequest({
+        params: { tokenId: 'token-1' }
+    }), createContext());
+    
+    assert.strictEqual(response.status, 200);
+    assert.strictEqual(entries[0].action, 'token.revoked');
+    assert.deepStrictEqual(entries[0].target, { type: 'api-token', id: 'token-1', name: 'CI' });
+    assert.deepStrictEqual(entries[0].before.projectIds, ['project-1']);
+});
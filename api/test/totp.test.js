@@ -0,0 +1,46 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const totp = require('../src/shared/totp');
+
+// The ASCII secret "12345678901234567890" used by the RFC 4226 and RFC 6238 test vectors
+const RFC_SECRET = totp.base32Encode(Buffer.from('12345678901234567890'));
+
+test('base32 encodes the RFC secret the way authenticator apps expect', () => {
+    assert.strictEqual(RFC_SECRET, 'GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ');
+    assert.strictEqual(totp.base32Decode(RFC_SECRET).toString(), '12345678901234567890');
+});
+
+test('HOTP matches the RFC 4226 test vectors', () => {
+    const expected = ['755224', '287082', '359152', '969429', '338314', '254676', '287922', '162583', '399871', '520489'];
+    
+    expected.forEach((code, counter) => {
+        assert.strictEqual(totp.generateHOTP(RFC_SECRET, counter), code);
+    });
+});
+
+test('TOTP matches the RFC 6238 SHA-1 test vectors', () => {
+    // The RFC lists 8-digit codes; 6-digit codes are their last six digits
+    const vectors = [
+        [59, '94287082'],
+        [1111111109, '07081804'],
+        [1111111111, '14050471'],
+        [1234567890, '89005924'],
+        [2000000000, '69279037'],
+        [20000000000, '65353130']
+    ];
+    
+    for (const [seconds, code] of vectors) {
+        assert.strictEqual(totp.generateTOTP(RFC_SECRET, seconds * 1000), code.slice(-6), `T = ${seconds}`);
+    }
+});
+
+test('codes one step either side are accepted, but not replayed', () => {
+    const timestamp = 1111111111 * 1000;
+    const step = totp.getTimeStep(timestamp);
+    const previous = totp.generateTOTP(RFC_SECRET, timestamp - 30 * 1000);
+    
+    assert.strictEqual(totp.verifyTOTP(RFC_SECRET, previous, { timestamp }), step - 1);
+    assert.strictEqual(totp.verifyTOTP(RFC_SECRET, previous, { timestamp, lastUsedStep: step - 1 }), null);
+    assert.strictEqual(totp.verifyTOTP(RFC_SECRET, totp.generateTOTP(RFC_SECRET, timestamp - 90 * 1000), { timestamp }), null);
+    assert.strictEqual(totp.verifyTOTP(RFC_SECRET, 'abcdef', { timestamp }), null);
+});
@@ -0,0 +1,117 @@
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const { loadFunctions, createRequest, createContext } = require('./helpers');
+const db = require('../src/shared/database');
+const auth = require('../src/shared/auth');
+const audit = require('../src/shared/audit');
+const email = require('../src/shared/email');
+
+const handlers = loadFunctions('users');
+
+const developer = { userId: 'dev-1', organizationId: 'org-1', role: 'developer', name: 'Dana Developer' };
+
+const projects = {
+    'led-project': { id: 'led-project', organizationId: 'org-1', name: 'Led Project', members: [{ userId: 'dev-1', role: 'project-lead' }] },
+    'other-project': { id: 'other-project', organizationId: 'org-1', name: 'Other Project', members: [{ userId: 'dev-2', role: 'project-lead' }] }
+};
+
+const pending = { id: 'invite-1', email: 'client@example.com', role: 'client', projectIds: [], organizationId: 'org-1' };
+
+let created;
+
+beforeEach((t) => {
+    created = null;
+    
+    t.mock.method(auth, 'authenticateRequest', async () => developer);
+    t.mock.method(db, 'initDatabase', async () => {});
+    t.mock.method(db, 'getUserByEmail', async () => null);
+    t.mock.method(db, 'getInvitationByEmail', async () => null);
+    t.mock.method(db, 'getInvitationById', async () => pending);
+    t.mock.method(db, 'getOrganization', async () => ({ id: 'org-1', name: 'Agency' }));
+    // Trashed projects aren't found, like any unknown id
+    t.mock.method(db, 'getProjectById', async (projectId) => projects[projectId] || null);
+    t.mock.method(db, 'createInvitation', async (invitation) => {
+        created = invitation;
+        return invitation;
+    });
+    t.mock.method(email, 'sendInvitationEmail', async () => ({ success: true }));
+    t.mock.method(audit, 'record', async () => {});
+});
+
+function invite(projectIds) {
+    return handlers.inviteUser(createRequest({
+        body: { email: 'client@example.com', role: 'client', projectIds }
+    }), createContext());
+}
+
+test('developers can invite clients to projects they lead', async () => {
+    const response = await invite(['led-project']);
+    
+    assert.strictEqual(response.status, 201);
+    assert.deepStrictEqual(created.projectIds, ['led-project']);
+});
+
+test('developers cannot invite people to projects they do not lead', async () => {
+    const response = await invite(['led-project', 'other-project']);
+    
+    assert.strictEqual(response.status, 403);
+    assert.match(response.jsonBody.error, /Other Project/);
+    assert.strictEqual(created, null);
+});
+
+test('invitations cannot name deleted or unknown projects', async () => {
+    const response = await invite(['trashed-project']);
+    
+    assert.strictEqual(response.status, 400);
+    assert.strictEqual(created, null);
+});
+
+function editInvitation(projectIds) {
+    return handlers.updateInvitation(createRequest({
+        params: { invitationId: 'invite-1' },
+        body: { projectIds }
+    }), createContext());
+}
+
+test('editing an invitation cannot add projects the developer does not lead', async (t) => {
+    const updateInvitation = t.mock.method(db, 'updateInvitation', async (id, inviteEmail, updates) => ({ ...pending, ...updates }));
+    
+    const response = await editInvitation(['led-project', 'other-project']);
+    
+    assert.strictEqual(response.status, 403);
+    assert.match(response.jsonBody.error, /Other Project/);
+    assert.strictEqual(updateInvitation.mock.callCount(), 0);
+});
+
+test('editing an invitation can set projects the developer leads', async (t) => {
+    const updateInvitation = t.mock.method(db, 'updateInvitation', async (id, inviteEmail, updates) => ({ ...pending, ...updates }));
+    
+    const response = await editInvitation(['led-project']);
+    
+    assert.strictEqual(response.status, 200);
+    assert.deepStrictEqual(updateInvitation.mock.calls[0].arguments[2], { projectIds: ['led-project'] });
+});
+
+test('demoting a developer to client lowers the projects they lead', async (t) => {
+    auth.authenticateRequest.mock.mockImplementation(async () => ({ userId: 'admin-1', organizationId: 'org-1', role: 'admin', name: 'Ada Admin' }));
+    const lead = { id: 'dev-2', email: 'dev2@example.com', name: 'Dev Two', organizationId: 'org-1', role: 'developer', isActive: true };
+    t.mock.method(db, 'getUserById', async () => lead);
+    t.mock.method(db, 'updateUser', async (id, userEmail, updates) => ({ ...lead, ...updates }));
+    t.mock.method(db, 'revokeOrganizationSessions', async () => {});
+    t.mock.method(db, 'getProjectsForUser', async () => [
+        projects['other-project'],
+        { id: 'viewed-project', organizationId: 'org-1', name: 'Viewed Project', members: [{ userId: 'dev-2', role: 'viewer' }] }
+    ]);
+    const updateProject = t.mock.method(db, 'updateProject', async () => ({}));
+    
+    const response = await handlers.updateUser(createRequest({
+        params: { userId: 'dev-2' },
+        body: { role: 'client' }
+    }), createContext());
+    
+    assert.strictEqual(response.status, 200);
+    assert.strictEqual(updateProject.mock.callCount(), 1);
+    const [projectId, , updates] = updateProject.mock.calls[0].arguments;
+    assert.strictEqual(projectId, 'other-project');
+    assert.deepStrictEqual(updates.members, [{ userId: 'dev-2', role: 'approver' }]);
+});
@@ -15,17 +15,19 @@ let state = {
     feedback: [],
     users: [],
     invitations: [],
+    companies: [],
+    projectClientFilter: '', // see projectClientKey
     currentView: 'dashboard',
     currentProject: null,
+    currentRound: null, // review round shown in the preview, see showRound
+    currentPage: null, // id of the page shown in the preview, null for the project URL
+    workflow: null, // the organization's project statuses and transition rules, see loadWorkflow
     currentUser: null,
     settings: {
         displayName: 'User',
-        email: '',
-        notifications: {
-            feedback: true,
-            updates: true
-        }
-    }
+        email: ''
+    },
+    notificationPreferences: null // saved on the server, see renderNotificationSettings
 };
 
 // ===================================
@@ -50,7 +52,7 @@ async function initializeApp() {
             }
             
             // Get current user
-            state.currentUser = window.Auth.getUser();
+            state.currentUser = window.Auth.getCurrentUser();
             if (state.currentUser) {
                 state.settings.displayName = state.currentUser.name;
                 state.settings.email = state.currentUser.email;
@@ -69,6 +71,15 @@ async function initializeApp() {
         setupFilters();
         setupSearch();
         setupTeamManagement();
+        setupAccountSettings();
+        setupSessionManagement();
+        setupNotificationSettings();
+        setupTwoFactor();
+        setupApiTokens();
+        setupOrganizations();
+        setupOrganizationSecurity();
+        setupProjectWorkflow();
+        setupAuditLog();
         setupRoleBasedUI();
         
         // Load data from API
@@ -84,6 +95,11 @@ async function initializeApp() {
             renderTeam();
         }
         
+        // Notification emails link to #settings
+        if (window.location.hash === '#settings') {
+            navigateTo('settings');
+        }
+        
     }, 1500);
 }
 
@@ -95,16 +111,14 @@ async function loadInitialData() {
     try {
         // Load projects
         if (window.API) {
-            const projectsResponse = await window.API.getProjects();
-            if (projectsResponse.success) {
-                state.projects = projectsResponse.projects;
-            }
+            await loadWorkflow();
+            
+            // Archived projects are loaded too, so search finds them and their feedback has a project
+            state.projects = await window.API.projects.list({ includeArchived: true });
             
             // Load feedback
-            const feedbackResponse = await window.API.getAllFeedback();
-            if (feedbackResponse.success) {
-                state.feedback = feedbackResponse.feedback;
-            }
+            state.feedback = await window.API.feedback.list();
+            saveState();
         }
     } catch (error) {
         console.error('Failed to load data:', error);
@@ -113,20 +127,29 @@ async function loadInitialData() {
     }
 }
 
+/**
+ * The organization's project workflow - without it the built-in status names are used
+ */
+async function loadWorkflow() {
+    try {
+        state.workflow = await window.API.organization.getWorkflow();
+        renderWorkflowFilters();
+    } catch (error) {
+        console.error('Failed to load project workflow:', error);
+    }
+}
+
 async function loadTeamData() {
     try {
         if (window.API) {
-            // Load team members
-            const usersResponse = await window.API.getUsers();
-            if (usersResponse.success) {
-                state.users = usersResponse.users;
-            }
+            // Load team members (including deactivated ones)
+            state.users = await window.API.users.list();
             
-            // Load invitations
-            const invitationsResponse = await window.API.getInvitations();
-            if (invitationsResponse.success) {
-                state.invitations = invitationsResponse.invitations;
-            }
+            // Load pending invitations
+            state.invitations = await window.API.users.listInvitations();
+            
+            // Load client companies
+            state.companies = await window.API.companies.list();
         }
     } catch (error) {
         console.error('Failed to load team data:', error);
@@ -214,16 +237,38 @@ function navigateTo(viewName) {
         targetView.classList.add('active');
         state.currentView = viewName;
     }
+    
+    if (viewName === 'settings') {
+        renderNotificationSettings();
+        renderSessions();
+        renderTwoFactor();
+        renderApiTokens();
+        renderOrganization();
+        renderOrganizationSecurity();
+        renderProjectWorkflow();
+    }
+    
+    if (viewName === 'audit') {
+        renderAuditLog();
+    }
 }
 
 // ===================================
 // Dashboard
 // ===================================
 
+/**
+ * Projects shown by default - archived ones only turn up when filtered or searched for
+ */
+function activeProjects() {
+    return state.projects.filter(p => p.status !== 'archived');
+}
+
 function renderDashboard() {
     // Stats
-    const totalProjects = state.projects.length;
-    const pendingReviews = state.projects.filter(p => p.status === 'pending' || p.status === 'in-review').length;
+    const totalProjects = activeProjects().length;
+    // Every status short of approved is still being reviewed, custom ones included
+    const pendingReviews = activeProjects().filter(p => p.status !== 'approved').length;
     const approved = state.projects.filter(p => p.status === 'approved').length;
     const totalFeedback = state.feedback.length;
     
@@ -232,8 +277,10 @@ function renderDashboard() {
     animateCounter('approved-projects', approved);
     animateCounter('total-feedback', totalFeedback);
     
+    renderUpcomingDeadlines();
+    
     // Recent Projects (last 3)
-    const recentProjects = [...state.projects]
+    const recentProjects = activeProjects()
         .sort((a, b) => new Date(b.updatedAt) - new Date(a.updatedAt))
         .slice(0, 3);
     
@@ -258,6 +305,42 @@ function renderDashboard() {
     }
 }
 
+// Deadlines this many days ahead show on the dashboard, along with overdue ones
+const UPCOMING_DEADLINE_DAYS = 14;
+
+function renderUpcomingDeadlines() {
+    const container = document.getElementById('upcoming-deadlines');
+    if (!container) return;
+    
+    const upcoming = activeProjects()
+        .flatMap(project => getProjectDeadlines(project).map(deadline => ({ project, deadline })))
+        .filter(({ deadline }) => daysUntil(deadline.dueDate) <= UPCOMING_DEADLINE_DAYS)
+        .sort((a, b) => a.deadline.dueDate.localeCompare(b.deadline.dueDate))
+        .slice(0, 6);
+    
+    if (upcoming.length === 0) {
+        container.innerHTML = createEmptyState('No upcoming deadlines', 'Review due dates and milestones in the next two weeks will appear here');
+        return;
+    }
+    
+    container.innerHTML = upcoming.map(({ project, deadline }) => {
+        const countdown = formatCountdown(deadline.dueDate);
+        return `
+            <div class="deadline-item ${countdown.urgency}" data-project-id="${project.id}">
+                <div>
+                    <div class="deadline-name">${escapeHtml(deadline.name)}</div>
+                    <div class="deadline-project">${escapeHtml(project.name)} &middot; ${escapeHtml(project.client)}</div>
+                </div>
+                <span class="deadline-countdown">${countdown.text}</span>
+            </div>
+        `;
+    }).join('');
+    
+    container.querySelectorAll('.deadline-item').forEach(item => {
+        item.addEventListener('click', () => openProjectPreview(item.dataset.projectId));
+    });
+}
+
 function animateCounter(elementId, target) {
     const element = document.getElementById(elementId);
     const duration = 1000;
@@ -288,10 +371,23 @@ function animateCounter(elementId, target) {
 
 function renderProjects(filter = 'all') {
     const container = document.getElementById('all-projects');
-    let projects = [...state.projects];
+    let projects = activeProjects();
     
-    if (filter !== 'all') {
-        projects = projects.filter(p => p.status === filter);
+    if (filter === 'trash') {
+        renderTrash();
+        return;
+    }
+    
+    renderProjectClientFilter();
+    
+    if (filter === 'overdue') {
+        projects = projects.filter(isOverdue);
+    } else if (filter !== 'all') {
+        projects = state.projects.filter(p => p.status === filter);
+    }
+    
+    if (state.projectClientFilter) {
+        projects = projects.filter(p => projectClientKey(p) === state.projectClientFilter);
     }
     
     if (projects.length > 0) {
@@ -300,14 +396,123 @@ function renderProjects(filter = 'all') {
     } else {
         container.innerHTML = createEmptyState(
             'No projects found',
-            filter === 'all' ? 'Create a new project to get started' : `No ${filter} projects at the moment`
+            filter === 'all' ? 'Create a new project to get started' : `No ${escapeHtml(formatStatus(filter).toLowerCase())} projects at the moment`
         );
     }
 }
 
+/**
+ * What the client filter groups a project by: its client company, or the
+ * free-text client name on projects that aren't assigned to one
+ */
+function projectClientKey(project) {
+    return project.companyId ? `company:${project.companyId}` : `client:${project.client}`;
+}
+
+function renderProjectClientFilter() {
+    const select = document.getElementById('project-client-filter');
+    if (!select) return;
+    
+    const clients = new Map();
+    state.projects.forEach(p => clients.set(projectClientKey(p), p.client));
+    
+    // The chosen client may have no projects left (e.g. after switching organization)
+    if (!clients.has(state.projectClientFilter)) {
+        state.projectClientFilter = '';
+    }
+    
+    select.innerHTML = '<option value="">All clients</option>' +
+        [...clients]
+            .sort((a, b) => a[1].localeCompare(b[1]))
+            .map(([key, name]) => `<option value="${escapeHtml(key)}" ${key === state.projectClientFilter ? 'selected' : ''}>${escapeHtml(name)}</option>`)
+            .join('');
+}
+
+/**
+ * Review rounds, oldest first - projects from before rounds have one, their URL
+ */
+function projectRounds(project) {
+    return project.rounds && project.rounds.length > 0
+        ? project.rounds
+        : [{ number: 1, url: project.url, notes: '' }];
+}
+
+function currentRoundNumber(project) {
+    return project.currentRound || projectRounds(project).length;
+}
+
+function feedbackRound(feedback) {
+    return feedback.round || 1;
+}
+
+/**
+ * Feedback from earlier rounds that still isn't resolved
+ */
+function getCarriedOverFeedback(project) {
+    const current = currentRoundNumber(project);
+    return state.feedback.filter(f =>
+        f.projectId === project.id &&
+        f.type !== 'approval' &&
+        f.status !== 'resolved' &&
+        feedbackRound(f) < current);
+}
+
+/**
+ * Today as a calendar date ('YYYY-MM-DD') in the viewer's time zone
+ */
+function localToday() {
+    const now = new Date();
+    return `${now.getFullYear()}-${String(now.getMonth() + 1).padStart(2, '0')}-${String(now.getDate()).padStart(2, '0')}`;
+}
+
+function daysUntil(date) {
+    return Math.round((new Date(`${date}T00:00:00`) - new Date(`${localToday()}T00:00:00`)) / 86400000);
+}
+
+/**
+ * A project's open deadlines, soonest first: the review due date until the
+ * project is approved, and milestones not done yet (archived projects have none)
+ */
+function getProjectDeadlines(project) {
+    if (project.status === 'archived') return [];
+    
+    const deadlines = (project.milestones || [])
+        .filter(m => !m.completedAt)
+        .map(m => ({ name: m.name, dueDate: m.dueDate }));
+    
+    if (project.dueDate && project.status !== 'approved') {
+        deadlines.push({ name: 'Review', dueDate: project.dueDate });
+    }
+    
+    return deadlines.sort((a, b) => a.dueDate.localeCompare(b.dueDate));
+}
+
+function isOverdue(project) {
+    return getProjectDeadlines(project).some(d => daysUntil(d.dueDate) < 0);
+}
+
+/**
+ * Countdown to a due date, e.g. "due in 3 days", and its urgency class
+ */
+function formatCountdown(dueDate) {
+    const days = daysUntil(dueDate);
+    
+    if (days < 0) {
+        return { text: `overdue by ${-days} day${days === -1 ? '' : 's'}`, urgency: 'overdue' };
+    }
+    if (days === 0) return { text: 'due today', urgency: 'soon' };
+    if (days === 1) return { text: 'due tomorrow', urgency: 'soon' };
+    
+    return { text: `due in ${days} days`, urgency: days <= 7 ? 'soon' : '' };
+}
+
 function createProjectCard(project) {
     const feedbackCount = state.feedback.filter(f => f.projectId === project.id).length;
     const updatedDate = formatDate(project.updatedAt);
+    const round = currentRoundNumber(project);
+    const carriedOver = getCarriedOverFeedback(project).length;
+    const nextDeadline = getProjectDeadlines(project)[0];
+    const countdown = nextDeadline ? formatCountdown(nextDeadline.dueDate) : null;
     
     return `
         <div class="project-card" data-project-id="${project.id}">
@@ -322,11 +527,27 @@ function createProjectCard(project) {
                         </svg>
                     </div>`
                 }
-                <span class="project-status-badge ${project.status}">${formatStatus(project.status)}</span>
+                <span class="project-status-badge ${statusClass(project.status)}">${escapeHtml(formatStatus(project.status))}</span>
+                ${isOverdue(project) ? '<span class="project-overdue-badge">Overdue</span>' : ''}
             </div>
             <div class="project-info">
                 <h3 class="project-name">${escapeHtml(project.name)}</h3>
                 <p class="project-client">${escapeHtml(project.client)}</p>
+                ${project.assignees ? `
+                    <p class="project-assignees">
+                        ${project.assignees.length > 0
+                            ? `Assigned to ${project.assignees.map(a => escapeHtml(a.name)).join(', ')}`
+                            : 'No developer assigned'}
+                    </p>
+                ` : ''}
+                ${round > 1 ? `
+                    <p class="project-round">
+                        Round ${round}${carriedOver > 0 ? ` &middot; <span class="carried-over">${carriedOver} carried over unresolved</span>` : ''}
+                    </p>
+                ` : ''}
+                ${countdown ? `
+                    <p class="project-deadline ${countdown.urgency}">${escapeHtml(nextDeadline.name)} ${countdown.text}</p>
+                ` : ''}
                 <div class="project-meta">
                     <span>
                         <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
@@ -374,16 +595,90 @@ function openProjectPreview(projectId) {
     
     // Update preview UI
     document.getElementById('preview-project-name').textContent = project.name;
-    const statusEl = document.getElementById('preview-project-status');
-    statusEl.textContent = formatStatus(project.status);
-    statusEl.className = `preview-status ${project.status === 'approved' ? 'approved' : ''}`;
+    updatePreviewStatus(project);
+    renderStatusMoves(project);
+    
+    // Only project leads manage who is assigned and open new rounds
+    document.getElementById('project-settings-btn').style.display = project.myRole === 'project-lead' ? '' : 'none';
+    document.getElementById('open-round-btn').style.display = project.myRole === 'project-lead' ? '' : 'none';
+    
+    // Newest round first
+    const roundSelect = document.getElementById('preview-round');
+    const rounds = projectRounds(project);
+    roundSelect.innerHTML = [...rounds].reverse()
+        .map(r => `<option value="${r.number}">Round ${r.number}${r.number === currentRoundNumber(project) ? ' (current)' : ''}</option>`)
+        .join('');
+    roundSelect.style.display = rounds.length > 1 ? '' : 'none';
+    
+    state.currentPage = null;
+    showRound(currentRoundNumber(project));
+    
+    // Navigate to preview
+    document.querySelectorAll('.view').forEach(v => v.classList.remove('active'));
+    document.getElementById('preview-view').classList.add('active');
+    document.querySelectorAll('.nav-item').forEach(n => n.classList.remove('active'));
+}
+
+/**
+ * Page picker for the open project, with each page's open feedback
+ */
+function renderPagePicker(project) {
+    const select = document.getElementById('preview-page');
+    const pages = project.pages || [];
+    
+    const openCounts = new Map();
+    state.feedback
+        .filter(f => f.projectId === project.id && f.pageId && f.status === 'open')
+        .forEach(f => openCounts.set(f.pageId, (openCounts.get(f.pageId) || 0) + 1));
+    
+    select.innerHTML = '<option value="">All pages</option>' + pages
+        .map(page => {
+            const open = openCounts.get(page.id);
+            return `<option value="${page.id}" ${page.id === state.currentPage ? 'selected' : ''}>${escapeHtml(page.title)}${open ? ` (${open} open)` : ''}</option>`;
+        })
+        .join('');
+    select.style.display = pages.length > 0 ? '' : 'none';
+}
+
+/**
+ * Preview URL for a page of a round - pages are paths on the round's site
+ */
+function pageUrl(roundUrl, page) {
+    try {
+        return page ? new URL(page.path, roundUrl).href : roundUrl;
+    } catch {
+        return roundUrl;
+    }
+}
+
+/**
+ * Show one review round of the open project: its preview, release notes and feedback
+ * Only the current round can be approved
+ */
+function showRound(number) {
+    const project = state.currentProject;
+    const round = projectRounds(project).find(r => r.number === number);
+    if (!round) return;
+    
+    state.currentRound = number;
+    document.getElementById('preview-round').value = number;
+    
+    // Approving needs the approver or project-lead role on this project
+    const approveBtn = document.getElementById('approve-project');
+    const canApprove = !project.myRole || ['approver', 'project-lead'].includes(project.myRole);
+    approveBtn.style.display = canApprove && number === currentRoundNumber(project) ? '' : 'none';
+    
+    const notes = document.getElementById('round-notes');
+    notes.style.display = round.notes ? '' : 'none';
+    document.getElementById('round-notes-title').textContent = `What's new in round ${round.number}`;
+    document.getElementById('round-notes-text').textContent = round.notes || '';
     
     // Setup iframe
     const iframe = document.getElementById('website-preview');
     const loading = document.querySelector('.iframe-loading');
     
     loading.classList.remove('hidden');
-    iframe.src = project.url;
+    iframe.src = pageUrl(round.url, (project.pages || []).find(p => p.id === state.currentPage));
     
     iframe.onload = () => {
         loading.classList.add('hidden');
@@ -401,12 +696,7 @@ function openProjectPreview(projectId) {
     };
     
     // Render project feedback
-    renderProjectFeedback(projectId);
-    
-    // Navigate to preview
-    document.querySelectorAll('.view').forEach(v => v.classList.remove('active'));
-    document.getElementById('preview-view').classList.add('active');
-    document.querySelectorAll('.nav-item').forEach(n => n.classList.remove('active'));
+    renderProjectFeedback(project.id);
 }
 
 function setupPreviewView() {
@@ -438,124 +728,665 @@ function setupPreviewView() {
         document.getElementById('feedback-panel').classList.remove('open');
     });
     
-    // Approve project
-    document.getElementById('approve-project').addEventListener('click', () => {
-        if (state.currentProject) {
-            state.currentProject.status = 'approved';
-            state.currentProject.updatedAt = new Date().toISOString();
-            saveState();
-            
-            const statusEl = document.getElementById('preview-project-status');
-            statusEl.textContent = 'Approved';
-            statusEl.classList.add('approved');
-            
-            showToast('success', 'Project approved successfully!');
-            
-            // Add approval feedback
-            addFeedback({
-                projectId: state.currentProject.id,
-                type: 'approval',
-                priority: 'medium',
-                text: 'This project has been approved!',
-                status: 'resolved'
-            });
-            
-            renderProjectFeedback(state.currentProject.id);
-            renderDashboard();
-            renderProjects();
+    // Review rounds
+    document.getElementById('preview-round').addEventListener('change', (e) => {
+        showRound(parseInt(e.target.value));
+    });
+    
+    // Pages - the one chosen is previewed and gets the feedback left on it
+    document.getElementById('preview-page').addEventListener('change', (e) => {
+        state.currentPage = e.target.value || null;
+        showRound(state.currentRound);
+    });
+    
+    const roundModal = document.getElementById('open-round-modal');
+    document.getElementById('open-round-btn').addEventListener('click', openRoundModal);
+    roundModal.querySelector('.modal-backdrop').addEventListener('click', closeRoundModal);
+    roundModal.querySelector('.close-modal').addEventListener('click', closeRoundModal);
+    document.getElementById('cancel-open-round').addEventListener('click', closeRoundModal);
+    document.getElementById('save-open-round').addEventListener('click', openReviewRound);
+    
+    document.addEventListener('keydown', (e) => {
+        if (e.key === 'Escape' && roundModal.classList.contains('open')) {
+            closeRoundModal();
+        }
+    });
+    
+    // Project settings (assigned developers, pages, deadlines, archiving)
+    const settingsModal = document.getElementById('project-settings-modal');
+    document.getElementById('project-settings-btn').addEventListener('click', openProjectSettings);
+    settingsModal.querySelector('.modal-backdrop').addEventListener('click', closeProjectSettings);
+    settingsModal.querySelector('.close-modal').addEventListener('click', closeProjectSettings);
+    document.getElementById('cancel-project-settings').addEventListener('click', closeProjectSettings);
+    document.getElementById('save-project-settings').addEventListener('click', saveProjectSettings);
+    document.getElementById('create-guest-link-btn').addEventListener('click', createGuestLink);
+    document.getElementById('copy-guest-link-btn').addEventListener('click', copyGuestLink);
+    document.getElementById('archive-project-btn').addEventListener('click', toggleArchiveProject);
+    document.getElementById('add-milestone-btn').addEventListener('click', () => addMilestoneRow());
+    document.getElementById('add-page-btn').addEventListener('click', () => addPageRow());
+    document.getElementById('import-sitemap-btn').addEventListener('click', () => {
+        const sitemapUrl = document.getElementById('sitemap-url').value.trim();
+        if (!sitemapUrl) {
+            showToast('error', 'Enter the URL of the sitemap');
+            return;
         }
+        importSitemap({ sitemapUrl });
+    });
+    document.getElementById('sitemap-file').addEventListener('change', async (e) => {
+        const file = e.target.files[0];
+        e.target.value = '';
+        if (file) importSitemap({ sitemap: await file.text() });
+    });
+    document.getElementById('trash-project-btn').addEventListener('click', trashProject);
+    
+    // Approve project
+    document.getElementById('approve-project').addEventListener('click', approveCurrentRound);
+    
+    // Move the project along the workflow
+    document.getElementById('preview-status-move').addEventListener('change', (e) => {
+        const status = e.target.value;
+        e.target.value = '';
+        if (status) moveProjectStatus(status);
     });
 }
 
-// ===================================
-// Feedback
-// ===================================
+function updatePreviewStatus(project) {
+    const statusEl = document.getElementById('preview-project-status');
+    statusEl.textContent = formatStatus(project.status);
+    statusEl.className = `preview-status ${project.status === 'approved' ? 'approved' : ''}`;
+}
 
-function renderFeedback(filter = 'all') {
-    const container = document.getElementById('all-feedback');
-    let feedback = [...state.feedback];
+/**
+ * Approve the round being shown, always the current one
+ * Waits for the server - the workflow may hold the approval up (e.g. until
+ * high-priority feedback is resolved), and then says why
+ */
+async function approveCurrentRound() {
+    const project = state.currentProject;
+    if (!project) return;
     
-    if (filter !== 'all') {
-        feedback = feedback.filter(f => f.status === filter);
+    try {
+        const feedback = await window.API.feedback.create(project.id, {
+            type: 'approval',
+            priority: 'medium',
+            text: `Round ${state.currentRound} has been approved!`,
+            round: state.currentRound
+        });
+        
+        state.feedback.unshift(feedback);
+        project.status = 'approved';
+        project.updatedAt = new Date().toISOString();
+        saveState();
+        
+        updatePreviewStatus(project);
+        renderStatusMoves(project);
+        showToast('success', 'Project approved successfully!');
+        
+        renderProjectFeedback(project.id);
+        renderDashboard();
+        renderProjects();
+    } catch (error) {
+        console.error('Failed to approve project:', error);
+        showToast('error', error.message || 'Failed to approve project');
     }
+}
+
+/**
+ * Statuses the open project can be moved to by the current user
+ * Moves held up by a workflow condition are listed as blocked - choosing one
+ * shows what's missing
+ */
+async function renderStatusMoves(project) {
+    const select = document.getElementById('preview-status-move');
+    select.style.display = 'none';
     
-    // Sort by date
-    feedback.sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+    if (!window.API || !['project-lead', 'approver'].includes(project.myRole)) return;
     
-    if (feedback.length > 0) {
-        container.innerHTML = feedback.map(f => createFeedbackItem(f)).join('');
-    } else {
-        container.innerHTML = createEmptyState(
-            'No feedback found',
-            'Feedback items will appear here as they are added'
-        );
+    try {
+        const { transitions } = await window.API.projects.getTransitions(project.id);
+        const moves = transitions.filter(t => t.allowed || t.rule.type === 'guard');
+        
+        // The user may have opened another project in the meantime
+        if (state.currentProject?.id !== project.id || moves.length === 0) return;
+        
+        select.innerHTML = '<option value="">Move to...</option>' + moves.map(t => `
+            <option value="${t.status}">${escapeHtml(t.label)}${t.allowed ? '' : ' (blocked)'}</option>
+        `).join('');
+        select.style.display = '';
+    } catch (error) {
+        console.error('Failed to load status moves:', error);
     }
 }
 
-function renderProjectFeedback(projectId) {
-    const container = document.getElementById('project-feedback-list');
-    const feedback = state.feedback
-        .filter(f => f.projectId === projectId)
-        .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+async function moveProjectStatus(status) {
+    const project = state.currentProject;
     
-    if (feedback.length > 0) {
-        container.innerHTML = feedback.map(f => createFeedbackItem(f, true)).join('');
-    } else {
-        container.innerHTML = `
-            <div class="empty-state" style="padding: 30px 10px;">
-                <p style="font-size: 0.9rem;">No feedback yet for this project</p>
-            </div>
-        `;
+    try {
+        const updated = await window.API.projects.update(project.id, { status });
+        
+        state.projects = state.projects.map(p => p.id === updated.id ? updated : p);
+        state.currentProject = updated;
+        saveState();
+        
+        updatePreviewStatus(updated);
+        renderStatusMoves(updated);
+        renderDashboard();
+        renderProjects();
+        showToast('success', `${updated.name} moved to ${formatStatus(updated.status)}`);
+    } catch (error) {
+        console.error('Failed to move project:', error);
+        showToast('error', error.message || 'Failed to move project');
     }
 }
 
-function createFeedbackItem(feedback, compact = false) {
-    const project = state.projects.find(p => p.id === feedback.projectId);
-    const projectName = project ? project.name : 'Unknown Project';
-    const date = formatDate(feedback.createdAt);
-    
-    const typeIcons = {
-        general: '<path d="M21 15a2 2 0 0 1-2 2H7l-4 4V5a2 2 0 0 1 2-2h14a2 2 0 0 1 2 2z"/>',
-        bug: '<circle cx="12" cy="12" r="10"/><line x1="12" y1="8" x2="12" y2="12"/><line x1="12" y1="16" x2="12.01" y2="16"/>',
-        change: '<polygon points="14 2 18 6 7 17 3 17 3 13 14 2"/><line x1="3" y1="22" x2="21" y2="22"/>',
-        approval: '<path d="M22 11.08V12a10 10 0 1 1-5.93-9.14"/><polyline points="22 4 12 14.01 9 11.01"/>'
-    };
+function openRoundModal() {
+    const project = state.currentProject;
+    if (!project) return;
     
-    return `
-        <div class="feedback-item">
-            <div class="feedback-type-icon ${feedback.type}">
-                <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
-                    ${typeIcons[feedback.type] || typeIcons.general}
-                </svg>
-            </div>
-            <div class="feedback-content">
-                <div class="feedback-header">
-                    <span class="feedback-title">${capitalize(feedback.type)} ${feedback.type === 'approval' ? '' : 'Feedback'}</span>
-                    ${!compact ? `<span class="feedback-project">${escapeHtml(projectName)}</span>` : ''}
-                </div>
-                <p class="feedback-text">${escapeHtml(feedback.text)}</p>
-                <div class="feedback-meta">
-                    <span class="priority-tag ${feedback.priority}">${feedback.priority}</span>
-                    <span class="status-tag ${feedback.status}">${feedback.status}</span>
-                    <span>${date}</span>
-                </div>
-            </div>
-        </div>
-    `;
+    document.getElementById('open-round-title').textContent = `Open Round ${currentRoundNumber(project) + 1}`;
+    document.getElementById('round-url').value = project.url;
+    document.getElementById('round-notes-input').value = '';
+    document.getElementById('open-round-modal').classList.add('open');
+    document.getElementById('round-url').focus();
 }
 
-function setupFeedbackPanel() {
-    // Priority buttons
-    const priorityBtns = document.querySelectorAll('.priority-btn');
-    priorityBtns.forEach(btn => {
-        btn.addEventListener('click', () => {
-            priorityBtns.forEach(b => b.classList.remove('active'));
-            btn.classList.add('active');
-        });
-    });
+function closeRoundModal() {
+    document.getElementById('open-round-modal').classList.remove('open');
+}
+
+async function openReviewRound() {
+    const project = state.currentProject;
+    const url = document.getElementById('round-url').value.trim();
+    const notes = document.getElementById('round-notes-input').value.trim();
     
-    // Submit feedback
-    document.getElementById('submit-feedback').addEventListener('click', () => {
+    if (!url) {
+        showToast('error', 'Enter the preview URL for this round');
+        return;
+    }
+    
+    try {
+        const { project: updated, round } = await window.API.projects.openRound(project.id, url, notes);
+        
+        state.projects = state.projects.map(p => p.id === updated.id ? updated : p);
+        saveState();
+        
+        closeRoundModal();
+        openProjectPreview(updated.id);
+        renderDashboard();
+        renderProjects();
+        showToast('success', `Round ${round.number} is open for review`);
+    } catch (error) {
+        console.error('Failed to open review round:', error);
+        showToast('error', error.message || 'Failed to open review round');
+    }
+}
+
+function openProjectSettings() {
+    const project = state.currentProject;
+    if (!project) return;
+    
+    const assigneeIds = (project.assignees || []).map(a => a.userId);
+    const developers = state.users.filter(u => ['developer', 'admin'].includes(u.role) && u.isActive);
+    
+    document.getElementById('project-developers').innerHTML = developers
+        .map(d => `<option value="${d.id}" ${assigneeIds.includes(d.id) ? 'selected' : ''}>${escapeHtml(d.name)} (${escapeHtml(d.email)})</option>`)
+        .join('');
+    
+    document.getElementById('guest-link-created').style.display = 'none';
+    document.getElementById('guest-link-label').value = '';
+    renderGuestLinks();
+    
+    renderPageRows(project.pages || []);
+    document.getElementById('sitemap-url').value = '';
+    
+    document.getElementById('settings-due-date').value = project.dueDate || '';
+    document.getElementById('milestone-list').innerHTML = '';
+    (project.milestones || []).forEach(addMilestoneRow);
+    
+    document.getElementById('archive-project-btn').textContent = project.status === 'archived' ? 'Unarchive Project' : 'Archive Project';
+    
+    document.getElementById('project-settings-modal').classList.add('open');
+}
+
+function renderPageRows(pages) {
+    document.getElementById('page-list').innerHTML = '';
+    pages.forEach(addPageRow);
+}
+
+function addPageRow(page = {}) {
+    const row = document.createElement('div');
+    row.className = 'page-row';
+    row.dataset.pageId = page.id || '';
+    row.innerHTML = `
+        <input type="text" class="page-title" placeholder="Title, e.g. About us" value="${escapeHtml(page.title || '')}">
+        <input type="text" class="page-path" placeholder="/about" value="${escapeHtml(page.path || '')}">
+        <button class="btn btn-ghost" title="Remove">&times;</button>
+    `;
+    row.querySelector('button').addEventListener('click', () => row.remove());
+    document.getElementById('page-list').appendChild(row);
+}
+
+function readPageRows() {
+    return [...document.querySelectorAll('#page-list .page-row')]
+        .map(row => ({
+            id: row.dataset.pageId || undefined,
+            title: row.querySelector('.page-title').value.trim(),
+            path: row.querySelector('.page-path').value.trim()
+        }))
+        .filter(page => page.path);
+}
+
+/**
+ * Add the pages from a sitemap - { sitemapUrl } or { sitemap } with an uploaded file's XML
+ * The import is saved right away; pages added here but not saved yet are kept
+ */
+async function importSitemap(source) {
+    const project = state.currentProject;
+    const unsaved = readPageRows().filter(page => !page.id);
+    
+    try {
+        const { project: updated, imported, skipped } = await window.API.projects.importPages(project.id, source);
+        
+        state.projects = state.projects.map(p => p.id === updated.id ? updated : p);
+        state.currentProject = updated;
+        saveState();
+        
+        renderPageRows(updated.pages);
+        unsaved.filter(page => !updated.pages.some(p => p.path === page.path)).forEach(addPageRow);
+        document.getElementById('sitemap-url').value = '';
+        showToast('success', `Imported ${imported} page${imported === 1 ? '' : 's'}${skipped > 0 ? ` (${skipped} already listed or skipped)` : ''}`);
+    } catch (error) {
+        console.error('Failed to import sitemap:', error);
+        showToast('error', error.message || 'Failed to import sitemap');
+    }
+}
+
+function addMilestoneRow(milestone = {}) {
+    const row = document.createElement('div');
+    row.className = 'milestone-row';
+    row.dataset.milestoneId = milestone.id || '';
+    row.innerHTML = `
+        <input type="checkbox" class="milestone-done" title="Done" ${milestone.completedAt ? 'checked' : ''}>
+        <input type="text" class="milestone-name" list="milestone-suggestions" placeholder="e.g. Content freeze" value="${escapeHtml(milestone.name || '')}">
+        <input type="date" class="milestone-date" value="${milestone.dueDate || ''}">
+        <button class="btn btn-ghost" title="Remove">&times;</button>
+    `;
+    row.querySelector('button').addEventListener('click', () => row.remove());
+    document.getElementById('milestone-list').appendChild(row);
+}
+
+function readMilestoneRows() {
+    return [...document.querySelectorAll('#milestone-list .milestone-row')].map(row => ({
+        id: row.dataset.milestoneId || undefined,
+        name: row.querySelector('.milestone-name').value.trim(),
+        dueDate: row.querySelector('.milestone-date').value,
+        completed: row.querySelector('.milestone-done').checked
+    }));
+}
+
+function closeProjectSettings() {
+    document.getElementById('project-settings-modal').classList.remove('open');
+}
+
+async function saveProjectSettings() {
+    const project = state.currentProject;
+    const developerIds = [...document.getElementById('project-developers').selectedOptions].map(o => o.value);
+    const dueDate = document.getElementById('settings-due-date').value || null;
+    const milestones = readMilestoneRows();
+    
+    if (developerIds.length === 0) {
+        showToast('error', 'Assign at least one developer');
+        return;
+    }
+    
+    if (milestones.some(m => !m.name || !m.dueDate)) {
+        showToast('error', 'Give every milestone a name and a date');
+        return;
+    }
+    
+    try {
+        // Deadlines first - reassigning may take away your own access
+        await window.API.projects.update(project.id, { dueDate, milestones, pages: readPageRows() });
+        const updated = await window.API.projects.assignDevelopers(project.id, developerIds);
+        
+        // Unassigning yourself ends your access to the project
+        if (!updated.myRole) {
+            state.projects = state.projects.filter(p => p.id !== updated.id);
+            state.currentProject = null;
+        } else {
+            state.projects = state.projects.map(p => p.id === updated.id ? updated : p);
+            state.currentProject = updated;
+        }
+        saveState();
+        
+        closeProjectSettings();
+        renderDashboard();
+        renderProjects();
+        showToast('success', 'Project settings saved');
+        
+        if (!state.currentProject) {
+            navigateTo('projects');
+        }
+    } catch (error) {
+        console.error('Failed to save project settings:', error);
+        showToast('error', error.message || 'Failed to save project settings');
+    }
+}
+
+/**
+ * Archive the open project, or bring it back - as approved if its current round was approved
+ */
+async function toggleArchiveProject() {
+    const project = state.currentProject;
+    const rounds = projectRounds(project);
+    const status = project.status === 'archived'
+        ? (rounds[rounds.length - 1].approvedAt ? 'approved' : 'in-review')
+        : 'archived';
+    
+    try {
+        const updated = await window.API.projects.update(project.id, { status });
+        
+        state.projects = state.projects.map(p => p.id === updated.id ? updated : p);
+        state.currentProject = updated;
+        saveState();
+        
+        closeProjectSettings();
+        updatePreviewStatus(updated);
+        renderStatusMoves(updated);
+        renderDashboard();
+        renderProjects();
+        showToast('success', status === 'archived' ? 'Project archived' : 'Project unarchived');
+    } catch (error) {
+        console.error('Failed to archive project:', error);
+        showToast('error', error.message || 'Failed to archive project');
+    }
+}
+
+async function trashProject() {
+    const project = state.currentProject;
+    
+    if (!confirm(`Move ${project.name} to the trash? It can be restored until the trash is emptied.`)) {
+        return;
+    }
+    
+    try {
+        const { message } = await window.API.projects.delete(project.id);
+        
+        // Its feedback stays with it in the trash
+        state.projects = state.projects.filter(p => p.id !== project.id);
+        state.feedback = state.feedback.filter(f => f.projectId !== project.id);
+        state.currentProject = null;
+        saveState();
+        
+        closeProjectSettings();
+        renderDashboard();
+        navigateTo('projects');
+        showToast('success', message);
+    } catch (error) {
+        console.error('Failed to delete project:', error);
+        showToast('error', error.message || 'Failed to delete project');
+    }
+}
+
+async function renderTrash() {
+    const container = document.getElementById('all-projects');
+    
+    try {
+        const { projects, retentionDays } = await window.API.trash.list();
+        
+        if (projects.length === 0) {
+            container.innerHTML = createEmptyState('The trash is empty', `Deleted projects can be restored here for ${retentionDays} days`);
+            return;
+        }
+        
+        container.innerHTML = `
+            <div class="trash-list">
+                <div class="trash-header">
+                    <p class="settings-hint">Deleted projects are removed for good, with their feedback, ${retentionDays} days after they were deleted.</p>
+                    <button class="btn btn-danger" onclick="emptyTrash()">Empty Trash</button>
+                </div>
+                ${projects.map(project => `
+                    <div class="guest-link trash-item">
+                        <div>
+                            <div class="guest-link-label">${escapeHtml(project.name)}</div>
+                            <div class="settings-hint">
+                                ${escapeHtml(project.client || '')}
+                                &middot; deleted ${formatDate(project.deletedAt)}${project.deletedByName ? ` by ${escapeHtml(project.deletedByName)}` : ''}
+                                &middot; ${project.feedbackCount} feedback
+                                &middot; deleted for good ${new Date(project.purgeAfter).toLocaleDateString()}
+                            </div>
+                        </div>
+                        <div class="trash-actions">
+                            <button class="btn btn-secondary" onclick="restoreTrashedProject('${project.id}')">Restore</button>
+                            <button class="btn btn-ghost" onclick="purgeTrashedProject('${project.id}')">Delete Forever</button>
+                        </div>
+                    </div>
+                `).join('')}
+            </div>
+        `;
+    } catch (error) {
+        console.error('Failed to load trash:', error);
+        container.innerHTML = createEmptyState('Unable to load the trash', error.message || 'Please try again');
+    }
+}
+
+async function restoreTrashedProject(projectId) {
+    try {
+        await window.API.trash.restore(projectId);
+        await loadInitialData();
+        renderDashboard();
+        renderTrash();
+        showToast('success', 'Project restored');
+    } catch (error) {
+        console.error('Failed to restore project:', error);
+        showToast('error', error.message || 'Failed to restore project');
+    }
+}
+
+async function purgeTrashedProject(projectId) {
+    if (!confirm('Delete this project and all of its feedback for good? This can\'t be undone.')) return;
+    
+    try {
+        await window.API.trash.purge(projectId);
+        renderTrash();
+        showToast('success', 'Project deleted permanently');
+    } catch (error) {
+        console.error('Failed to delete project:', error);
+        showToast('error', error.message || 'Failed to delete project');
+    }
+}
+
+async function emptyTrash() {
+    if (!confirm('Delete every project in the trash and all of their feedback for good? This can\'t be undone.')) return;
+    
+    try {
+        const { deleted } = await window.API.trash.empty();
+        renderTrash();
+        showToast('success', `${deleted.projects} project(s) deleted permanently`);
+    } catch (error) {
+        console.error('Failed to empty trash:', error);
+        showToast('error', error.message || 'Failed to empty trash');
+    }
+}
+
+async function renderGuestLinks() {
+    const container = document.getElementById('guest-links');
+    const project = state.currentProject;
+    if (!container || !project) return;
+    
+    try {
+        const guestLinks = await window.API.projects.listGuestLinks(project.id);
+        const active = guestLinks.filter(link => link.isActive);
+        
+        container.innerHTML = active.length > 0
+            ? active.map(link => `
+                <div class="guest-link">
+                    <div>
+                        <div class="guest-link-label">${escapeHtml(link.label || 'Guest link')}</div>
+                        <div class="settings-hint">
+                            Expires ${new Date(link.expiresAt).toLocaleDateString()}
+                            &middot; ${link.lastUsedAt ? `last used ${formatDate(link.lastUsedAt)}` : 'not used yet'}
+                        </div>
+                    </div>
+                    <button class="btn btn-ghost" onclick="revokeGuestLink('${link.id}')">Revoke</button>
+                </div>
+            `).join('')
+            : `<p class="settings-hint">No active guest links</p>`;
+    } catch (error) {
+        console.error('Failed to load guest links:', error);
+        container.innerHTML = `<p class="settings-hint">Unable to load guest links</p>`;
+    }
+}
+
+async function createGuestLink() {
+    const project = state.currentProject;
+    const label = document.getElementById('guest-link-label').value.trim();
+    const expiresInDays = parseInt(document.getElementById('guest-link-expiry').value);
+    
+    try {
+        const { url } = await window.API.projects.createGuestLink(project.id, label, expiresInDays);
+        
+        document.getElementById('guest-link-url').value = url;
+        document.getElementById('guest-link-created').style.display = '';
+        document.getElementById('guest-link-label').value = '';
+        renderGuestLinks();
+        showToast('success', 'Guest link created - copy it now');
+    } catch (error) {
+        console.error('Failed to create guest link:', error);
+        showToast('error', error.message || 'Failed to create guest link');
+    }
+}
+
+async function copyGuestLink() {
+    const input = document.getElementById('guest-link-url');
+    
+    try {
+        await navigator.clipboard.writeText(input.value);
+        showToast('success', 'Link copied');
+    } catch (error) {
+        input.select();
+        showToast('info', 'Press Ctrl/Cmd+C to copy the link');
+    }
+}
+
+async function revokeGuestLink(linkId) {
+    if (!confirm('Revoke this guest link? Anyone using it will lose access.')) return;
+    
+    try {
+        await window.API.projects.revokeGuestLink(state.currentProject.id, linkId);
+        renderGuestLinks();
+        showToast('success', 'Guest link revoked');
+    } catch (error) {
+        console.error('Failed to revoke guest link:', error);
+        showToast('error', error.message || 'Failed to revoke guest link');
+    }
+}
+
+// ===================================
+// Feedback
+// ===================================
+
+function renderFeedback(filter = 'all') {
+    const container = document.getElementById('all-feedback');
+    let feedback = [...state.feedback];
+    
+    if (filter !== 'all') {
+        feedback = feedback.filter(f => f.status === filter);
+    }
+    
+    // Sort by date
+    feedback.sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+    
+    if (feedback.length > 0) {
+        container.innerHTML = feedback.map(f => createFeedbackItem(f)).join('');
+    } else {
+        container.innerHTML = createEmptyState(
+            'No feedback found',
+            'Feedback items will appear here as they are added'
+        );
+    }
+}
+
+function renderProjectFeedback(projectId) {
+    const container = document.getElementById('project-feedback-list');
+    const project = state.projects.find(p => p.id === projectId);
+    const round = state.currentRound || (project ? currentRoundNumber(project) : 1);
+    
+    // The round being shown, plus what earlier rounds left unresolved when it's the current one
+    const carriedOver = project && round === currentRoundNumber(project) ? getCarriedOverFeedback(project) : [];
+    const feedback = state.feedback
+        .filter(f => f.projectId === projectId && (feedbackRound(f) === round || carriedOver.includes(f)))
+        .filter(f => !state.currentPage || f.pageId === state.currentPage)
+        .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+    
+    if (project) {
+        renderPagePicker(project);
+    }
+    
+    if (feedback.length > 0) {
+        container.innerHTML = feedback.map(f => createFeedbackItem(f, true)).join('');
+    } else {
+        container.innerHTML = `
+            <div class="empty-state" style="padding: 30px 10px;">
+                <p style="font-size: 0.9rem;">No feedback yet for this round</p>
+            </div>
+        `;
+    }
+}
+
+function createFeedbackItem(feedback, compact = false) {
+    const project = state.projects.find(p => p.id === feedback.projectId);
+    const projectName = project ? project.name : 'Unknown Project';
+    const date = formatDate(feedback.createdAt);
+    const showRound = project && currentRoundNumber(project) > 1;
+    const page = feedback.pageId && project ? (project.pages || []).find(p => p.id === feedback.pageId) : null;
+    const pageName = page ? page.title : feedback.pagePath;
+    
+    const typeIcons = {
+        general: '<path d="M21 15a2 2 0 0 1-2 2H7l-4 4V5a2 2 0 0 1 2-2h14a2 2 0 0 1 2 2z"/>',
+        bug: '<circle cx="12" cy="12" r="10"/><line x1="12" y1="8" x2="12" y2="12"/><line x1="12" y1="16" x2="12.01" y2="16"/>',
+        change: '<polygon points="14 2 18 6 7 17 3 17 3 13 14 2"/><line x1="3" y1="22" x2="21" y2="22"/>',
+        approval: '<path d="M22 11.08V12a10 10 0 1 1-5.93-9.14"/><polyline points="22 4 12 14.01 9 11.01"/>'
+    };
+    
+    return `
+        <div class="feedback-item">
+            <div class="feedback-type-icon ${feedback.type}">
+                <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                    ${typeIcons[feedback.type] || typeIcons.general}
+                </svg>
+            </div>
+            <div class="feedback-content">
+                <div class="feedback-header">
+                    <span class="feedback-title">${capitalize(feedback.type)} ${feedback.type === 'approval' ? '' : 'Feedback'}</span>
+                    ${!compact ? `<span class="feedback-project">${escapeHtml(projectName)}</span>` : ''}
+                </div>
+                <p class="feedback-text">${escapeHtml(feedback.text)}</p>
+                <div class="feedback-meta">
+                    ${feedback.guest ? `<span class="guest-tag" title="${escapeHtml(feedback.guestEmail || '')}">Guest: ${escapeHtml(feedback.authorName)}</span>` : ''}
+                    <span class="priority-tag ${feedback.priority}">${feedback.priority}</span>
+                    <span class="status-tag ${feedback.status}">${feedback.status}</span>
+                    ${showRound ? `<span>Round ${feedbackRound(feedback)}</span>` : ''}
+                    ${pageName ? `<span class="feedback-page">${escapeHtml(pageName)}</span>` : ''}
+                    <span>${date}</span>
+                </div>
+            </div>
+        </div>
+    `;
+}
+
+function setupFeedbackPanel() {
+    // Priority buttons
+    const priorityBtns = document.querySelectorAll('.priority-btn');
+    priorityBtns.forEach(btn => {
+        btn.addEventListener('click', () => {
+            priorityBtns.forEach(b => b.classList.remove('active'));
+            btn.classList.add('active');
+        });
+    });
+    
+    // Submit feedback
+    document.getElementById('submit-feedback').addEventListener('click', () => {
         if (!state.currentProject) return;
         
         const type = document.getElementById('feedback-type').value;
@@ -572,7 +1403,9 @@ function setupFeedbackPanel() {
             type,
             priority,
             text,
-            status: 'open'
+            status: 'open',
+            round: state.currentRound,
+            pageId: state.currentPage
         });
         
         // Clear form
@@ -597,19 +1430,19 @@ function addFeedback(feedbackData) {
     
     // Try API first
     if (window.API) {
-        window.API.createFeedback(feedbackData.projectId, {
+        window.API.feedback.create(feedbackData.projectId, {
             type: feedbackData.type,
             priority: feedbackData.priority,
             text: feedbackData.text,
-            status: feedbackData.status
-        }).then(response => {
-            if (response.success) {
-                state.feedback.unshift(response.feedback);
-            } else {
-                // Fall back to local
-                state.feedback.unshift(newFeedback);
-            }
+            round: feedbackData.round,
+            pageId: feedbackData.pageId || undefined
+        }).then(feedback => {
+            state.feedback.unshift(feedback);
             saveState();
+            
+            if (state.currentProject && state.currentProject.id === feedback.projectId) {
+                renderProjectFeedback(feedback.projectId);
+            }
         }).catch(() => {
             state.feedback.unshift(newFeedback);
             saveState();
@@ -623,7 +1456,8 @@ function addFeedback(feedbackData) {
     const project = state.projects.find(p => p.id === feedbackData.projectId);
     if (project) {
         project.updatedAt = new Date().toISOString();
-        if (project.status === 'pending') {
+        // Mirrors the server, unless the workflow turned this off
+        if (project.status === 'pending' && (!state.workflow || state.workflow.autoReview)) {
             project.status = 'in-review';
         }
     }
@@ -636,11 +1470,14 @@ function addFeedback(feedbackData) {
 function setupFilters() {
     // Project filters
     document.querySelectorAll('.projects-filters .filter-btn').forEach(btn => {
-        btn.addEventListener('click', () => {
-            document.querySelectorAll('.projects-filters .filter-btn').forEach(b => b.classList.remove('active'));
-            btn.classList.add('active');
-            renderProjects(btn.dataset.filter);
-        });
+        btn.addEventListener('click', () => selectProjectFilter(btn));
+    });
+    
+    // Client filter, combined with the status filter
+    document.getElementById('project-client-filter')?.addEventListener('change', (e) => {
+        state.projectClientFilter = e.target.value;
+        const active = document.querySelector('.projects-filters .filter-btn.active');
+        renderProjects(active ? active.dataset.filter : 'all');
     });
     
     // Feedback filters
@@ -653,6 +1490,37 @@ function setupFilters() {
     });
 }
 
+function selectProjectFilter(btn) {
+    document.querySelectorAll('.projects-filters .filter-btn').forEach(b => b.classList.remove('active'));
+    btn.classList.add('active');
+    renderProjects(btn.dataset.filter);
+}
+
+/**
+ * Name the status filters after the workflow's statuses, with a filter for each custom status
+ */
+function renderWorkflowFilters() {
+    const filters = document.querySelector('.projects-filters');
+    const overdueBtn = filters.querySelector('[data-filter="overdue"]');
+    
+    filters.querySelectorAll('.filter-btn.custom-status').forEach(btn => btn.remove());
+    
+    state.workflow.statuses.forEach(status => {
+        const existing = filters.querySelector(`.filter-btn[data-filter="${status.id}"]`);
+        if (existing) {
+            existing.textContent = status.label;
+            return;
+        }
+        
+        const btn = document.createElement('button');
+        btn.className = 'filter-btn custom-status';
+        btn.dataset.filter = status.id;
+        btn.textContent = status.label;
+        btn.addEventListener('click', () => selectProjectFilter(btn));
+        filters.insertBefore(btn, overdueBtn);
+    });
+}
+
 function setupSearch() {
     const searchInput = document.getElementById('project-search');
     let debounceTimer;
@@ -706,6 +1574,9 @@ function setupModals() {
     // Save new project
     document.getElementById('save-new-project').addEventListener('click', saveNewProject);
     
+    // A client company supplies the client name
+    document.getElementById('project-company')?.addEventListener('change', toggleClientNameInput);
+    
     // Close on Escape key
     document.addEventListener('keydown', (e) => {
         if (e.key === 'Escape' && modal.classList.contains('open')) {
@@ -723,13 +1594,40 @@ function openNewProjectModal() {
 }
 
 function populateClientsDropdown() {
-    const clientSelect = document.getElementById('assign-client');
+    const companySelect = document.getElementById('project-company');
+    const clientSelect = document.getElementById('project-clients');
+    
+    if (companySelect) {
+        companySelect.innerHTML = '<option value="">No company - enter a client name</option>' +
+            state.companies.map(c => `<option value="${c.id}">${escapeHtml(c.name)}</option>`).join('');
+        toggleClientNameInput();
+    }
+    
     if (!clientSelect) return;
     
-    const clients = state.users.filter(u => u.role === 'client' && u.status === 'active');
+    // Clients are grouped by company, so it's clear who already gets access through one
+    const clients = state.users.filter(u => u.role === 'client' && u.isActive);
+    const groups = state.companies.map(c => ({
+        label: c.name,
+        clients: clients.filter(u => u.companyId === c.id)
+    }));
+    groups.push({
+        label: 'No company',
+        clients: clients.filter(u => !state.companies.some(c => c.id === u.companyId))
+    });
     
-    clientSelect.innerHTML = '<option value="">Select a client (optional)</option>' +
-        clients.map(c => `<option value="${c.id}">${escapeHtml(c.name)} (${escapeHtml(c.email)})</option>`).join('');
+    clientSelect.innerHTML = groups
+        .filter(group => group.clients.length > 0)
+        .map(group => `
+            <optgroup label="${escapeHtml(group.label)}">
+                ${group.clients.map(c => `<option value="${c.id}">${escapeHtml(c.name)} (${escapeHtml(c.email)})</option>`).join('')}
+            </optgroup>
+        `).join('');
+}
+
+function toggleClientNameInput() {
+    const hasCompany = !!document.getElementById('project-company').value;
+    document.getElementById('client-name-group').style.display = hasCompany ? 'none' : '';
 }
 
 function closeNewProjectModal() {
@@ -738,18 +1636,24 @@ function closeNewProjectModal() {
     // Clear form
     document.getElementById('project-name').value = '';
     document.getElementById('client-name').value = '';
+    document.getElementById('project-company').value = '';
+    document.getElementById('client-name-group').style.display = '';
     document.getElementById('project-url').value = '';
     document.getElementById('project-description').value = '';
     document.getElementById('project-thumbnail').value = '';
+    document.getElementById('project-due-date').value = '';
 }
 
-function saveNewProject() {
+async function saveNewProject() {
     const name = document.getElementById('project-name').value.trim();
-    const client = document.getElementById('client-name').value.trim();
+    const companyId = document.getElementById('project-company').value;
+    const company = state.companies.find(c => c.id === companyId);
+    const client = company ? company.name : document.getElementById('client-name').value.trim();
     const url = document.getElementById('project-url').value.trim();
     const description = document.getElementById('project-description').value.trim();
     const thumbnail = document.getElementById('project-thumbnail').value.trim();
-    const assignedClient = document.getElementById('assign-client')?.value || '';
+    const dueDate = document.getElementById('project-due-date').value || null;
+    const assignedClients = [...document.getElementById('project-clients').selectedOptions].map(o => o.value);
     
     // Validation
     if (!name) {
@@ -758,7 +1662,7 @@ function saveNewProject() {
     }
     
     if (!client) {
-        showToast('error', 'Please enter a client name');
+        showToast('error', 'Please choose a company or enter a client name');
         return;
     }
     
@@ -775,28 +1679,24 @@ function saveNewProject() {
         description,
         thumbnail: thumbnail || '',
         status: 'pending',
-        assignedClients: assignedClient ? [assignedClient] : []
+        companyId: companyId || null,
+        assignedClients,
+        dueDate
     };
     
     if (window.API) {
-        window.API.createProject(projectData)
-            .then(response => {
-                if (response.success) {
-                    state.projects.unshift(response.project);
-                    saveState();
-                    closeNewProjectModal();
-                    renderDashboard();
-                    renderProjects();
-                    showToast('success', 'Project created successfully!');
-                } else {
-                    showToast('error', response.error || 'Failed to create project');
-                }
-            })
-            .catch(error => {
-                console.error('Failed to create project:', error);
-                // Fall back to local storage
-                createProjectLocally(projectData);
-            });
+        try {
+            const project = await window.API.projects.create(projectData);
+            state.projects.unshift(project);
+            saveState();
+            closeNewProjectModal();
+            renderDashboard();
+            renderProjects();
+            showToast('success', 'Project created successfully!');
+        } catch (error) {
+            console.error('Failed to create project:', error);
+            showToast('error', error.message || 'Failed to create project');
+        }
     } else {
         createProjectLocally(projectData);
     }
@@ -831,7 +1731,7 @@ function setupTeamManagement() {
     // Setup invite modal
     const inviteBtn = document.getElementById('invite-user-btn');
     if (inviteBtn) {
-        inviteBtn.addEventListener('click', openInviteModal);
+        inviteBtn.addEventListener('click', () => openInviteModal());
     }
     
     // Close modal handlers
@@ -842,222 +1742,1671 @@ function setupTeamManagement() {
     // Send invitation
     document.getElementById('send-invite')?.addEventListener('click', sendInvitation);
     
+    // Client companies
+    document.getElementById('create-company-btn')?.addEventListener('click', createCompany);
+    
+    // Bulk invite from CSV
+    const bulkModal = document.getElementById('bulk-invite-modal');
+    document.getElementById('bulk-invite-btn')?.addEventListener('click', openBulkInviteModal);
+    bulkModal?.querySelector('.modal-backdrop')?.addEventListener('click', closeBulkInviteModal);
+    bulkModal?.querySelector('.close-modal')?.addEventListener('click', closeBulkInviteModal);
+    document.getElementById('cancel-bulk-invite')?.addEventListener('click', closeBulkInviteModal);
+    document.getElementById('bulk-invite-file')?.addEventListener('change', previewBulkInvite);
+    document.getElementById('send-bulk-invite')?.addEventListener('click', sendBulkInvite);
+    
+    // User detail (admin console)
+    const userModal = document.getElementById('user-detail-modal');
+    userModal?.querySelector('.modal-backdrop')?.addEventListener('click', closeUserDetail);
+    userModal?.querySelector('.close-modal')?.addEventListener('click', closeUserDetail);
+    document.getElementById('user-detail-save-role')?.addEventListener('click', saveUserRole);
+    document.getElementById('user-detail-toggle-active')?.addEventListener('click', toggleUserActive);
+    document.getElementById('user-detail-sign-out')?.addEventListener('click', signOutUser);
+    document.getElementById('user-detail-export')?.addEventListener('click', exportUserData);
+    document.getElementById('user-detail-erase')?.addEventListener('click', eraseUser);
+    
     // Close on Escape key
     document.addEventListener('keydown', (e) => {
         if (e.key === 'Escape' && inviteModal.classList.contains('open')) {
             closeInviteModal();
         }
+        if (e.key === 'Escape' && userModal?.classList.contains('open')) {
+            closeUserDetail();
+        }
+        if (e.key === 'Escape' && bulkModal?.classList.contains('open')) {
+            closeBulkInviteModal();
+        }
     });
 }
 
-function openInviteModal() {
+/**
+ * Open the invite modal - empty for a new invitation, or filled in to edit a pending one
+ */
+function openInviteModal(invitation = null) {
     const modal = document.getElementById('invite-user-modal');
     if (modal) {
         modal.classList.add('open');
-        document.getElementById('invite-email')?.focus();
         
         // Populate projects dropdown
         populateProjectsForInvite();
+        
+        state.editingInvitation = invitation;
+        
+        if (invitation) {
+            document.getElementById('invite-modal-title').textContent = 'Edit Invitation';
+            document.getElementById('send-invite').textContent = 'Save Changes';
+            document.getElementById('invite-email').value = invitation.email;
+            document.getElementById('invite-email').disabled = true;
+            document.getElementById('invite-role').value = invitation.role;
+            Array.from(document.getElementById('invite-projects').options).forEach(opt => {
+                opt.selected = invitation.projectIds.includes(opt.value);
+            });
+        } else {
+            document.getElementById('invite-email')?.focus();
+        }
+    }
+}
+
+function closeInviteModal() {
+    const modal = document.getElementById('invite-user-modal');
+    if (modal) {
+        modal.classList.remove('open');
+        
+        // Clear form
+        const emailInput = document.getElementById('invite-email');
+        const roleSelect = document.getElementById('invite-role');
+        const projectsSelect = document.getElementById('invite-projects');
+        
+        if (emailInput) {
+            emailInput.value = '';
+            emailInput.disabled = false;
+        }
+        if (roleSelect) roleSelect.value = 'client';
+        if (projectsSelect) {
+            Array.from(projectsSelect.options).forEach(opt => opt.selected = false);
+        }
+        
+        state.editingInvitation = null;
+        document.getElementById('invite-modal-title').textContent = 'Invite User';
+        document.getElementById('send-invite').textContent = 'Send Invitation';
+    }
+}
+
+function populateProjectsForInvite() {
+    const projectsSelect = document.getElementById('invite-projects');
+    if (!projectsSelect) return;
+    
+    projectsSelect.innerHTML = state.projects.map(p => 
+        `<option value="${p.id}">${escapeHtml(p.name)}</option>`
+    ).join('');
+}
+
+async function sendInvitation() {
+    const email = document.getElementById('invite-email')?.value.trim();
+    const role = document.getElementById('invite-role')?.value || 'client';
+    const projectsSelect = document.getElementById('invite-projects');
+    const selectedProjects = projectsSelect ? 
+        Array.from(projectsSelect.selectedOptions).map(opt => opt.value) : [];
+    
+    if (state.editingInvitation) {
+        await saveInvitation(role, selectedProjects);
+        return;
+    }
+    
+    if (!email) {
+        showToast('error', 'Please enter an email address');
+        return;
+    }
+    
+    if (!email.includes('@')) {
+        showToast('error', 'Please enter a valid email address');
+        return;
+    }
+    
+    try {
+        if (window.API) {
+            await window.API.users.invite(email, role, selectedProjects);
+            showToast('success', `Invitation sent to ${email}`);
+            closeInviteModal();
+            await loadTeamData();
+            renderTeam();
+        } else {
+            // Mock success for demo
+            showToast('success', `Invitation would be sent to ${email}`);
+            closeInviteModal();
+        }
+    } catch (error) {
+        console.error('Failed to send invitation:', error);
+        showToast('error', error.message || 'Failed to send invitation');
+    }
+}
+
+function renderTeam() {
+    const membersContainer = document.getElementById('team-members');
+    const invitationsContainer = document.getElementById('pending-invitations');
+    
+    renderCompanies();
+    
+    // Render team members - deactivated ones stay listed so they can be reactivated
+    if (membersContainer) {
+        const members = state.users;
+        
+        if (members.length > 0) {
+            membersContainer.innerHTML = members.map(u => createTeamMemberCard(u)).join('');
+        } else {
+            membersContainer.innerHTML = `
+                <div class="team-empty">
+                    <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                        <path d="M17 21v-2a4 4 0 0 0-4-4H5a4 4 0 0 0-4 4v2"/>
+                        <circle cx="9" cy="7" r="4"/>
+                        <path d="M23 21v-2a4 4 0 0 0-3-3.87"/>
+                        <path d="M16 3.13a4 4 0 0 1 0 7.75"/>
+                    </svg>
+                    <p>No team members yet</p>
+                </div>
+            `;
+        }
+    }
+    
+    // Render invitations
+    if (invitationsContainer) {
+        const pending = state.invitations;
+        
+        if (pending.length > 0) {
+            invitationsContainer.innerHTML = pending.map(i => createInvitationCard(i)).join('');
+        } else {
+            invitationsContainer.innerHTML = `
+                <div class="team-empty">
+                    <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                        <path d="M22 17H2a3 3 0 0 0 3-3V9a7 7 0 0 1 14 0v5a3 3 0 0 0 3 3zm-8.27 4a2 2 0 0 1-3.46 0"/>
+                    </svg>
+                    <p>No pending invitations</p>
+                </div>
+            `;
+        }
+    }
+}
+
+function createTeamMemberCard(user) {
+    const initials = user.name.split(' ').map(n => n[0]).join('').toUpperCase();
+    const joinDate = formatDate(user.createdAt);
+    
+    return `
+        <div class="team-member-card ${user.isActive ? '' : 'inactive'}">
+            <div class="member-avatar ${user.role}">${initials}</div>
+            <div class="member-info">
+                <div class="member-name">${escapeHtml(user.name)}</div>
+                <div class="member-email">${escapeHtml(user.email)}</div>
+                <div class="member-meta">
+                    <span class="role-tag ${user.role}">${user.role}</span>
+                    ${user.isActive ? '' : '<span class="role-tag inactive">Deactivated</span>'}
+                    <span class="member-date">Joined ${joinDate}</span>
+                </div>
+            </div>
+            <div class="member-actions">
+                ${state.currentUser?.role === 'admin' ? `
+                    <button onclick="viewUserDetails('${user.id}')" title="View Details">
+                        <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                            <path d="M1 12s4-8 11-8 11 8 11 8-4 8-11 8-11-8-11-8z"/>
+                            <circle cx="12" cy="12" r="3"/>
+                        </svg>
+                    </button>
+                    <button onclick="unlockUser('${user.id}')" title="Unlock Sign-In">
+                        <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                            <rect x="3" y="11" width="18" height="11" rx="2" ry="2"/>
+                            <path d="M7 11V7a5 5 0 0 1 9.9-1"/>
+                        </svg>
+                    </button>
+                ` : ''}
+            </div>
+        </div>
+    `;
+}
+
+function createInvitationCard(invitation) {
+    const sentDate = formatDate(invitation.createdAt);
+    const expiresDate = new Date(invitation.expiresAt);
+    const isExpired = expiresDate < new Date();
+    
+    return `
+        <div class="invitation-card">
+            <div class="member-avatar client">
+                <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" style="width: 20px; height: 20px;">
+                    <path d="M22 17H2a3 3 0 0 0 3-3V9a7 7 0 0 1 14 0v5a3 3 0 0 0 3 3zm-8.27 4a2 2 0 0 1-3.46 0"/>
+                </svg>
+            </div>
+            <div class="member-info">
+                <div class="member-email">${escapeHtml(invitation.email)}</div>
+                <div class="member-meta">
+                    <span class="role-tag ${invitation.role}">${invitation.role}</span>
+                    <span class="invitation-status ${isExpired ? 'expired' : ''}">
+                        <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                            <circle cx="12" cy="12" r="10"/>
+                            <polyline points="12 6 12 12 16 14"/>
+                        </svg>
+                        ${isExpired ? 'Expired' : 'Pending'}
+                    </span>
+                    <span class="invitation-expires">${invitation.resentAt ? `Resent ${formatDate(invitation.resentAt)}` : `Sent ${sentDate}`} · ${isExpired ? 'Expired' : 'Expires'} ${expiresDate.toLocaleDateString('en-US', { month: 'short', day: 'numeric' })}</span>
+                </div>
+            </div>
+            <div class="member-actions">
+                <button onclick="editInvitation('${invitation.id}')" title="Edit">
+                    <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                        <path d="M11 4H4a2 2 0 0 0-2 2v14a2 2 0 0 0 2 2h14a2 2 0 0 0 2-2v-7"/>
+                        <path d="M18.5 2.5a2.121 2.121 0 0 1 3 3L12 15l-4 1 1-4 9.5-9.5z"/>
+                    </svg>
+                </button>
+                <button onclick="resendInvitation('${invitation.id}')" title="Resend">
+                    <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                        <polyline points="23 4 23 10 17 10"/>
+                        <path d="M20.49 15a9 9 0 1 1-2.12-9.36L23 10"/>
+                    </svg>
+                </button>
+                <button onclick="cancelInvitation('${invitation.id}')" title="Revoke">
+                    <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                        <line x1="18" y1="6" x2="6" y2="18"/>
+                        <line x1="6" y1="6" x2="18" y2="18"/>
+                    </svg>
+                </button>
+            </div>
+        </div>
+    `;
+}
+
+/**
+ * Admin console for one team member: role, activation, projects and sign-out
+ */
+async function viewUserDetails(userId) {
+    const modal = document.getElementById('user-detail-modal');
+    if (!modal || !window.API) return;
+    
+    try {
+        const details = await window.API.users.get(userId);
+        state.selectedUser = details.user;
+        
+        document.getElementById('user-detail-name').textContent = details.user.name;
+        document.getElementById('user-detail-email').textContent = details.user.email;
+        document.getElementById('user-detail-last-login').textContent = details.user.lastLogin ? formatDate(details.user.lastLogin) : 'Never';
+        document.getElementById('user-detail-feedback-count').textContent = details.feedbackCount;
+        document.getElementById('user-detail-sessions').textContent = details.activeSessions;
+        document.getElementById('user-detail-role').value = details.user.role;
+        document.getElementById('user-detail-toggle-active').textContent = details.user.isActive ? 'Deactivate' : 'Reactivate';
+        
+        // Admins can't demote, deactivate or sign out themselves here
+        const isSelf = details.user.id === state.currentUser?.id;
+        document.getElementById('user-detail-role').disabled = isSelf;
+        document.getElementById('user-detail-save-role').disabled = isSelf;
+        document.getElementById('user-detail-toggle-active').disabled = isSelf;
+        document.getElementById('user-detail-sign-out').disabled = isSelf;
+        document.getElementById('user-detail-erase').disabled = isSelf;
+        
+        document.getElementById('user-detail-projects').innerHTML = details.projects.length === 0
+            ? `<p class="settings-hint">Not on any projects</p>`
+            : details.projects.map(p => `
+                <div class="session-item">
+                    <div class="session-info">
+                        <div class="session-device">${escapeHtml(p.name)}</div>
+                        <div class="session-meta">${escapeHtml(p.role || 'member')} · ${escapeHtml(p.status)}</div>
+                    </div>
+                </div>
+            `).join('');
+        
+        modal.classList.add('open');
+    } catch (error) {
+        console.error('Failed to load user details:', error);
+        showToast('error', 'Failed to load user details');
+    }
+}
+
+function closeUserDetail() {
+    document.getElementById('user-detail-modal')?.classList.remove('open');
+    state.selectedUser = null;
+}
+
+async function saveUserRole() {
+    const user = state.selectedUser;
+    const role = document.getElementById('user-detail-role').value;
+    if (!user || role === user.role) return;
+    
+    try {
+        await window.API.users.update(user.id, { role });
+        showToast('success', `${user.name} is now ${role === 'admin' ? 'an admin' : `a ${role}`}`);
+        await refreshTeamAfterChange(user.id);
+    } catch (error) {
+        console.error('Failed to change role:', error);
+        showToast('error', error.message || 'Failed to change role');
+    }
+}
+
+async function toggleUserActive() {
+    const user = state.selectedUser;
+    if (!user) return;
+    
+    const isActive = !user.isActive;
+    if (!isActive && !confirm(`Deactivate ${user.name}? They will be signed out and can't sign in to this organization until reactivated.`)) {
+        return;
+    }
+    
+    try {
+        await window.API.users.update(user.id, { isActive });
+        showToast('success', `${user.name} ${isActive ? 'reactivated' : 'deactivated'}`);
+        await refreshTeamAfterChange(user.id);
+    } catch (error) {
+        console.error('Failed to change user status:', error);
+        showToast('error', error.message || 'Failed to change user status');
+    }
+}
+
+async function signOutUser() {
+    const user = state.selectedUser;
+    if (!user) return;
+    
+    try {
+        const { revoked } = await window.API.users.signOut(user.id);
+        showToast('success', `Signed ${user.name} out of ${revoked} session${revoked === 1 ? '' : 's'}`);
+        await refreshTeamAfterChange(user.id);
+    } catch (error) {
+        console.error('Failed to sign out user:', error);
+        showToast('error', 'Failed to sign out user');
     }
 }
 
-function closeInviteModal() {
-    const modal = document.getElementById('invite-user-modal');
-    if (modal) {
-        modal.classList.remove('open');
-        
-        // Clear form
-        const emailInput = document.getElementById('invite-email');
-        const roleSelect = document.getElementById('invite-role');
-        const projectsSelect = document.getElementById('invite-projects');
+async function exportUserData() {
+    const user = state.selectedUser;
+    if (!user) return;
+    
+    try {
+        const blob = await window.API.users.exportData(user.id);
+        downloadBlob(blob, `webreview-data-${user.email}.json`);
+    } catch (error) {
+        console.error('Failed to export user data:', error);
+        showToast('error', error.message || 'Failed to export user data');
+    }
+}
+
+async function eraseUser() {
+    const user = state.selectedUser;
+    if (!user) return;
+    
+    if (!confirm(`Delete ${user.name}'s account for good? Their feedback stays on its projects, shown as from a deleted user. This can't be undone.`)) {
+        return;
+    }
+    
+    try {
+        await window.API.users.erase(user.id);
+        closeUserDetail();
+        showToast('success', `${user.name}'s account was deleted`);
+        await loadTeamData();
+        renderTeam();
+    } catch (error) {
+        console.error('Failed to delete account:', error);
+        showToast('error', error.message || 'Failed to delete account');
+    }
+}
+
+async function refreshTeamAfterChange(userId) {
+    await loadTeamData();
+    renderTeam();
+    await viewUserDetails(userId);
+}
+
+async function unlockUser(userId) {
+    const user = state.users.find(u => u.id === userId);
+    
+    try {
+        await window.API.users.unlock(userId);
+        showToast('success', `${user ? user.name : 'User'} can sign in again`);
+    } catch (error) {
+        console.error('Failed to unlock user:', error);
+        showToast('error', 'Failed to unlock user');
+    }
+}
+
+function openBulkInviteModal() {
+    document.getElementById('bulk-invite-modal')?.classList.add('open');
+}
+
+function closeBulkInviteModal() {
+    document.getElementById('bulk-invite-modal')?.classList.remove('open');
+    document.getElementById('bulk-invite-file').value = '';
+    document.getElementById('bulk-invite-summary').textContent = '';
+    document.getElementById('bulk-invite-preview').innerHTML = '';
+    document.getElementById('send-bulk-invite').disabled = true;
+    state.bulkInviteCsv = null;
+}
+
+/**
+ * Check the chosen CSV on the server and show every row with its problems
+ */
+async function previewBulkInvite(e) {
+    const file = e.target.files[0];
+    const sendBtn = document.getElementById('send-bulk-invite');
+    sendBtn.disabled = true;
+    state.bulkInviteCsv = null;
+    if (!file) return;
+    
+    try {
+        const csv = await file.text();
+        const { rows, summary } = await window.API.users.bulkInvite(csv, true);
+        
+        state.bulkInviteCsv = csv;
+        renderBulkInviteRows(rows);
+        document.getElementById('bulk-invite-summary').textContent = summary.invalid > 0
+            ? `${summary.ready} of ${summary.total} ready - rows with problems will be skipped`
+            : `${summary.ready} ready to invite`;
+        sendBtn.disabled = summary.ready === 0;
+        sendBtn.textContent = `Send ${summary.ready} Invitation${summary.ready === 1 ? '' : 's'}`;
+    } catch (error) {
+        console.error('Failed to check CSV:', error);
+        document.getElementById('bulk-invite-preview').innerHTML = '';
+        document.getElementById('bulk-invite-summary').textContent = error.message || 'Failed to read the CSV';
+    }
+}
+
+async function sendBulkInvite() {
+    const sendBtn = document.getElementById('send-bulk-invite');
+    if (!state.bulkInviteCsv) return;
+    
+    sendBtn.disabled = true;
+    
+    try {
+        const { rows, summary } = await window.API.users.bulkInvite(state.bulkInviteCsv, false);
+        
+        state.bulkInviteCsv = null;
+        renderBulkInviteRows(rows);
+        document.getElementById('bulk-invite-summary').textContent =
+            `Invited ${summary.invited} of ${summary.total}` +
+            (summary.invalid > 0 ? ` · ${summary.invalid} skipped` : '') +
+            (summary.emailFailed > 0 ? ` · ${summary.emailFailed} email${summary.emailFailed === 1 ? '' : 's'} could not be sent (resend from Pending Invitations)` : '');
+        showToast('success', `Invited ${summary.invited} ${summary.invited === 1 ? 'person' : 'people'}`);
+        
+        await loadTeamData();
+        renderTeam();
+    } catch (error) {
+        console.error('Failed to send bulk invitations:', error);
+        showToast('error', error.message || 'Failed to send invitations');
+        sendBtn.disabled = false;
+    }
+}
+
+function renderBulkInviteRows(rows) {
+    const statusText = (row) => {
+        if (row.status === 'invalid') return row.error;
+        if (row.status === 'invited') return row.emailSent ? 'Invited' : 'Invited - email not sent';
+        return 'Ready';
+    };
+    
+    document.getElementById('bulk-invite-preview').innerHTML = `
+        <table>
+            <thead>
+                <tr><th>Line</th><th>Email</th><th>Name</th><th>Role</th><th>Projects</th><th>Status</th></tr>
+            </thead>
+            <tbody>
+                ${rows.map(row => `
+                    <tr class="${row.status === 'invalid' ? 'invalid' : ''}">
+                        <td>${row.line}</td>
+                        <td>${escapeHtml(row.email)}</td>
+                        <td>${escapeHtml(row.name)}</td>
+                        <td>${escapeHtml(row.role)}</td>
+                        <td>${escapeHtml(row.projects.join(', '))}</td>
+                        <td>${escapeHtml(statusText(row))}</td>
+                    </tr>
+                `).join('')}
+            </tbody>
+        </table>
+    `;
+}
+
+async function saveInvitation(role, projectIds) {
+    const invitation = state.editingInvitation;
+    
+    try {
+        await window.API.users.updateInvitation(invitation.id, { role, projectIds });
+        showToast('success', `Invitation for ${invitation.email} updated`);
+        closeInviteModal();
+        await loadTeamData();
+        renderTeam();
+    } catch (error) {
+        console.error('Failed to update invitation:', error);
+        showToast('error', error.message || 'Failed to update invitation');
+    }
+}
+
+function editInvitation(invitationId) {
+    const invitation = state.invitations.find(i => i.id === invitationId);
+    if (invitation) {
+        openInviteModal(invitation);
+    }
+}
+
+async function resendInvitation(invitationId) {
+    const invitation = state.invitations.find(i => i.id === invitationId);
+    
+    try {
+        const { emailSent } = await window.API.users.resendInvitation(invitationId);
+        showToast(emailSent ? 'success' : 'error', emailSent
+            ? `New invitation sent to ${invitation ? invitation.email : 'the invitee'}`
+            : 'Invitation renewed, but the email could not be sent');
+        await loadTeamData();
+        renderTeam();
+    } catch (error) {
+        console.error('Failed to resend invitation:', error);
+        showToast('error', error.message || 'Failed to resend invitation');
+    }
+}
+
+async function cancelInvitation(invitationId) {
+    const invitation = state.invitations.find(i => i.id === invitationId);
+    if (!confirm(`Revoke the invitation${invitation ? ` for ${invitation.email}` : ''}? Its link will stop working.`)) {
+        return;
+    }
+    
+    try {
+        await window.API.users.revokeInvitation(invitationId);
+        showToast('success', 'Invitation revoked');
+        await loadTeamData();
+        renderTeam();
+    } catch (error) {
+        console.error('Failed to revoke invitation:', error);
+        showToast('error', error.message || 'Failed to revoke invitation');
+    }
+}
+
+// ===================================
+// Client Companies
+// ===================================
+
+function renderCompanies() {
+    const container = document.getElementById('client-companies');
+    if (!container) return;
+    
+    if (state.companies.length > 0) {
+        container.innerHTML = state.companies.map(c => createCompanyCard(c)).join('');
+    } else {
+        container.innerHTML = `
+            <div class="team-empty">
+                <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                    <path d="M3 21h18M5 21V7l7-4 7 4v14M9 9h1M9 13h1M9 17h1M14 9h1M14 13h1M14 17h1"/>
+                </svg>
+                <p>No client companies yet</p>
+            </div>
+        `;
+    }
+}
+
+function createCompanyCard(company) {
+    const initials = company.name.split(' ').map(n => n[0]).join('').slice(0, 2).toUpperCase();
+    const memberIds = company.members.map(m => m.id);
+    
+    // Clients can only belong to one company; picking someone from another company moves them
+    const candidates = state.users.filter(u => u.role === 'client' && !memberIds.includes(u.id));
+    
+    return `
+        <div class="team-member-card company-card">
+            <div class="member-avatar client">${escapeHtml(initials)}</div>
+            <div class="member-info">
+                <div class="member-name">${escapeHtml(company.name)}</div>
+                <div class="member-email">
+                    ${company.projects.length > 0
+                        ? `Projects: ${company.projects.map(p => escapeHtml(p.name)).join(', ')}`
+                        : 'No projects assigned yet'}
+                </div>
+                <div class="company-members">
+                    ${company.members.map(member => `
+                        <span class="company-member ${member.isActive ? '' : 'inactive'}">
+                            ${escapeHtml(member.name)}
+                            <button onclick="removeCompanyMember('${company.id}', '${member.id}')" title="Remove from company">
+                                <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                                    <line x1="18" y1="6" x2="6" y2="18"/>
+                                    <line x1="6" y1="6" x2="18" y2="18"/>
+                                </svg>
+                            </button>
+                        </span>
+                    `).join('')}
+                </div>
+            </div>
+            <div class="member-actions">
+                <select onchange="addCompanyMember('${company.id}', this.value)">
+                    <option value="">Add client...</option>
+                    ${candidates.map(u => `<option value="${u.id}">${escapeHtml(u.name)}</option>`).join('')}
+                </select>
+                <button onclick="deleteCompany('${company.id}')" title="Delete Company">
+                    <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                        <line x1="18" y1="6" x2="6" y2="18"/>
+                        <line x1="6" y1="6" x2="18" y2="18"/>
+                    </svg>
+                </button>
+            </div>
+        </div>
+    `;
+}
+
+async function createCompany() {
+    const input = document.getElementById('new-company-name');
+    const name = input.value.trim();
+    
+    if (!name) {
+        showToast('error', 'Please enter a company name');
+        return;
+    }
+    
+    try {
+        await window.API.companies.create(name);
+        input.value = '';
+        showToast('success', `${name} added`);
+        await loadTeamData();
+        renderTeam();
+    } catch (error) {
+        console.error('Failed to create company:', error);
+        showToast('error', error.message || 'Failed to create company');
+    }
+}
+
+async function deleteCompany(companyId) {
+    const company = state.companies.find(c => c.id === companyId);
+    if (!confirm(`Delete ${company ? company.name : 'this company'}? Its people lose the project access it gave them.`)) {
+        return;
+    }
+    
+    try {
+        await window.API.companies.delete(companyId);
+        showToast('success', 'Company deleted');
+        await refreshAfterCompanyChange();
+    } catch (error) {
+        console.error('Failed to delete company:', error);
+        showToast('error', error.message || 'Failed to delete company');
+    }
+}
+
+async function addCompanyMember(companyId, userId) {
+    if (!userId) return;
+    
+    try {
+        await window.API.companies.addMember(companyId, userId);
+        showToast('success', 'Client added to company');
+    } catch (error) {
+        console.error('Failed to add company member:', error);
+        showToast('error', error.message || 'Failed to add client');
+    }
+    
+    await loadTeamData();
+    renderTeam();
+}
+
+async function removeCompanyMember(companyId, userId) {
+    const company = state.companies.find(c => c.id === companyId);
+    const member = company?.members.find(m => m.id === userId);
+    if (!confirm(`Remove ${member ? member.name : 'this client'} from ${company ? company.name : 'the company'}? They lose access to its projects.`)) {
+        return;
+    }
+    
+    try {
+        await window.API.companies.removeMember(companyId, userId);
+        showToast('success', 'Client removed from company');
+        await loadTeamData();
+        renderTeam();
+    } catch (error) {
+        console.error('Failed to remove company member:', error);
+        showToast('error', error.message || 'Failed to remove client');
+    }
+}
+
+/**
+ * Deleting a company also unlinks its projects, so their client shown here changes too
+ */
+async function refreshAfterCompanyChange() {
+    await loadTeamData();
+    renderTeam();
+    
+    try {
+        state.projects = await window.API.projects.list({ includeArchived: true });
+        saveState();
+        renderProjects();
+    } catch (error) {
+        console.error('Failed to reload projects:', error);
+    }
+}
+
+// ===================================
+// Sessions
+// ===================================
+
+function setupSessionManagement() {
+    document.getElementById('sign-out-everywhere')?.addEventListener('click', signOutEverywhere);
+}
+
+async function renderSessions() {
+    const container = document.getElementById('sessions-list');
+    if (!container || !window.API) return;
+    
+    try {
+        const sessions = await window.API.auth.listSessions();
+        
+        if (sessions.length === 0) {
+            container.innerHTML = `<p class="settings-hint">No active sessions</p>`;
+            return;
+        }
+        
+        container.innerHTML = sessions.map(s => createSessionItem(s)).join('');
+    } catch (error) {
+        console.error('Failed to load sessions:', error);
+        container.innerHTML = `<p class="settings-hint">Unable to load sessions</p>`;
+    }
+}
+
+function createSessionItem(session) {
+    return `
+        <div class="session-item ${session.current ? 'current' : ''}">
+            <svg class="session-icon" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                <rect x="2" y="3" width="20" height="14" rx="2"/>
+                <line x1="8" y1="21" x2="16" y2="21"/>
+                <line x1="12" y1="17" x2="12" y2="21"/>
+            </svg>
+            <div class="session-info">
+                <div class="session-device">
+                    ${escapeHtml(session.device)}
+                    ${session.current ? '<span class="session-current-tag">This device</span>' : ''}
+                </div>
+                <div class="session-meta">
+                    ${session.ipAddress ? `${escapeHtml(session.ipAddress)} · ` : ''}Signed in ${formatDate(session.createdAt)} · Last active ${formatDate(session.lastSeenAt)}
+                </div>
+            </div>
+            ${session.current ? '' : `
+                <div class="member-actions">
+                    <button onclick="revokeSession('${session.id}')" title="Sign out this device">
+                        <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                            <line x1="18" y1="6" x2="6" y2="18"/>
+                            <line x1="6" y1="6" x2="18" y2="18"/>
+                        </svg>
+                    </button>
+                </div>
+            `}
+        </div>
+    `;
+}
+
+async function revokeSession(sessionId) {
+    try {
+        await window.API.auth.revokeSession(sessionId);
+        showToast('success', 'Device signed out');
+        renderSessions();
+    } catch (error) {
+        console.error('Failed to revoke session:', error);
+        showToast('error', 'Failed to sign out device');
+    }
+}
+
+async function signOutEverywhere() {
+    if (!confirm('Sign out of WebReview on all devices, including this one?')) return;
+    
+    try {
+        await window.API.auth.revokeAllSessions();
+    } catch (error) {
+        console.error('Failed to sign out everywhere:', error);
+        showToast('error', 'Failed to sign out everywhere');
+        return;
+    }
+    
+    window.Auth.logout();
+}
+
+// ===================================
+// Two-Factor Authentication
+// ===================================
+
+const MFA_ROLES = ['developer', 'admin'];
+
+function setupTwoFactor() {
+    document.getElementById('mfa-start-btn')?.addEventListener('click', startTwoFactorSetup);
+    document.getElementById('mfa-confirm-btn')?.addEventListener('click', confirmTwoFactorSetup);
+    document.getElementById('mfa-regenerate-btn')?.addEventListener('click', regenerateRecoveryCodes);
+    document.getElementById('mfa-disable-btn')?.addEventListener('click', disableTwoFactor);
+}
+
+function showMfaElements(visible) {
+    const ids = ['mfa-setup', 'mfa-recovery', 'mfa-form', 'mfa-password-group',
+        'mfa-start-btn', 'mfa-confirm-btn', 'mfa-regenerate-btn', 'mfa-disable-btn'];
+    
+    ids.forEach(id => {
+        const el = document.getElementById(id);
+        if (el) el.style.display = visible.includes(id) ? '' : 'none';
+    });
+    
+    document.getElementById('mfa-password').value = '';
+    document.getElementById('mfa-code').value = '';
+}
+
+async function renderTwoFactor() {
+    const statusEl = document.getElementById('mfa-status');
+    if (!statusEl || !window.API || !MFA_ROLES.includes(state.currentUser?.role)) return;
+    
+    try {
+        const status = await window.API.auth.mfaStatus();
+        
+        if (status.enabled) {
+            statusEl.textContent = `Two-factor authentication is on. ${status.recoveryCodesRemaining} recovery codes remaining.`;
+            showMfaElements(status.required
+                ? ['mfa-form', 'mfa-regenerate-btn']
+                : ['mfa-form', 'mfa-password-group', 'mfa-regenerate-btn', 'mfa-disable-btn']);
+        } else {
+            statusEl.textContent = status.required
+                ? 'Your organization requires two-factor authentication. Set it up now to keep access to your account.'
+                : 'Protect your account with a code from an authenticator app in addition to your password.';
+            showMfaElements(['mfa-start-btn']);
+        }
+    } catch (error) {
+        console.error('Failed to load two-factor status:', error);
+        statusEl.textContent = 'Unable to load two-factor status';
+    }
+}
+
+async function startTwoFactorSetup() {
+    try {
+        const setup = await window.API.auth.setupMfa();
+        
+        document.getElementById('mfa-otpauth-link').href = setup.otpauthUri;
+        document.getElementById('mfa-secret').textContent = setup.secret;
+        showMfaElements(['mfa-setup', 'mfa-form', 'mfa-confirm-btn']);
+    } catch (error) {
+        console.error('Failed to start two-factor setup:', error);
+        showToast('error', error.message || 'Failed to start two-factor setup');
+    }
+}
+
+async function confirmTwoFactorSetup() {
+    const code = document.getElementById('mfa-code').value.trim();
+    if (!code) {
+        showToast('error', 'Enter the code from your authenticator app');
+        return;
+    }
+    
+    try {
+        const result = await window.API.auth.enableMfa(code);
+        
+        await renderTwoFactor();
+        showRecoveryCodes(result.recoveryCodes);
+        showToast('success', 'Two-factor authentication enabled');
+    } catch (error) {
+        console.error('Failed to enable two-factor:', error);
+        showToast('error', error.message || 'Failed to enable two-factor');
+    }
+}
+
+async function regenerateRecoveryCodes() {
+    const code = document.getElementById('mfa-code').value.trim();
+    if (!code) {
+        showToast('error', 'Enter a code from your authenticator app to continue');
+        return;
+    }
+    
+    try {
+        const codes = await window.API.auth.regenerateRecoveryCodes(code);
+        
+        await renderTwoFactor();
+        showRecoveryCodes(codes);
+        showToast('success', 'New recovery codes generated');
+    } catch (error) {
+        console.error('Failed to regenerate recovery codes:', error);
+        showToast('error', error.message || 'Failed to generate recovery codes');
+    }
+}
+
+async function disableTwoFactor() {
+    const password = document.getElementById('mfa-password').value;
+    const code = document.getElementById('mfa-code').value.trim();
+    
+    if (!password || !code) {
+        showToast('error', 'Enter your password and a verification code');
+        return;
+    }
+    
+    if (!confirm('Turn off two-factor authentication for your account?')) return;
+    
+    try {
+        await window.API.auth.disableMfa(password, code);
+        showToast('success', 'Two-factor authentication turned off');
+        renderTwoFactor();
+    } catch (error) {
+        console.error('Failed to disable two-factor:', error);
+        showToast('error', error.message || 'Failed to turn off two-factor');
+    }
+}
+
+function showRecoveryCodes(codes) {
+    document.getElementById('mfa-recovery-codes').innerHTML = codes
+        .map(code => `<li>${escapeHtml(code)}</li>`).join('');
+    document.getElementById('mfa-recovery').style.display = '';
+}
+
+// ===================================
+// API Tokens
+// ===================================
+
+function setupApiTokens() {
+    document.getElementById('create-api-token-btn')?.addEventListener('click', createApiToken);
+}
+
+async function renderApiTokens() {
+    const container = document.getElementById('api-tokens-list');
+    if (!container || !window.API || !['developer', 'admin'].includes(state.currentUser?.role)) return;
+    
+    try {
+        const [{ tokens, availableScopes }, projects] = await Promise.all([
+            window.API.auth.listTokens(),
+            window.API.projects.list()
+        ]);
+        
+        document.getElementById('api-token-scopes').innerHTML = Object.entries(availableScopes)
+            .map(([scope, label]) => `<option value="${scope}">${escapeHtml(label)}</option>`).join('');
+        document.getElementById('api-token-projects').innerHTML = projects
+            .map(p => `<option value="${p.id}">${escapeHtml(p.name)}</option>`).join('');
+        
+        const projectNames = Object.fromEntries(projects.map(p => [p.id, p.name]));
+        
+        container.innerHTML = tokens.length === 0
+            ? `<p class="settings-hint">No API tokens yet</p>`
+            : tokens.map(t => createApiTokenItem(t, projectNames)).join('');
+    } catch (error) {
+        console.error('Failed to load API tokens:', error);
+        container.innerHTML = `<p class="settings-hint">Unable to load API tokens</p>`;
+    }
+}
+
+function createApiTokenItem(apiToken, projectNames) {
+    const projects = apiToken.projectIds.map(id => projectNames[id] || 'Deleted project').join(', ');
+    
+    return `
+        <div class="session-item">
+            <svg class="session-icon" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                <path d="M21 2l-2 2m-7.61 7.61a5.5 5.5 0 1 1-7.778 7.778 5.5 5.5 0 0 1 7.777-7.777zm0 0L15.5 7.5m0 0l3 3L22 7l-3-3m-3.5 3.5L19 4"/>
+            </svg>
+            <div class="session-info">
+                <div class="session-device">
+                    ${escapeHtml(apiToken.name)}
+                    <span class="session-current-tag">${escapeHtml(apiToken.prefix)}…</span>
+                </div>
+                <div class="session-meta">
+                    ${escapeHtml(apiToken.scopes.join(', '))} · ${escapeHtml(projects)}
+                </div>
+                <div class="session-meta">
+                    ${apiToken.lastUsedAt ? `Last used ${formatDate(apiToken.lastUsedAt)}` : 'Never used'} · ${apiToken.expiresAt ? `Expires ${formatDate(apiToken.expiresAt)}` : 'Never expires'}
+                </div>
+            </div>
+            <div class="member-actions">
+                <button onclick="revokeApiToken('${apiToken.id}')" title="Revoke token">
+                    <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                        <line x1="18" y1="6" x2="6" y2="18"/>
+                        <line x1="6" y1="6" x2="18" y2="18"/>
+                    </svg>
+                </button>
+            </div>
+        </div>
+    `;
+}
+
+async function createApiToken() {
+    const name = document.getElementById('api-token-name').value.trim();
+    const scopes = Array.from(document.getElementById('api-token-scopes').selectedOptions).map(o => o.value);
+    const projectIds = Array.from(document.getElementById('api-token-projects').selectedOptions).map(o => o.value);
+    const expiry = document.getElementById('api-token-expiry').value;
+    
+    if (!name || scopes.length === 0 || projectIds.length === 0) {
+        showToast('error', 'Give the token a name and choose at least one operation and project');
+        return;
+    }
+    
+    try {
+        const result = await window.API.auth.createToken({
+            name,
+            scopes,
+            projectIds,
+            expiresInDays: expiry ? parseInt(expiry) : null
+        });
+        
+        document.getElementById('new-api-token-value').textContent = result.token;
+        document.getElementById('new-api-token').style.display = '';
+        document.getElementById('api-token-name').value = '';
+        showToast('success', 'API token created');
+        renderApiTokens();
+    } catch (error) {
+        console.error('Failed to create API token:', error);
+        showToast('error', error.message || 'Failed to create API token');
+    }
+}
+
+async function revokeApiToken(tokenId) {
+    if (!confirm('Revoke this token? Anything using it will stop working immediately.')) return;
+    
+    try {
+        await window.API.auth.revokeToken(tokenId);
+        showToast('success', 'Token revoked');
+        renderApiTokens();
+    } catch (error) {
+        console.error('Failed to revoke API token:', error);
+        showToast('error', 'Failed to revoke token');
+    }
+}
+
+// ===================================
+// Organizations
+// ===================================
+
+function setupOrganizations() {
+    document.getElementById('org-select')?.addEventListener('change', (e) => switchOrganization(e.target.value));
+    document.getElementById('save-organization-btn')?.addEventListener('click', saveOrganization);
+    document.getElementById('create-partner-organization-btn')?.addEventListener('click', createPartnerOrganization);
+    
+    loadOrganizationBranding();
+    renderOrganizationSwitcher();
+}
+
+/**
+ * Show the current organization's name, logo and color in the sidebar
+ */
+async function loadOrganizationBranding() {
+    if (!window.API) return;
+    
+    try {
+        const { organization } = await window.API.organization.get();
+        applyOrganizationBranding(organization);
+    } catch (error) {
+        console.error('Failed to load organization:', error);
+    }
+}
+
+function applyOrganizationBranding(organization) {
+    const { logoUrl, primaryColor } = organization.branding || {};
+    
+    document.querySelector('.logo-tagline').textContent = organization.name;
+    
+    const logoWrapper = document.querySelector('.logo-icon-wrapper');
+    let logoImage = logoWrapper.querySelector('img');
+    if (logoUrl) {
+        if (!logoImage) {
+            logoImage = document.createElement('img');
+            logoImage.className = 'logo-icon';
+            logoWrapper.appendChild(logoImage);
+        }
+        logoImage.src = logoUrl;
+        logoImage.alt = organization.name;
+        logoWrapper.querySelector('svg').style.display = 'none';
+    } else {
+        logoImage?.remove();
+        logoWrapper.querySelector('svg').style.display = '';
+    }
+    
+    if (primaryColor) {
+        document.documentElement.style.setProperty('--primary', primaryColor);
+    } else {
+        document.documentElement.style.removeProperty('--primary');
+    }
+}
+
+async function renderOrganizationSwitcher() {
+    const switcher = document.getElementById('org-switcher');
+    if (!switcher || !window.API) return;
+    
+    try {
+        const { organizations, activeOrganizationId } = await window.API.organization.listMemberships();
+        
+        // Only worth showing for people in more than one organization
+        switcher.style.display = organizations.length > 1 ? '' : 'none';
+        document.getElementById('org-select').innerHTML = organizations
+            .map(org => `<option value="${escapeHtml(org.id)}" ${org.id === activeOrganizationId ? 'selected' : ''}>${escapeHtml(org.name)}</option>`)
+            .join('');
+    } catch (error) {
+        console.error('Failed to load organizations:', error);
+    }
+}
+
+async function switchOrganization(organizationId, code) {
+    try {
+        await window.API.organization.switchTo(organizationId, code);
+        
+        // Projects and feedback cached for the old organization don't apply any more
+        localStorage.removeItem(APP_STORAGE_KEY);
+        window.location.reload();
+    } catch (error) {
+        // This session started without a two-factor code - ask for one and try again
+        if (error.details?.mfaRequired) {
+            const entered = prompt(`${error.message}:`);
+            if (entered) {
+                return switchOrganization(organizationId, entered.trim());
+            }
+        }
+        
+        console.error('Failed to switch organization:', error);
+        showToast('error', error.message || 'Failed to switch organization');
+        renderOrganizationSwitcher();
+    }
+}
+
+async function renderOrganization() {
+    if (!window.API || state.currentUser?.role !== 'admin') return;
+    
+    try {
+        const { organization, isPlatformAdmin } = await window.API.organization.get();
+        const branding = organization.branding || {};
+        
+        document.getElementById('organization-name').value = organization.name;
+        document.getElementById('organization-logo-url').value = branding.logoUrl || '';
+        document.getElementById('organization-primary-color').value = branding.primaryColor || '#1e5fa8';
+        
+        document.getElementById('partner-organizations-section').style.display = isPlatformAdmin ? '' : 'none';
+        if (isPlatformAdmin) {
+            renderPartnerOrganizations();
+        }
+    } catch (error) {
+        console.error('Failed to load organization:', error);
+    }
+}
+
+async function saveOrganization() {
+    const name = document.getElementById('organization-name').value.trim();
+    const logoUrl = document.getElementById('organization-logo-url').value.trim();
+    const primaryColor = document.getElementById('organization-primary-color').value;
+    
+    if (!name) {
+        showToast('error', 'Organization name is required');
+        return;
+    }
+    
+    try {
+        const organization = await window.API.organization.update({
+            name,
+            branding: { logoUrl, primaryColor }
+        });
+        applyOrganizationBranding(organization);
+        renderOrganizationSwitcher();
+        showToast('success', 'Organization saved');
+    } catch (error) {
+        console.error('Failed to save organization:', error);
+        showToast('error', error.message || 'Failed to save organization');
+    }
+}
+
+async function renderPartnerOrganizations() {
+    const container = document.getElementById('partner-organizations-list');
+    
+    try {
+        const organizations = await window.API.organization.listAll();
+        
+        container.innerHTML = organizations.map(org => `
+            <div class="session-item">
+                <svg class="session-icon" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                    <path d="M3 21h18M5 21V7l7-4 7 4v14M9 9h1M9 13h1M9 17h1M14 9h1M14 13h1M14 17h1"/>
+                </svg>
+                <div class="session-info">
+                    <div class="session-device">${escapeHtml(org.name)}</div>
+                    <div class="session-meta">${escapeHtml(org.id)}${org.createdAt ? ` · Created ${formatDate(org.createdAt)}` : ''}</div>
+                </div>
+            </div>
+        `).join('');
+    } catch (error) {
+        console.error('Failed to load partner organizations:', error);
+        container.innerHTML = `<p class="settings-hint">Unable to load organizations</p>`;
+    }
+}
+
+async function createPartnerOrganization() {
+    const nameInput = document.getElementById('partner-organization-name');
+    const emailInput = document.getElementById('partner-organization-admin-email');
+    const name = nameInput.value.trim();
+    const adminEmail = emailInput.value.trim();
+    
+    if (!name || !adminEmail) {
+        showToast('error', 'Enter the organization name and its admin\'s email');
+        return;
+    }
+    
+    try {
+        const { emailSent } = await window.API.organization.create({ name, adminEmail });
+        nameInput.value = '';
+        emailInput.value = '';
+        showToast('success', emailSent ? `Organization created - invitation sent to ${adminEmail}` : 'Organization created, but the invitation email could not be sent');
+        renderPartnerOrganizations();
+    } catch (error) {
+        console.error('Failed to create organization:', error);
+        showToast('error', error.message || 'Failed to create organization');
+    }
+}
+
+// ===================================
+// Organization Security
+// ===================================
+
+function setupOrganizationSecurity() {
+    document.querySelectorAll('.mfa-required-role').forEach(input => {
+        input.addEventListener('change', saveOrganizationSecurity);
+    });
+    document.getElementById('client-magic-link-only')?.addEventListener('change', saveOrganizationSecurity);
+}
+
+async function renderOrganizationSecurity() {
+    if (!window.API || state.currentUser?.role !== 'admin') return;
+    
+    try {
+        const settings = await window.API.organization.getSettings();
+        
+        document.querySelectorAll('.mfa-required-role').forEach(input => {
+            input.checked = settings.mfaRequiredRoles.includes(input.value);
+        });
+        document.getElementById('client-magic-link-only').checked = settings.clientMagicLinkOnly;
+    } catch (error) {
+        console.error('Failed to load organization settings:', error);
+    }
+}
+
+async function saveOrganizationSecurity() {
+    const mfaRequiredRoles = Array.from(document.querySelectorAll('.mfa-required-role:checked'))
+        .map(input => input.value);
+    const clientMagicLinkOnly = document.getElementById('client-magic-link-only').checked;
+    
+    try {
+        await window.API.organization.updateSettings({ mfaRequiredRoles, clientMagicLinkOnly });
+        showToast('success', 'Security settings saved');
+        renderTwoFactor();
+    } catch (error) {
+        console.error('Failed to save organization settings:', error);
+        showToast('error', 'Failed to save security settings');
+        renderOrganizationSecurity();
+    }
+}
+
+// ===================================
+// Project Workflow
+// ===================================
+
+// Who a transition can be given to, and the conditions it can require (see api/src/shared/workflow.js)
+const WORKFLOW_ROLES = {
+    'project-lead': 'Project leads',
+    'approver': 'Approvers'
+};
+
+const WORKFLOW_GUARDS = {
+    highPriorityResolved: 'High-priority feedback resolved',
+    allFeedbackResolved: 'All feedback resolved',
+    milestonesComplete: 'Milestones complete'
+};
+
+function setupProjectWorkflow() {
+    document.getElementById('add-workflow-status-btn')?.addEventListener('click', () => addWorkflowStatusRow());
+    document.getElementById('add-workflow-transition-btn')?.addEventListener('click', () => addWorkflowTransitionRow());
+    document.getElementById('save-workflow-btn')?.addEventListener('click', saveProjectWorkflow);
+    document.getElementById('reset-workflow-btn')?.addEventListener('click', resetProjectWorkflow);
+}
+
+function renderProjectWorkflow() {
+    if (!state.workflow || state.currentUser?.role !== 'admin') return;
+    
+    document.getElementById('workflow-statuses').innerHTML = '';
+    document.getElementById('workflow-transitions').innerHTML = '';
+    
+    state.workflow.statuses.forEach(status => addWorkflowStatusRow(status));
+    state.workflow.transitions.forEach(transition => addWorkflowTransitionRow(transition));
+    document.getElementById('workflow-auto-review').checked = state.workflow.autoReview;
+}
+
+function addWorkflowStatusRow(status = {}) {
+    const builtIn = BUILT_IN_STATUSES.includes(status.id);
+    const row = document.createElement('div');
+    row.className = 'workflow-row workflow-status-row';
+    row.dataset.statusId = status.id || '';
+    row.innerHTML = `
+        <input type="text" class="workflow-status-label" maxlength="40" placeholder="e.g. Client QA" value="${escapeHtml(status.label || '')}">
+        <button class="btn btn-ghost" title="${builtIn ? 'Built-in statuses can be renamed but not removed' : 'Remove'}" ${builtIn ? 'disabled' : ''}>&times;</button>
+    `;
+    
+    const input = row.querySelector('input');
+    input.addEventListener('input', refreshTransitionStatusOptions);
+    input.addEventListener('change', () => {
+        assignStatusId(row);
+        refreshTransitionStatusOptions();
+    });
+    row.querySelector('button').addEventListener('click', () => {
+        row.remove();
+        refreshTransitionStatusOptions();
+    });
+    
+    document.getElementById('workflow-statuses').appendChild(row);
+}
+
+/**
+ * A new status gets its id from its first name, and keeps it if it's renamed
+ */
+function assignStatusId(row) {
+    const label = row.querySelector('.workflow-status-label').value.trim();
+    if (row.dataset.statusId || !label) return;
+    
+    const base = label.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '').slice(0, 36) || 'status';
+    const taken = readWorkflowStatuses().map(s => s.id);
+    let id = base;
+    for (let n = 2; taken.includes(id); n++) {
+        id = `${base}-${n}`;
+    }
+    row.dataset.statusId = id;
+}
+
+function readWorkflowStatuses() {
+    return [...document.querySelectorAll('#workflow-statuses .workflow-status-row')].map(row => ({
+        id: row.dataset.statusId,
+        label: row.querySelector('.workflow-status-label').value.trim()
+    }));
+}
+
+function addWorkflowTransitionRow(transition = { from: '*', to: '*', roles: ['project-lead'], guards: [] }) {
+    const row = document.createElement('div');
+    row.className = 'workflow-row workflow-transition-row';
+    row.innerHTML = `
+        <select class="workflow-from" title="From" data-value="${escapeHtml(transition.from)}"></select>
+        <span class="workflow-arrow">&rarr;</span>
+        <select class="workflow-to" title="To" data-value="${escapeHtml(transition.to)}"></select>
+        <div class="workflow-checks">
+            ${Object.entries(WORKFLOW_ROLES).map(([role, label]) => `
+                <label class="workflow-check"><input type="checkbox" class="workflow-role" value="${role}" ${transition.roles.includes(role) ? 'checked' : ''}> ${label}</label>
+            `).join('')}
+            ${Object.entries(WORKFLOW_GUARDS).map(([guard, label]) => `
+                <label class="workflow-check guard"><input type="checkbox" class="workflow-guard" value="${guard}" ${transition.guards.includes(guard) ? 'checked' : ''}> ${label}</label>
+            `).join('')}
+        </div>
+        <button class="btn btn-ghost" title="Remove">&times;</button>
+    `;
+    row.querySelector('button').addEventListener('click', () => row.remove());
+    
+    document.getElementById('workflow-transitions').appendChild(row);
+    refreshTransitionStatusOptions();
+}
+
+/**
+ * Fill the transitions' status choices from the status list as it's edited
+ * A transition still pointing at a removed status keeps it, marked, so saving
+ * fails rather than quietly widening the rule to Any
+ */
+function refreshTransitionStatusOptions() {
+    const statuses = readWorkflowStatuses().filter(s => s.id);
+    
+    document.querySelectorAll('#workflow-transitions select').forEach(select => {
+        const value = select.value || select.dataset.value;
+        const options = [{ id: '*', label: 'Any' }, ...statuses];
+        if (!options.some(o => o.id === value)) {
+            options.push({ id: value, label: `${value} (removed)` });
+        }
+        
+        select.innerHTML = options.map(o => `<option value="${escapeHtml(o.id)}">${escapeHtml(o.label || o.id)}</option>`).join('');
+        select.value = value;
+    });
+}
+
+async function saveProjectWorkflow() {
+    document.querySelectorAll('#workflow-statuses .workflow-status-row').forEach(assignStatusId);
+    
+    const statuses = readWorkflowStatuses();
+    const transitions = [...document.querySelectorAll('#workflow-transitions .workflow-transition-row')].map(row => ({
+        from: row.querySelector('.workflow-from').value,
+        to: row.querySelector('.workflow-to').value,
+        roles: [...row.querySelectorAll('.workflow-role:checked')].map(input => input.value),
+        guards: [...row.querySelectorAll('.workflow-guard:checked')].map(input => input.value)
+    }));
+    
+    if (statuses.some(s => !s.label)) {
+        showToast('error', 'Give every status a name');
+        return;
+    }
+    
+    if (transitions.some(t => t.roles.length === 0)) {
+        showToast('error', 'Give every transition at least one role');
+        return;
+    }
+    
+    try {
+        state.workflow = await window.API.organization.updateWorkflow({
+            statuses,
+            transitions,
+            autoReview: document.getElementById('workflow-auto-review').checked
+        });
+        applyWorkflow();
+        showToast('success', 'Project workflow saved');
+    } catch (error) {
+        console.error('Failed to save project workflow:', error);
+        showToast('error', error.message || 'Failed to save project workflow');
+    }
+}
+
+async function resetProjectWorkflow() {
+    if (!confirm('Go back to the default workflow? Custom statuses and transition rules are removed. Projects in a custom status keep it until they are moved.')) {
+        return;
+    }
+    
+    try {
+        state.workflow = await window.API.organization.updateWorkflow(null);
+        applyWorkflow();
+        showToast('success', 'Project workflow reset');
+    } catch (error) {
+        console.error('Failed to reset project workflow:', error);
+        showToast('error', error.message || 'Failed to reset project workflow');
+    }
+}
+
+/**
+ * Show a newly saved workflow everywhere statuses appear
+ */
+function applyWorkflow() {
+    renderProjectWorkflow();
+    renderWorkflowFilters();
+    
+    const active = document.querySelector('.projects-filters .filter-btn.active');
+    renderProjects(active ? active.dataset.filter : 'all');
+    renderDashboard();
+}
+
+// ===================================
+// Notification Settings
+// ===================================
+
+// Per-project choices, saved as overrides of the event toggles (or as a muted project)
+const PROJECT_NOTIFICATION_CHOICES = {
+    default: { label: 'Use my settings above', events: null },
+    all: { label: 'Everything', events: { feedback: true, projectUpdates: true } },
+    feedback: { label: 'Only new feedback', events: { feedback: true, projectUpdates: false } },
+    projectUpdates: { label: 'Only project updates', events: { feedback: false, projectUpdates: true } },
+    muted: { label: 'Mute', events: null }
+};
+
+function setupNotificationSettings() {
+    document.querySelectorAll('.notification-event').forEach(input => {
+        input.addEventListener('change', saveNotificationSettings);
+    });
+    document.getElementById('notification-delivery')?.addEventListener('change', saveNotificationSettings);
+    document.getElementById('notification-projects')?.addEventListener('change', saveNotificationSettings);
+}
+
+async function renderNotificationSettings() {
+    if (!window.API) return;
+    
+    try {
+        const { preferences } = await window.API.notifications.get();
+        state.notificationPreferences = preferences;
         
-        if (emailInput) emailInput.value = '';
-        if (roleSelect) roleSelect.value = 'client';
-        if (projectsSelect) {
-            Array.from(projectsSelect.options).forEach(opt => opt.selected = false);
-        }
+        document.querySelectorAll('.notification-event').forEach(input => {
+            input.checked = preferences.events[input.value];
+        });
+        document.getElementById('notification-delivery').value = preferences.delivery;
+        renderProjectNotificationChoices(preferences);
+    } catch (error) {
+        console.error('Failed to load notification settings:', error);
     }
 }
 
-function populateProjectsForInvite() {
-    const projectsSelect = document.getElementById('invite-projects');
-    if (!projectsSelect) return;
+function projectNotificationChoice(preferences, projectId) {
+    if (preferences.mutedProjects.includes(projectId)) return 'muted';
     
-    projectsSelect.innerHTML = state.projects.map(p => 
-        `<option value="${p.id}">${escapeHtml(p.name)}</option>`
-    ).join('');
+    const override = preferences.projects[projectId];
+    if (!override) return 'default';
+    
+    const feedback = override.feedback !== undefined ? override.feedback : preferences.events.feedback;
+    const projectUpdates = override.projectUpdates !== undefined ? override.projectUpdates : preferences.events.projectUpdates;
+    
+    return Object.keys(PROJECT_NOTIFICATION_CHOICES).find(key => {
+        const events = PROJECT_NOTIFICATION_CHOICES[key].events;
+        return events && events.feedback === feedback && events.projectUpdates === projectUpdates;
+    }) || 'muted';
 }
 
-async function sendInvitation() {
-    const email = document.getElementById('invite-email')?.value.trim();
-    const role = document.getElementById('invite-role')?.value || 'client';
-    const projectsSelect = document.getElementById('invite-projects');
-    const selectedProjects = projectsSelect ? 
-        Array.from(projectsSelect.selectedOptions).map(opt => opt.value) : [];
+function renderProjectNotificationChoices(preferences) {
+    const container = document.getElementById('notification-projects');
+    if (!container) return;
     
-    if (!email) {
-        showToast('error', 'Please enter an email address');
+    if (state.projects.length === 0) {
+        container.innerHTML = `<p class="settings-hint">No projects yet</p>`;
         return;
     }
     
-    if (!email.includes('@')) {
-        showToast('error', 'Please enter a valid email address');
-        return;
-    }
+    container.innerHTML = state.projects.map(project => {
+        const choice = projectNotificationChoice(preferences, project.id);
+        
+        return `
+            <div class="notification-project">
+                <span>${escapeHtml(project.name)}</span>
+                <select data-project-id="${project.id}">
+                    ${Object.entries(PROJECT_NOTIFICATION_CHOICES).map(([key, option]) => `
+                        <option value="${key}" ${key === choice ? 'selected' : ''}>${option.label}</option>
+                    `).join('')}
+                </select>
+            </div>
+        `;
+    }).join('');
+}
+
+async function saveNotificationSettings() {
+    if (!state.notificationPreferences) return;
     
-    try {
-        if (window.API) {
-            const response = await window.API.inviteUser(email, role, selectedProjects);
-            if (response.success) {
-                showToast('success', `Invitation sent to ${email}`);
-                closeInviteModal();
-                await loadTeamData();
-                renderTeam();
-            } else {
-                showToast('error', response.error || 'Failed to send invitation');
-            }
-        } else {
-            // Mock success for demo
-            showToast('success', `Invitation would be sent to ${email}`);
-            closeInviteModal();
+    const events = {};
+    document.querySelectorAll('.notification-event').forEach(input => {
+        events[input.value] = input.checked;
+    });
+    
+    // Start from the saved settings so projects in other organizations keep theirs
+    const projects = { ...state.notificationPreferences.projects };
+    let mutedProjects = [...state.notificationPreferences.mutedProjects];
+    
+    document.querySelectorAll('#notification-projects select').forEach(select => {
+        const projectId = select.dataset.projectId;
+        const choice = PROJECT_NOTIFICATION_CHOICES[select.value];
+        
+        delete projects[projectId];
+        mutedProjects = mutedProjects.filter(id => id !== projectId);
+        
+        if (select.value === 'muted') {
+            mutedProjects.push(projectId);
+        } else if (choice.events) {
+            projects[projectId] = choice.events;
         }
+    });
+    
+    try {
+        state.notificationPreferences = await window.API.notifications.update({
+            events,
+            delivery: document.getElementById('notification-delivery').value,
+            projects,
+            mutedProjects
+        });
+        showToast('success', 'Notification settings saved');
     } catch (error) {
-        console.error('Failed to send invitation:', error);
-        showToast('error', 'Failed to send invitation');
+        console.error('Failed to save notification settings:', error);
+        showToast('error', error.message || 'Failed to save notification settings');
+        renderNotificationSettings();
     }
 }
 
-function renderTeam() {
-    const membersContainer = document.getElementById('team-members-list');
-    const invitationsContainer = document.getElementById('invitations-list');
+// ===================================
+// Audit Log
+// ===================================
+
+function setupAuditLog() {
+    document.getElementById('search-audit-btn')?.addEventListener('click', renderAuditLog);
+    document.getElementById('export-audit-btn')?.addEventListener('click', exportAuditLog);
+    document.getElementById('audit-search')?.addEventListener('keydown', (e) => {
+        if (e.key === 'Enter') renderAuditLog();
+    });
+}
+
+function readAuditFilters() {
+    return {
+        q: document.getElementById('audit-search').value.trim(),
+        action: document.getElementById('audit-action').value,
+        from: document.getElementById('audit-from').value,
+        to: document.getElementById('audit-to').value
+    };
+}
+
+async function renderAuditLog() {
+    const container = document.getElementById('audit-log');
+    if (!container || !window.API || state.currentUser?.role !== 'admin') return;
     
-    // Render team members
-    if (membersContainer) {
-        const members = state.users.filter(u => u.status === 'active');
+    try {
+        const entries = await window.API.audit.search(readAuditFilters());
         
-        if (members.length > 0) {
-            membersContainer.innerHTML = members.map(u => createTeamMemberCard(u)).join('');
-        } else {
-            membersContainer.innerHTML = `
+        if (entries.length === 0) {
+            container.innerHTML = `
                 <div class="team-empty">
-                    <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
-                        <path d="M17 21v-2a4 4 0 0 0-4-4H5a4 4 0 0 0-4 4v2"/>
-                        <circle cx="9" cy="7" r="4"/>
-                        <path d="M23 21v-2a4 4 0 0 0-3-3.87"/>
-                        <path d="M16 3.13a4 4 0 0 1 0 7.75"/>
-                    </svg>
-                    <p>No team members yet</p>
+                    <p>No audit entries match these filters</p>
                 </div>
             `;
+            return;
         }
-    }
-    
-    // Render invitations
-    if (invitationsContainer) {
-        const pending = state.invitations.filter(i => i.status === 'pending');
         
-        if (pending.length > 0) {
-            invitationsContainer.innerHTML = pending.map(i => createInvitationCard(i)).join('');
-        } else {
-            invitationsContainer.innerHTML = `
-                <div class="team-empty">
-                    <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
-                        <path d="M22 17H2a3 3 0 0 0 3-3V9a7 7 0 0 1 14 0v5a3 3 0 0 0 3 3zm-8.27 4a2 2 0 0 1-3.46 0"/>
-                    </svg>
-                    <p>No pending invitations</p>
-                </div>
-            `;
-        }
+        container.innerHTML = `
+            <table>
+                <thead>
+                    <tr><th>Time</th><th>Who</th><th>Action</th><th>Target</th><th>Change</th></tr>
+                </thead>
+                <tbody>
+                    ${entries.map(entry => `
+                        <tr class="${entry.action === 'auth.login-failed' ? 'failed' : ''}">
+                            <td>${escapeHtml(new Date(entry.createdAt).toLocaleString())}</td>
+                            <td>${entry.actor ? escapeHtml(entry.actor.name || entry.actor.email) : 'System'}</td>
+                            <td><code>${escapeHtml(entry.action)}</code></td>
+                            <td>${entry.target ? escapeHtml(entry.target.name || entry.target.id) : ''}</td>
+                            <td>${escapeHtml(describeAuditChange(entry))}</td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+        `;
+    } catch (error) {
+        console.error('Failed to load audit log:', error);
+        showToast('error', error.message || 'Failed to load audit log');
     }
 }
 
-function createTeamMemberCard(user) {
-    const initials = user.name.split(' ').map(n => n[0]).join('').toUpperCase();
-    const joinDate = formatDate(user.createdAt);
+/**
+ * One-line summary of an entry's before/after values, e.g. "role: client → developer"
+ */
+function describeAuditChange(entry) {
+    const format = value => value === null || value === undefined ? '—' : typeof value === 'object' ? JSON.stringify(value) : String(value);
     
-    return `
-        <div class="team-member-card">
-            <div class="member-avatar ${user.role}">${initials}</div>
-            <div class="member-info">
-                <div class="member-name">${escapeHtml(user.name)}</div>
-                <div class="member-email">${escapeHtml(user.email)}</div>
-                <div class="member-meta">
-                    <span class="role-tag ${user.role}">${user.role}</span>
-                    <span class="member-date">Joined ${joinDate}</span>
-                </div>
-            </div>
-            <div class="member-actions">
-                <button onclick="viewUserDetails('${user.id}')" title="View Details">
-                    <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
-                        <path d="M1 12s4-8 11-8 11 8 11 8-4 8-11 8-11-8-11-8z"/>
-                        <circle cx="12" cy="12" r="3"/>
-                    </svg>
-                </button>
-            </div>
-        </div>
-    `;
-}
-
-function createInvitationCard(invitation) {
-    const sentDate = formatDate(invitation.createdAt);
-    const expiresDate = new Date(invitation.expiresAt);
-    const isExpired = expiresDate < new Date();
+    if (entry.before && entry.after) {
+        return Object.keys(entry.after)
+            .map(key => `${key}: ${format(entry.before[key])} → ${format(entry.after[key])}`)
+            .join(', ');
+    }
     
-    return `
-        <div class="invitation-card">
-            <div class="member-avatar client">
-                <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" style="width: 20px; height: 20px;">
-                    <path d="M22 17H2a3 3 0 0 0 3-3V9a7 7 0 0 1 14 0v5a3 3 0 0 0 3 3zm-8.27 4a2 2 0 0 1-3.46 0"/>
-                </svg>
-            </div>
-            <div class="member-info">
-                <div class="member-email">${escapeHtml(invitation.email)}</div>
-                <div class="member-meta">
-                    <span class="role-tag ${invitation.role}">${invitation.role}</span>
-                    <span class="invitation-status ${isExpired ? 'expired' : ''}">
-                        <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
-                            <circle cx="12" cy="12" r="10"/>
-                            <polyline points="12 6 12 12 16 14"/>
-                        </svg>
-                        ${isExpired ? 'Expired' : 'Pending'}
-                    </span>
-                    <span class="invitation-expires">Sent ${sentDate}</span>
-                </div>
-            </div>
-            <div class="member-actions">
-                <button onclick="resendInvitation('${invitation.id}')" title="Resend">
-                    <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
-                        <polyline points="23 4 23 10 17 10"/>
-                        <path d="M20.49 15a9 9 0 1 1-2.12-9.36L23 10"/>
-                    </svg>
-                </button>
-                <button onclick="cancelInvitation('${invitation.id}')" title="Cancel">
-                    <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
-                        <line x1="18" y1="6" x2="6" y2="18"/>
-                        <line x1="6" y1="6" x2="18" y2="18"/>
-                    </svg>
-                </button>
-            </div>
-        </div>
-    `;
-}
-
-function viewUserDetails(userId) {
-    const user = state.users.find(u => u.id === userId);
-    if (user) {
-        showToast('info', `Viewing ${user.name}'s profile`);
-        // Could open a detail modal here
+    if (entry.details) {
+        return Object.entries(entry.details)
+            .map(([key, value]) => `${key}: ${format(value)}`)
+            .join(', ');
     }
+    
+    return '';
 }
 
-async function resendInvitation(invitationId) {
-    showToast('info', 'Resending invitation...');
-    // API call would go here
-}
-
-async function cancelInvitation(invitationId) {
-    showToast('info', 'Cancelling invitation...');
-    // API call would go here
+async function exportAuditLog() {
+    try {
+        const blob = await window.API.audit.export(readAuditFilters());
+        downloadBlob(blob, `audit-log-${new Date().toISOString().slice(0, 10)}.csv`);
+    } catch (error) {
+        console.error('Failed to export audit log:', error);
+        showToast('error', error.message || 'Failed to export audit log');
+    }
 }
 
 // ===================================
@@ -1106,15 +3455,29 @@ function createEmptyState(title, description) {
     `;
 }
 
+// Statuses every workflow has - organizations can rename them but not remove them
+const BUILT_IN_STATUSES = ['pending', 'in-review', 'approved', 'archived'];
+
 function formatStatus(status) {
+    const workflowStatus = state.workflow?.statuses.find(s => s.id === status);
+    if (workflowStatus) return workflowStatus.label;
+    
     const statusMap = {
         'pending': 'Pending',
         'in-review': 'In Review',
-        'approved': 'Approved'
+        'approved': 'Approved',
+        'archived': 'Archived'
     };
     return statusMap[status] || status;
 }
 
+/**
+ * Badge style for a status - custom statuses share one
+ */
+function statusClass(status) {
+    return BUILT_IN_STATUSES.includes(status) ? status : 'custom';
+}
+
 function formatDate(dateString) {
     const date = new Date(dateString);
     const now = new Date();
@@ -1145,33 +3508,149 @@ function escapeHtml(text) {
     return div.innerHTML;
 }
 
+/**
+ * Save a downloaded file (see apiDownload) under the given name
+ */
+function downloadBlob(blob, filename) {
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    URL.revokeObjectURL(url);
+}
+
 // ===================================
-// Settings (Basic)
+// Account Settings
 // ===================================
 
-// Settings can be extended as needed
-document.addEventListener('DOMContentLoaded', () => {
-    setTimeout(() => {
-        const displayNameInput = document.getElementById('display-name');
-        const emailInput = document.getElementById('user-email');
-        
-        if (displayNameInput) {
-            displayNameInput.value = state.settings.displayName;
-            displayNameInput.addEventListener('change', (e) => {
-                state.settings.displayName = e.target.value;
-                saveState();
-                document.querySelector('.user-name').textContent = e.target.value;
-                document.querySelector('.user-avatar span').textContent = e.target.value.charAt(0).toUpperCase();
-            });
-        }
+function setupAccountSettings() {
+    const displayNameInput = document.getElementById('display-name');
+    const emailInput = document.getElementById('user-email');
+    
+    if (displayNameInput) displayNameInput.value = state.settings.displayName;
+    if (emailInput) emailInput.value = state.settings.email;
+    
+    document.getElementById('save-profile-btn')?.addEventListener('click', saveProfile);
+    document.getElementById('change-email-btn')?.addEventListener('click', changeEmail);
+    document.getElementById('change-password-btn')?.addEventListener('click', changePassword);
+    document.getElementById('export-my-data-btn')?.addEventListener('click', exportMyData);
+    document.getElementById('delete-account-btn')?.addEventListener('click', deleteAccount);
+}
+
+async function saveProfile() {
+    const name = document.getElementById('display-name').value.trim();
+    if (!name) {
+        showToast('error', 'Display name is required');
+        return;
+    }
+    
+    try {
+        const user = await window.API.users.update(state.currentUser.id, { name });
         
-        if (emailInput) {
-            emailInput.value = state.settings.email;
-            emailInput.addEventListener('change', (e) => {
-                state.settings.email = e.target.value;
-                saveState();
-            });
-        }
-    }, 2000);
-});
+        state.currentUser = { ...state.currentUser, ...user };
+        state.settings.displayName = user.name;
+        window.Auth.setCurrentUser(state.currentUser);
+        
+        document.querySelector('.user-name').textContent = user.name;
+        document.querySelector('.user-avatar span').textContent = user.name.charAt(0).toUpperCase();
+        showToast('success', 'Profile saved');
+    } catch (error) {
+        console.error('Failed to save profile:', error);
+        showToast('error', error.message || 'Failed to save profile');
+    }
+}
+
+async function changeEmail() {
+    const newEmail = document.getElementById('user-email').value.trim();
+    const passwordInput = document.getElementById('email-change-password');
+    
+    if (!newEmail || newEmail.toLowerCase() === state.settings.email) {
+        showToast('error', 'Enter the new email address you want to use');
+        return;
+    }
+    
+    if (!passwordInput.value) {
+        showToast('error', 'Enter your current password to change your email');
+        return;
+    }
+    
+    try {
+        const result = await window.API.auth.changeEmail(newEmail, passwordInput.value);
+        passwordInput.value = '';
+        showToast('success', result.message);
+    } catch (error) {
+        console.error('Failed to change email:', error);
+        showToast('error', error.message || 'Failed to change email');
+    }
+}
 
+async function changePassword() {
+    const currentInput = document.getElementById('current-password');
+    const newInput = document.getElementById('new-password');
+    const confirmInput = document.getElementById('confirm-new-password');
+    
+    if (!currentInput.value || !newInput.value) {
+        showToast('error', 'Enter your current and new password');
+        return;
+    }
+    
+    if (newInput.value.length < 8) {
+        showToast('error', 'Password must be at least 8 characters');
+        return;
+    }
+    
+    if (newInput.value !== confirmInput.value) {
+        showToast('error', 'Passwords do not match');
+        return;
+    }
+    
+    try {
+        await window.API.auth.changePassword(currentInput.value, newInput.value);
+        
+        currentInput.value = '';
+        newInput.value = '';
+        confirmInput.value = '';
+        showToast('success', 'Password changed. Other devices have been signed out.');
+        renderSessions();
+    } catch (error) {
+        console.error('Failed to change password:', error);
+        showToast('error', error.message || 'Failed to change password');
+    }
+}
+
+async function exportMyData() {
+    try {
+        const blob = await window.API.auth.exportData();
+        downloadBlob(blob, `webreview-data-${new Date().toISOString().slice(0, 10)}.json`);
+    } catch (error) {
+        console.error('Failed to export data:', error);
+        showToast('error', error.message || 'Failed to export your data');
+    }
+}
+
+async function deleteAccount() {
+    const confirmEmail = document.getElementById('delete-account-email').value.trim();
+    const password = document.getElementById('delete-account-password').value;
+    
+    if (confirmEmail.toLowerCase() !== state.settings.email.toLowerCase()) {
+        showToast('error', 'Type your email address to confirm');
+        return;
+    }
+    
+    if (!confirm('Delete your WebReview account for good? This can\'t be undone.')) return;
+    
+    try {
+        await window.API.auth.deleteAccount(confirmEmail, password);
+    } catch (error) {
+        console.error('Failed to delete account:', error);
+        showToast('error', error.message || 'Failed to delete your account');
+        return;
+    }
+    
+    // The session is gone with the account - this just clears local state
+    window.Auth.logout();
+}
@@ -78,6 +78,14 @@ function getCurrentUser() {
     return currentUser;
 }
 
+/**
+ * Replace the cached user after a profile change
+ */
+function setCurrentUser(user) {
+    currentUser = user;
+    localStorage.setItem('webreview_user', JSON.stringify(user));
+}
+
 /**
  * Check if user has a specific role
  */
@@ -105,7 +113,17 @@ function isClient() {
  * Logout user
  */
 function logout() {
+    // End the server-side session too (best effort - don't hold up the redirect)
+    if (authToken) {
+        fetch(`${API_BASE}/auth/logout`, {
+            method: 'POST',
+            headers: { 'X-Auth-Token': authToken },
+            keepalive: true
+        }).catch(() => {});
+    }
+    
     localStorage.removeItem('webreview_token');
+    localStorage.removeItem('webreview_refresh_token');
     localStorage.removeItem('webreview_user');
     localStorage.removeItem('stevensit_webreview');
     currentUser = null;
@@ -177,7 +195,70 @@ function addLogoutButton() {
 // API Client
 // ============================================
 
-async function apiRequest(endpoint, options = {}) {
+/**
+ * Store the tokens returned by login, register or refresh
+ */
+function storeSession(data) {
+    authToken = data.token;
+    localStorage.setItem('webreview_token', data.token);
+    if (data.refreshToken) {
+        localStorage.setItem('webreview_refresh_token', data.refreshToken);
+    }
+    if (data.user) {
+        currentUser = data.user;
+        localStorage.setItem('webreview_user', JSON.stringify(data.user));
+    }
+}
+
+let refreshPromise = null;
+
+/**
+ * Get a new access token using the stored refresh token
+ * Concurrent callers share one request, since each refresh token only works once
+ */
+function refreshAccessToken() {
+    if (!refreshPromise) {
+        refreshPromise = doRefresh().finally(() => {
+            refreshPromise = null;
+        });
+    }
+    return refreshPromise;
+}
+
+async function doRefresh() {
+    const refreshToken = localStorage.getItem('webreview_refresh_token');
+    if (!refreshToken) return false;
+    
+    const staleToken = authToken;
+    
+    try {
+        const response = await fetch(`${API_BASE}/auth/refresh`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ refreshToken })
+        });
+        
+        if (response.ok) {
+            storeSession(await response.json());
+            return true;
+        }
+        
+        // Another tab refreshed first - pick up the tokens it stored
+        if (response.status === 409) {
+            const storedToken = localStorage.getItem('webreview_token');
+            if (storedToken && storedToken !== staleToken) {
+                authToken = storedToken;
+                return true;
+            }
+        }
+    } catch (error) {
+        console.error('Token refresh failed:', error);
+    }
+    
+    return false;
+}
+
+async function apiRequest(endpoint, options = {}, allowRefresh = true) {
     const url = `${API_BASE}${endpoint}`;
     
     const headers = {
@@ -195,8 +276,12 @@ async function apiRequest(endpoint, options = {}) {
         headers
     });
     
-    // Handle 401 - redirect to login
+    // Handle 401 - the access token has probably expired, refresh and retry once
     if (response.status === 401) {
+        if (allowRefresh && authToken && await refreshAccessToken()) {
+            return apiRequest(endpoint, options, false);
+        }
+        
         logout();
         throw new Error('Authentication required');
     }
@@ -204,12 +289,48 @@ async function apiRequest(endpoint, options = {}) {
     const data = await response.json();
     
     if (!response.ok) {
-        throw new Error(data.error || 'API request failed');
+        const error = new Error(data.error || 'API request failed');
+        error.status = response.status;
+        error.details = data.details || null;
+        throw error;
     }
     
     return data;
 }
 
+function auditQuery(filters) {
+    const params = new URLSearchParams();
+    Object.entries(filters).forEach(([key, value]) => {
+        if (value) params.set(key, value);
+    });
+    return params.toString();
+}
+
+/**
+ * Download a file from the API (e.g. a CSV export) as a Blob
+ */
+async function apiDownload(endpoint, allowRefresh = true) {
+    const response = await fetch(`${API_BASE}${endpoint}`, {
+        headers: authToken ? { 'X-Auth-Token': authToken } : {}
+    });
+    
+    if (response.status === 401) {
+        if (allowRefresh && authToken && await refreshAccessToken()) {
+            return apiDownload(endpoint, false);
+        }
+        
+        logout();
+        throw new Error('Authentication required');
+    }
+    
+    if (!response.ok) {
+        const data = await response.json().catch(() => ({}));
+        throw new Error(data.error || 'Download failed');
+    }
+    
+    return response.blob();
+}
+
 const API = {
     auth: {
         async login(email, password) {
@@ -217,10 +338,7 @@ const API = {
                 method: 'POST',
                 body: JSON.stringify({ email, password })
             });
-            authToken = data.token;
-            currentUser = data.user;
-            localStorage.setItem('webreview_token', data.token);
-            localStorage.setItem('webreview_user', JSON.stringify(data.user));
+            storeSession(data);
             return data.user;
         },
         
@@ -229,10 +347,7 @@ const API = {
                 method: 'POST',
                 body: JSON.stringify({ token, name, password })
             });
-            authToken = data.token;
-            currentUser = data.user;
-            localStorage.setItem('webreview_token', data.token);
-            localStorage.setItem('webreview_user', JSON.stringify(data.user));
+            storeSession(data);
             return data.user;
         },
         
@@ -246,6 +361,175 @@ const API = {
                 method: 'POST',
                 body: JSON.stringify({ token })
             });
+        },
+        
+        async listSessions() {
+            const data = await apiRequest('/auth/sessions');
+            return data.sessions;
+        },
+        
+        async revokeSession(sessionId) {
+            return apiRequest(`/auth/sessions/${sessionId}`, {
+                method: 'DELETE'
+            });
+        },
+        
+        async changePassword(currentPassword, newPassword) {
+            return apiRequest('/auth/change-password', {
+                method: 'POST',
+                body: JSON.stringify({ currentPassword, newPassword })
+            });
+        },
+        
+        async changeEmail(newEmail, password) {
+            return apiRequest('/auth/change-email', {
+                method: 'POST',
+                body: JSON.stringify({ newEmail, password })
+            });
+        },
+        
+        /**
+         * Everything stored about the current user, as a JSON file
+         */
+        async exportData() {
+            return apiDownload('/auth/export');
+        },
+        
+        async deleteAccount(confirmEmail, password) {
+            return apiRequest('/auth/delete-account', {
+                method: 'POST',
+                body: JSON.stringify({ confirmEmail, password })
+            });
+        },
+        
+        async revokeAllSessions() {
+            return apiRequest('/auth/sessions/revoke-all', {
+                method: 'POST'
+            });
+        },
+        
+        async listTokens() {
+            return apiRequest('/auth/tokens');
+        },
+        
+        async createToken(tokenData) {
+            return apiRequest('/auth/tokens', {
+                method: 'POST',
+                body: JSON.stringify(tokenData)
+            });
+        },
+        
+        async revokeToken(tokenId) {
+            return apiRequest(`/auth/tokens/${tokenId}`, {
+                method: 'DELETE'
+            });
+        },
+        
+        async mfaStatus() {
+            return apiRequest('/auth/mfa');
+        },
+        
+        async setupMfa() {
+            return apiRequest('/auth/mfa/setup', {
+                method: 'POST'
+            });
+        },
+        
+        async enableMfa(code) {
+            return apiRequest('/auth/mfa/enable', {
+                method: 'POST',
+                body: JSON.stringify({ code })
+            });
+        },
+        
+        async disableMfa(password, code) {
+            return apiRequest('/auth/mfa/disable', {
+                method: 'POST',
+                body: JSON.stringify({ password, code })
+            });
+        },
+        
+        async regenerateRecoveryCodes(code) {
+            const data = await apiRequest('/auth/mfa/recovery-codes', {
+                method: 'POST',
+                body: JSON.stringify({ code })
+            });
+            return data.recoveryCodes;
+        }
+    },
+    
+    organization: {
+        async getSettings() {
+            const data = await apiRequest('/organization/settings');
+            return data.settings;
+        },
+        
+        async updateSettings(updates) {
+            const data = await apiRequest('/organization/settings', {
+                method: 'PATCH',
+                body: JSON.stringify(updates)
+            });
+            return data.settings;
+        },
+        
+        /**
+         * Project statuses and transition rules - the organization's own or the default
+         */
+        async getWorkflow() {
+            const data = await apiRequest('/organization/settings');
+            return data.workflow;
+        },
+        
+        /**
+         * Save a workflow (admins only) - null goes back to the default
+         */
+        async updateWorkflow(workflow) {
+            const data = await apiRequest('/organization/settings', {
+                method: 'PATCH',
+                body: JSON.stringify({ workflow })
+            });
+            return data.workflow;
+        },
+        
+        async get() {
+            return apiRequest('/organization');
+        },
+        
+        async update(updates) {
+            const data = await apiRequest('/organization', {
+                method: 'PATCH',
+                body: JSON.stringify(updates)
+            });
+            return data.organization;
+        },
+        
+        async listMemberships() {
+            return apiRequest('/organization/memberships');
+        },
+        
+        /**
+         * Move to another organization - the session is replaced, so store the new tokens
+         * code is a two-factor code, needed when the session started without one
+         */
+        async switchTo(organizationId, code) {
+            const data = await apiRequest('/organization/switch', {
+                method: 'POST',
+                body: JSON.stringify({ organizationId, code })
+            });
+            storeSession(data);
+            return data;
+        },
+        
+        async listAll() {
+            const data = await apiRequest('/organizations');
+            return data.organizations;
+        },
+        
+        async create(organizationData) {
+            return apiRequest('/organizations', {
+                method: 'POST',
+                body: JSON.stringify(organizationData)
+            });
         }
     },
     
@@ -268,23 +552,89 @@ const API = {
             return data;
         },
         
+        /**
+         * Invite everyone in a CSV; with dryRun only check the rows
+         */
+        async bulkInvite(csv, dryRun = false) {
+            return apiRequest('/users/invite/bulk', {
+                method: 'POST',
+                body: JSON.stringify({ csv, dryRun })
+            });
+        },
+        
         async listInvitations() {
             const data = await apiRequest('/users/invitations');
             return data.invitations;
         },
         
+        /**
+         * Email a fresh link - the previous one stops working
+         */
+        async resendInvitation(invitationId) {
+            return apiRequest(`/users/invitations/${invitationId}/resend`, {
+                method: 'POST'
+            });
+        },
+        
+        async updateInvitation(invitationId, updates) {
+            const data = await apiRequest(`/users/invitations/${invitationId}`, {
+                method: 'PATCH',
+                body: JSON.stringify(updates)
+            });
+            return data.invitation;
+        },
+        
+        async revokeInvitation(invitationId) {
+            return apiRequest(`/users/invitations/${invitationId}`, {
+                method: 'DELETE'
+            });
+        },
+        
         async update(userId, updates) {
             const data = await apiRequest(`/users/${userId}`, {
                 method: 'PATCH',
                 body: JSON.stringify(updates)
             });
             return data.user;
+        },
+        
+        async get(userId) {
+            return apiRequest(`/users/${userId}`);
+        },
+        
+        async unlock(userId) {
+            return apiRequest(`/users/${userId}/unlock`, {
+                method: 'POST'
+            });
+        },
+        
+        /**
+         * End all of a user's sessions in the current organization (admins only)
+         */
+        async signOut(userId) {
+            return apiRequest(`/users/${userId}/sign-out`, {
+                method: 'POST'
+            });
+        },
+        
+        async exportData(userId) {
+            return apiDownload(`/users/${userId}/export`);
+        },
+        
+        /**
+         * Erase a user's account - their feedback stays, under a pseudonym (admins only)
+         */
+        async erase(userId) {
+            return apiRequest(`/users/${userId}`, {
+                method: 'DELETE'
+            });
         }
     },
     
     projects: {
-        async list() {
-            const data = await apiRequest('/projects');
+        // Archived projects are only included when asked for
+        async list({ includeArchived = false } = {}) {
+            const data = await apiRequest(`/projects${includeArchived ? '?includeArchived=true' : ''}`);
             return data.projects;
         },
         
@@ -321,6 +671,143 @@ const API = {
                 body: JSON.stringify({ clientIds })
             });
             return data.project;
+        },
+        
+        async assignDevelopers(projectId, developerIds) {
+            const data = await apiRequest(`/projects/${projectId}/assign-developers`, {
+                method: 'POST',
+                body: JSON.stringify({ developerIds })
+            });
+            return data.project;
+        },
+        
+        // source is { sitemapUrl } or { sitemap } with the XML of an uploaded file
+        /**
+         * Statuses the current user could move a project to, and why any are held up
+         */
+        async getTransitions(projectId) {
+            return apiRequest(`/projects/${projectId}/transitions`);
+        },
+        
+        async importPages(projectId, source) {
+            return apiRequest(`/projects/${projectId}/pages/import`, {
+                method: 'POST',
+                body: JSON.stringify(source)
+            });
+        },
+        
+        async openRound(projectId, url, notes) {
+            return apiRequest(`/projects/${projectId}/rounds`, {
+                method: 'POST',
+                body: JSON.stringify({ url, notes })
+            });
+        },
+        
+        async listMembers(projectId) {
+            return apiRequest(`/projects/${projectId}/members`);
+        },
+        
+        async setMember(projectId, userId, role) {
+            const data = await apiRequest(`/projects/${projectId}/members/${userId}`, {
+                method: 'PUT',
+                body: JSON.stringify({ role })
+            });
+            return data.project;
+        },
+        
+        async removeMember(projectId, userId) {
+            const data = await apiRequest(`/projects/${projectId}/members/${userId}`, {
+                method: 'DELETE'
+            });
+            return data.project;
+        },
+        
+        async listGuestLinks(projectId) {
+            const data = await apiRequest(`/projects/${projectId}/guest-links`);
+            return data.guestLinks;
+        },
+        
+        /**
+         * Returns { guestLink, url } - the URL can't be shown again later
+         */
+        async createGuestLink(projectId, label, expiresInDays) {
+            return apiRequest(`/projects/${projectId}/guest-links`, {
+                method: 'POST',
+                body: JSON.stringify({ label, expiresInDays })
+            });
+        },
+        
+        async revokeGuestLink(projectId, linkId) {
+            return apiRequest(`/projects/${projectId}/guest-links/${linkId}`, {
+                method: 'DELETE'
+            });
+        }
+    },
+    
+    trash: {
+        async list() {
+            return apiRequest('/trash');
+        },
+        
+        async restore(projectId) {
+            return apiRequest(`/trash/${projectId}/restore`, {
+                method: 'POST'
+            });
+        },
+        
+        async purge(projectId) {
+            return apiRequest(`/trash/${projectId}`, {
+                method: 'DELETE'
+            });
+        },
+        
+        async empty() {
+            return apiRequest('/trash', {
+                method: 'DELETE'
+            });
+        }
+    },
+    
+    companies: {
+        async list() {
+            const data = await apiRequest('/companies');
+            return data.companies;
+        },
+        
+        async create(name) {
+            const data = await apiRequest('/companies', {
+                method: 'POST',
+                body: JSON.stringify({ name })
+            });
+            return data.company;
+        },
+        
+        async update(companyId, name) {
+            const data = await apiRequest(`/companies/${companyId}`, {
+                method: 'PATCH',
+                body: JSON.stringify({ name })
+            });
+            return data.company;
+        },
+        
+        async delete(companyId) {
+            return apiRequest(`/companies/${companyId}`, {
+                method: 'DELETE'
+            });
+        },
+        
+        async addMember(companyId, userId) {
+            const data = await apiRequest(`/companies/${companyId}/members/${userId}`, {
+                method: 'PUT'
+            });
+            return data.company;
+        },
+        
+        async removeMember(companyId, userId) {
+            const data = await apiRequest(`/companies/${companyId}/members/${userId}`, {
+                method: 'DELETE'
+            });
+            return data.company;
         }
     },
     
@@ -352,6 +839,37 @@ const API = {
         }
     },
     
+    notifications: {
+        async get() {
+            return apiRequest('/auth/notifications');
+        },
+        
+        /**
+         * changes may hold any of { events, delivery, projects, mutedProjects }
+         */
+        async update(changes) {
+            const data = await apiRequest('/auth/notifications', {
+                method: 'PUT',
+                body: JSON.stringify(changes)
+            });
+            return data.preferences;
+        }
+    },
+    
+    audit: {
+        /**
+         * filters is { q, action, from, to } - empty values are left out
+         */
+        async search(filters = {}) {
+            const data = await apiRequest(`/audit?${auditQuery(filters)}`);
+            return data.entries;
+        },
+        
+        async export(filters = {}) {
+            return apiDownload(`/audit/export?${auditQuery(filters)}`);
+        }
+    },
+    
     stats: {
         async get() {
             const data = await apiRequest('/stats');
@@ -367,6 +885,7 @@ const API = {
 window.Auth = {
     init: initAuth,
     getCurrentUser,
+    setCurrentUser,
     hasRole,
     isDeveloper,
     isClient,